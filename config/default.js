@@ -19,6 +19,37 @@
  *   function returns `false`, no message is displayed.
  */
 
+/**
+ * Object specifying a problem to look for in the code of a comment before it is submitted, see
+ * {@link module:defaultConfig.lintRules}.
+ *
+ * @typedef {object} LintRule
+ * @property {RegExp} regexp Regular expression to match. Every match is reported.
+ * @property {string} message Message displayed to the user.
+ * @property {string} [name] Latin letters, digits, `-`.
+ * @property {'notice'|'warning'|'error'} [type='warning'] Severity of the problem.
+ * @property {string} [fix] Replacement for the match offered as a quick fix. `$1`, `$2`, etc. are
+ *   replaced with the contents of the respective groups.
+ * @property {string} [fixLabel] Label of the quick fix button. By default, the replacement is
+ *   displayed.
+ * @property {(commentForm: import('../src/CommentForm').default) => boolean} [checkFunc] If this
+ *   function returns `false`, the rule is not applied.
+ */
+
+/**
+ * Reaction that users can add to comments, see {@link module:defaultConfig.commentReactions}.
+ *
+ * @typedef {object} CommentReaction
+ * @property {string} template Name of the template posted as a reply (with a signature) to react to
+ *   a comment, e.g. `+1` for `{{+1}}`.
+ * @property {string} label Label of the reaction displayed in the reaction picker and reaction chips,
+ *   usually an emoji.
+ * @property {string} [class] Name of the class that the template sets to its container element.
+ *   Replies consisting only of such an element are displayed as reactions.
+ * @property {string[]} [texts] Texts that make replies consisting only of them displayed as
+ *   reactions (case-insensitive), e.g. `['+1']`.
+ */
+
 /**
  * Object that describes the configuration parameters of an archiving template like
  * https://en.wikipedia.org/wiki/User:MiszaBot/config.
@@ -127,6 +158,19 @@ const defaultConfig = {
 	 */
 	uploadScreenshotLicenseTemplate: null,
 
+	/**
+	 * URL of a server-sent event stream of recent changes in the
+	 * {@link https://wikitech.wikimedia.org/wiki/Event_Platform/EventStreams EventStreams} format.
+	 * The stream is used to learn about new comments right after they are posted; when it is
+	 * unavailable, the script falls back to polling the API. If `null`, the API is always polled.
+	 *
+	 * Note that streams like `https://stream.wikimedia.org/v2/stream/recentchange` deliver changes to
+	 * all pages of all wikis, which are filtered on the client side, so use them with care.
+	 *
+	 * @type {?string}
+	 */
+	eventStreamUrl: null,
+
 	/**
 	 * Numbers of talk namespaces other than odd namespaces. If not set, the value of
 	 * `mw.config.get('wgExtraSignatureNamespaces')` will be used. For example: `[4]` for Project.
@@ -507,6 +551,65 @@ const defaultConfig = {
 	 */
 	mentionRequiresLeadingSpace: true,
 
+	/**
+	 * Groups of users that can be mentioned at once by typing
+	 * {@link defaultConfig.mentionCharacter the mention character} followed by `group:` and the name
+	 * of the group, e.g. `@group:closers`. Keys are group names, values are names of pages listing
+	 * the members of the groups (ping lists). The members are the users whose user pages are linked
+	 * from these pages. In addition, users can set up personal groups in the settings.
+	 *
+	 * @type {{ [name: string]: string }}
+	 */
+	pingLists: {},
+
+	/**
+	 * Name of the template used to mention the members of a group, e.g. `'ping'`. The user names are
+	 * passed to it as positional parameters. If `null`, links to user pages are inserted.
+	 *
+	 * @type {?string}
+	 */
+	pingTemplate: null,
+
+	/**
+	 * Maximum number of users that can be mentioned in one edit (`$wgEchoMaxMentionsCount` in
+	 * MediaWiki). When a group has more members, only this number of them is mentioned.
+	 *
+	 * @type {number}
+	 */
+	mentionLimit: 50,
+
+	/**
+	 * Dictionaries in the {@link https://github.com/hunspell/hunspell Hunspell} format used to
+	 * proofread comments. Keys are language codes, values are names of the pages containing the
+	 * affix (`.aff`) and dictionary (`.dic`) files, e.g.
+	 *
+	 * ```js
+	 * {
+	 *   en: {
+	 *     aff: 'MediaWiki:Gadget-dictionaries/en.aff',
+	 *     dic: 'MediaWiki:Gadget-dictionaries/en.dic',
+	 *   },
+	 * }
+	 * ```
+	 *
+	 * The dictionary for the page content language is used (if there is none for a language variant
+	 * like `en-gb`, the one for the base language is taken). Scripts can also provide their own
+	 * checkers using {@link convenientDiscussions.api.registerProofreadingChecker}.
+	 *
+	 * @type {{ [languageCode: string]: { aff: string; dic: string } }}
+	 */
+	proofreadingDictionaries: {},
+
+	/**
+	 * Code of the template used to insert emoji chosen in the emoji autocomplete (not other Unicode
+	 * symbols). `$1` is replaced with the emoji itself, `$2` with its code points in the hexadecimal
+	 * notation separated by hyphens, e.g. `'{{emoji|$2}}'` produces `{{emoji|1f44d}}` for 👍. If
+	 * `null`, emoji are inserted as is.
+	 *
+	 * @type {?string}
+	 */
+	emojiTemplate: null,
+
 	/**
 	 * Function to use in the {@link defaultConfig.quoteFormatting} config value.
 	 *
@@ -720,6 +823,35 @@ const defaultConfig = {
 	 */
 	textReactions: [],
 
+	/**
+	 * Custom {@link LintRule rules} for the check of the comment code made before it is submitted.
+	 * Each match of a rule is displayed in a list of problems with a button to jump to it and,
+	 * optionally, a button to fix it. The user can submit the comment anyway by submitting it again.
+	 *
+	 * @type {LintRule[]}
+	 */
+	lintRules: [],
+
+	/**
+	 * Names of the built-in checks of the comment code made before it is submitted that should be
+	 * turned off on the wiki: `'unclosedTag'`, `'strayClosingTag'`, `'unclosedBrackets'`,
+	 * `'strayClosingBrackets'`, `'straySignature'`, `'emptyListItem'`, `'preformattedLine'`,
+	 * `'bareUrl'`, `'selfLink'`.
+	 *
+	 * @type {string[]}
+	 */
+	disabledLintChecks: [],
+
+	/**
+	 * {@link CommentReaction Reactions} to comments. Users can react to a comment by posting a reply
+	 * consisting of a reaction template and a signature; such replies are hidden and displayed as
+	 * chips with counts and names under the parent comment. Reactions are disabled if the array is
+	 * empty.
+	 *
+	 * @type {CommentReaction[]}
+	 */
+	commentReactions: [],
+
 	/**
 	 * @typedef {object} Module
 	 * @property {string} name Name of the module.
@@ -1,11 +1,13 @@
 import CommentLinksAutocomplete from './CommentLinksAutocomplete'
+import EmojiAutocomplete from './EmojiAutocomplete'
 import MentionsAutocomplete from './MentionsAutocomplete'
+import SnippetsAutocomplete from './SnippetsAutocomplete'
 import TagsAutocomplete from './TagsAutocomplete'
 import TemplatesAutocomplete from './TemplatesAutocomplete'
 import WikilinksAutocomplete from './WikilinksAutocomplete'
 
 /**
- * @typedef {'mentions' | 'commentLinks' | 'wikilinks' | 'templates' | 'tags'} AutocompleteType
+ * @typedef {'mentions' | 'commentLinks' | 'wikilinks' | 'templates' | 'tags' | 'emoji' | 'snippets'} AutocompleteType
  */
 
 /**
@@ -37,6 +39,10 @@ const AutocompleteFactory = {
 				return new TagsAutocomplete(options)
 			case 'commentLinks':
 				return new CommentLinksAutocomplete(options)
+			case 'emoji':
+				return new EmojiAutocomplete(options)
+			case 'snippets':
+				return new SnippetsAutocomplete(options)
 		}
 	},
 
@@ -46,7 +52,7 @@ const AutocompleteFactory = {
 	 * @returns {AutocompleteType[]} Array of supported types
 	 */
 	getSupportedTypes() {
-		return ['mentions', 'wikilinks', 'templates', 'tags', 'commentLinks']
+		return ['mentions', 'wikilinks', 'templates', 'tags', 'commentLinks', 'emoji', 'snippets']
 	},
 
 	/**
@@ -309,6 +309,7 @@ class AutocompleteManager {
 		)
 
 		this.applySelectionDataToInsertion(insertion, selectionData)
+		autocomplete.onEntryChoose(/** @type {NonNullable<typeof option>} */ (option).original.entry)
 
 		return insertion
 	}
@@ -178,6 +178,14 @@ class BaseAutocomplete {
 		})
 	}
 
+	/**
+	 * Handle the user choosing an entry in the autocomplete menu. Subclasses can override this to,
+	 * for example, rank the entries the user chooses often higher.
+	 *
+	 * @param {any} _entry The chosen entry
+	 */
+	onEntryChoose(_entry) {}
+
 	/**
 	 * Extract the display label from an entry.
 	 *
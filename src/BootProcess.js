@@ -7,24 +7,23 @@ import Thread from './Thread'
 import commentFormManager from './commentFormManager'
 import commentManager from './commentManager'
 import controller from './controller'
-import { initGlobals, initTimestampTools } from './init'
+import { initGlobals, initPatterns, initTimestampTools } from './init'
 import jqueryExtensions from './jqueryExtensions'
+import keyboardNavigation from './keyboardNavigation'
 import cd from './loader/cd'
 import navPanel from './navPanel'
 import notifications from './notifications'
 import pageNav from './pageNav'
 import processUrlOnLoad from './processUrl'
+import reactions from './reactions'
 import sectionManager from './sectionManager'
 import CdError from './shared/CdError'
 import Parser from './shared/Parser'
 import {
-	defined,
 	definedAndNotNull,
-	generatePageNamePattern,
 	getQueryParamBooleanValue,
 	isElement,
 	sleep,
-	unique,
 } from './shared/utils-general'
 import toc from './toc'
 import updateChecker from './updateChecker'
@@ -259,6 +258,10 @@ class BootProcess {
 
 		commentManager.maybeReformatComments()
 
+		// Should be below commentManager.maybeReformatComments() so that the reaction chips are placed
+		// above comment menus.
+		reactions.render()
+
 		// This updates some styles, shifting the offsets.
 		controller.$root.addClass('cd-parsed')
 
@@ -412,7 +415,7 @@ class BootProcess {
 
 		if (this.firstBoot) {
 			initTimestampTools()
-			this.initPatterns()
+			initPatterns()
 			$.fn.extend(jqueryExtensions)
 			initDayjs()
 		} else {
@@ -438,6 +441,7 @@ class BootProcess {
 			toc.init(this.subscriptions)
 			commentFormManager.init()
 			commentManager.init()
+			keyboardNavigation.init()
 			CommentFormInputTransformer.init()
 			notifications.init()
 			Parser.init()
@@ -499,165 +503,6 @@ class BootProcess {
 			: undefined
 	}
 
-	/**
-	 * Generate regexps, patterns (strings to be parts of regexps), selectors from config values.
-	 */
-	initPatterns() {
-		const signatureEndingRegexp = cd.config.signatureEndingRegexp
-		cd.g.signatureEndingRegexp = signatureEndingRegexp
-			? new RegExp(
-					signatureEndingRegexp.source + (signatureEndingRegexp.source.endsWith('$') ? '' : '$'),
-					signatureEndingRegexp.flags,
-				)
-			: undefined
-
-		const nss = mw.config.get('wgFormattedNamespaces')
-		const nsIds = mw.config.get('wgNamespaceIds')
-
-		const anySpace = (/** @type {string} */ s) =>
-			s.replace(/[ _]/g, '[ _]+').replace(/:/g, '[ _]*:[ _]*')
-		const joinNsNames = (/** @type {number[]} */ ...ids) =>
-			Object.keys(nsIds)
-				.filter((key) => ids.includes(nsIds[key]))
-
-				// Sometimes wgNamespaceIds has a string that doesn't transform into one of the keys of
-				// wgFormattedNamespaces when converting the first letter to uppercase, like in Azerbaijani
-				// Wikipedia (compare Object.keys(mw.config.get('wgNamespaceIds'))[4] = 'i̇stifadəçi' with
-				// mw.config.get('wgFormattedNamespaces')[2] = 'İstifadəçi'). We simply add the
-				// wgFormattedNamespaces name separately.
-				.concat(ids.map((id) => nss[id]))
-				.map(mw.util.escapeRegExp)
-
-				.map(anySpace)
-				.join('|')
-
-		const userNssAliasesPattern = joinNsNames(2, 3)
-		cd.g.userNamespacesRegexp = new RegExp(`(?:^|:)(?:${userNssAliasesPattern}):(.+)`, 'i')
-
-		const userNsAliasesPattern = joinNsNames(2)
-		cd.g.userLinkRegexp = new RegExp(`^:?(?:${userNsAliasesPattern}):([^/]+)$`, 'i')
-		cd.g.userSubpageLinkRegexp = new RegExp(`^:?(?:${userNsAliasesPattern}):.+?/`, 'i')
-
-		const userTalkNsAliasesPattern = joinNsNames(3)
-		cd.g.userTalkLinkRegexp = new RegExp(`^:?(?:${userTalkNsAliasesPattern}):([^/]+)$`, 'i')
-		cd.g.userTalkSubpageLinkRegexp = new RegExp(`^:?(?:${userTalkNsAliasesPattern}):.+?/`, 'i')
-
-		const contribsTitleAliases = cd.g.specialPageAliases.Contributions.concat('Contributions')
-		cd.g.contribsPages = contribsTitleAliases.filter(unique).map((alias) => `${nss[-1]}:${alias}`)
-
-		const specialNsPattern = joinNsNames(-1)
-		const contribsPagesTitlePattern = contribsTitleAliases.join('|')
-		const contribsPagesLinkPattern = `(?:${specialNsPattern}):(?:${contribsPagesTitlePattern})/`
-		cd.g.contribsPageLinkRegexp = new RegExp(`^${contribsPagesLinkPattern}`)
-
-		cd.g.captureUserNamePattern =
-			`\\[\\[[ _]*:?(?:\\w*:){0,2}(?:(?:${userNssAliasesPattern})[ _]*:[ _]*|` +
-			`(?:${specialNsPattern})[ _]*:[ _]*(?:${contribsPagesTitlePattern})\\/[ _]*)([^|\\]/]+)(/)?`
-
-		cd.g.isThumbRegexp = new RegExp(
-			['thumb', 'thumbnail']
-				.concat(cd.config.thumbAliases)
-				.map((alias) => `\\| *${alias} *[|\\]]`)
-				.join('|'),
-		)
-
-		const unsignedTemplatesPattern = cd.config.unsignedTemplates
-			.map(generatePageNamePattern)
-			.join('|')
-		cd.g.unsignedTemplatesPattern = unsignedTemplatesPattern
-			? `(\\{\\{ *(?:${unsignedTemplatesPattern}) *\\| *([^}|]+?) *(?:\\| *([^}]+?) *)?\\}\\})`
-			: undefined
-
-		const clearTemplatesPattern = cd.config.clearTemplates.map(generatePageNamePattern).join('|')
-		const reflistTalkTemplatesPattern = cd.config.reflistTalkTemplates
-			.map(generatePageNamePattern)
-			.join('|')
-
-		cd.g.keepInSectionEnding = [
-			...cd.config.keepInSectionEnding,
-			clearTemplatesPattern
-				? new RegExp(`\\n+\\{\\{ *(?:${clearTemplatesPattern}) *\\}\\}\\s*$`)
-				: undefined,
-			reflistTalkTemplatesPattern
-				? new RegExp(`\\n+\\{\\{ *(?:${reflistTalkTemplatesPattern}) *\\}\\}.*\\s*$`)
-				: undefined,
-		].filter(defined)
-
-		const pieJoined = cd.g.popularInlineElements.join('|')
-		cd.g.piePattern = `(?:${pieJoined})`
-
-		const pnieJoined = cd.g.popularNotInlineElements.join('|')
-		cd.g.pniePattern = `(?:${pnieJoined})`
-
-		cd.g.articlePathRegexp = new RegExp(
-			'^' + mw.util.escapeRegExp(mw.config.get('wgArticlePath')).replace(String.raw`\$1`, '(.*)'),
-		)
-		cd.g.startsWithScriptTitleRegexp = new RegExp(
-			'^' + mw.util.escapeRegExp(mw.config.get('wgScript') + '?title='),
-		)
-		const editActionpath = mw.config.get('wgActionPaths').edit
-		if (editActionpath) {
-			cd.g.startsWithEditActionPathRegexp = new RegExp(
-				'^' + mw.util.escapeRegExp(editActionpath).replace(String.raw`\$1`, '(.*)') + '.*',
-			)
-		}
-
-		// Template names are not case-sensitive here for code simplicity.
-		const quoteTemplateToPattern = (/** @type {string} */ tpl) =>
-			String.raw`\{\{ *` + anySpace(mw.util.escapeRegExp(tpl))
-		const quoteBeginningsPattern = ['<blockquote', '<q']
-			.concat(cd.config.pairQuoteTemplates[0].map(quoteTemplateToPattern))
-			.join('|')
-		const quoteEndingsPattern = ['</blockquote>', '</q>']
-			.concat(cd.config.pairQuoteTemplates[1].map(quoteTemplateToPattern))
-			.join('|')
-		cd.g.quoteRegexp = new RegExp(
-			`(${quoteBeginningsPattern})([^]*?)(${quoteEndingsPattern})`,
-			'ig',
-		)
-
-		cd.g.noSignatureClasses.push(...cd.config.noSignatureClasses)
-		cd.g.closedDiscussionClasses.push(...cd.config.closedDiscussionClasses)
-		cd.g.noHighlightClasses.push(...cd.config.noHighlightClasses)
-
-		const fileNssPattern = joinNsNames(6)
-		cd.g.filePrefixPattern = `(?:${fileNssPattern}):`
-
-		const colonNssPattern = joinNsNames(6, 14)
-		cd.g.colonNamespacesPrefixRegexp = new RegExp(`^:(?:${colonNssPattern}):`, 'i')
-
-		cd.g.badCommentBeginnings = [
-			...cd.g.badCommentBeginnings,
-			new RegExp(`^\\[\\[${cd.g.filePrefixPattern}.+\\n+(?=[*:#])`, 'i'),
-			...cd.config.badCommentBeginnings,
-			clearTemplatesPattern
-				? new RegExp(`^\\{\\{ *(?:${clearTemplatesPattern}) *\\}\\} *\\n+`, 'i')
-				: undefined,
-		].filter(defined)
-
-		cd.g.pipeTrickRegexp = /(\[\[:?(?:[^|[\]<>\n:]+:)?([^|[\]<>\n]+)\|)(\]\])/g
-
-		cd.g.isProbablyWmfSulWiki =
-			// Isn't true on diff, editing, history, and special pages, see
-			// https://github.com/wikimedia/mediawiki-extensions-CentralNotice/blob/6100a9e9ef290fffe1edd0ccdb6f044440d41511/includes/CentralNoticeHooks.php#L398
-			$('link[rel="dns-prefetch"]').attr('href') === '//meta.wikimedia.org' ||
-			// Sites like wikitech.wikimedia.org, which is not a SUL wiki, will be included as well
-			[
-				'mediawiki.org',
-				'wikibooks.org',
-				'wikidata.org',
-				'wikifunctions.org',
-				'wikimedia.org',
-				'wikinews.org',
-				'wikipedia.org',
-				'wikiquote.org',
-				'wikisource.org',
-				'wikiversity.org',
-				'wikivoyage.org',
-				'wiktionary.org',
-			].includes(mw.config.get('wgServerName').split('.').slice(-2).join('.'))
-	}
-
 	/**
 	 * Initialize prototypes of elements and OOUI widgets.
 	 */
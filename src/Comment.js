@@ -30,10 +30,12 @@ import {
 import { extractNumeralAndConvertToNumber, removeWikiMarkup } from './shared/utils-wikitext'
 import userRegistry from './userRegistry'
 import { handleApiReject, loadUserGenders, parseCode } from './utils-api'
+import { findCommentVersions } from './utils-commentHistory'
 import { formatDate, formatDateNative } from './utils-date'
 import { showConfirmDialog } from './utils-oojs'
 import { mixIntoClass } from './utils-oojs-class'
 import {
+	createDiffView,
 	extractSignatures,
 	getExtendedRect,
 	isItemProbablyEditableAtAll,
@@ -44,6 +46,26 @@ import {
 	wrapHtml,
 } from './utils-window'
 
+/**
+ * Maximum number of revisions to check when looking for the versions of a comment.
+ */
+const maxHistoryRevisionCount = 250
+
+/**
+ * Maximum total length of the revision content to load when looking for the versions of a comment.
+ */
+const maxHistoryContentLength = 5_000_000
+
+/**
+ * Number of revisions to load at once when looking for the versions of a comment. Kept small since
+ * the content of each revision is loaded.
+ */
+const historyRevisionBatchSize = 10
+
+/**
+ * @typedef {Revision<['ids', 'timestamp', 'user', 'parsedcomment', 'content']>} HistoryRevision
+ */
+
 /**
  * @typedef {object} CommentOffset
  * @property {number} top
@@ -246,6 +268,14 @@ class Comment extends mixIntoClass(
 	 */
 	currentFlashFlag
 
+	/**
+	 * Whether the comment consists of a reaction and is hidden, the reaction being shown as a chip
+	 * under the parent comment.
+	 *
+	 * @type {boolean}
+	 */
+	isHiddenReaction = false
+
 	/**
 	 * Adds a comment flag.
 	 *
@@ -1842,6 +1872,8 @@ class Comment extends mixIntoClass(
 		revisions.forEach((revision, i) => {
 			const pageCode = /** @type {NonNullable<typeof revision.slots>} */ (revision.slots).main
 				.content
+			if (pageCode === undefined) return
+
 			let source
 			try {
 				source = this.locateInCode(undefined, pageCode, commentsData[/** @type {0 | 1} */ (i)])
@@ -2417,34 +2449,8 @@ class Comment extends mixIntoClass(
 	 */
 	async generateDiffView() {
 		const edit = await this.findEdit()
-		const diffLink = await this.getDiffLink()
 
-		return $('<div>')
-			.addClass('cd-diffView-diff')
-			.append(
-				$('<div>')
-					.append(
-						$('<a>')
-							.addClass('cd-diffView-nextDiffLink')
-							.attr('href', diffLink.replace(/&diff=(\d+)/, '&oldid=$1&diff=next'))
-							.attr('target', '_blank')
-
-							// Make it work in https://www.mediawiki.org/wiki/Instant_Diffs
-							.attr('data-instantdiffs-link', 'event')
-							.attr(
-								'data-instantdiffs-options',
-								JSON.stringify({ setClasses: 'clear', insertMethod: 'insertBefore' }),
-							)
-
-							.text(cd.mws('nextdiff')),
-					)
-					.append(
-						cd.sParse('cld-summary'),
-						cd.mws('colon-separator'),
-						wrapHtml(edit.revision.parsedcomment, { targetBlank: true }).addClass('comment'),
-					),
-				wrapDiffBody(edit.diffBody),
-			)
+		return createDiffView(edit.diffBody, edit.revision.parsedcomment, await this.getDiffLink())
 	}
 
 	/**
@@ -2456,6 +2462,54 @@ class Comment extends mixIntoClass(
 		controller.showCopyLinkDialog(this, event)
 	}
 
+	/**
+	 * Open an export dialog for the thread started by the comment.
+	 */
+	exportThread() {
+		controller.showExportDialog(this)
+	}
+
+	/**
+	 * Open a dialog with the versions of the comment.
+	 */
+	showHistory() {
+		controller.showCommentHistoryDialog(this)
+	}
+
+	/**
+	 * Check whether the user follows the comment, i.e. wants replies to it and in its subthread to be
+	 * treated as relevant.
+	 *
+	 * @returns {boolean}
+	 */
+	isFollowed() {
+		return Boolean(this.id && this.manager.isCommentFollowed(this.id))
+	}
+
+	/**
+	 * Follow the comment if it is not followed, unfollow it otherwise.
+	 */
+	toggleFollowed() {
+		if (!this.id) return
+
+		const followed = !this.isFollowed()
+		this.manager.setCommentFollowed(this.id, followed)
+		this.actions?.setFollowed(followed)
+		mw.notify(cd.s(followed ? 'follow-success' : 'unfollow-success'), {
+			type: 'success',
+			autoHide: true,
+		})
+	}
+
+	/**
+	 * Get the closest comment among the comment and its ancestors that the user follows.
+	 *
+	 * @returns {Comment | undefined}
+	 */
+	getFollowedAncestor() {
+		return [this, ...this.getAncestors()].find((comment) => comment.isFollowed())
+	}
+
 	/**
 	 * Find the edit that added the comment.
 	 *
@@ -2617,6 +2671,94 @@ class Comment extends mixIntoClass(
 		return matches
 	}
 
+	/**
+	 * Walk the page history backwards from the latest revision, locating the comment in the code of
+	 * each revision, until a revision older than the comment where the comment is absent is reached.
+	 * Revisions with hidden text and newer revisions without the comment (e.g. when the page was
+	 * blanked) are skipped. Return the versions of the comment, i.e. the revisions that changed its
+	 * code, including edits by users other than the author.
+	 *
+	 * @returns {Promise<import('./utils-commentHistory').CommentHistory<HistoryRevision>>}
+	 * @throws {CdError}
+	 */
+	async getHistory() {
+		if (!this.hasTimestamp()) {
+			throw new CdError({
+				type: 'internal',
+			})
+		}
+
+		/** @type {import('./utils-commentHistory').RevisionCode<HistoryRevision>[]} */
+		const revisionCodes = []
+
+		// The comment could have been added with the timestamp replaced later.
+		const minDate = new Date(this.date.getTime() - cd.g.msInMin * 10)
+
+		/** @type {number | undefined} */
+		let startId
+		let contentLength = 0
+		while (
+			revisionCodes.length < maxHistoryRevisionCount &&
+			contentLength < maxHistoryContentLength
+		) {
+			// No end timestamp is set: we need to reach the revision where the comment is absent, which
+			// can be older than the comment's timestamp by any amount of time.
+			const revisions = await this.getSourcePage()
+				.getArchivedPage()
+				.getRevisions({
+					rvprop: ['ids', 'timestamp', 'user', 'parsedcomment', 'content'],
+					rvdir: 'older',
+					rvstartid: startId,
+					rvlimit: historyRevisionBatchSize,
+				})
+			if (!revisions) {
+				throw new CdError({
+					type: 'response',
+				})
+			}
+
+			let isAbsent = false
+			for (const revision of revisions) {
+				const code = this.findCodeInRevision(revision)
+				const isBeforeComment = new Date(revision.timestamp) < minDate
+				revisionCodes.push({ revision, code, isBeforeComment })
+				contentLength += revision.slots?.main.content?.length ?? 0
+				if (code === undefined && isBeforeComment) {
+					isAbsent = true
+					break
+				}
+			}
+
+			startId = revisions.at(-1)?.parentid
+			if (isAbsent || revisions.length < historyRevisionBatchSize || !startId) break
+		}
+
+		return findCommentVersions(revisionCodes)
+	}
+
+	/**
+	 * Locate the comment in the code of a revision.
+	 *
+	 * @param {HistoryRevision} revision
+	 * @returns {string | null | undefined} `undefined` if the comment is absent, `null` if the text
+	 *   of the revision is hidden.
+	 * @private
+	 */
+	findCodeInRevision(revision) {
+		const content = revision.slots?.main.content
+		if (content === undefined) return null
+
+		try {
+			const source = this.locateInCode(undefined, content)
+
+			return source.code + source.signatureCode
+		} catch (error) {
+			if (error instanceof CdError) return
+
+			throw error
+		}
+	}
+
 	/**
 	 * Get a diff link for the comment.
 	 *
@@ -3430,6 +3572,7 @@ class Comment extends mixIntoClass(
 				'.noprint',
 				'.cd-comment-header',
 				'.cd-comment-menu',
+				'.cd-comment-reactions',
 			]
 			if (cd.config.unsignedClass) {
 				selectorParts.push(`.${cd.config.unsignedClass}`)
@@ -3618,7 +3761,6 @@ class Comment extends mixIntoClass(
 	 * collapsed note is unavailable, return the top invisible collapsed note.
 	 *
 	 * @returns {JQuery | undefined}
-	 * @private
 	 */
 	getVisibleExpandNote() {
 		if (!this.isCollapsed()) {
@@ -3886,7 +4028,9 @@ class Comment extends mixIntoClass(
 		if (
 			!this.date ||
 			// Is the comment date in the future?
-			this.date.getTime() > Date.now() + cd.g.msInMin * 3
+			this.date.getTime() > Date.now() + cd.g.msInMin * 3 ||
+			// Hidden reactions can't be navigated to.
+			this.isHiddenReaction
 		) {
 			this.removeFlag('new')
 			this.setSeen(true)
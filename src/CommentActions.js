@@ -1,5 +1,6 @@
 import commentManager from './commentManager'
 import cd from './loader/cd'
+import reactions from './reactions'
 
 /**
  * @typedef {import('./CommentButton').default} CommentButton
@@ -38,6 +39,20 @@ class CommentActions {
 	 */
 	thankButton
 
+	/**
+	 * React button.
+	 *
+	 * @type {CommentButton | undefined}
+	 */
+	reactButton
+
+	/**
+	 * Follow button.
+	 *
+	 * @type {CommentButton | undefined}
+	 */
+	followButton
+
 	/**
 	 * Copy link button.
 	 *
@@ -66,6 +81,20 @@ class CommentActions {
 	 */
 	toggleChildThreadsButton
 
+	/**
+	 * "Export thread" button.
+	 *
+	 * @type {CommentButton | undefined}
+	 */
+	exportThreadButton
+
+	/**
+	 * "History" button.
+	 *
+	 * @type {CommentButton | undefined}
+	 */
+	historyButton
+
 	/**
 	 * Quote button. Only displayed when text in the comment is selected.
 	 *
@@ -95,8 +124,12 @@ class CommentActions {
 		this.addEditButton()
 		this.addDeleteButton()
 		this.addThankButton()
+		this.addReactButton()
+		this.addFollowButton()
 		this.addCopyLinkButton()
 		this.addToggleChildThreadsButton()
+		this.addExportThreadButton()
+		this.addHistoryButton()
 		this.addGoToParentButton()
 
 		if (this.comment.hasFlag('deleted')) {
@@ -136,6 +169,20 @@ class CommentActions {
 		this.comment.thank()
 	}
 
+	/**
+	 * Reusable action for react button.
+	 */
+	onReactAction = () => {
+		reactions.pick(this.comment, /** @type {CommentButton} */ (this.reactButton).element)
+	}
+
+	/**
+	 * Reusable action for follow button.
+	 */
+	onFollowAction = () => {
+		this.comment.toggleFollowed()
+	}
+
 	/**
 	 * Reusable action for copy link button.
 	 *
@@ -169,6 +216,20 @@ class CommentActions {
 		this.comment.toggleChildThreads()
 	}
 
+	/**
+	 * Reusable action for export thread button.
+	 */
+	onExportThreadAction = () => {
+		this.comment.exportThread()
+	}
+
+	/**
+	 * Reusable action for history button.
+	 */
+	onHistoryAction = () => {
+		this.comment.showHistory()
+	}
+
 	/**
 	 * Reusable action for fix button.
 	 */
@@ -272,6 +333,31 @@ class CommentActions {
 		}
 	}
 
+	/**
+	 * Create a react button and add it to the appropriate container if
+	 * {@link module:defaultConfig.commentReactions reactions} are configured.
+	 *
+	 * This method should be overridden by subclasses for specific styling.
+	 */
+	addReactButton() {
+		if (!reactions.canReact(this.comment)) return
+
+		this.reactButton = this.createReactButton(this.onReactAction)
+		this.insertReactButton()
+	}
+
+	/**
+	 * Create a follow button and add it to the appropriate container.
+	 *
+	 * This method should be overridden by subclasses for specific styling.
+	 */
+	addFollowButton() {
+		if (!this.comment.id) return
+
+		this.followButton = this.createFollowButton(this.onFollowAction, this.comment.isFollowed())
+		this.insertFollowButton()
+	}
+
 	/**
 	 * Create a copy link button and add it to the appropriate container.
 	 *
@@ -334,6 +420,32 @@ class CommentActions {
 		this.insertToggleChildThreadsButton()
 	}
 
+	/**
+	 * Create an "Export thread" button and add it to the appropriate container if the comment has
+	 * replies.
+	 *
+	 * This method should be overridden by subclasses for specific styling.
+	 */
+	addExportThreadButton() {
+		if (!this.comment.getChildren().length) return
+
+		this.exportThreadButton = this.createExportThreadButton(this.onExportThreadAction)
+		this.insertExportThreadButton()
+	}
+
+	/**
+	 * Create a "History" button and add it to the appropriate container if the comment has a
+	 * timestamp (otherwise we can't locate it in the page history).
+	 *
+	 * This method should be overridden by subclasses for specific styling.
+	 */
+	addHistoryButton() {
+		if (!this.comment.date) return
+
+		this.historyButton = this.createHistoryButton(this.onHistoryAction)
+		this.insertHistoryButton()
+	}
+
 	/**
 	 * Create a "Fix" button and add it to the appropriate container.
 	 *
@@ -384,6 +496,17 @@ class CommentActions {
 		}
 	}
 
+	/**
+	 * Set the follow button to the followed or not followed state.
+	 *
+	 * @param {boolean} followed
+	 */
+	setFollowed(followed) {
+		this.followButton
+			?.setLabel(cd.s(followed ? 'cm-unfollow' : 'cm-follow'))
+			.setTooltip(cd.s(followed ? 'cm-unfollow-tooltip' : 'cm-follow-tooltip'))
+	}
+
 	/**
 	 * Insert the reply button into the DOM. Default implementation uses {@link addButton}.
 	 *
@@ -418,6 +541,24 @@ class CommentActions {
 		this.addButton(/** @type {CommentButton} */ (this.thankButton))
 	}
 
+	/**
+	 * Insert the react button into the DOM. Default implementation uses {@link addButton}.
+	 *
+	 * @protected
+	 */
+	insertReactButton() {
+		this.addButton(/** @type {CommentButton} */ (this.reactButton))
+	}
+
+	/**
+	 * Insert the follow button into the DOM. Default implementation uses {@link addButton}.
+	 *
+	 * @protected
+	 */
+	insertFollowButton() {
+		this.addButton(/** @type {CommentButton} */ (this.followButton))
+	}
+
 	/**
 	 * Insert the copy link button into the DOM. Default implementation uses {@link addButton}.
 	 *
@@ -455,6 +596,24 @@ class CommentActions {
 		this.addButton(/** @type {CommentButton} */ (this.toggleChildThreadsButton))
 	}
 
+	/**
+	 * Insert the "Export thread" button into the DOM. Default implementation uses {@link addButton}.
+	 *
+	 * @protected
+	 */
+	insertExportThreadButton() {
+		this.addButton(/** @type {CommentButton} */ (this.exportThreadButton))
+	}
+
+	/**
+	 * Insert the "History" button into the DOM. Default implementation uses {@link addButton}.
+	 *
+	 * @protected
+	 */
+	insertHistoryButton() {
+		this.addButton(/** @type {CommentButton} */ (this.historyButton))
+	}
+
 	/**
 	 * Insert the "Fix" button into the DOM. Default implementation uses {@link addButton}.
 	 *
@@ -518,6 +677,29 @@ class CommentActions {
 		throw new Error('createThankButton must be implemented by subclasses')
 	}
 
+	/**
+	 * Create a react button. To be overridden by subclasses.
+	 *
+	 * @param {import('./Button').Action} _action The action to perform when clicked.
+	 * @returns {CommentButton} The created button.
+	 * @abstract
+	 */
+	createReactButton(_action) {
+		throw new Error('createReactButton must be implemented by subclasses')
+	}
+
+	/**
+	 * Create a follow button. To be overridden by subclasses.
+	 *
+	 * @param {import('./Button').Action} _action The action to perform when clicked.
+	 * @param {boolean} _isFollowed Whether the comment is already followed.
+	 * @returns {CommentButton} The created button.
+	 * @abstract
+	 */
+	createFollowButton(_action, _isFollowed) {
+		throw new Error('createFollowButton must be implemented by subclasses')
+	}
+
 	/**
 	 * Create a copy link button. To be overridden by subclasses.
 	 *
@@ -562,6 +744,28 @@ class CommentActions {
 		throw new Error('createToggleChildThreadsButton must be implemented by subclasses')
 	}
 
+	/**
+	 * Create an "Export thread" button. To be overridden by subclasses.
+	 *
+	 * @param {import('./Button').Action} _action The action to perform when clicked.
+	 * @returns {CommentButton} The created button.
+	 * @abstract
+	 */
+	createExportThreadButton(_action) {
+		throw new Error('createExportThreadButton must be implemented by subclasses')
+	}
+
+	/**
+	 * Create a "History" button. To be overridden by subclasses.
+	 *
+	 * @param {import('./Button').Action} _action The action to perform when clicked.
+	 * @returns {CommentButton} The created button.
+	 * @abstract
+	 */
+	createHistoryButton(_action) {
+		throw new Error('createHistoryButton must be implemented by subclasses')
+	}
+
 	/**
 	 * Create a "Fix" button. To be overridden by subclasses.
 	 *
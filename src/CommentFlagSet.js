@@ -9,8 +9,9 @@
  * - `changed`: The comment has changed while the page was idle. (The new version may be rendered
  *   and may be not, if the layout is too complex.)
  * - `linked`: The comment is currently highlighted as a linked comment (opened via URL fragment).
+ * - `focused`: The comment is focused in the keyboard navigation mode.
  *
- * @typedef {'new' | 'own' | 'target' | 'hovered' | 'deleted' | 'changed' | 'linked'} CommentFlag
+ * @typedef {'new' | 'own' | 'target' | 'hovered' | 'deleted' | 'changed' | 'linked' | 'focused'} CommentFlag
  */
 
 /**
@@ -24,7 +25,16 @@ export default class CommentFlagSet {
 	 *
 	 * @type {CommentFlag[]}
 	 */
-	static styleFlagNames = ['new', 'own', 'target', 'hovered', 'deleted', 'changed', 'linked']
+	static styleFlagNames = [
+		'new',
+		'own',
+		'target',
+		'hovered',
+		'deleted',
+		'changed',
+		'linked',
+		'focused',
+	]
 
 	/**
 	 * @param {CommentFlag[]|undefined} [initialFlags]
@@ -5,6 +5,9 @@ import CommentFormInputTransformer from './CommentFormInputTransformer'
 import CommentFormOperationRegistry from './CommentFormOperationRegistry'
 import EventEmitter from './EventEmitter'
 import MentionsAutocomplete from './MentionsAutocomplete'
+import ProofreadingLayer from './ProofreadingLayer'
+import RichTextInput from './RichTextInput'
+import TemplatesAutocomplete from './TemplatesAutocomplete'
 import getUploadDialogClass from './UploadDialog'
 import commentManager from './commentManager'
 import controller from './controller'
@@ -17,20 +20,33 @@ import Parser from './shared/Parser'
 import {
 	defined,
 	getNativePromiseState,
+	parseWikiUrl,
 	removeDoubleSpaces,
 	sleep,
+	underlinesToSpaces,
 	unique,
 } from './shared/utils-general'
 import {
+	encodeWikilink,
 	escapePipesOutsideLinks,
 	generateTagsRegexp,
 	removeWikiMarkup,
 	replacePreBlocksWithSyntaxHighlight,
 } from './shared/utils-wikitext'
+import shortcutRegistry from './shortcutRegistry'
+import updateChecker from './updateChecker'
 import userRegistry from './userRegistry'
 import { handleApiReject, parseCode, getDtPreview } from './utils-api'
-import { keyCombination } from './utils-keyboard'
+import { lintWikitext } from './utils-lint'
 import { showConfirmDialog } from './utils-oojs'
+import {
+	canParseIncrementally,
+	joinBlocksForParsing,
+	joinParsedBlocks,
+	splitCodeIntoBlocks,
+	splitParsedHtml,
+} from './utils-preview'
+import { expandSnippet, formatSnippetDate } from './utils-snippets'
 import {
 	buildEditSummary,
 	inputPropsAffectingCoords,
@@ -349,6 +365,20 @@ class CommentForm extends EventEmitter {
 	 */
 	advancedButton
 
+	/**
+	 * Button toggling the side-by-side layout of the input and the preview.
+	 *
+	 * @type {OO.ui.ToggleButtonWidget}
+	 */
+	sideBySideButton
+
+	/**
+	 * Button toggling the visual input.
+	 *
+	 * @type {OO.ui.ToggleButtonWidget}
+	 */
+	visualInputButton
+
 	/**
 	 * Help button.
 	 *
@@ -448,6 +478,14 @@ class CommentForm extends EventEmitter {
 	 */
 	$previewArea
 
+	/**
+	 * Container of the comment input and the preview area when the preview is shown next to the
+	 * input.
+	 *
+	 * @type {JQuery | undefined}
+	 */
+	$sideBySideContainer
+
 	/**
 	 * Name of the tag of the list that this comment form is an item of.
 	 *
@@ -468,6 +506,15 @@ class CommentForm extends EventEmitter {
 	 */
 	checkCodeRequest
 
+	/**
+	 * ID of a new comment that the form should be retargeted at when it is restored after the page
+	 * is reloaded (see {@link CommentForm#showNewReplies}).
+	 *
+	 * @type {string | undefined}
+	 * @private
+	 */
+	retargetCommentId
+
 	/**
 	 * @type {string | undefined}
 	 */
@@ -492,6 +539,13 @@ class CommentForm extends EventEmitter {
 	 */
 	headlineAutocomplete
 
+	/**
+	 * Layer underlining spelling mistakes in the comment input.
+	 *
+	 * @type {ProofreadingLayer | undefined}
+	 */
+	proofreadingLayer
+
 	/**
 	 * Autocomplete object for the summary input.
 	 *
@@ -499,6 +553,46 @@ class CommentForm extends EventEmitter {
 	 */
 	summaryAutocomplete
 
+	/**
+	 * Visual input shown in place of the comment input.
+	 *
+	 * @type {RichTextInput | undefined}
+	 */
+	richTextInput
+
+	/**
+	 * Comment code for which the problems found by the check before submitting were shown. If the
+	 * user submits the same code again, it is submitted as is.
+	 *
+	 * @type {string | undefined}
+	 * @private
+	 */
+	lintedCode
+
+	/**
+	 * HTML of the blocks of the comment code parsed for the side-by-side preview, by block code.
+	 *
+	 * @type {Map<string, string>}
+	 * @private
+	 */
+	previewBlocksCache = new Map()
+
+	/**
+	 * Empty copy of the element wrapping the parser output of the side-by-side preview.
+	 *
+	 * @type {Element | undefined}
+	 * @private
+	 */
+	previewWrapper
+
+	/**
+	 * Edit summary parsed for the side-by-side preview.
+	 *
+	 * @type {{ summary: string; parsedSummary: string } | undefined}
+	 * @private
+	 */
+	previewSummaryCache
+
 	/**
 	 * Automatically generated summary.
 	 *
@@ -738,6 +832,7 @@ class CommentForm extends EventEmitter {
 			// fired after all listeners are added and the autocomplete manager is set up. This allows
 			// the listeners to react to the autocomplete being attached before it is initialized.
 			this.initAutocomplete()
+			this.initProofreading()
 
 			/**
 			 * The form has been built together with custom modules, event listeners, and autocomplete.
@@ -1427,7 +1522,11 @@ class CommentForm extends EventEmitter {
 			this.emit('change')
 		}
 		const preview = () => {
-			this.preview()
+			if (this.isPreviewSideBySide()) {
+				this.debouncedPreview()
+			} else {
+				this.preview()
+			}
 		}
 
 		// Hotkeys
@@ -1447,15 +1546,13 @@ class CommentForm extends EventEmitter {
 
 				if (this.commentInput.isAutocompleteMenuActive()) return
 
-				// Ctrl+Enter
-				if (keyCombination(event, 13, ['cmd'])) {
+				if (shortcutRegistry.isPressed(event, 'submit')) {
 					this.submit()
 					event.preventDefault()
 				}
 
-				// Esc
 				if (
-					keyCombination(event, 27) &&
+					shortcutRegistry.isPressed(event, 'cancel') &&
 					// When there is a search panel, CodeMirror closes it on Esc even when the caret is in the
 					// main text box. With the preferences panel, it is so only when the panel itself is
 					// focused.
@@ -1470,59 +1567,7 @@ class CommentForm extends EventEmitter {
 		)
 
 		this.$element[0].addEventListener('keydown', (event) => {
-			if (
-				this.commentInput.codeMirror?.isActive &&
-				/** @type {Element} */ (event.target).tagName === 'TEXTAREA'
-			)
-				return
-
-			// WikiEditor started supporting these in October 2024
-			// https://phabricator.wikimedia.org/T62928
-			if (!this.toolbarLoaded) {
-				// Ctrl+B
-				if (keyCombination(event, 66, ['cmd'])) {
-					this.encapsulateSelection({
-						pre: `'''`,
-						peri: mw.msg('wikieditor-toolbar-tool-bold-example'),
-						post: `'''`,
-					})
-					event.preventDefault()
-				}
-
-				// Ctrl+I
-				if (keyCombination(event, 73, ['cmd'])) {
-					this.encapsulateSelection({
-						pre: `''`,
-						peri: mw.msg('wikieditor-toolbar-tool-italic-example'),
-						post: `''`,
-					})
-					event.preventDefault()
-				}
-
-				// Ctrl+U
-				if (keyCombination(event, 85, ['cmd'])) {
-					this.encapsulateSelection(CommentForm.getEncapsulateOptions('underline'))
-					event.preventDefault()
-				}
-
-				// Ctrk+Shift+6
-				if (keyCombination(event, 54, ['cmd', 'shift'])) {
-					this.encapsulateSelection(CommentForm.getEncapsulateOptions('code'))
-					event.preventDefault()
-				}
-
-				// Ctrk+Shift+5
-				if (keyCombination(event, 53, ['cmd', 'shift'])) {
-					this.encapsulateSelection(CommentForm.getEncapsulateOptions('strikethrough'))
-					event.preventDefault()
-				}
-			}
-
-			// Ctrk+Shift+8
-			if (keyCombination(event, 56, ['cmd', 'shift'])) {
-				this.commentInput.$element.find('.tool[rel="ulist"] a').get(0)?.click()
-				event.preventDefault()
-			}
+			this.handleInputShortcuts(event)
 		})
 
 		// "focusin" is "focus" that bubbles, i.e. propagates up the node tree.
@@ -1536,6 +1581,71 @@ class CommentForm extends EventEmitter {
 		this.addEventListenersToButtons()
 	}
 
+	/**
+	 * Handle the shortcuts that edit the text of the comment input.
+	 *
+	 * @param {KeyboardEvent} event
+	 * @private
+	 */
+	handleInputShortcuts(event) {
+		if (
+			this.commentInput.codeMirror?.isActive &&
+			/** @type {Element} */ (event.target).tagName === 'TEXTAREA'
+		)
+			return
+
+		// The visual input handles formatting shortcuts itself; edits made to the hidden comment input
+		// would be invisible to the user.
+		if (this.richTextInput?.contains(event.target)) return
+
+		// WikiEditor started supporting these in October 2024
+		// https://phabricator.wikimedia.org/T62928
+		if (!this.toolbarLoaded) {
+			if (shortcutRegistry.isPressed(event, 'bold')) {
+				this.encapsulateSelection({
+					pre: `'''`,
+					peri: mw.msg('wikieditor-toolbar-tool-bold-example'),
+					post: `'''`,
+				})
+				event.preventDefault()
+			}
+
+			if (shortcutRegistry.isPressed(event, 'italic')) {
+				this.encapsulateSelection({
+					pre: `''`,
+					peri: mw.msg('wikieditor-toolbar-tool-italic-example'),
+					post: `''`,
+				})
+				event.preventDefault()
+			}
+
+			if (shortcutRegistry.isPressed(event, 'underline')) {
+				this.encapsulateSelection(CommentForm.getEncapsulateOptions('underline'))
+				event.preventDefault()
+			}
+
+			if (shortcutRegistry.isPressed(event, 'code')) {
+				this.encapsulateSelection(CommentForm.getEncapsulateOptions('code'))
+				event.preventDefault()
+			}
+
+			if (shortcutRegistry.isPressed(event, 'strikethrough')) {
+				this.encapsulateSelection(CommentForm.getEncapsulateOptions('strikethrough'))
+				event.preventDefault()
+			}
+		}
+
+		if (shortcutRegistry.isPressed(event, 'bulletedList')) {
+			this.commentInput.$element.find('.tool[rel="ulist"] a').get(0)?.click()
+			event.preventDefault()
+		}
+
+		if (shortcutRegistry.isPressed(event, 'editTemplate')) {
+			TemplatesAutocomplete.editTemplateCall(this.commentInput)
+			event.preventDefault()
+		}
+	}
+
 	/**
 	 * Handle the settings update event.
 	 */
@@ -1560,6 +1670,10 @@ class CommentForm extends EventEmitter {
 		this.terminateAutocomplete()
 		this.initAutocomplete()
 
+		// The toolbar could be added, which moves the textarea
+		this.terminateProofreading()
+		this.initProofreading()
+
 		this.commentInput.codeMirror?.updateAutocompletePreference(
 			cd.settings.get('useNativeAutocomplete'),
 		)
@@ -1569,6 +1683,9 @@ class CommentForm extends EventEmitter {
 
 		this.previewButton.toggle(!cd.settings.get('autopreview'))
 		this.viewChangesButton.toggle(true)
+
+		this.updatePreviewLayout()
+		this.updateInputMode()
 	}
 
 	/**
@@ -1652,6 +1769,11 @@ class CommentForm extends EventEmitter {
 
 				this.updateAutoSummary(true, true)
 
+				// Positions of the problems change together with the text
+				if (this.$messageArea.children('.cd-message-lint').length) {
+					this.showLintIssues(this.lintComment())
+				}
+
 				textReactions
 					.filter(({ target }) => !target || target === 'comment' || target === 'all')
 					.forEach((reaction) => {
@@ -1802,6 +1924,12 @@ class CommentForm extends EventEmitter {
 		this.advancedButton.on('click', () => {
 			this.toggleAdvanced()
 		})
+		this.sideBySideButton.on('change', (/** @type {boolean} */ value) => {
+			cd.settings.saveSettingOnTheFly('sideBySidePreview', value)
+		})
+		this.visualInputButton.on('change', (/** @type {boolean} */ value) => {
+			cd.settings.saveSettingOnTheFly('useVisualInput', value)
+		})
 		this.settingsButton?.on('click', () => {
 			cd.settings.showDialog()
 		})
@@ -1844,47 +1972,42 @@ class CommentForm extends EventEmitter {
 				pageOwner = userRegistry.get(userName)
 			}
 		}
-		let defaultUserNames = commentsInSection
-			.map((comment) => comment.author)
-			.concat(
-				// User links in the section
-				commentsInSection.flatMap((comment) =>
-					comment.$elements
-						.find('a')
-						.filter(
-							(_, /** @type {HTMLAnchorElement} */ el) =>
-								cd.g.userLinkRegexp.test(el.title) &&
-								!el.closest(
-									cd.settings.get('commentDisplay') === 'compact'
-										? '.cd-signature'
-										: '.cd-comment-author',
-								),
-						)
-						.get()
-						.map((/** @type {HTMLAnchorElement} */ el) => Parser.processLink(el)?.userName)
-						.filter(defined)
-						.map((/** @type {string} */ userName) => userRegistry.get(userName)),
-				),
-			)
-			.concat(pageOwner || [])
-			.filter(defined)
-			.sort(
-				(u1, u2) =>
-					Number(u2.isRegistered()) - Number(u1.isRegistered()) || (u2.name > u1.name ? -1 : 1),
-			)
-			.filter((u) => u !== cd.user)
-			.map((u) => u.name)
-
-		// Move the addressee to the beginning of the user list
-		for (let с = this.parentComment; с; с = с.getParent()) {
-			if (с.author !== cd.user) {
-				if (!с.author.isRegistered()) break
-				defaultUserNames.unshift(с.author.getName())
-				break
-			}
+		let pageComments = commentManager.getAll()
+		if (this.isMode('edit')) {
+			pageComments = pageComments.filter((comment) => comment !== this.target)
 		}
 
-		defaultUserNames = defaultUserNames.filter(unique)
+		const defaultUserNames = MentionsAutocomplete.rankUsers(
+			commentsInSection
+				.map((comment) => comment.author)
+				.concat(
+					// User links in the section
+					commentsInSection.flatMap((comment) =>
+						comment.$elements
+							.find('a')
+							.filter(
+								(_, /** @type {HTMLAnchorElement} */ el) =>
+									cd.g.userLinkRegexp.test(el.title) &&
+									!el.closest(
+										cd.settings.get('commentDisplay') === 'compact'
+											? '.cd-signature'
+											: '.cd-comment-author',
+									),
+							)
+							.get()
+							.map((/** @type {HTMLAnchorElement} */ el) => Parser.processLink(el)?.userName)
+							.filter(defined)
+							.map((/** @type {string} */ userName) => userRegistry.get(userName)),
+					),
+				)
+				.concat(pageOwner || [])
+				// Participants of the page
+				.concat(pageComments.map((comment) => comment.author))
+				.filter(defined)
+				.filter(unique)
+				.filter((u) => u !== cd.user),
+			{ parentComment: this.parentComment, sectionComments: commentsInSection, pageComments },
+		).map((u) => u.getName())
 
 		this.autocomplete = new AutocompleteManager({
 			types: cd.settings.get('autocompleteTypes'),
@@ -1892,6 +2015,7 @@ class CommentForm extends EventEmitter {
 			typeConfigs: {
 				mentions: { defaultEntries: defaultUserNames },
 				commentLinks: { data: { comments: commentsInSection, sections } },
+				snippets: { data: { getPlaceholderValues: () => this.getSnippetPlaceholderValues() } },
 			},
 		})
 		this.autocomplete.init()
@@ -1928,6 +2052,127 @@ class CommentForm extends EventEmitter {
 		this.summaryAutocomplete?.terminate()
 	}
 
+	/**
+	 * Start checking spelling in the comment input if the relevant setting is enabled.
+	 *
+	 * @private
+	 */
+	initProofreading() {
+		if (!cd.settings.get('proofreading')) return
+
+		this.proofreadingLayer = new ProofreadingLayer(this.commentInput)
+	}
+
+	/**
+	 * Stop checking spelling in the comment input.
+	 *
+	 * @private
+	 */
+	terminateProofreading() {
+		this.proofreadingLayer?.destroy()
+		this.proofreadingLayer = undefined
+	}
+
+	/**
+	 * Check whether the preview is shown next to the comment input.
+	 *
+	 * @returns {boolean}
+	 */
+	isPreviewSideBySide() {
+		return Boolean(this.$sideBySideContainer)
+	}
+
+	/**
+	 * Show the preview next to the comment input or below the form, depending on the
+	 * `sideBySidePreview` setting.
+	 */
+	updatePreviewLayout() {
+		const isSideBySide = cd.settings.get('sideBySidePreview')
+		this.sideBySideButton.setValue(isSideBySide)
+		if (isSideBySide === this.isPreviewSideBySide()) return
+
+		if (isSideBySide) {
+			this.$sideBySideContainer = $('<div>')
+				.addClass('cd-commentForm-sideBySide')
+				.insertBefore(this.commentInput.$element)
+				.append(this.commentInput.$element, this.$previewArea)
+			$(document).on('scroll.cd', this.syncPreviewScroll)
+		} else {
+			this.$sideBySideContainer?.replaceWith(this.commentInput.$element)
+			this.$sideBySideContainer = undefined
+			this.$previewArea.appendTo(this.$element)
+			$(document).off('scroll.cd', this.syncPreviewScroll)
+			this.previewBlocksCache.clear()
+		}
+		this.richTextInput?.$element.insertAfter(this.commentInput.$element)
+		this.$previewArea
+			.toggleClass('cd-commentForm-previewArea-below', !isSideBySide)
+			.toggleClass('cd-commentForm-previewArea-side', isSideBySide)
+	}
+
+	/**
+	 * Show the visual input in place of the comment input or remove it, depending on the
+	 * `useVisualInput` setting.
+	 */
+	updateInputMode() {
+		const isVisual = cd.settings.get('useVisualInput')
+		this.visualInputButton.setValue(isVisual)
+		if (isVisual === Boolean(this.richTextInput)) return
+
+		if (isVisual) {
+			this.richTextInput = new RichTextInput(this.commentInput, {
+				tabIndex: this.getTabIndex(12),
+				onUnsupportedTags: (tags) => {
+					this.hideMessage('visualInput')
+					this.showMessage(cd.sParse('cf-visual-unsupported', tags.join(', '), tags.length), {
+						type: 'warning',
+						name: 'visualInput',
+						scroll: false,
+					})
+				},
+			})
+			this.richTextInput.$element.insertAfter(this.commentInput.$element)
+			this.commentInput.toggle(false)
+			this.commentInput.setRichTextInput(this.richTextInput)
+			if (this.richTextInput.isSourceShown()) {
+				this.showMessage(cd.sParse('cf-visual-source'), { name: 'visualInput', scroll: false })
+			}
+		} else {
+			this.richTextInput?.destroy()
+			this.richTextInput = undefined
+			this.commentInput.setRichTextInput()
+			this.commentInput.toggle(true)
+			this.hideMessage('visualInput')
+		}
+	}
+
+	/**
+	 * Scroll the side-by-side preview in proportion to how far the comment input is scrolled through
+	 * the viewport, so that the preview shows roughly the same part of the comment.
+	 *
+	 * @private
+	 */
+	syncPreviewScroll = () => {
+		const previewArea = this.$previewArea[0]
+		const previewScrollHeight = previewArea.scrollHeight - previewArea.clientHeight
+		const inputRect = (this.richTextInput || this.commentInput).$element[0].getBoundingClientRect()
+		const inputScrollHeight = inputRect.height - window.innerHeight
+		if (previewScrollHeight <= 0 || inputScrollHeight <= 0) return
+
+		const ratio = Math.min(Math.max(-inputRect.top / inputScrollHeight, 0), 1)
+		previewArea.scrollTop = Math.round(ratio * previewScrollHeight)
+	}
+
+	/**
+	 * Preview the comment when the user stops typing for a moment. This is used when the preview is
+	 * shown next to the input, as it is updated more often then.
+	 *
+	 * @private
+	 */
+	debouncedPreview = OO.ui.debounce(() => {
+		this.preview()
+	}, 500)
+
 	/**
 	 * Show or hide the advanced section.
 	 *
@@ -1968,6 +2213,8 @@ class CommentForm extends EventEmitter {
 				'viewChangesButton',
 				'cancelButton',
 				'advancedButton',
+				'sideBySideButton',
+				'visualInputButton',
 				'helpPopupButton',
 				'settingsButton',
 			])
@@ -2078,8 +2325,9 @@ class CommentForm extends EventEmitter {
 	 * @param {string} [options.name] Name added to the class name of the message element.
 	 * @param {boolean} [options.framed] Whether the message should be framed in an OOUI widget, or
 	 *   its HTML contains the whole message code.
+	 * @param {boolean} [options.scroll] Whether to scroll to the message area.
 	 */
-	showMessage(htmlOrJquery, { type = 'notice', name, framed = true } = {}) {
+	showMessage(htmlOrJquery, { type = 'notice', name, framed = true, scroll = true } = {}) {
 		// Don't show two messages with the same name (we assume they should have the same text).
 		if (this.torndown || (name && this.$messageArea.children(`.cd-message-${name}`).length)) {
 			return
@@ -2097,7 +2345,9 @@ class CommentForm extends EventEmitter {
 					: htmlOrJquery,
 			)
 			.cdAddCloseButton()
-			.cdScrollIntoView('top')
+		if (scroll) {
+			this.$messageArea.cdScrollIntoView('top')
+		}
 	}
 
 	/**
@@ -2115,6 +2365,124 @@ class CommentForm extends EventEmitter {
 		}
 	}
 
+	/**
+	 * Show a banner above the form listing comments that were added to the thread the form replies
+	 * in (or to the section for section reply forms) since the displayed revision, with an option to
+	 * show them and, for reply forms, to reply to the newest of them instead. Hide the banner if there
+	 * are no such comments.
+	 *
+	 * @param {import('./updateChecker').CommentWorkerNew[]} newComments All comments added to the
+	 *   page.
+	 */
+	showNewReplies(newComments) {
+		this.hideMessage('newReplies')
+		const replies = this.getNewReplies(newComments)
+		if (!replies.length) return
+
+		const showButton = new OO.ui.ButtonWidget({
+			label: cd.s('cf-notice-newreplies-show'),
+			framed: false,
+			flags: ['progressive'],
+			classes: ['cd-button-ooui'],
+		})
+		showButton.on('click', () => {
+			controller.rebootPage({
+				commentIds: replies.map((comment) => comment.id).filter(defined),
+				pushState: true,
+			})
+		})
+		const buttons = [showButton]
+
+		const newest = replies.reduce((newestComment, comment) =>
+			(comment.date?.getTime() ?? 0) >= (newestComment.date?.getTime() ?? 0)
+				? comment
+				: newestComment,
+		)
+		if (this.isMode('reply') && newest.id) {
+			const id = newest.id
+			const retargetButton = new OO.ui.ButtonWidget({
+				label: cd.s('cf-notice-newreplies-retarget', newest.author.getName(), newest.author),
+				framed: false,
+				flags: ['progressive'],
+				classes: ['cd-button-ooui'],
+			})
+			retargetButton.on('click', () => {
+				this.retargetCommentId = id
+				controller.rebootPage({ commentIds: [id], pushState: true })
+			})
+			buttons.push(retargetButton)
+		}
+
+		this.showMessage(
+			$('<div>').append(
+				$('<div>').text(
+					cd.s(
+						this.isMode('replyInSection')
+							? 'cf-notice-newreplies-section'
+							: 'cf-notice-newreplies-thread',
+						String(replies.length),
+					),
+				),
+				$('<ul>')
+					.addClass('cd-commentForm-newReplies-list')
+					.append(
+						replies.map((comment) =>
+							$('<li>').append(
+								$('<strong>').text(comment.author.getName()),
+								document.createTextNode(
+									cd.mws('colon-separator') +
+										(comment.text.length > 150
+											? comment.text.slice(0, 150) + cd.s('ellipsis')
+											: comment.text),
+								),
+							),
+						),
+					),
+				$('<div>')
+					.addClass('cd-commentForm-newReplies-buttons')
+					.append(buttons.map((button) => button.$element)),
+			),
+			{ name: 'newReplies', scroll: false },
+		)
+	}
+
+	/**
+	 * Get the comments among the new comments on the page that were added to the thread the form
+	 * replies in (for reply forms) or to the target section (for section reply forms), except for the
+	 * user's own comments.
+	 *
+	 * @param {import('./updateChecker').CommentWorkerNew[]} newComments
+	 * @returns {import('./updateChecker').CommentWorkerNew[]}
+	 * @private
+	 */
+	getNewReplies(newComments) {
+		if (this.isMode('replyInSection')) {
+			const section = this.target
+
+			return newComments.filter((comment) => !comment.own && comment.section?.match === section)
+		}
+
+		if (this.isMode('reply')) {
+			const threadRoot = [this.target, ...this.target.getAncestors()].pop()
+
+			return newComments.filter((comment) => {
+				if (comment.own) {
+					return false
+				}
+
+				const parentMatch = updateChecker.getParentMatch(comment, newComments)
+
+				return Boolean(
+					parentMatch &&
+					threadRoot &&
+					(parentMatch === threadRoot || parentMatch.getAncestors().includes(threadRoot)),
+				)
+			})
+		}
+
+		return []
+	}
+
 	/**
 	 * Abort the operation the form is undergoing and show an error message.
 	 *
@@ -2513,6 +2881,10 @@ class CommentForm extends EventEmitter {
 		mw.hook('convenientDiscussions.previewReady').fire(this.$previewArea, cd)
 
 		mw.hook('wikipage.content').fire(this.$previewArea)
+
+		if (this.isPreviewSideBySide()) {
+			this.syncPreviewScroll()
+		}
 	}
 
 	/**
@@ -2608,10 +2980,12 @@ class CommentForm extends EventEmitter {
 					: ''
 				this.willCommentBeIndented = true
 			} else {
-				;({ html, parsedSummary } = await parseCode(this.inputToCode('preview'), {
-					title: this.getTargetPage().name,
-					summary: buildEditSummary({ text: this.summaryInput.getValue() }),
-				}))
+				const code = this.inputToCode('preview')
+				const summary = buildEditSummary({ text: this.summaryInput.getValue() })
+				;({ html, parsedSummary } =
+					isAuto && this.isPreviewSideBySide()
+						? await this.parseCodeIncrementally(code, summary)
+						: await parseCode(code, { title: this.getTargetPage().name, summary }))
 			}
 		} catch (error) {
 			this.handleError({
@@ -2673,11 +3047,70 @@ class CommentForm extends EventEmitter {
 		operation.close()
 
 		if (!isAuto) {
-			this.$previewArea.cdScrollIntoView('bottom')
+			if (!this.isPreviewSideBySide()) {
+				this.$previewArea.cdScrollIntoView('bottom')
+			}
 			this.commentInput.focus()
 		}
 	}
 
+	/**
+	 * Parse the comment code for the side-by-side preview, reusing the HTML of the blocks
+	 * (paragraphs, tables, etc.) that have not changed since the previous preview.
+	 *
+	 * @param {string} code
+	 * @param {string} summary
+	 * @returns {Promise<{ html: string; parsedSummary: string }>}
+	 * @throws {CdError}
+	 * @private
+	 */
+	async parseCodeIncrementally(code, summary) {
+		const title = this.getTargetPage().name
+		if (!canParseIncrementally(code)) {
+			this.previewBlocksCache.clear()
+
+			return parseCode(code, { title, summary })
+		}
+
+		const blocks = splitCodeIntoBlocks(code)
+		const changedBlocks = [
+			...new Set(blocks.filter((block) => !this.previewBlocksCache.has(block))),
+		]
+		let parsedSummary =
+			this.previewSummaryCache?.summary === summary
+				? this.previewSummaryCache.parsedSummary
+				: undefined
+		if (changedBlocks.length || parsedSummary === undefined) {
+			const parsed = await parseCode(joinBlocksForParsing(changedBlocks), { title, summary })
+			if (changedBlocks.length) {
+				const { wrapper, blocks: changedHtmlBlocks } = splitParsedHtml(parsed.html)
+
+				// Something in the code broke the boundaries between the blocks
+				if (changedHtmlBlocks.length !== changedBlocks.length) {
+					this.previewBlocksCache.clear()
+
+					return parseCode(code, { title, summary })
+				}
+
+				this.previewWrapper = wrapper
+				changedBlocks.forEach((block, i) => {
+					this.previewBlocksCache.set(block, changedHtmlBlocks[i])
+				})
+			}
+			parsedSummary = parsed.parsedSummary
+			this.previewSummaryCache = { summary, parsedSummary }
+		}
+
+		const htmlBlocks = blocks.map(
+			(block) => /** @type {string} */ (this.previewBlocksCache.get(block)),
+		)
+
+		// Forget the blocks that are not in the comment anymore
+		this.previewBlocksCache = new Map(blocks.map((block, i) => [block, htmlBlocks[i]]))
+
+		return { html: joinParsedBlocks(htmlBlocks, this.previewWrapper), parsedSummary }
+	}
+
 	/**
 	 * View changes in the page code after submitting the form.
 	 */
@@ -2856,6 +3289,10 @@ class CommentForm extends EventEmitter {
 			},
 		]
 
+		if (!doDelete && !this.checkMarkup()) {
+			return false
+		}
+
 		for (const check of checks) {
 			if (check.condition && !check.confirmation()) {
 				this.commentInput.focus()
@@ -2867,6 +3304,187 @@ class CommentForm extends EventEmitter {
 		return true
 	}
 
+	/**
+	 * Check the comment code for markup problems and show them above the form. The problems block
+	 * submitting only once: if the user submits the same code again, it is submitted as is.
+	 *
+	 * @returns {boolean} Whether the comment can be submitted.
+	 * @private
+	 */
+	checkMarkup() {
+		const code = this.commentInput.getValue()
+		const issues = this.lintComment()
+		if (!issues.length || code === this.lintedCode) {
+			this.hideMessage('lint')
+
+			return true
+		}
+
+		this.lintedCode = code
+		this.showLintIssues(issues)
+
+		return false
+	}
+
+	/**
+	 * Find markup problems in the comment code.
+	 *
+	 * @returns {import('./utils-lint').LintIssue[]}
+	 * @private
+	 */
+	lintComment() {
+		return lintWikitext(this.commentInput.getValue(), {
+			isIndented: this.isCommentIndented(),
+			isCurrentPage: (pageName) => pageRegistry.get(pageName) === this.getTargetPage(),
+			urlToWikilink: (url) => this.urlToWikilink(url),
+			rules: cd.config.lintRules.filter(
+				(rule) => typeof rule.checkFunc !== 'function' || rule.checkFunc(this),
+			),
+			disabledChecks: cd.config.disabledLintChecks,
+		})
+	}
+
+	/**
+	 * Check whether the comment will be indented, the same way as when the input is converted to
+	 * code. The indentation of replies and edited comments is taken from the page code, so if the
+	 * target hasn't been located in it yet, the result of the last conversion is used.
+	 *
+	 * @returns {boolean}
+	 * @private
+	 */
+	isCommentIndented() {
+		if (
+			!this.target.source &&
+			(this.isMode('reply') || this.isMode('edit') || this.isMode('replyInSection'))
+		) {
+			return this.willCommentBeIndented ?? true
+		}
+
+		return new CommentFormInputTransformer('', this, 'submit').isIndented()
+	}
+
+	/**
+	 * Convert a URL of a page on the current wiki to a wikilink.
+	 *
+	 * @param {string} url
+	 * @returns {string | undefined}
+	 * @private
+	 */
+	urlToWikilink(url) {
+		const parsedUrl = parseWikiUrl(url)
+		const path = url.replace(/^https?:\/\/[^/]+/, '')
+		if (
+			parsedUrl?.hostname !== cd.g.serverName ||
+			path.includes('?') ||
+			!cd.g.articlePathRegexp.test(path)
+		) {
+			return
+		}
+
+		const page = pageRegistry.get(parsedUrl.pageName)
+		if (!page) return
+
+		const fragment =
+			parsedUrl.fragment &&
+			encodeWikilink(underlinesToSpaces(mw.util.percentDecodeFragment(parsedUrl.fragment) || ''))
+		if (!fragment) {
+			return `[[${page.name}]]`
+		}
+
+		return page === this.getTargetPage() ? `[[#${fragment}]]` : `[[${page.name}#${fragment}]]`
+	}
+
+	/**
+	 * Show the markup problems found in the comment code above the form, with buttons to jump to
+	 * them and to fix them.
+	 *
+	 * @param {import('./utils-lint').LintIssue[]} issues
+	 * @private
+	 */
+	showLintIssues(issues) {
+		this.hideMessage('lint')
+		if (!issues.length) return
+
+		const code = this.commentInput.getValue()
+		this.showMessage(
+			$('<div>').append(
+				$('<div>').text(cd.s('cf-lint-intro')),
+				$('<ul>')
+					.addClass('cd-commentForm-lint-list')
+					.append(
+						issues.map((issue) => {
+							const excerpt = code.slice(issue.start, issue.end)
+
+							// Positions in the code can't be selected in the visual input.
+							const goToButton = this.richTextInput
+								? undefined
+								: new OO.ui.ButtonWidget({
+										label: cd.s('cf-lint-goto'),
+										framed: false,
+										flags: ['progressive'],
+										classes: ['cd-button-ooui'],
+									}).on('click', () => {
+										this.commentInput.selectRange(issue.start, issue.end)
+									})
+
+							/** @type {OO.ui.ButtonWidget | undefined} */
+							let fixButton
+							if (issue.fix) {
+								const { start, end, replacement, label } = issue.fix
+								fixButton = new OO.ui.ButtonWidget({
+									label:
+										label ||
+										(replacement
+											? cd.s(
+													start === end ? 'cf-lint-fix-insert' : 'cf-lint-fix-replace',
+													replacement,
+												)
+											: cd.s('cf-lint-fix-remove')),
+									framed: false,
+									flags: ['progressive'],
+									classes: ['cd-button-ooui'],
+								}).on('click', () => {
+									if (this.richTextInput) {
+										// Setting the value makes the visual input show the change.
+										const value = this.commentInput.getValue()
+										this.commentInput.setValue(
+											value.slice(0, start) + replacement + value.slice(end),
+										)
+									} else {
+										this.commentInput.replaceSelections([
+											{ from: start, to: end, insert: replacement },
+										])
+									}
+									this.showLintIssues(this.lintComment())
+								})
+							}
+
+							return $('<li>').append(
+								document.createTextNode(
+									issue.message || cd.s(`cf-lint-${issue.name}`, ...(issue.params || [])),
+								),
+								excerpt.trim()
+									? [
+											document.createTextNode(cd.mws('colon-separator')),
+											$('<code>').text(
+												excerpt.length > 50 ? excerpt.slice(0, 50) + cd.s('ellipsis') : excerpt,
+											),
+										]
+									: [],
+								$('<span>')
+									.addClass('cd-commentForm-lint-buttons')
+									.append(goToButton?.$element || [], fixButton?.$element || []),
+							)
+						}),
+					),
+			),
+			{
+				type: issues.some((issue) => issue.type !== 'notice') ? 'warning' : 'notice',
+				name: 'lint',
+			},
+		)
+	}
+
 	/**
 	 * Submit a reply using the DiscussionTools API when the target comment cannot be found using
 	 * standard means.
@@ -3363,8 +3981,10 @@ class CommentForm extends EventEmitter {
 		this.teardownInputPopups()
 
 		this.terminateAutocomplete()
+		this.terminateProofreading()
 
 		cd.settings.off('set', this.onSettingsUpdate)
+		$(document).off('scroll.cd', this.syncPreviewScroll)
 
 		this.registered = false
 		this.emit('unregister')
@@ -3850,6 +4470,36 @@ class CommentForm extends EventEmitter {
 		)
 	}
 
+	/**
+	 * Get the values of the placeholders used in snippets.
+	 *
+	 * @returns {import('./utils-snippets').SnippetPlaceholderValues}
+	 */
+	getSnippetPlaceholderValues() {
+		return {
+			author: this.parentComment?.author.getName(),
+			section: this.headlineInput?.getValue().trim() || this.targetSection?.headline,
+			date: formatSnippetDate(new Date()),
+		}
+	}
+
+	/**
+	 * Insert a snippet into the comment input at the caret, replacing the placeholders. If some text
+	 * is selected, it is put at the position of the `{{{cursor}}}` placeholder.
+	 *
+	 * @param {import('./utils-snippets').Snippet} snippet
+	 */
+	insertSnippet(snippet) {
+		const { text, cursorIndex = text.length } = expandSnippet(
+			snippet.text,
+			this.getSnippetPlaceholderValues(),
+		)
+		this.encapsulateSelection({
+			pre: text.slice(0, cursorIndex),
+			post: text.slice(cursorIndex),
+		})
+	}
+
 	/**
 	 * Wrap the selected text in the comment input with other text, optionally falling back to the
 	 * provided value if no text is selected.
@@ -3868,6 +4518,12 @@ class CommentForm extends EventEmitter {
 	 * @param {boolean} [options.ownline] Put the inserted text on a line of its own.
 	 */
 	encapsulateSelection(options) {
+		if (this.richTextInput) {
+			this.richTextInput.encapsulateSelection(options)
+
+			return
+		}
+
 		const value = this.commentInput.getValue()
 		this.commentInput.replaceSelections(
 			(options.selection === undefined
@@ -4135,7 +4791,29 @@ class CommentForm extends EventEmitter {
 	 * @returns {RescueData|undefined}
 	 */
 	restore() {
-		const newSelf = this.target.findNewSelf()
+		this.hideMessage('newReplies')
+
+		let newSelf = this.target.findNewSelf()
+		if (this.retargetCommentId) {
+			const comment = commentManager.getById(this.retargetCommentId)
+			delete this.retargetCommentId
+
+			// Replies to a comment with outdented replies go to the section reply form, so in that case
+			// keep the original target instead of losing the form.
+			if (
+				comment &&
+				!comment.replyForm &&
+				!commentManager.getByIndex(comment.index + 1)?.isOutdented()
+			) {
+				newSelf = comment
+				delete this.actualCommentLevel
+				this.commentInput.updatePlaceholder(
+					removeDoubleSpaces(
+						cd.s('cf-comment-placeholder-replytocomment', comment.author.getName(), comment.author),
+					),
+				)
+			}
+		}
 		if (newSelf?.isActionable() && (newSelf.TYPE !== 'comment' || !newSelf.hasFlag('deleted'))) {
 			try {
 				const addingMethod = /** @type {CommentFormAddingMethod} */ (
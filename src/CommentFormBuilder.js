@@ -11,6 +11,7 @@ import cd from './loader/cd'
 import { defined, removeDoubleSpaces } from './shared/utils-general'
 import { isCmdModifierPressed } from './utils-keyboard'
 import { createCheckboxControl } from './utils-oojs'
+import { groupSnippetsByFolder } from './utils-snippets'
 import { createIconDataUri, wrapHtml } from './utils-window'
 
 /**
@@ -209,12 +210,27 @@ class CommentFormBuilder {
 						},
 					),
 				),
+				$('<li>').append(
+					wrapHtml(
+						cd.sParse('cf-help-autocomplete-mentiongroup', `${cd.config.mentionCharacter}group:`),
+						{ targetBlank: true },
+					),
+				),
 				$('<li>').append(
 					wrapHtml(cd.sParse('cf-help-autocomplete-punctuation'), { targetBlank: true }),
 				),
 				$('<li>').append(
 					wrapHtml(cd.sParse('cf-help-autocomplete-commentlink', '[[#'), { targetBlank: true }),
 				),
+				$('<li>').append(
+					wrapHtml(cd.sParse('cf-help-autocomplete-commentlink-otherpage'), { targetBlank: true }),
+				),
+				$('<li>').append(
+					wrapHtml(cd.sParse('cf-help-autocomplete-emoji', ':smile'), { targetBlank: true }),
+				),
+				$('<li>').append(
+					wrapHtml(cd.sParse('cf-help-autocomplete-snippets', '/'), { targetBlank: true }),
+				),
 				$('<li>').append(
 					wrapHtml(cd.sParse('cf-help-autocomplete-displaytext'), { targetBlank: true }),
 				),
@@ -292,6 +308,24 @@ class CommentFormBuilder {
 			tabIndex: this.form.getTabIndex(30),
 		})
 
+		this.form.sideBySideButton = new OO.ui.ToggleButtonWidget({
+			label: cd.s('cf-sidebyside'),
+			title: cd.s('cf-sidebyside-tooltip'),
+			value: cd.settings.get('sideBySidePreview'),
+			framed: false,
+			classes: ['cd-button-ooui', 'cd-commentForm-sideBySideButton'],
+			tabIndex: this.form.getTabIndex(30),
+		})
+
+		this.form.visualInputButton = new OO.ui.ToggleButtonWidget({
+			label: cd.s('cf-visual'),
+			title: cd.s('cf-visual-tooltip'),
+			value: cd.settings.get('useVisualInput'),
+			framed: false,
+			classes: ['cd-button-ooui', 'cd-commentForm-visualInputButton'],
+			tabIndex: this.form.getTabIndex(30),
+		})
+
 		this.form.helpPopupButton = new OO.ui.PopupButtonWidget({
 			label: cd.s('cf-help'),
 			framed: false,
@@ -409,6 +443,8 @@ class CommentFormBuilder {
 			.append(
 				[
 					this.form.advancedButton.$element,
+					this.form.sideBySideButton.$element,
+					this.form.visualInputButton.$element,
 					this.form.helpPopupButton.$element,
 					this.form.settingsButton?.$element,
 				].filter(defined),
@@ -446,6 +482,8 @@ class CommentFormBuilder {
 			.addClass('cd-commentForm-previewArea mw-body-content')
 			.addClass('cd-commentForm-previewArea-below')
 			.appendTo(this.form.$element)
+		this.form.updatePreviewLayout()
+		this.form.updateInputMode()
 
 		if (this.form.containerListType === 'ol' && $.client.profile().layout !== 'webkit') {
 			// Dummy element for forms inside a numbered list so that the number is placed in front of
@@ -516,6 +554,7 @@ class CommentFormBuilder {
 		this.setupToolbar()
 		this.removeToolbarElements()
 		this.addToolbarButtons()
+		this.addSnippetsMenu()
 		this.addCodeMirrorToToolbarAndInit()
 		this.tweakTabs()
 	}
@@ -691,6 +730,60 @@ class CommentFormBuilder {
 			.wrap($('<span>').addClass('tool-button cd-tool-button-wrapper'))
 	}
 
+	/**
+	 * Add the menu of the user's snippets to the toolbar, grouped by folders.
+	 *
+	 * @private
+	 */
+	addSnippetsMenu() {
+		// Old versions don't support `type: 'element'`
+		if (!cd.utils.isMwVersionEqualOrHigher('1.38')) return
+
+		const folders = groupSnippetsByFolder(cd.settings.get('snippets'))
+		if (!folders.length) return
+
+		this.form.commentInput.$input.wikiEditor('addToToolbar', {
+			section: 'main',
+			groups: {
+				'convenient-discussions': {
+					tools: {
+						snippets: {
+							type: 'element',
+							element: () => {
+								const button = new OO.ui.ButtonMenuSelectWidget({
+									label: cd.s('cf-snippets-tooltip'),
+									title: cd.s('cf-snippets-tooltip'),
+									icon: 'articles',
+									framed: false,
+									invisibleLabel: true,
+									classes: ['tool', 'cd-snippets-menu'],
+									menu: {
+										items: folders.flatMap((folder) => [
+											...(folder.name
+												? [new OO.ui.MenuSectionOptionWidget({ label: folder.name })]
+												: []),
+											...folder.snippets.map(
+												(snippet) =>
+													new OO.ui.MenuOptionWidget({ data: snippet, label: snippet.name }),
+											),
+										]),
+									},
+								})
+								button.getMenu().on('choose', (item) => {
+									this.form.insertSnippet(
+										/** @type {import('./utils-snippets').Snippet} */ (item.getData()),
+									)
+								})
+
+								return button.$element
+							},
+						},
+					},
+				},
+			},
+		})
+	}
+
 	/**
 	 * @private
 	 */
@@ -0,0 +1,337 @@
+import DivLabelWidget from './DivLabelWidget'
+import cd from './loader/cd'
+import CdError from './shared/CdError'
+import { handleApiReject } from './utils-api'
+import { formatDate } from './utils-date'
+import { es6ClassToOoJsClass } from './utils-oojs-class'
+import { wrapDiffBody, wrapHtml } from './utils-window'
+
+/**
+ * @typedef {import('./Comment').default} Comment
+ */
+
+/**
+ * @typedef {import('./utils-commentHistory').CommentVersion<import('./Comment').HistoryRevision>} Version
+ */
+
+/**
+ * Class used to create a "History of this comment" dialog that shows the versions of a comment one
+ * by one, each with the diff against the previous version, the editor and the edit summary.
+ *
+ * @augments OO.ui.MessageDialog
+ */
+class CommentHistoryDialog extends OO.ui.MessageDialog {
+	// @ts-expect-error: https://phabricator.wikimedia.org/T358416
+	static name = 'commentHistoryDialog'
+
+	static actions = [
+		{
+			label: cd.s('chd-previous'),
+			action: 'previous',
+		},
+		{
+			label: cd.s('chd-next'),
+			action: 'next',
+		},
+		{
+			label: cd.s('chd-close'),
+			action: 'close',
+		},
+	]
+
+	/** @type {DivLabelWidget} */
+	message
+
+	/** @type {Version[]} */
+	versions = []
+
+	/**
+	 * Whether the revision where the comment is absent was reached.
+	 *
+	 * @type {boolean}
+	 */
+	isComplete = false
+
+	/**
+	 * Index of the displayed version.
+	 *
+	 * @type {number}
+	 */
+	index = 0
+
+	/**
+	 * Diffs between the versions, by the index of the newer version.
+	 *
+	 * @type {Map<number, Promise<string>>}
+	 */
+	diffs = new Map()
+
+	/**
+	 * Create a "History of this comment" dialog.
+	 *
+	 * @param {Comment} comment
+	 */
+	constructor(comment) {
+		super({
+			classes: ['cd-dialog-commentHistory'],
+		})
+		this.comment = comment
+	}
+
+	/**
+	 * OOUI native method that initializes window contents.
+	 *
+	 * @override
+	 * @returns {this}
+	 * @see https://doc.wikimedia.org/oojs-ui/master/js/OO.ui.MessageDialog.html#initialize
+	 * @see https://www.mediawiki.org/wiki/OOUI/Windows#Window_lifecycle
+	 * @ignore
+	 */
+	initialize() {
+		super.initialize()
+
+		// By default, the whole message is wrapped in a <label> element. We don't want that behavior
+		// and revert it.
+		this.message.$element.remove()
+		this.message = new DivLabelWidget({ classes: ['oo-ui-messageDialog-message'] })
+		this.text.$element.append(this.message.$element)
+
+		return this
+	}
+
+	/**
+	 * OOUI native method that returns a "setup" process which is used to set up a window for use in a
+	 * particular context, based on the `data` argument.
+	 *
+	 * @override
+	 * @param {object} [data] Dialog opening data
+	 * @returns {OO.ui.Process}
+	 * @see https://doc.wikimedia.org/oojs-ui/master/js/OO.ui.Dialog.html#getSetupProcess
+	 * @see https://www.mediawiki.org/wiki/OOUI/Windows#Window_lifecycle
+	 * @ignore
+	 */
+	getSetupProcess(data) {
+		return super.getSetupProcess(data).next(() => {
+			this.title.setLabel(cd.s('chd-title'))
+			this.size = 'larger'
+			this.actions.setAbilities({ previous: false, next: false })
+			this.message.setLabel(new OO.ui.ProgressBarWidget({ progress: false }).$element)
+			this.load()
+		})
+	}
+
+	/**
+	 * OOUI native method that returns a process for taking action.
+	 *
+	 * @override
+	 * @param {string} action Symbolic name of the action.
+	 * @returns {OO.ui.Process}
+	 * @see https://doc.wikimedia.org/oojs-ui/master/js/OO.ui.Dialog.html#getActionProcess
+	 * @ignore
+	 */
+	getActionProcess(action) {
+		if (action === 'previous' || action === 'next') {
+			return new OO.ui.Process(() => {
+				this.showVersion(this.index + (action === 'previous' ? -1 : 1))
+			})
+		}
+
+		return super.getActionProcess(action)
+	}
+
+	/**
+	 * Load the versions of the comment and show the latest one.
+	 *
+	 * @private
+	 */
+	async load() {
+		try {
+			;({ versions: this.versions, isComplete: this.isComplete } = await this.comment.getHistory())
+			await mw.loader.using(['mediawiki.diff', 'mediawiki.diff.styles'])
+		} catch (error) {
+			let errorText = cd.s('chd-error')
+			if (error instanceof CdError) {
+				if (error.getType() === 'network') {
+					errorText += cd.mws('word-separator') + cd.s('error-network')
+				}
+			} else {
+				cd.debug.logWarn(error)
+			}
+			this.message.setLabel(errorText)
+			this.updateSize()
+
+			return
+		}
+
+		if (!this.versions.length) {
+			this.message.setLabel(cd.s('chd-notfound'))
+			this.updateSize()
+
+			return
+		}
+
+		this.showVersion(this.versions.length - 1)
+	}
+
+	/**
+	 * Show a version of the comment.
+	 *
+	 * @param {number} index
+	 * @private
+	 */
+	async showVersion(index) {
+		this.index = index
+		this.actions.setAbilities({
+			previous: index > 0,
+			next: index < this.versions.length - 1,
+		})
+
+		const { revision, code } = this.versions[index]
+		const isOriginal = index === 0 && this.isComplete
+		const $diff = $('<div>').addClass('cd-dialog-commentHistory-diff')
+		this.message.setLabel(
+			$('<div>').append(
+				$('<div>')
+					.addClass('cd-dialog-commentHistory-position')
+					.text(cd.s('chd-position', String(index + 1), String(this.versions.length))),
+				this.createRevisionInfo(revision, isOriginal),
+				isOriginal ? $('<pre>').addClass('cd-dialog-commentHistory-code').text(code.trim()) : $diff,
+				index === 0 && !this.isComplete
+					? $('<div>').addClass('cd-dialog-commentHistory-incomplete').text(cd.s('chd-incomplete'))
+					: '',
+			),
+		)
+		this.updateSize()
+
+		if (isOriginal) return
+
+		$diff.append(new OO.ui.ProgressBarWidget({ progress: false }).$element)
+		let html
+		try {
+			html = await this.getDiff(index)
+		} catch (error) {
+			cd.debug.logWarn(error)
+			html = undefined
+		}
+
+		// The user could have switched to another version while the diff was loading.
+		if (this.index !== index) return
+
+		$diff.empty()
+		if (html === undefined) {
+			$diff.text(cd.s('chd-diff-error'))
+		} else if (html) {
+			$diff.append(wrapDiffBody(html))
+		} else {
+			// The code differs only in whitespace.
+			$diff.text(cd.s('chd-diff-nochange'))
+		}
+		this.updateSize()
+	}
+
+	/**
+	 * Create the block with the editor, timestamp, and edit summary of a revision.
+	 *
+	 * @param {import('./Comment').HistoryRevision} revision
+	 * @param {boolean} isOriginal Whether this is the version in which the comment was added.
+	 * @returns {JQuery}
+	 * @private
+	 */
+	createRevisionInfo(revision, isOriginal) {
+		const isByAuthor = revision.user === this.comment.author.getName()
+		const date = new Date(revision.timestamp)
+		const $info = $('<div>')
+			.addClass('cd-dialog-commentHistory-revision')
+			.append(
+				// Messages that can be used here:
+				// * chd-added
+				// * chd-edited
+				$('<span>').text(cd.s(isOriginal ? 'chd-added' : 'chd-edited') + cd.mws('word-separator')),
+				$('<a>')
+					.addClass('cd-dialog-commentHistory-editor')
+					.toggleClass('cd-dialog-commentHistory-editor-notAuthor', !isByAuthor)
+					.attr('href', mw.util.getUrl(`User:${revision.user}`))
+					.text(revision.user),
+				isByAuthor ? '' : cd.mws('word-separator') + cd.mws('parentheses', cd.s('chd-notauthor')),
+				cd.mws('comma-separator'),
+				$('<a>')
+					.attr(
+						'href',
+						this.comment.getSourcePage().getArchivedPage().getUrl({ diff: revision.revid }),
+					)
+					.attr('target', '_blank')
+					.attr('title', formatDate(date, true))
+					.text(formatDate(date)),
+			)
+		if (revision.parsedcomment) {
+			$info.append(
+				$('<div>')
+					.addClass('cd-dialog-commentHistory-summary comment')
+					.append(wrapHtml(revision.parsedcomment, { targetBlank: true })),
+			)
+		}
+
+		return $info
+	}
+
+	/**
+	 * Get the diff between a version and the previous one, loading it if needed.
+	 *
+	 * @param {number} index Index of the newer version.
+	 * @returns {Promise<string>}
+	 * @private
+	 */
+	getDiff(index) {
+		let diff = this.diffs.get(index)
+		if (!diff) {
+			diff = this.loadDiff(index)
+			this.diffs.set(index, diff)
+
+			// Allow to retry on error.
+			diff.catch(() => {
+				this.diffs.delete(index)
+			})
+		}
+
+		return diff
+	}
+
+	/**
+	 * Load the diff between the code of a version and the previous one. For the first version when
+	 * the history is incomplete, the diff is against the empty text.
+	 *
+	 * @param {number} index Index of the newer version.
+	 * @returns {Promise<string>}
+	 * @private
+	 */
+	async loadDiff(index) {
+		const title = this.comment.getSourcePage().getArchivedPage().name
+		const response = /** @type {import('./utils-api').APIResponseCompare} */ (
+			await cd
+				.getApi()
+				.post(
+					{
+						'action': 'compare',
+						'fromtitle': title,
+						'fromslots': 'main',
+						'fromtext-main': index === 0 ? '' : this.versions[index - 1].code.trim(),
+						'totitle': title,
+						'toslots': 'main',
+						'totext-main': this.versions[index].code.trim(),
+						'prop': 'diff',
+					},
+					{
+						// Beneficial when sending long unicode texts, which is what we do here.
+						contentType: 'multipart/form-data',
+					},
+				)
+				.catch(handleApiReject)
+		)
+
+		return response.compare.body
+	}
+}
+
+es6ClassToOoJsClass(CommentHistoryDialog)
+
+export default CommentHistoryDialog
@@ -1,6 +1,9 @@
 import BaseAutocomplete from './BaseAutocomplete'
 import cd from './loader/cd'
-import { underlinesToSpaces } from './shared/utils-general'
+import pageRegistry from './pageRegistry'
+import { defined, underlinesToSpaces } from './shared/utils-general'
+import updateChecker from './updateChecker'
+import { handleApiReject } from './utils-api'
 
 /**
  * @typedef {object} CommentLinkEntry
@@ -9,6 +12,7 @@ import { underlinesToSpaces } from './shared/utils-general'
  * @property {string} [authorName]
  * @property {string} [timestamp]
  * @property {string} [headline]
+ * @property {string} [pageName] Name of the page the comment is on if it is not the current page.
  */
 
 /**
@@ -22,9 +26,19 @@ import { underlinesToSpaces } from './shared/utils-general'
 
 /**
  * Autocomplete class for comment and section links. Handles [[# trigger for linking to comments
- * and sections on the current page.
+ * and sections on the current page. Comments on other pages are suggested by
+ * {@link WikilinksAutocomplete} after a page name followed by `#` using
+ * {@link CommentLinksAutocomplete.loadCommentLinksData}.
  */
 class CommentLinksAutocomplete extends BaseAutocomplete {
+	/**
+	 * Maximal number of archive pages to load comments from.
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	static archivePagesLimit = 2
+
 	/**
 	 * Create a CommentLinksAutocomplete instance.
 	 *
@@ -73,7 +87,7 @@ class CommentLinksAutocomplete extends BaseAutocomplete {
 				: /** @type {string} */ (entry.headline)
 
 		return {
-			start: `[[#${entry.urlFragment}|`,
+			start: `[[${entry.pageName || ''}#${entry.urlFragment}|`,
 			end: ']]',
 			content: selectedText || defaultContent,
 		}
@@ -159,38 +173,14 @@ class CommentLinksAutocomplete extends BaseAutocomplete {
 				return acc
 			}
 
-			const authorName = comment.author.getName()
-			const timestamp = comment.timestamp
-
-			// Generate comment snippet
-			let snippet
-			const snippetMaxLength = 80
-			if (comment.getText().length > snippetMaxLength) {
-				snippet = comment.getText().slice(0, snippetMaxLength)
-				const spacePos = snippet.lastIndexOf(cd.mws('word-separator', { language: 'content' }))
-				if (spacePos !== -1) {
-					snippet = snippet.slice(0, spacePos)
-					if (/[.…,;!?:-—–]/.test(snippet[snippet.length - 1])) {
-						snippet += ' '
-					}
-					snippet += cd.s('ellipsis')
-				}
-			} else {
-				snippet = comment.getText()
-			}
-
-			// Build display key
-			let authorTimestamp = authorName
-			if (timestamp) {
-				authorTimestamp += cd.mws('comma-separator', { language: 'content' }) + timestamp
-			}
-
-			acc.push({
-				label: authorTimestamp + cd.mws('colon-separator', { language: 'content' }) + snippet,
-				urlFragment,
-				authorName,
-				timestamp,
-			})
+			acc.push(
+				CommentLinksAutocomplete.createCommentEntry(
+					urlFragment,
+					comment.author.getName(),
+					comment.timestamp,
+					comment.getText(),
+				),
+			)
 
 			return acc
 		}, /** @type {CommentLinkEntry[]} */ ([]))
@@ -210,6 +200,137 @@ class CommentLinksAutocomplete extends BaseAutocomplete {
 
 		return commentItems.concat(sectionItems)
 	}
+
+	/**
+	 * Create a comment link entry with a label made of the author name, timestamp and a snippet of
+	 * the comment text.
+	 *
+	 * @param {string} urlFragment
+	 * @param {string} authorName
+	 * @param {string | undefined} timestamp
+	 * @param {string} text
+	 * @param {string} [pageName] Name of the page the comment is on if it is not the current page.
+	 * @returns {CommentLinkEntry}
+	 * @private
+	 */
+	static createCommentEntry(urlFragment, authorName, timestamp, text, pageName) {
+		// Generate comment snippet
+		let snippet
+		const snippetMaxLength = 80
+		if (text.length > snippetMaxLength) {
+			snippet = text.slice(0, snippetMaxLength)
+			const spacePos = snippet.lastIndexOf(cd.mws('word-separator', { language: 'content' }))
+			if (spacePos !== -1) {
+				snippet = snippet.slice(0, spacePos)
+				if (/[.…,;!?:-—–]/.test(snippet[snippet.length - 1])) {
+					snippet += ' '
+				}
+				snippet += cd.s('ellipsis')
+			}
+		} else {
+			snippet = text
+		}
+
+		// Build display key
+		let authorTimestamp = authorName
+		if (timestamp) {
+			authorTimestamp += cd.mws('comma-separator', { language: 'content' }) + timestamp
+		}
+
+		return {
+			label: authorTimestamp + cd.mws('colon-separator', { language: 'content' }) + snippet,
+			urlFragment,
+			authorName,
+			timestamp,
+			pageName,
+		}
+	}
+
+	/**
+	 * Load comment links data for a page other than the current one, parsing the page in the web
+	 * worker. Comments in the most recently edited archive pages of the page are included too.
+	 *
+	 * @param {import('./Page').default} page
+	 * @returns {Promise<CommentLinkEntry[]>}
+	 */
+	static async loadCommentLinksData(page) {
+		/** @type {import('./Page').default[]} */
+		let archivePages = []
+		try {
+			archivePages = await CommentLinksAutocomplete.loadRecentArchivePages(page)
+		} catch (error) {
+			// Suggest at least the comments on the page itself.
+			cd.debug.logWarn(error)
+		}
+
+		const results = await Promise.all(
+			[page, ...archivePages].map(async (pageToParse) => ({
+				pageName: pageToParse.name,
+				comments: await updateChecker.processOtherPage(pageToParse).then(
+					({ comments }) => comments,
+					(/** @type {unknown} */ error) => {
+						if (pageToParse === page) {
+							throw error
+						}
+						cd.debug.logWarn(error)
+
+						return []
+					},
+				),
+			})),
+		)
+
+		return results.flatMap(({ pageName, comments }) =>
+			comments.map((comment) =>
+				CommentLinksAutocomplete.createCommentEntry(
+					comment.id,
+					comment.authorName,
+					comment.timestamp,
+					comment.text,
+					pageName,
+				),
+			),
+		)
+	}
+
+	/**
+	 * Get the most recently edited archive pages of a page, found by the archive prefix set for the
+	 * page explicitly.
+	 *
+	 * @param {import('./Page').default} page
+	 * @returns {Promise<import('./Page').default[]>}
+	 * @private
+	 */
+	static async loadRecentArchivePages(page) {
+		const archivePrefix = page.getArchivePrefix(true)
+		const archivePrefixTitle = archivePrefix ? mw.Title.newFromText(archivePrefix) : null
+		if (!archivePrefixTitle) {
+			return []
+		}
+
+		const response = /** @type {ApiResponseQuery<ApiResponseQueryContentPages>} */ (
+			await cd
+				.getApi(BaseAutocomplete.apiConfig)
+				.get({
+					action: 'query',
+					generator: 'allpages',
+					gapprefix: archivePrefixTitle.getMain(),
+					gapnamespace: archivePrefixTitle.getNamespaceId(),
+					gaplimit: 'max',
+					prop: 'info',
+				})
+				.catch(handleApiReject)
+		)
+
+		// `allpages` lists pages alphabetically, so find the most recently edited ones by the last
+		// revision ID.
+		return (response.query?.pages || [])
+			.sort((page1, page2) => (page2.lastrevid || 0) - (page1.lastrevid || 0))
+			.map((archivePage) => pageRegistry.get(archivePage.title))
+			.filter(defined)
+			.filter((archivePage) => archivePage !== page)
+			.slice(0, CommentLinksAutocomplete.archivePagesLimit)
+	}
 }
 
 export default CommentLinksAutocomplete
@@ -151,6 +151,91 @@ class CompactCommentActions extends CommentActions {
 			],
 		})
 
+	/**
+	 * Create a react button for compact comments.
+	 *
+	 * @override
+	 * @param {import('./Button').Action} action The action to perform when clicked.
+	 * @returns {CommentButton} The created button.
+	 */
+	createReactButton(action) {
+		return new CommentButton({
+			element: this.createReactWidget().$element[0],
+			action,
+			widgetConstructor: this.createReactWidget,
+		})
+	}
+
+	/**
+	 * Create a react widget for compact comments.
+	 *
+	 * @returns {OO.ui.ButtonWidget}
+	 */
+	createReactWidget = () =>
+		new OO.ui.ButtonWidget({
+			label: cd.s('cm-react'),
+			icon: 'add',
+			invisibleLabel: true,
+			title: cd.s('cm-react-tooltip'),
+			framed: false,
+			classes: [
+				'cd-button-ooui',
+				'cd-comment-button-ooui',
+				'cd-comment-button-ooui-icon',
+				'cd-comment-button-react',
+			],
+		})
+
+	/**
+	 * Create a follow button for compact comments.
+	 *
+	 * @override
+	 * @param {import('./Button').Action} action The action to perform when clicked.
+	 * @param {boolean} _isFollowed Whether the comment is already followed.
+	 * @returns {CommentButton} The created button.
+	 */
+	createFollowButton(action, _isFollowed) {
+		return new CommentButton({
+			element: this.createFollowWidget().$element[0],
+			action,
+			widgetConstructor: this.createFollowWidget,
+		})
+	}
+
+	/**
+	 * Create a follow widget for compact comments.
+	 *
+	 * @returns {OO.ui.ButtonWidget}
+	 */
+	createFollowWidget = () => {
+		const isFollowed = this.comment.isFollowed()
+
+		return new OO.ui.ButtonWidget({
+			label: cd.s(isFollowed ? 'cm-unfollow' : 'cm-follow'),
+			icon: isFollowed ? 'bell' : 'bellOutline',
+			invisibleLabel: true,
+			title: cd.s(isFollowed ? 'cm-unfollow-tooltip' : 'cm-follow-tooltip'),
+			framed: false,
+			classes: [
+				'cd-button-ooui',
+				'cd-comment-button-ooui',
+				'cd-comment-button-ooui-icon',
+				'cd-comment-button-follow',
+			],
+		})
+	}
+
+	/**
+	 * Set the follow button to the followed or not followed state, also changing its icon.
+	 *
+	 * @override
+	 * @param {boolean} followed
+	 */
+	setFollowed(followed) {
+		super.setFollowed(followed)
+		this.followButton?.getButtonWidget().setIcon(followed ? 'bell' : 'bellOutline')
+	}
+
 	/**
 	 * Create a copy link button for compact comments.
 	 *
@@ -298,6 +383,76 @@ class CompactCommentActions extends CommentActions {
 			],
 		})
 
+	/**
+	 * Create an "Export thread" button for compact comments.
+	 *
+	 * @override
+	 * @param {import('./Button').Action} action The action to perform when clicked.
+	 * @returns {CommentButton} The created button.
+	 */
+	createExportThreadButton(action) {
+		return new CommentButton({
+			element: this.createExportThreadWidget().$element[0],
+			action,
+			widgetConstructor: this.createExportThreadWidget,
+		})
+	}
+
+	/**
+	 * Create an "Export thread" widget for compact comments.
+	 *
+	 * @returns {OO.ui.ButtonWidget}
+	 */
+	createExportThreadWidget = () =>
+		new OO.ui.ButtonWidget({
+			label: cd.s('cm-exportthread'),
+			icon: 'download',
+			invisibleLabel: true,
+			title: cd.s('cm-exportthread-tooltip'),
+			framed: false,
+			classes: [
+				'cd-button-ooui',
+				'cd-comment-button-ooui',
+				'cd-comment-button-ooui-icon',
+				'cd-comment-button-exportThread',
+			],
+		})
+
+	/**
+	 * Create a "History" button for compact comments.
+	 *
+	 * @override
+	 * @param {import('./Button').Action} action The action to perform when clicked.
+	 * @returns {CommentButton} The created button.
+	 */
+	createHistoryButton(action) {
+		return new CommentButton({
+			element: this.createHistoryWidget().$element[0],
+			action,
+			widgetConstructor: this.createHistoryWidget,
+		})
+	}
+
+	/**
+	 * Create a "History" widget for compact comments.
+	 *
+	 * @returns {OO.ui.ButtonWidget}
+	 */
+	createHistoryWidget = () =>
+		new OO.ui.ButtonWidget({
+			label: cd.s('cm-history'),
+			icon: 'history',
+			invisibleLabel: true,
+			title: cd.s('cm-history-tooltip'),
+			framed: false,
+			classes: [
+				'cd-button-ooui',
+				'cd-comment-button-ooui',
+				'cd-comment-button-ooui-icon',
+				'cd-comment-button-history',
+			],
+		})
+
 	/**
 	 * Create a "Fix" button for compact comments.
 	 *
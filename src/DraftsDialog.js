@@ -0,0 +1,210 @@
+import Comment from './Comment'
+import DivLabelWidget from './DivLabelWidget'
+import cd from './loader/cd'
+import { underlinesToSpaces } from './shared/utils-general'
+import { formatDate, formatDateRelative } from './utils-date'
+import { es6ClassToOoJsClass } from './utils-oojs-class'
+import { mergeJquery } from './utils-window'
+
+/**
+ * Class used to create a "My drafts" dialog listing unsent comment forms saved for all pages.
+ *
+ * @augments OO.ui.MessageDialog
+ */
+class DraftsDialog extends OO.ui.MessageDialog {
+	// @ts-expect-error: https://phabricator.wikimedia.org/T358416
+	static name = 'draftsDialog'
+
+	static actions = [
+		{
+			label: cd.s('drafts-close'),
+			action: 'close',
+		},
+	]
+
+	/** @type {DivLabelWidget} */
+	message
+
+	/** @type {JQuery} */
+	$list
+
+	/**
+	 * Create a "My drafts" dialog.
+	 *
+	 * @param {typeof import('./commentFormManager').default} commentFormManager
+	 */
+	constructor(commentFormManager) {
+		super({
+			classes: ['cd-dialog-drafts'],
+			size: 'large',
+		})
+		this.commentFormManager = commentFormManager
+	}
+
+	/**
+	 * OOUI native method that initializes window contents.
+	 *
+	 * @override
+	 * @returns {this}
+	 * @see https://doc.wikimedia.org/oojs-ui/master/js/OO.ui.MessageDialog.html#initialize
+	 * @see https://www.mediawiki.org/wiki/OOUI/Windows#Window_lifecycle
+	 * @ignore
+	 */
+	initialize() {
+		super.initialize()
+
+		// By default, the whole message is wrapped in a <label> element. We don't want that behavior
+		// and revert it.
+		this.message.$element.remove()
+		this.message = new DivLabelWidget({ classes: ['oo-ui-messageDialog-message'] })
+		this.text.$element.append(this.message.$element)
+
+		this.$list = $('<div>').addClass('cd-dialog-drafts-list')
+
+		return this
+	}
+
+	/**
+	 * OOUI native method that returns a "setup" process which is used to set up a window for use in a
+	 * particular context, based on the `data` argument.
+	 *
+	 * @override
+	 * @param {object} [data] Dialog opening data
+	 * @returns {OO.ui.Process}
+	 * @see https://doc.wikimedia.org/oojs-ui/master/js/OO.ui.Dialog.html#getSetupProcess
+	 * @see https://www.mediawiki.org/wiki/OOUI/Windows#Window_lifecycle
+	 * @ignore
+	 */
+	getSetupProcess(data) {
+		return super.getSetupProcess(data).next(() => {
+			this.title.setLabel(cd.s('drafts-title'))
+			this.size = 'large'
+			this.renderList()
+			this.message.setLabel(this.$list)
+		})
+	}
+
+	/**
+	 * Fill the list of drafts.
+	 *
+	 * @protected
+	 */
+	renderList() {
+		const drafts = this.commentFormManager.getDrafts()
+		this.$list
+			.empty()
+			.append(
+				drafts.length
+					? drafts.map((draft) => this.createItem(draft))
+					: $('<div>').addClass('cd-dialog-drafts-empty').text(cd.s('drafts-empty')),
+			)
+	}
+
+	/**
+	 * Create an element representing a draft in the list.
+	 *
+	 * @param {import('./commentFormManager').Draft} draft
+	 * @returns {JQuery}
+	 * @protected
+	 */
+	createItem(draft) {
+		const pageTitle = underlinesToSpaces(draft.pageName)
+		const isCurrentPage = draft.pageName === mw.config.get('wgPageName')
+
+		const openButton = new OO.ui.ButtonWidget({
+			label: cd.s(draft.commentForm ? 'drafts-goto' : 'drafts-open'),
+			flags: ['progressive'],
+			framed: false,
+		})
+		openButton.on('click', () => {
+			if (this.commentFormManager.openDraft(draft)) {
+				this.close()
+			} else {
+				mw.notify(cd.s('drafts-error-targetnotfound'), { type: 'error' })
+			}
+		})
+
+		/** @type {OO.ui.ButtonWidget | undefined} */
+		let discardButton
+		if (!draft.commentForm) {
+			discardButton = new OO.ui.ButtonWidget({
+				label: cd.s('drafts-discard'),
+				flags: ['destructive'],
+				framed: false,
+			})
+			discardButton.on('click', () => {
+				if (confirm(cd.s('drafts-discard-confirm'))) {
+					this.commentFormManager.discardDraft(draft)
+					this.renderList()
+					this.updateSize()
+				}
+			})
+		}
+
+		const text = draft.data.comment.trim()
+
+		return $('<div>')
+			.addClass('cd-dialog-drafts-item')
+			.toggleClass('cd-dialog-drafts-item-currentPage', isCurrentPage)
+			.append(
+				$('<div>')
+					.addClass('cd-dialog-drafts-item-header')
+					.append(
+						$('<a>')
+							.attr('href', mw.util.getUrl(draft.pageName))
+							.addClass('cd-dialog-drafts-item-page')
+							.text(pageTitle),
+						cd.sParse('dot-separator'),
+						$('<span>').text(this.getTargetDescription(draft.data)),
+						cd.sParse('dot-separator'),
+						$('<span>')
+							.addClass('cd-dialog-drafts-item-time')
+							.attr('title', formatDate(new Date(draft.saveTime)))
+							.text(formatDateRelative(new Date(draft.saveTime))),
+					),
+				$('<div>')
+					.addClass('cd-dialog-drafts-item-text')
+					.text(text.length > 300 ? text.slice(0, 300) + cd.s('ellipsis') : text),
+				$('<div>')
+					.addClass('cd-dialog-drafts-item-buttons')
+					.append(mergeJquery(openButton.$element, discardButton?.$element)),
+			)
+	}
+
+	/**
+	 * Get a human-readable description of the target of a saved comment form.
+	 *
+	 * @param {import('./commentFormManager').StoredCommentFormData} data
+	 * @returns {string}
+	 * @protected
+	 */
+	getTargetDescription(data) {
+		if (data.mode === 'addSection') {
+			return data.headline
+				? cd.s('drafts-target-newtopic-headline', data.headline)
+				: cd.s('drafts-target-newtopic')
+		}
+
+		if (data.targetData?.headline) {
+			return cd.s(
+				data.mode === 'addSubsection' ? 'drafts-target-subsection' : 'drafts-target-section',
+				data.targetData.headline,
+			)
+		}
+
+		const parsedId = data.targetData?.id ? Comment.parseId(data.targetData.id) : undefined
+		if (parsedId) {
+			return cd.s(
+				data.mode === 'edit' ? 'drafts-target-edit' : 'drafts-target-comment',
+				parsedId.author,
+				formatDate(parsedId.date),
+			)
+		}
+
+		return cd.s('drafts-target-unknown')
+	}
+}
+
+es6ClassToOoJsClass(DraftsDialog)
+
+export default DraftsDialog
@@ -0,0 +1,265 @@
+import AutocompleteCache from './AutocompleteCache'
+import BaseAutocomplete from './BaseAutocomplete'
+import LocalStorageItem from './LocalStorageItem'
+import { emoji, symbols } from './emojiData'
+import cd from './loader/cd'
+
+/**
+ * @typedef {object} EmojiEntry
+ * @property {string} character
+ * @property {string} name
+ * @property {string[]} keywords
+ * @property {boolean} isSymbol Whether the character is a Unicode symbol that is not an emoji.
+ */
+
+/**
+ * Autocomplete class for emoji and other Unicode symbols, triggered by a colon followed by the name
+ * of the character, like `:smile`. Characters that the user chose often come first.
+ */
+class EmojiAutocomplete extends BaseAutocomplete {
+	/**
+	 * Cache used to count how often the user chooses characters, shared by all instances and
+	 * persisted in the local storage.
+	 *
+	 * @type {AutocompleteCache | undefined}
+	 * @private
+	 */
+	static usageCache
+
+	/**
+	 * Storage item the usage counts are persisted in.
+	 *
+	 * @type {LocalStorageItem | undefined}
+	 * @private
+	 */
+	static usageStorage
+
+	/**
+	 * Create the default lazy loading function for emoji.
+	 *
+	 * @returns {EmojiEntry[]}
+	 * @override
+	 */
+	defaultLazy = () => [
+		...emoji.map(([character, name, ...keywords]) => ({
+			character,
+			name,
+			keywords,
+			isSymbol: false,
+		})),
+		...symbols.map(([character, name, ...keywords]) => ({
+			character,
+			name,
+			keywords,
+			isSymbol: true,
+		})),
+	]
+
+	/**
+	 * Get the display label for emoji autocomplete.
+	 *
+	 * @override
+	 * @returns {string}
+	 */
+	getLabel() {
+		return cd.s('cf-autocomplete-emoji-label')
+	}
+
+	/**
+	 * Get the trigger character for emoji autocomplete.
+	 *
+	 * @override
+	 * @returns {string}
+	 */
+	getTrigger() {
+		return ':'
+	}
+
+	/**
+	 * Transform an emoji entry into insertion data for the Tribute library.
+	 *
+	 * @override
+	 * @param {EmojiEntry} entry The emoji entry to transform
+	 * @returns {import('./tribute/Tribute').Insertion}
+	 */
+	getInsertionFromEntry(entry) {
+		if (entry.isSymbol || !cd.config.emojiTemplate) {
+			return { start: entry.character }
+		}
+
+		// Split by code points, skipping variation selectors
+		const codePoints = (entry.character.match(/[^\uFE0F]/gu) || [])
+			.map((char) => /** @type {number} */ (char.codePointAt(0)).toString(16))
+			.join('-')
+
+		return {
+			start: cd.config.emojiTemplate.replace(/\$1/g, entry.character).replace(/\$2/g, codePoints),
+		}
+	}
+
+	/**
+	 * Count the usage of the chosen character.
+	 *
+	 * @override
+	 * @param {EmojiEntry} entry
+	 */
+	onEntryChoose(entry) {
+		const { cache, storage } = EmojiAutocomplete.getUsage()
+
+		// The user could choose characters in other tabs
+		cache.import(storage.reload().getData())
+
+		if (cache.has(entry.character)) {
+			cache.get(entry.character)
+		} else {
+			cache.set(entry.character, [entry.character])
+		}
+		storage.setData(cache.export()).save()
+	}
+
+	/**
+	 * Validate input text for emoji autocomplete.
+	 *
+	 * @override
+	 * @param {string} text The input text to validate
+	 * @returns {boolean} Whether the input is valid
+	 */
+	validateInput(text) {
+		// Require at least two characters so that colons in regular text, like in indentation or in
+		// "[[:Category:...]]", don't bring up the menu too easily
+		return /^[a-z0-9_+-]{2,}$/i.test(text)
+	}
+
+	/**
+	 * Emoji autocomplete doesn't make API requests - it only uses the bundled data.
+	 *
+	 * @override
+	 * @param {string} _text The search text (unused)
+	 * @returns {Promise<string[]>} Empty array since no API requests are made
+	 */
+	// eslint-disable-next-line @typescript-eslint/require-await
+	async makeApiRequest(_text) {
+		return []
+	}
+
+	/**
+	 * Check if this is a local-only autocomplete (no API requests).
+	 *
+	 * @override
+	 * @returns {boolean}
+	 * @protected
+	 */
+	isLocalOnly() {
+		return true
+	}
+
+	/**
+	 * Get local matches for emoji. Characters the user has chosen more often come first, then
+	 * characters whose name starts with the text, then characters with a keyword starting with the
+	 * text, then characters whose name or keyword contains the text.
+	 *
+	 * @override
+	 * @param {string} text The search text
+	 * @returns {EmojiEntry[]} Matching emoji entries
+	 * @protected
+	 */
+	getLocalMatches(text) {
+		if (!this.validateInput(text)) {
+			return []
+		}
+
+		const query = text.toLowerCase()
+		const usageCounts = EmojiAutocomplete.getUsageCounts()
+
+		/**
+		 * @param {EmojiEntry} entry
+		 * @returns {number}
+		 */
+		const getMatchRank = (entry) => {
+			const words = [entry.name, ...entry.keywords].map((word) => word.toLowerCase())
+			if (words[0].startsWith(query)) {
+				return 0
+			} else if (words.some((word) => word.startsWith(query))) {
+				return 1
+			} else if (words.some((word) => word.includes(query))) {
+				return 2
+			}
+
+			return -1
+		}
+
+		return this.getDefaultEntries()
+			.map((entry) => ({ entry, matchRank: getMatchRank(entry) }))
+			.filter(({ matchRank }) => matchRank !== -1)
+			.sort(
+				(match1, match2) =>
+					(usageCounts.get(match2.entry.character) || 0) -
+						(usageCounts.get(match1.entry.character) || 0) || match1.matchRank - match2.matchRank,
+			)
+			.map(({ entry }) => entry)
+	}
+
+	/**
+	 * Extract the display label from an emoji entry.
+	 *
+	 * @override
+	 * @param {EmojiEntry} entry The emoji entry to extract label from
+	 * @returns {string} The display label
+	 */
+	getLabelFromEntry(entry) {
+		return `${entry.character} :${entry.name}:`
+	}
+
+	/**
+	 * Get collection-specific properties for Tribute configuration.
+	 *
+	 * @override
+	 * @returns {Partial<import('./tribute/Tribute').TributeCollection>} Collection properties
+	 */
+	getCollectionProperties() {
+		return {
+			// Only whitespace, as opposed to punctuation, so that "[[:" or "::" don't trigger the menu
+			requireLeadingSpace: true,
+			leadingCharRegexp: /\s/,
+		}
+	}
+
+	/**
+	 * Get the cache with the usage counts of characters and the storage item it is persisted in,
+	 * creating them if needed.
+	 *
+	 * @returns {{ cache: AutocompleteCache; storage: LocalStorageItem }}
+	 * @private
+	 */
+	static getUsage() {
+		if (!this.usageCache || !this.usageStorage) {
+			this.usageStorage = new LocalStorageItem('emojiUsage')
+			this.usageCache = new AutocompleteCache({
+				maxSize: 50,
+				ttl: 90 * cd.g.msInDay,
+				enableStats: false,
+			})
+			this.usageCache.import(this.usageStorage.getData())
+		}
+
+		return { cache: this.usageCache, storage: this.usageStorage }
+	}
+
+	/**
+	 * Get the number of times the user has chosen each character.
+	 *
+	 * @returns {Map<string, number>}
+	 * @private
+	 */
+	static getUsageCounts() {
+		const { cache } = this.getUsage()
+
+		return new Map(
+			cache
+				.getTopEntries(cache.maxSize)
+				.map(([character, entry]) => [character, entry.accessCount]),
+		)
+	}
+}
+
+export default EmojiAutocomplete
@@ -0,0 +1,198 @@
+import DivLabelWidget from './DivLabelWidget'
+import cd from './loader/cd'
+import { exportDiscussion, exportFormats } from './utils-export'
+import { es6ClassToOoJsClass } from './utils-oojs-class'
+import { copyText, mergeJquery } from './utils-window'
+
+/**
+ * Class used to create an "Export" dialog that converts a section or a thread to Markdown, plain
+ * text or JSON and allows to copy or download the result.
+ *
+ * @augments OO.ui.MessageDialog
+ */
+class ExportDialog extends OO.ui.MessageDialog {
+	// @ts-expect-error: https://phabricator.wikimedia.org/T358416
+	static name = 'exportDialog'
+
+	static actions = [
+		{
+			label: cd.s('export-copy'),
+			action: 'copy',
+			flags: ['primary', 'progressive'],
+		},
+		{
+			label: cd.s('export-download'),
+			action: 'download',
+		},
+		{
+			label: cd.s('export-close'),
+			action: 'close',
+		},
+	]
+
+	/** @type {DivLabelWidget} */
+	message
+
+	/** @type {OO.ui.ButtonSelectWidget} */
+	formatSelect
+
+	/** @type {OO.ui.MultilineTextInputWidget} */
+	output
+
+	/**
+	 * Create an "Export" dialog.
+	 *
+	 * @param {import('./utils-export').ExportedDiscussion} discussion
+	 * @param {boolean} isThread Whether a thread is exported (as opposed to a section).
+	 */
+	constructor(discussion, isThread) {
+		super({
+			classes: ['cd-dialog-export'],
+		})
+		this.discussion = discussion
+		this.isThread = isThread
+	}
+
+	/**
+	 * OOUI native method that initializes window contents.
+	 *
+	 * @override
+	 * @returns {this}
+	 * @see https://doc.wikimedia.org/oojs-ui/master/js/OO.ui.MessageDialog.html#initialize
+	 * @see https://www.mediawiki.org/wiki/OOUI/Windows#Window_lifecycle
+	 * @ignore
+	 */
+	initialize() {
+		super.initialize()
+
+		// By default, the whole message is wrapped in a <label> element. We don't want that behavior
+		// and revert it.
+		this.message.$element.remove()
+		this.message = new DivLabelWidget({ classes: ['oo-ui-messageDialog-message'] })
+		this.text.$element.append(this.message.$element)
+
+		const format = cd.settings.get('exportFormat')
+		this.formatSelect = new OO.ui.ButtonSelectWidget({
+			items: /** @type {import('./utils-export').ExportFormat[]} */ (
+				Object.keys(exportFormats)
+			).map(
+				(name) =>
+					new OO.ui.ButtonOptionWidget({
+						data: name,
+						label: cd.s(`export-format-${name}`),
+						selected: name === format,
+					}),
+			),
+			classes: ['cd-dialog-export-formatSelect'],
+		})
+		this.formatSelect.on('choose', (item) => {
+			this.updateOutput()
+			cd.settings.saveSettingOnTheFly('exportFormat', item.getData())
+		})
+
+		this.output = new OO.ui.MultilineTextInputWidget({
+			readOnly: true,
+			rows: 15,
+			classes: ['cd-dialog-export-output', 'cd-input-monospace'],
+		})
+
+		return this
+	}
+
+	/**
+	 * OOUI native method that returns a "setup" process which is used to set up a window for use in a
+	 * particular context, based on the `data` argument.
+	 *
+	 * @override
+	 * @param {object} [data] Dialog opening data
+	 * @returns {OO.ui.Process}
+	 * @see https://doc.wikimedia.org/oojs-ui/master/js/OO.ui.Dialog.html#getSetupProcess
+	 * @see https://www.mediawiki.org/wiki/OOUI/Windows#Window_lifecycle
+	 * @ignore
+	 */
+	getSetupProcess(data) {
+		return super.getSetupProcess(data).next(() => {
+			this.title.setLabel(cd.s(this.isThread ? 'export-title-thread' : 'export-title-section'))
+			this.message.setLabel(mergeJquery(this.formatSelect.$element, this.output.$element))
+			this.size = 'larger'
+			this.updateOutput()
+		})
+	}
+
+	/**
+	 * OOUI native method that returns a process for taking action.
+	 *
+	 * @override
+	 * @param {string} action Symbolic name of the action.
+	 * @returns {OO.ui.Process}
+	 * @see https://doc.wikimedia.org/oojs-ui/master/js/OO.ui.Dialog.html#getActionProcess
+	 * @ignore
+	 */
+	getActionProcess(action) {
+		if (action === 'copy') {
+			return new OO.ui.Process(() => {
+				copyText(this.output.getValue(), {
+					success: cd.s('export-copied'),
+					fail: cd.s('export-copy-error'),
+				})
+			})
+		}
+
+		if (action === 'download') {
+			return new OO.ui.Process(() => {
+				this.download()
+			})
+		}
+
+		return super.getActionProcess(action)
+	}
+
+	/**
+	 * Get the selected format.
+	 *
+	 * @returns {import('./utils-export').ExportFormat}
+	 * @private
+	 */
+	getFormat() {
+		const item = /** @type {OO.ui.OptionWidget} */ (this.formatSelect.findSelectedItem())
+
+		return /** @type {import('./utils-export').ExportFormat} */ (item.getData())
+	}
+
+	/**
+	 * Convert the discussion to the selected format and put the result into the output.
+	 *
+	 * @private
+	 */
+	updateOutput() {
+		this.output.setValue(exportDiscussion(this.discussion, this.getFormat()))
+	}
+
+	/**
+	 * Save the output to a file.
+	 *
+	 * @private
+	 */
+	download() {
+		const { extension, mimeType } = exportFormats[this.getFormat()]
+		const url = URL.createObjectURL(
+			new Blob([this.output.getValue()], { type: `${mimeType};charset=utf-8` }),
+		)
+		const fileName = (this.discussion.title ?? this.discussion.page)
+			// Characters not allowed in file names on some systems
+			.replace(/[\\/:*?"<>|]+/g, '_')
+		const link = document.createElement('a')
+		link.href = url
+		link.download = `${fileName}.${extension}`
+		link.click()
+
+		// Revoking synchronously may cancel the download in some browsers.
+		setTimeout(() => {
+			URL.revokeObjectURL(url)
+		})
+	}
+}
+
+es6ClassToOoJsClass(ExportDialog)
+
+export default ExportDialog
@@ -0,0 +1,406 @@
+/**
+ * @typedef {object} AffixRule
+ * @property {'PFX' | 'SFX'} type
+ * @property {string} flag
+ * @property {boolean} crossProduct Whether the rule can be combined with affixes of the other type.
+ * @property {string} strip Characters stripped from the stem before adding the affix.
+ * @property {string} add The affix.
+ * @property {RegExp} condition Condition the stem must satisfy.
+ */
+
+/**
+ * Dictionary in the {@link https://github.com/hunspell/hunspell Hunspell} format (a pair of an
+ * `.aff` and a `.dic` file) that checks words and suggests corrections. Supported are prefixes and
+ * suffixes (including their combinations), the `TRY`, `REP`, `FLAG`, `NEEDAFFIX`, `NOSUGGEST`, and
+ * `FORBIDDENWORD` directives. Compounding and morphological analysis are not supported.
+ */
+class HunspellDictionary {
+	/**
+	 * Flags of the stems by stems. A stem may have several entries (homonyms).
+	 *
+	 * @type {Map<string, string[][]>}
+	 * @private
+	 */
+	stems = new Map()
+
+	/**
+	 * Suffix rules by the suffixes they add.
+	 *
+	 * @type {Map<string, AffixRule[]>}
+	 * @private
+	 */
+	suffixRules = new Map()
+
+	/**
+	 * Prefix rules by the prefixes they add.
+	 *
+	 * @type {Map<string, AffixRule[]>}
+	 * @private
+	 */
+	prefixRules = new Map()
+
+	/**
+	 * Characters to try when generating suggestions, more frequent ones first.
+	 *
+	 * @type {string}
+	 * @private
+	 */
+	tryCharacters = ''
+
+	/**
+	 * Pairs of typical misspellings and their corrections.
+	 *
+	 * @type {[string, string][]}
+	 * @private
+	 */
+	replacements = []
+
+	/**
+	 * Format of the flags: `'short'` (one character), `'long'` (two characters), `'num'` (numbers
+	 * separated by commas), or `'UTF-8'` (one Unicode character).
+	 *
+	 * @type {string}
+	 * @private
+	 */
+	flagFormat = 'short'
+
+	/**
+	 * Special flags set in the affix file.
+	 *
+	 * @type {{ needAffix?: string; noSuggest?: string; forbiddenWord?: string }}
+	 * @private
+	 */
+	specialFlags = {}
+
+	/**
+	 * Create a dictionary.
+	 *
+	 * @param {string} aff Contents of the affix file.
+	 * @param {string} dic Contents of the dictionary file.
+	 */
+	constructor(aff, dic) {
+		this.parseAff(aff)
+		this.parseDic(dic)
+	}
+
+	/**
+	 * Parse the affix file.
+	 *
+	 * @param {string} aff
+	 * @private
+	 */
+	parseAff(aff) {
+		const lines = aff
+			.split('\n')
+			.map((line) => line.replace(/(^|\s)#.*/, '').trim())
+			.filter(Boolean)
+		for (let i = 0; i < lines.length; i++) {
+			const [directive, ...args] = lines[i].split(/\s+/)
+			switch (directive) {
+				case 'FLAG':
+					this.flagFormat = args[0]
+					break
+				case 'TRY':
+					this.tryCharacters = args[0] || ''
+					break
+				case 'NEEDAFFIX':
+					this.specialFlags.needAffix = args[0]
+					break
+				case 'NOSUGGEST':
+					this.specialFlags.noSuggest = args[0]
+					break
+				case 'FORBIDDENWORD':
+					this.specialFlags.forbiddenWord = args[0]
+					break
+				case 'REP': {
+					// The first REP line contains the number of the following lines.
+					if (args.length >= 2) {
+						this.replacements.push([args[0].replace(/_/g, ' '), args[1].replace(/_/g, ' ')])
+					}
+					break
+				}
+				case 'PFX':
+				case 'SFX': {
+					const [flag, crossProduct, count] = args
+					const ruleCount = Number(count)
+					for (let j = 1; j <= ruleCount && i + j < lines.length; j++) {
+						const rule = this.parseAffixRule(directive, flag, crossProduct === 'Y', lines[i + j])
+						if (rule) {
+							const rules = directive === 'PFX' ? this.prefixRules : this.suffixRules
+							rules.set(rule.add, [...(rules.get(rule.add) || []), rule])
+						}
+					}
+					i += ruleCount
+					break
+				}
+			}
+		}
+	}
+
+	/**
+	 * Parse a line of an affix rule, like `SFX A y ies [^aeiou]y`.
+	 *
+	 * @param {'PFX' | 'SFX'} type
+	 * @param {string} flag
+	 * @param {boolean} crossProduct
+	 * @param {string} line
+	 * @returns {AffixRule | undefined}
+	 * @private
+	 */
+	parseAffixRule(type, flag, crossProduct, line) {
+		// The line starts with the type and the flag
+		const [strip, addWithFlags, condition = '.'] = line.split(/\s+/).slice(2)
+		if (!addWithFlags) return
+
+		// Continuation classes after the slash are not supported
+		const add = addWithFlags.split('/')[0]
+
+		let conditionRegexp
+		try {
+			conditionRegexp = new RegExp(type === 'PFX' ? `^${condition}` : `${condition}$`, 'u')
+		} catch {
+			return
+		}
+
+		return {
+			type,
+			flag,
+			crossProduct,
+			strip: strip === '0' ? '' : strip,
+			add: add === '0' ? '' : add,
+			condition: conditionRegexp,
+		}
+	}
+
+	/**
+	 * Parse the dictionary file.
+	 *
+	 * @param {string} dic
+	 * @private
+	 */
+	parseDic(dic) {
+		dic
+			.split('\n')
+
+			// The first line contains the approximate number of the words
+			.slice(1)
+
+			.forEach((line) => {
+				// Morphological fields go after whitespace; slashes in words are escaped
+				const [, word, flags = ''] = line.trim().match(/^((?:\\\/|[^/\s])+)(?:\/(\S+))?/) || []
+				if (!word) return
+
+				const stem = word.replace(/\\\//g, '/')
+				this.stems.set(stem, [...(this.stems.get(stem) || []), this.parseFlags(flags)])
+			})
+	}
+
+	/**
+	 * Split a string of flags into separate flags according to the flag format.
+	 *
+	 * @param {string} flags
+	 * @returns {string[]}
+	 * @private
+	 */
+	parseFlags(flags) {
+		if (!flags) {
+			return []
+		}
+
+		switch (this.flagFormat) {
+			case 'long':
+				return flags.match(/../g) || []
+			case 'num':
+				return flags.split(',')
+			default:
+				return flags.match(/./gsu) || []
+		}
+	}
+
+	/**
+	 * Check whether a stem is in the dictionary with a flag (or with no requirements if the flag is
+	 * not specified).
+	 *
+	 * @param {string} stem
+	 * @param {string[]} [requiredFlags]
+	 * @returns {boolean}
+	 * @private
+	 */
+	hasStem(stem, requiredFlags = []) {
+		return (this.stems.get(stem) || []).some(
+			(flags) =>
+				!(this.specialFlags.forbiddenWord && flags.includes(this.specialFlags.forbiddenWord)) &&
+				(requiredFlags.length
+					? requiredFlags.every((flag) => flags.includes(flag))
+					: !(this.specialFlags.needAffix && flags.includes(this.specialFlags.needAffix))),
+		)
+	}
+
+	/**
+	 * Get the rules that could have produced a word, together with the stems the word would have
+	 * without the affixes.
+	 *
+	 * @param {string} word
+	 * @param {Map<string, AffixRule[]>} rulesByAffix
+	 * @param {'PFX' | 'SFX'} type
+	 * @returns {Array<{ rule: AffixRule; stem: string }>}
+	 * @private
+	 */
+	getAffixCandidates(word, rulesByAffix, type) {
+		/** @type {Array<{ rule: AffixRule; stem: string }>} */
+		const candidates = []
+		for (let length = 0; length < word.length; length++) {
+			const affix = type === 'PFX' ? word.slice(0, length) : word.slice(word.length - length)
+			;(rulesByAffix.get(affix) || []).forEach((rule) => {
+				const stem =
+					type === 'PFX'
+						? rule.strip + word.slice(length)
+						: word.slice(0, word.length - length) + rule.strip
+				if (rule.condition.test(stem)) {
+					candidates.push({ rule, stem })
+				}
+			})
+		}
+
+		return candidates
+	}
+
+	/**
+	 * Check whether a word in the given case is correct.
+	 *
+	 * @param {string} word
+	 * @returns {boolean}
+	 * @private
+	 */
+	checkExact(word) {
+		if (this.hasStem(word)) {
+			return true
+		}
+
+		const suffixCandidates = this.getAffixCandidates(word, this.suffixRules, 'SFX')
+		if (suffixCandidates.some(({ rule, stem }) => this.hasStem(stem, [rule.flag]))) {
+			return true
+		}
+
+		const prefixCandidates = this.getAffixCandidates(word, this.prefixRules, 'PFX')
+		if (prefixCandidates.some(({ rule, stem }) => this.hasStem(stem, [rule.flag]))) {
+			return true
+		}
+
+		// Prefix and suffix combined
+		return prefixCandidates
+			.filter(({ rule }) => rule.crossProduct)
+			.some(({ rule: prefixRule, stem: wordWithoutPrefix }) =>
+				this.getAffixCandidates(wordWithoutPrefix, this.suffixRules, 'SFX')
+					.filter(({ rule }) => rule.crossProduct)
+					.some(({ rule: suffixRule, stem }) =>
+						this.hasStem(stem, [prefixRule.flag, suffixRule.flag]),
+					),
+			)
+	}
+
+	/**
+	 * Check whether a word is spelled correctly. Capitalized words and words in all caps are also
+	 * checked in lower case.
+	 *
+	 * @param {string} word
+	 * @returns {boolean}
+	 */
+	check(word) {
+		word = word.replace(/’/g, "'")
+		if (this.checkExact(word)) {
+			return true
+		}
+
+		const lowerCase = word.toLowerCase()
+		if (lowerCase === word) {
+			return false
+		}
+
+		const capitalized = word.charAt(0) + word.slice(1).toLowerCase()
+
+		return (
+			(word === capitalized || word === word.toUpperCase()) &&
+			(this.checkExact(lowerCase) || (word !== capitalized && this.checkExact(capitalized)))
+		)
+	}
+
+	/**
+	 * Get suggestions for a misspelled word: typical misspellings from the `REP` table first, then
+	 * words that differ by one edit.
+	 *
+	 * @param {string} word
+	 * @param {number} [limit]
+	 * @returns {string[]}
+	 */
+	suggest(word, limit = 5) {
+		const firstCharacter = word.charAt(0)
+		const isCapitalized = firstCharacter !== firstCharacter.toLowerCase()
+		const lowerCase = isCapitalized ? firstCharacter.toLowerCase() + word.slice(1) : word
+		const characters = this.tryCharacters || [...new Set(lowerCase)].join('')
+
+		/** @type {string[]} */
+		const candidates = []
+		this.replacements.forEach(([from, to]) => {
+			for (let i = lowerCase.indexOf(from); i !== -1; i = lowerCase.indexOf(from, i + 1)) {
+				candidates.push(lowerCase.slice(0, i) + to + lowerCase.slice(i + from.length))
+			}
+		})
+		for (let i = 0; i < lowerCase.length; i++) {
+			// Transposition
+			if (i < lowerCase.length - 1) {
+				candidates.push(
+					lowerCase.slice(0, i) + lowerCase[i + 1] + lowerCase[i] + lowerCase.slice(i + 2),
+				)
+			}
+
+			// Deletion
+			candidates.push(lowerCase.slice(0, i) + lowerCase.slice(i + 1))
+		}
+		for (const character of characters) {
+			for (let i = 0; i <= lowerCase.length; i++) {
+				// Replacement
+				if (i < lowerCase.length && lowerCase[i] !== character) {
+					candidates.push(lowerCase.slice(0, i) + character + lowerCase.slice(i + 1))
+				}
+
+				// Insertion
+				candidates.push(lowerCase.slice(0, i) + character + lowerCase.slice(i))
+			}
+		}
+
+		// Missing space
+		for (let i = 1; i < lowerCase.length; i++) {
+			candidates.push(lowerCase.slice(0, i) + ' ' + lowerCase.slice(i))
+		}
+
+		return [...new Set(candidates)]
+			.filter(
+				(candidate) =>
+					candidate &&
+					candidate !== lowerCase &&
+					candidate.split(' ').every((part) => this.check(part)) &&
+					!this.isNoSuggest(candidate),
+			)
+			.map((candidate) =>
+				isCapitalized ? candidate.charAt(0).toUpperCase() + candidate.slice(1) : candidate,
+			)
+			.slice(0, limit)
+	}
+
+	/**
+	 * Check whether a word is marked as the one not to suggest.
+	 *
+	 * @param {string} word
+	 * @returns {boolean}
+	 * @private
+	 */
+	isNoSuggest(word) {
+		const noSuggestFlag = this.specialFlags.noSuggest
+		const entries = this.stems.get(word)
+
+		return Boolean(noSuggestFlag && entries?.every((flags) => flags.includes(noSuggestFlag)))
+	}
+}
+
+export default HunspellDictionary
@@ -1,7 +1,7 @@
 import BaseAutocomplete from './BaseAutocomplete'
 import cd from './loader/cd'
 import CdError from './shared/CdError'
-import { defined, ucFirst } from './shared/utils-general'
+import { defined, ucFirst, unique } from './shared/utils-general'
 import userRegistry from './userRegistry'
 import { handleApiReject } from './utils-api'
 
@@ -9,11 +9,42 @@ import { handleApiReject } from './utils-api'
  * @typedef {string} MentionEntry
  */
 
+/**
+ * @typedef {object} MentionGroup
+ * @property {string} name
+ * @property {string[]} userNames
+ */
+
 /**
  * Autocomplete class for user mentions. Handles `@`-triggered autocomplete for user names,
- * including both registered and unregistered users.
+ * including both registered and unregistered users, and for groups of users, like
+ * `@group:closers`.
  */
 class MentionsAutocomplete extends BaseAutocomplete {
+	/**
+	 * Prefix of the entries for groups of users.
+	 *
+	 * @type {string}
+	 */
+	static groupPrefix = 'group:'
+
+	/**
+	 * Groups from the ping lists set in {@link module:defaultConfig.pingLists the config}, available
+	 * after they are loaded.
+	 *
+	 * @type {MentionGroup[]}
+	 * @private
+	 */
+	static pingLists = []
+
+	/**
+	 * Promise of loading the ping lists.
+	 *
+	 * @type {Promise<void> | undefined}
+	 * @private
+	 */
+	static pingListsPromise
+
 	/**
 	 * Get the display label for mentions autocomplete.
 	 *
@@ -43,12 +74,23 @@ class MentionsAutocomplete extends BaseAutocomplete {
 	 * @returns {import('./tribute/Tribute').Insertion & { end: string, content: string }}
 	 */
 	getInsertionFromEntry(entry, selectedText) {
+		const group = MentionsAutocomplete.getGroupFromEntry(entry)
+		if (group) {
+			return {
+				start: MentionsAutocomplete.getGroupMentionCode(group),
+				end: '',
+				content: '',
+				altModify() {
+					this.end += cd.mws('colon-separator', { language: 'content' })
+				},
+				cmdModify() {
+					this.end += cd.mws('colon-separator', { language: 'content' })
+				},
+			}
+		}
+
 		const name = entry.trim()
-		const user = userRegistry.get(name)
-		const userNamespace = user.getNamespaceAlias()
-		const pageName = user.isRegistered()
-			? `${userNamespace}:${name}`
-			: `${cd.g.contribsPages[0]}/${name}`
+		const pageName = MentionsAutocomplete.getUserPageName(name)
 
 		// Use selected text as content if available, otherwise use the user name
 
@@ -68,6 +110,55 @@ class MentionsAutocomplete extends BaseAutocomplete {
 		}
 	}
 
+	/**
+	 * Warn the user if not all members of a chosen group could be mentioned.
+	 *
+	 * @override
+	 * @param {string} entry
+	 */
+	onEntryChoose(entry) {
+		const group = MentionsAutocomplete.getGroupFromEntry(entry)
+		if (!group) return
+
+		const count = MentionsAutocomplete.getGroupMemberNames(group).length
+		if (count > cd.config.mentionLimit) {
+			mw.notify(
+				cd.s('cf-mentions-grouplimit', group.name, String(cd.config.mentionLimit), String(count)),
+				{
+					type: 'warn',
+				},
+			)
+		}
+	}
+
+	/**
+	 * Get local matches for mentions: the default user names and, if the text is empty or starts
+	 * with {@link MentionsAutocomplete.groupPrefix the group prefix}, the groups.
+	 *
+	 * @override
+	 * @param {string} text The search text
+	 * @returns {string[]} Matching entries
+	 * @protected
+	 */
+	getLocalMatches(text) {
+		MentionsAutocomplete.loadPingLists()
+
+		const userMatches = super.getLocalMatches(text)
+		if (text && !text.toLowerCase().startsWith(MentionsAutocomplete.groupPrefix)) {
+			return userMatches
+		}
+
+		return [
+			...userMatches,
+			...this.searchStringList(
+				text,
+				MentionsAutocomplete.getGroups().map(
+					(group) => MentionsAutocomplete.groupPrefix + group.name,
+				),
+			),
+		]
+	}
+
 	/**
 	 * Extract the display label from a mention entry.
 	 *
@@ -156,6 +247,217 @@ class MentionsAutocomplete extends BaseAutocomplete {
 
 		return allUsersResponse.query.allusers.map((/** @type {{ name: string }} */ user) => user.name)
 	}
+
+	/**
+	 * Get the name of the page to link to when mentioning a user: the user page for registered users
+	 * and the contributions page for unregistered ones.
+	 *
+	 * @param {string} name
+	 * @returns {string}
+	 */
+	static getUserPageName(name) {
+		const user = userRegistry.get(name)
+
+		return user.isRegistered()
+			? `${user.getNamespaceAlias()}:${name}`
+			: `${cd.g.contribsPages[0]}/${name}`
+	}
+
+	/**
+	 * Parse a personal group of users from the `mentionGroups` setting, written as
+	 * `name: User 1, User 2`. Commas in user names are escaped with a backslash.
+	 *
+	 * @param {string} code
+	 * @returns {MentionGroup | undefined}
+	 */
+	static parseGroup(code) {
+		const match = code.match(/^([^:]+):(.*)$/)
+		const name = match?.[1].trim()
+		if (!match || !name) return
+
+		const userNames = match[2]
+			.split(/(?<!\\),/)
+			.map((userName) => userName.replace(/\\,/g, ',').trim())
+			.filter(Boolean)
+			.filter(unique)
+		if (!userNames.length) return
+
+		return { name, userNames }
+	}
+
+	/**
+	 * Get the personal groups of users set in the settings, followed by the groups from the ping
+	 * lists that have been loaded. Personal groups take precedence over ping lists with the same
+	 * name.
+	 *
+	 * @returns {MentionGroup[]}
+	 */
+	static getGroups() {
+		const personalGroups = cd.settings
+			.get('mentionGroups')
+			.map((code) => this.parseGroup(code))
+			.filter(defined)
+
+		return [
+			...personalGroups,
+			...this.pingLists.filter(
+				(pingList) => !personalGroups.some((group) => group.name === pingList.name),
+			),
+		]
+	}
+
+	/**
+	 * Get the group that an entry refers to, if any.
+	 *
+	 * @param {string} entry
+	 * @returns {MentionGroup | undefined}
+	 * @private
+	 */
+	static getGroupFromEntry(entry) {
+		if (!entry.startsWith(this.groupPrefix)) return
+
+		const name = entry.slice(this.groupPrefix.length)
+
+		return this.getGroups().find((group) => group.name === name)
+	}
+
+	/**
+	 * Get the names of the members of a group that can be mentioned, i.e. except the current user.
+	 *
+	 * @param {MentionGroup} group
+	 * @returns {string[]}
+	 * @private
+	 */
+	static getGroupMemberNames(group) {
+		return group.userNames.filter((name) => name !== cd.user.getName())
+	}
+
+	/**
+	 * Get the code mentioning the members of a group, using
+	 * {@link module:defaultConfig.pingTemplate the ping template} if set. No more than
+	 * {@link module:defaultConfig.mentionLimit the mention limit} users are mentioned.
+	 *
+	 * @param {MentionGroup} group
+	 * @returns {string}
+	 */
+	static getGroupMentionCode(group) {
+		const userNames = this.getGroupMemberNames(group).slice(0, cd.config.mentionLimit)
+		if (cd.config.pingTemplate) {
+			return (
+				`{{${cd.config.pingTemplate}` +
+				userNames
+					.map((name, i) => (name.includes('=') ? `|${i + 1}=${name}` : `|${name}`))
+					.join('') +
+				'}}'
+			)
+		}
+
+		return userNames
+			.map((name) => `@[[${this.getUserPageName(name)}|${name}]]`)
+			.join(cd.mws('comma-separator', { language: 'content' }))
+	}
+
+	/**
+	 * Load the members of the groups from the ping lists set in
+	 * {@link module:defaultConfig.pingLists the config}, if not loaded yet. The members are the users
+	 * whose user pages are linked from the ping list pages.
+	 *
+	 * @private
+	 */
+	static loadPingLists() {
+		this.pingListsPromise ??= Promise.all(
+			Object.entries(cd.config.pingLists).map(async ([name, pageName]) => {
+				/** @type {ApiResponseQuery<ApiResponseQueryContentPages>} */
+				const response = await cd
+					.getApi(BaseAutocomplete.apiConfig)
+					.get({
+						action: 'query',
+						titles: pageName,
+						prop: 'links',
+						plnamespace: 2,
+						pllimit: 'max',
+						redirects: true,
+					})
+					.catch(handleApiReject)
+
+				return {
+					name,
+					userNames: (response.query?.pages?.[0]?.links || [])
+						.map((link) => (link.title.match(cd.g.userLinkRegexp) || [])[1])
+						.filter(defined)
+						.filter(unique),
+				}
+			}),
+		).then(
+			(pingLists) => {
+				this.pingLists = pingLists.filter((pingList) => pingList.userNames.length)
+			},
+			(/** @type {unknown} */ error) => {
+				cd.debug.logWarn("Couldn't load the ping lists.", error)
+			},
+		)
+	}
+
+	/**
+	 * Sort users in the order of how likely the current user is to mention them in a comment:
+	 *
+	 * 1. Registered authors of the comment being replied to and of its ancestors, closer ones first.
+	 * 2. Other registered users.
+	 * 3. Authors of comments in the section.
+	 * 4. Users who replied to the current user, more recent replies first.
+	 * 5. Users who posted more comments on the page.
+	 *
+	 * Users not distinguished by these signals are sorted by name.
+	 *
+	 * @param {import('./User').default[]} users
+	 * @param {object} context
+	 * @param {import('./Comment').default} [context.parentComment] Comment being replied to.
+	 * @param {import('./Comment').default[]} context.sectionComments Comments in the section.
+	 * @param {import('./Comment').default[]} context.pageComments Comments on the page.
+	 * @returns {import('./User').default[]}
+	 */
+	static rankUsers(users, { parentComment, sectionComments, pageComments }) {
+		/**
+		 * Get a map of users to the indexes of their first occurrence in a list.
+		 *
+		 * @param {import('./User').default[]} list
+		 * @returns {Map<import('./User').default, number>}
+		 */
+		const getFirstIndexes = (list) =>
+			list.reduce((map, user, i) => (map.has(user) ? map : map.set(user, i)), new Map())
+
+		const ancestorIndexes = getFirstIndexes(
+			parentComment
+				? [parentComment, ...parentComment.getAncestors()]
+						.map((comment) => comment.author)
+						.filter((author) => author.isRegistered())
+				: [],
+		)
+		const sectionAuthors = new Set(sectionComments.map((comment) => comment.author))
+		const replierIndexes = getFirstIndexes(
+			pageComments
+				.filter((comment) => comment.getParent()?.isOwn() && !comment.isOwn())
+				.sort((c1, c2) => (c2.date?.getTime() || 0) - (c1.date?.getTime() || 0))
+				.map((comment) => comment.author),
+		)
+		/** @type {Map<import('./User').default, number>} */
+		const commentCounts = new Map()
+		pageComments.forEach((comment) => {
+			commentCounts.set(comment.author, (commentCounts.get(comment.author) || 0) + 1)
+		})
+
+		return users
+			.slice()
+			.sort(
+				(u1, u2) =>
+					(ancestorIndexes.get(u1) ?? Infinity) - (ancestorIndexes.get(u2) ?? Infinity) ||
+					Number(u2.isRegistered()) - Number(u1.isRegistered()) ||
+					Number(sectionAuthors.has(u2)) - Number(sectionAuthors.has(u1)) ||
+					(replierIndexes.get(u1) ?? Infinity) - (replierIndexes.get(u2) ?? Infinity) ||
+					(commentCounts.get(u2) || 0) - (commentCounts.get(u1) || 0) ||
+					(u2.getName() > u1.getName() ? -1 : 1),
+			)
+	}
 }
 
 export default MentionsAutocomplete
@@ -77,6 +77,15 @@ class MultilineTextInputWidget extends mixIntoClass(
 		this.updateCodeMirrorPendingClass()
 	}
 
+	/**
+	 * Set the visual input shown in place of this input, or unset it.
+	 *
+	 * @param {import('./RichTextInput').default} [richTextInput]
+	 */
+	setRichTextInput(richTextInput) {
+		this.richTextInput = richTextInput
+	}
+
 	/**
 	 * Focus this element.
 	 *
@@ -84,6 +93,12 @@ class MultilineTextInputWidget extends mixIntoClass(
 	 * @returns {this}
 	 */
 	focus() {
+		if (this.richTextInput) {
+			this.richTextInput.focus()
+
+			return this
+		}
+
 		if (this.codeMirror?.isActive) {
 			this.codeMirror.view.focus()
 
@@ -99,6 +114,10 @@ class MultilineTextInputWidget extends mixIntoClass(
 	 * @returns {boolean}
 	 */
 	isFocused() {
+		if (this.richTextInput) {
+			return this.richTextInput.$editor.is(':focus')
+		}
+
 		return this.codeMirror?.isActive
 			? this.codeMirror.container.contains(document.activeElement)
 			: this.$input.is(':focus')
@@ -29,6 +29,7 @@ export default function getOoUiInputCodeMirrorClass(/** @type {boolean} */ showT
 			 * @property {typeof import('@codemirror/state').EditorState} EditorState
 			 * @property {typeof import('@codemirror/view').EditorView} EditorView
 			 * @property {import('@codemirror/view').placeholder} placeholder
+			 * @property {typeof import('@codemirror/view').Decoration} Decoration
 			 */
 
 			/**
@@ -37,6 +38,7 @@ export default function getOoUiInputCodeMirrorClass(/** @type {boolean} */ showT
 			this.lib = mw.loader.require('ext.CodeMirror.lib')
 			this.cdPlaceholderCompartment = new this.lib.Compartment()
 			this.cdDisabledCompartment = new this.lib.Compartment()
+			this.cdProofreadingCompartment = new this.lib.Compartment()
 			this.cdChangeExtension = this.lib.EditorView.updateListener.of(this.onCodeMirrorUpdate)
 			this.cdContentClassExtension = this.lib.EditorView.contentAttributes.of({
 				class: 'ime-position-inside',
@@ -126,6 +128,7 @@ export default function getOoUiInputCodeMirrorClass(/** @type {boolean} */ showT
 			extensions.push(
 				this.cdPlaceholderCompartment.of(this.lib.placeholder(placeholderText)),
 				this.cdDisabledCompartment.of([]),
+				this.cdProofreadingCompartment.of([]),
 				this.cdChangeExtension,
 				this.cdContentClassExtension,
 			)
@@ -151,6 +154,38 @@ export default function getOoUiInputCodeMirrorClass(/** @type {boolean} */ showT
 			})
 		}
 
+		/**
+		 * Underline proofreading mistakes in the editor. The marks get the
+		 * `data-cd-proofreading-index` attribute with the index of the mistake in the array.
+		 *
+		 * @param {import('./proofreader').ProofreadingMistake[]} mistakes
+		 */
+		setProofreadingMistakes(mistakes) {
+			// eslint-disable-next-line @typescript-eslint/no-unnecessary-condition
+			if (!this.view) return
+
+			const length = this.view.state.doc.length
+			this.view.dispatch({
+				effects: this.cdProofreadingCompartment.reconfigure(
+					this.lib.EditorView.decorations.of(
+						this.lib.Decoration.set(
+							// The text could change since the mistakes were found
+							mistakes.flatMap((mistake, i) =>
+								mistake.end <= length
+									? [
+											this.lib.Decoration.mark({
+												class: 'cd-proofreading-mistake',
+												attributes: { 'data-cd-proofreading-index': String(i) },
+											}).range(mistake.start, mistake.end),
+										]
+									: [],
+							),
+						),
+					),
+				),
+			})
+		}
+
 		/**
 		 * @override
 		 */
@@ -0,0 +1,327 @@
+import cd from './loader/cd'
+import proofreader from './proofreader'
+import { inputPropsAffectingCoords } from './utils-window'
+
+/**
+ * Class that underlines spelling mistakes in a comment input, be it a textarea or CodeMirror, and
+ * offers corrections in a popup when the user clicks a mistake. Browser spell checking is turned
+ * off for the input as it flags every template name and link target.
+ *
+ * In a textarea, the mistakes are underlined in a backdrop element placed behind the textarea that
+ * copies its text and styles. In CodeMirror, decorations are used.
+ */
+class ProofreadingLayer {
+	/**
+	 * Mistakes found during the last check.
+	 *
+	 * @type {import('./proofreader').ProofreadingMistake[]}
+	 * @private
+	 */
+	mistakes = []
+
+	/**
+	 * Words the user chose to ignore in this input.
+	 *
+	 * @type {string[]}
+	 * @private
+	 */
+	ignoredWords = []
+
+	/**
+	 * @type {import('./proofreader').ProofreadingChecker | undefined}
+	 * @private
+	 */
+	checker
+
+	/**
+	 * Element placed behind the textarea to underline the mistakes in.
+	 *
+	 * @type {JQuery | undefined}
+	 * @private
+	 */
+	$backdrop
+
+	/**
+	 * Popup with corrections for a mistake.
+	 *
+	 * @type {OO.ui.PopupWidget | undefined}
+	 * @private
+	 */
+	popup
+
+	/**
+	 * ID of the scheduled update.
+	 *
+	 * @type {number | undefined}
+	 * @private
+	 */
+	updateRequestId
+
+	/**
+	 * Has the layer been destroyed.
+	 *
+	 * @type {boolean}
+	 * @private
+	 */
+	destroyed = false
+
+	/**
+	 * Create a proofreading layer for an input. Nothing happens if there is no checker for the page
+	 * language.
+	 *
+	 * @param {import('./MultilineTextInputWidget').default} input
+	 */
+	constructor(input) {
+		this.input = input
+
+		proofreader.getChecker().then((checker) => {
+			if (!checker || this.destroyed) return
+
+			this.checker = checker
+			this.attach()
+			this.update()
+		})
+	}
+
+	/**
+	 * Add the backdrop element and event handlers.
+	 *
+	 * @private
+	 */
+	attach() {
+		this.$backdrop = $('<div>')
+			.addClass('cd-proofreading-backdrop')
+			.attr('aria-hidden', 'true')
+			.insertBefore(this.input.$input)
+		this.input.$input.addClass('cd-proofreading-input').on('scroll.cdProofreading', this.syncScroll)
+		this.input.$element.on('click.cdProofreading', this.onClick)
+		this.input.on('change', this.scheduleUpdate)
+		mw.hook('ext.CodeMirror.toggle').add(this.scheduleUpdate)
+		$(window).on('resize.cdProofreading', this.scheduleUpdate)
+	}
+
+	/**
+	 * Check the text of the input in the next animation frame. (CodeMirror doesn't allow to update
+	 * its state while processing another update, and that's when the input emits changes.)
+	 */
+	scheduleUpdate = () => {
+		if (this.updateRequestId !== undefined) return
+
+		this.updateRequestId = requestAnimationFrame(() => {
+			this.updateRequestId = undefined
+			this.update()
+		})
+	}
+
+	/**
+	 * Check the text of the input and underline the mistakes.
+	 *
+	 * @private
+	 */
+	update() {
+		if (!this.checker || this.destroyed) return
+
+		const text = this.input.getValue()
+		this.mistakes = proofreader.findMistakes(text, this.checker, this.ignoredWords)
+
+		// CodeMirror may reset the attribute when it is reinitialized
+		this.input.getEditableElement().attr('spellcheck', 'false')
+
+		const $backdrop = /** @type {JQuery} */ (this.$backdrop)
+		if (this.input.isCodeMirrorActive()) {
+			$backdrop.hide()
+			this.input.codeMirror?.setProofreadingMistakes(this.mistakes)
+
+			return
+		}
+
+		let lastIndex = 0
+		$backdrop
+			.empty()
+			.append(
+				...this.mistakes.flatMap((mistake, i) => {
+					const mark = document.createElement('mark')
+					mark.className = 'cd-proofreading-mistake'
+					mark.dataset.cdProofreadingIndex = String(i)
+					mark.textContent = mistake.word
+					const textBefore = document.createTextNode(text.slice(lastIndex, mistake.start))
+					lastIndex = mistake.end
+
+					return [textBefore, mark]
+				}),
+
+				// A trailing newline isn't displayed in a div, unlike in a textarea
+				document.createTextNode(text.slice(lastIndex) + '\n'),
+			)
+			.show()
+		this.syncStyles()
+	}
+
+	/**
+	 * Make the backdrop look like the textarea and cover it.
+	 *
+	 * @private
+	 */
+	syncStyles() {
+		const textarea = /** @type {HTMLTextAreaElement} */ (this.input.$input[0])
+		const computedStyle = window.getComputedStyle(textarea)
+		const $backdrop = /** @type {JQuery} */ (this.$backdrop)
+		$backdrop.css({
+			...inputPropsAffectingCoords.reduce((props, propName) => {
+				props[propName] = computedStyle[propName]
+
+				return props
+			}, /** @type {{ [key: string | symbol]: any }} */ ({})),
+			top: textarea.offsetTop,
+			left: textarea.offsetLeft,
+			width: textarea.offsetWidth,
+			height: textarea.offsetHeight,
+		})
+		this.syncScroll()
+	}
+
+	/**
+	 * Scroll the backdrop together with the textarea.
+	 *
+	 * @private
+	 */
+	syncScroll = () => {
+		const $backdrop = /** @type {JQuery} */ (this.$backdrop)
+		$backdrop.scrollTop(this.input.$input.scrollTop() || 0)
+		$backdrop.scrollLeft(this.input.$input.scrollLeft() || 0)
+	}
+
+	/**
+	 * Show the popup with corrections if the user clicked a mistake.
+	 *
+	 * @private
+	 */
+	onClick = () => {
+		const { from, to } = this.input.getRange()
+		const index = this.mistakes.findIndex(
+			(mistake) => from === to && mistake.start <= from && from <= mistake.end,
+		)
+		this.popup?.$element.remove()
+		this.popup = undefined
+		if (index === -1) return
+
+		const $mark = (
+			this.input.isCodeMirrorActive()
+				? this.input.getEditableElement()
+				: /** @type {JQuery} */ (this.$backdrop)
+		).find(`[data-cd-proofreading-index="${index}"]`)
+		if (!$mark.length) return
+
+		this.showPopup(this.mistakes[index], $mark)
+	}
+
+	/**
+	 * Show the popup with corrections for a mistake.
+	 *
+	 * @param {import('./proofreader').ProofreadingMistake} mistake
+	 * @param {JQuery} $mark Element underlining the mistake.
+	 * @private
+	 */
+	showPopup(mistake, $mark) {
+		const suggestions = /** @type {import('./proofreader').ProofreadingChecker} */ (
+			this.checker
+		).suggest(mistake.word)
+		const suggestionButtons = suggestions.map((suggestion) =>
+			new OO.ui.ButtonWidget({
+				label: suggestion,
+				framed: false,
+				flags: ['progressive'],
+			}).on('click', () => {
+				this.replace(mistake, suggestion)
+			}),
+		)
+		const addButton = new OO.ui.ButtonWidget({
+			label: cd.s('cf-proofreading-add'),
+			icon: 'add',
+			framed: false,
+		}).on('click', () => {
+			proofreader.addWord(mistake.word)
+			this.closePopupAndUpdate()
+		})
+		const ignoreButton = new OO.ui.ButtonWidget({
+			label: cd.s('cf-proofreading-ignore'),
+			icon: 'cancel',
+			framed: false,
+		}).on('click', () => {
+			this.ignoredWords.push(mistake.word)
+			this.closePopupAndUpdate()
+		})
+
+		this.popup = new OO.ui.PopupWidget({
+			$content: $('<div>').append(
+				suggestions.length
+					? $('<div>')
+							.addClass('cd-proofreading-suggestions')
+							.append(suggestionButtons.map((button) => button.$element))
+					: $('<div>')
+							.addClass('cd-proofreading-noSuggestions')
+							.text(cd.s('cf-proofreading-nosuggestions')),
+				$('<div>')
+					.addClass('cd-proofreading-actions')
+					.append(addButton.$element, ignoreButton.$element),
+			),
+			$floatableContainer: $mark,
+			$container: this.input.$element,
+			autoClose: true,
+			padded: true,
+			width: null,
+			classes: ['cd-proofreading-popup'],
+		})
+		this.input.$element.append(this.popup.$element)
+		this.popup.toggle(true)
+	}
+
+	/**
+	 * Replace a mistake with a correction, keeping the undo/redo functionality.
+	 *
+	 * @param {import('./proofreader').ProofreadingMistake} mistake
+	 * @param {string} correction
+	 * @private
+	 */
+	replace(mistake, correction) {
+		// The text could change since the mistake was found
+		if (this.input.getValue().slice(mistake.start, mistake.end) === mistake.word) {
+			this.input.selectRange(mistake.start, mistake.end).insertContent(correction)
+		}
+		this.closePopupAndUpdate()
+	}
+
+	/**
+	 * Close the popup and check the text again.
+	 *
+	 * @private
+	 */
+	closePopupAndUpdate() {
+		this.popup?.$element.remove()
+		this.popup = undefined
+		this.update()
+	}
+
+	/**
+	 * Remove the layer from the input and restore browser spell checking.
+	 */
+	destroy() {
+		this.destroyed = true
+		if (this.updateRequestId !== undefined) {
+			cancelAnimationFrame(this.updateRequestId)
+		}
+		this.popup?.$element.remove()
+		if (!this.checker) return
+
+		this.$backdrop?.remove()
+		this.input.$input.removeClass('cd-proofreading-input').off('.cdProofreading')
+		this.input.$element.off('.cdProofreading')
+		this.input.off('change', this.scheduleUpdate)
+		mw.hook('ext.CodeMirror.toggle').remove(this.scheduleUpdate)
+		$(window).off('resize.cdProofreading', this.scheduleUpdate)
+		this.input.getEditableElement().removeAttr('spellcheck')
+		this.input.codeMirror?.setProofreadingMistakes([])
+	}
+}
+
+export default ProofreadingLayer
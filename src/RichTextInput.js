@@ -0,0 +1,461 @@
+import cd from './loader/cd'
+import { htmlToWikitext, wikitextToHtml } from './utils-rich-text'
+
+/**
+ * Class that provides a visual input in place of the comment input. The comment input is hidden
+ * but stays the source of truth: the content of the visual input is converted to wikitext on every
+ * change and put into it, so the preview, submitting, drafts, etc. work as usual. Changes made to
+ * the comment input by other means (for example, quoting) are shown in the visual input.
+ *
+ * Only some markup is shown visually (see {@link module:utilsRichText}); the rest stays as source
+ * code.
+ */
+class RichTextInput {
+	/**
+	 * Wikitext that the visual input currently corresponds to.
+	 *
+	 * @type {string | undefined}
+	 * @private
+	 */
+	syncedWikitext
+
+	/**
+	 * Names of the tags that were lost when converting the content of the visual input to wikitext.
+	 *
+	 * @type {Set<string>}
+	 * @private
+	 */
+	unsupportedTags = new Set()
+
+	/**
+	 * Whether some markup in the last wikitext shown in the visual input is shown as source code.
+	 *
+	 * @type {boolean}
+	 * @private
+	 */
+	sourceShown = false
+
+	/**
+	 * Selection range that the visual input had when it lost focus.
+	 *
+	 * @type {Range | undefined}
+	 * @private
+	 */
+	lastRange
+
+	/**
+	 * Create a visual input for a comment input.
+	 *
+	 * @param {import('./MultilineTextInputWidget').default} commentInput
+	 * @param {object} options
+	 * @param {number} options.tabIndex
+	 * @param {(tags: string[]) => void} options.onUnsupportedTags Function called when some tags are
+	 *   lost when converting the content to wikitext for the first time, e.g. after pasting. It
+	 *   receives the names of all tags lost so far.
+	 */
+	constructor(commentInput, { tabIndex, onUnsupportedTags }) {
+		this.commentInput = commentInput
+		this.onUnsupportedTags = onUnsupportedTags
+
+		/**
+		 * Editable element.
+		 *
+		 * @type {JQuery}
+		 */
+		this.$editor = $('<div>')
+			.addClass('cd-richTextInput-editor mw-body-content')
+			.attr({
+				'contenteditable': 'true',
+				'role': 'textbox',
+				'aria-multiline': 'true',
+				'aria-label': cd.s('cf-visual-label'),
+				tabIndex,
+			})
+			.on('input', this.onInput)
+			.on('paste', this.onPaste)
+			.on('keydown', this.onKeydown)
+			.on('focus', () => {
+				// Make Enter create <p>s, not <div>s, in all browsers
+				document.execCommand('defaultParagraphSeparator', false, 'p')
+			})
+			.on('blur', () => {
+				this.lastRange = this.getRange()
+			})
+
+		const toolbar = new OO.ui.ButtonGroupWidget({
+			items: [
+				this.createButton('bold', 'cf-visual-bold', () => {
+					document.execCommand('bold')
+				}),
+				this.createButton('italic', 'cf-visual-italic', () => {
+					document.execCommand('italic')
+				}),
+				this.createButton('link', 'cf-visual-link', () => {
+					this.insertLink()
+				}),
+				this.createButton('listBullet', 'cf-visual-bulletlist', () => {
+					document.execCommand('insertUnorderedList')
+				}),
+				this.createButton('listNumbered', 'cf-visual-numberedlist', () => {
+					document.execCommand('insertOrderedList')
+				}),
+				this.createButton('code', 'cf-visual-code', () => {
+					this.wrapSelectionInCode()
+				}),
+				this.createButton('quotes', 'cf-visual-quote', () => {
+					this.toggleQuote()
+				}),
+			],
+			classes: ['cd-richTextInput-toolbar'],
+		})
+
+		/**
+		 * Element of the visual input.
+		 *
+		 * @type {JQuery}
+		 */
+		this.$element = $('<div>').addClass('cd-richTextInput').append(toolbar.$element, this.$editor)
+
+		this.render(commentInput.getValue())
+		commentInput.on('change', this.onCommentInputChange).on('disable', this.onCommentInputDisable)
+	}
+
+	/**
+	 * Create a toolbar button.
+	 *
+	 * @param {string} icon
+	 * @param {string} messageName
+	 * @param {() => void} action
+	 * @returns {OO.ui.ButtonWidget}
+	 * @private
+	 */
+	createButton(icon, messageName, action) {
+		const button = new OO.ui.ButtonWidget({
+			icon,
+			label: cd.s(messageName),
+			invisibleLabel: true,
+			title: cd.s(messageName),
+			framed: false,
+			tabIndex: -1,
+		})
+
+		// Prevent the editor from losing the selection
+		button.$element.on('mousedown', (event) => {
+			event.preventDefault()
+		})
+		button.on('click', () => {
+			this.focus()
+			action()
+			this.onInput()
+		})
+
+		return button
+	}
+
+	/**
+	 * Show wikitext in the visual input.
+	 *
+	 * @param {string} wikitext
+	 * @private
+	 */
+	render(wikitext) {
+		const { html, hasSource } = wikitextToHtml(wikitext, {
+			isLinkTargetSupported: (target) => {
+				const namespaceId = target.startsWith(':')
+					? undefined
+					: mw.Title.newFromText(target)?.getNamespaceId()
+
+				// Files and categories
+				return namespaceId !== 6 && namespaceId !== 14
+			},
+			getUrl: (target) => mw.util.getUrl(target),
+		})
+		this.$editor.html(html)
+		this.syncedWikitext = wikitext
+		this.sourceShown = hasSource
+	}
+
+	/**
+	 * Put the content of the visual input into the comment input.
+	 *
+	 * @private
+	 */
+	onInput = () => {
+		const { wikitext, unsupportedTags } = htmlToWikitext(this.$editor[0])
+		const newTags = unsupportedTags.filter((tag) => !this.unsupportedTags.has(tag))
+		if (newTags.length) {
+			newTags.forEach((tag) => {
+				this.unsupportedTags.add(tag)
+			})
+			this.onUnsupportedTags(this.getUnsupportedTags())
+		}
+		this.syncedWikitext = wikitext
+		if (wikitext !== this.commentInput.getValue()) {
+			this.commentInput.setValue(wikitext)
+		}
+	}
+
+	/**
+	 * Show the changes made to the comment input by other means.
+	 *
+	 * @param {string} value
+	 * @private
+	 */
+	onCommentInputChange = (value) => {
+		if (value === this.syncedWikitext) return
+
+		this.render(value)
+	}
+
+	/**
+	 * Disable the visual input together with the comment input (for example, during submitting).
+	 *
+	 * @param {boolean} disabled
+	 * @private
+	 */
+	onCommentInputDisable = (disabled) => {
+		this.$editor.attr('contenteditable', String(!disabled))
+	}
+
+	/**
+	 * Convert pasted content to wikitext and show it visually. Pasted plain text is treated as
+	 * wikitext.
+	 *
+	 * @param {JQuery.TriggeredEvent} event
+	 * @private
+	 */
+	onPaste = async (event) => {
+		const data = /** @type {ClipboardEvent} */ (event.originalEvent).clipboardData
+		if (!data) return
+
+		event.preventDefault()
+		const html = data.getData('text/html')
+		const text = data.getData('text/plain').replace(/\r/g, '')
+		if (!html) {
+			this.insertWikitext(text)
+
+			return
+		}
+
+		const range = this.getRange()
+		this.$editor.attr('contenteditable', 'false')
+		const wikitext = await this.commentInput.getWikitextFromPaste(html)
+		this.$editor.attr('contenteditable', 'true')
+		this.focus()
+		if (range) {
+			this.setRange(range)
+		}
+		this.insertWikitext(wikitext)
+	}
+
+	/**
+	 * Handle keyboard shortcuts that browsers don't handle themselves.
+	 *
+	 * @param {JQuery.KeyDownEvent} event
+	 * @private
+	 */
+	onKeydown = (event) => {
+		if ((event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === 'k') {
+			event.preventDefault()
+			this.insertLink()
+		}
+	}
+
+	/**
+	 * Wrap the selected text in the visual input with wikitext, or insert the wikitext at the caret,
+	 * showing it visually. If the visual input doesn't have focus (e.g. a button was clicked), the
+	 * selection that it had when it lost focus is used.
+	 *
+	 * @param {object} options
+	 * @param {string} [options.pre] Text to insert before the caret/selection.
+	 * @param {string} [options.peri] Fallback value used instead of a selection.
+	 * @param {string} [options.post] Text to insert after the caret/selection.
+	 * @param {boolean} [options.replace] If there is a selection, replace it with `pre`, `peri`,
+	 *   `post` instead of leaving it alone.
+	 * @param {string} [options.selection] Selected text. Use if the selection is outside of the
+	 *   input.
+	 * @param {(selection: string) => string} [options.selectionTransform] Function to modify the
+	 *   selection before wrapping.
+	 */
+	encapsulateSelection({
+		pre = '',
+		peri = '',
+		post = '',
+		replace = false,
+		selection: selectionParam,
+		selectionTransform,
+	}) {
+		const range = this.getRange() || this.lastRange
+		this.focus()
+		if (range) {
+			this.setRange(range)
+		}
+
+		let selection = selectionParam
+		if (selection === undefined && !replace) {
+			selection = range?.toString()
+		}
+		selection ??= ''
+		selection = selectionTransform?.(selection) ?? selection
+
+		this.insertWikitext(pre + (selection || peri) + post)
+	}
+
+	/**
+	 * Check whether an element is inside the editable element of the visual input.
+	 *
+	 * @param {EventTarget | null} element
+	 * @returns {boolean}
+	 */
+	contains(element) {
+		return element instanceof Node && this.$editor[0].contains(element)
+	}
+
+	/**
+	 * Insert wikitext at the caret, showing it visually.
+	 *
+	 * @param {string} wikitext
+	 * @private
+	 */
+	insertWikitext(wikitext) {
+		let { html } = wikitextToHtml(wikitext)
+
+		// Insert a single line into the current paragraph instead of creating a new one
+		if (!wikitext.includes('\n')) {
+			const element = document.createElement('div')
+			element.innerHTML = html
+			html = element.firstElementChild?.tagName === 'P' ? element.firstElementChild.innerHTML : html
+		}
+
+		document.execCommand('insertHTML', false, html)
+		this.onInput()
+	}
+
+	/**
+	 * Get the selection range if it is in the visual input.
+	 *
+	 * @returns {Range | undefined}
+	 * @private
+	 */
+	getRange() {
+		const selection = window.getSelection()
+		const range = selection.rangeCount ? selection.getRangeAt(0) : undefined
+
+		return range && this.$editor[0].contains(range.commonAncestorContainer)
+			? range.cloneRange()
+			: undefined
+	}
+
+	/**
+	 * Select a range.
+	 *
+	 * @param {Range} range
+	 * @private
+	 */
+	setRange(range) {
+		const selection = window.getSelection()
+		selection.removeAllRanges()
+		selection.addRange(range)
+	}
+
+	/**
+	 * Ask for a link target and insert a link to it in place of the selection.
+	 *
+	 * @private
+	 */
+	async insertLink() {
+		const range = this.getRange()
+		const target = (
+			await OO.ui.prompt(cd.s('cf-visual-link-prompt'), {
+				textInput: { placeholder: cd.s('cf-visual-link-placeholder') },
+			})
+		)?.trim()
+		this.focus()
+		if (!target || !range) return
+
+		this.setRange(range)
+		const link = document.createElement('a')
+		if (/^(?:https?:)?\/\//i.test(target)) {
+			link.href = target
+			link.className = 'external'
+		} else {
+			link.dataset.cdTarget = target
+			link.href = mw.util.getUrl(target)
+		}
+		link.textContent = range.collapsed ? target : range.toString()
+		document.execCommand('insertHTML', false, link.outerHTML)
+		this.onInput()
+	}
+
+	/**
+	 * Format the selected text as code.
+	 *
+	 * @private
+	 */
+	wrapSelectionInCode() {
+		const range = this.getRange()
+		if (!range || range.collapsed) return
+
+		const code = document.createElement('code')
+		code.textContent = range.toString()
+		document.execCommand('insertHTML', false, code.outerHTML)
+	}
+
+	/**
+	 * Put the current paragraph into a quote or take it out of one.
+	 *
+	 * @private
+	 */
+	toggleQuote() {
+		const container = this.getRange()?.startContainer
+		const element = container instanceof Element ? container : container?.parentElement
+		if (element?.closest('blockquote')) {
+			document.execCommand('outdent')
+		} else {
+			document.execCommand('formatBlock', false, 'blockquote')
+		}
+	}
+
+	/**
+	 * Focus the visual input.
+	 *
+	 * @returns {this}
+	 */
+	focus() {
+		this.$editor[0].focus()
+
+		return this
+	}
+
+	/**
+	 * Check whether some markup in the comment is shown as source code because it can't be shown
+	 * visually.
+	 *
+	 * @returns {boolean}
+	 */
+	isSourceShown() {
+		return this.sourceShown
+	}
+
+	/**
+	 * Get the names of the tags that were lost when converting the content of the visual input to
+	 * wikitext.
+	 *
+	 * @returns {string[]}
+	 */
+	getUnsupportedTags() {
+		return [...this.unsupportedTags]
+	}
+
+	/**
+	 * Remove the visual input and stop syncing it with the comment input.
+	 */
+	destroy() {
+		this.commentInput
+			.off('change', this.onCommentInputChange)
+			.off('disable', this.onCommentInputDisable)
+		this.$element.remove()
+	}
+}
+
+export default RichTextInput
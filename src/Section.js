@@ -15,9 +15,21 @@ import { defined, underlinesToSpaces, unique } from './shared/utils-general'
 import { encodeWikilink, maskDistractingCode, normalizeCode } from './shared/utils-wikitext'
 import toc from './toc'
 import { handleApiReject } from './utils-api'
-import { formatDate } from './utils-date'
+import { formatDate, getDayInUserTimezone } from './utils-date'
 import { getRangeContents, isItemProbablyEditableAtAll } from './utils-window'
 
+/**
+ * @typedef {object} DiscussionStats
+ * @property {(Comment & { date: Date }) | undefined} oldestComment
+ * @property {(Comment & { date: Date }) | undefined} newestComment
+ * @property {number} maxDepth Length of the longest reply chain.
+ * @property {number} unseenCount
+ * @property {number} daysPerBar Number of days each bar of the timeline represents.
+ * @property {{ day: string; count: number }[]} timeline Number of comments per day (or per several
+ *   days, see `daysPerBar`), from the oldest comment to the newest. Days are in the `YYYY-MM-DD`
+ *   format and in the user's timezone.
+ */
+
 /**
  * A section in the browser context (as opposed to the worker context, see {@link SectionWorker}).
  *
@@ -813,11 +825,11 @@ class Section extends SectionSkeleton {
 		// Create the select
 
 		/**
-		 * @typedef {'name'|'count'|'date'} PanelName
+		 * @typedef {'name'|'count'|'date'|'stats'} PanelName
 		 */
 
 		const getPanelByName = (/** @type {PanelName} */ name) =>
-			name === 'name' ? namePanel : name === 'count' ? countPanel : datePanel
+			({ name: namePanel, count: countPanel, date: datePanel, stats: statsPanel })[name]
 
 		const sortSelect = new OO.ui.ButtonSelectWidget({
 			items: [
@@ -836,6 +848,11 @@ class Section extends SectionSkeleton {
 					label: cd.s('section-authors-sort-date'),
 					selected: authorsSortSetting === 'date',
 				}),
+				new OO.ui.ButtonOptionWidget({
+					data: 'stats',
+					label: cd.s('section-authors-stats'),
+					selected: authorsSortSetting === 'stats',
+				}),
 			],
 			classes: ['cd-popup-authors-sort'],
 		})
@@ -884,22 +901,10 @@ class Section extends SectionSkeleton {
 						/** @type {(Text | string | JQuery)[]} */
 						const contents = [document.createTextNode(datum.name)]
 						if (datum.newestCommentDate) {
-							const id = datum.newestComment.getUrlFragment()
 							contents.push(
 								cd.mws('word-separator'),
 								cd.mws('parentheses-start'),
-								$('<a>')
-									.text(formatDate(datum.newestCommentDate))
-									.attr('href', `#${id || ''}`)
-
-									// Without the event handler, there will be a problem jumping to the comment when
-									// the URL already has its ID.
-									.on('click', (event) => {
-										if (event.altKey) return
-
-										event.preventDefault()
-										datum.newestComment.scrollTo({ pushState: true })
-									}),
+								Section.createCommentDateLink(datum.newestComment),
 								cd.mws('parentheses-end'),
 							)
 						}
@@ -910,8 +915,13 @@ class Section extends SectionSkeleton {
 			padded: false,
 			expanded: false,
 		})
+		const statsPanel = new OO.ui.PanelLayout({
+			$content: this.createStatsPanelContent(data),
+			padded: false,
+			expanded: false,
+		})
 		const stack = new OO.ui.StackLayout({
-			items: [namePanel, countPanel, datePanel],
+			items: [namePanel, countPanel, datePanel, statsPanel],
 			expanded: false,
 		})
 		stack.setItem(getPanelByName(authorsSortSetting))
@@ -919,6 +929,181 @@ class Section extends SectionSkeleton {
 		return $().add(sortSelect.$element).add(stack.$element)
 	}
 
+	/**
+	 * Collect discussion statistics of the section: activity dates, reply chain depth, unseen
+	 * comments and the number of comments per day.
+	 *
+	 * @returns {DiscussionStats}
+	 */
+	getDiscussionStats() {
+		const oldestComment = Comment.getOldest(this.comments, false)
+		const newestComment = Comment.getNewest(this.comments, false)
+
+		/** @type {DiscussionStats['timeline']} */
+		const timeline = []
+		let daysPerBar = 1
+		if (oldestComment && newestComment) {
+			const firstDay = Section.getDayStart(oldestComment.date)
+			const dayCount = (Section.getDayStart(newestComment.date) - firstDay) / cd.g.msInDay + 1
+			daysPerBar = Math.ceil(dayCount / Section.maxTimelineBarCount)
+			for (let i = 0; i < dayCount; i += daysPerBar) {
+				timeline.push({
+					day: new Date(firstDay + i * cd.g.msInDay).toISOString().slice(0, 10),
+					count: 0,
+				})
+			}
+			this.comments.forEach((comment) => {
+				if (!comment.date) return
+
+				const day = (Section.getDayStart(comment.date) - firstDay) / cd.g.msInDay
+				timeline[Math.floor(day / daysPerBar)].count++
+			})
+		}
+
+		return {
+			oldestComment,
+			newestComment,
+			maxDepth: Math.max(0, ...this.comments.map((comment) => comment.getAncestors().length + 1)),
+			unseenCount: this.comments.filter((comment) => comment.isSeen() === false).length,
+			daysPerBar,
+			timeline,
+		}
+	}
+
+	/**
+	 * Create content for the statistics panel of the {@link Section#authorsPopup authors popup}.
+	 *
+	 * @param {{ count: number; comments: Comment[]; $authorLink: JQuery }[]} data Data about the
+	 *   authors collected in {@link Section#createAuthorsPopupContent}.
+	 * @returns {JQuery}
+	 * @private
+	 */
+	createStatsPanelContent(data) {
+		const stats = this.getDiscussionStats()
+
+		const $summary = $('<ul>')
+			.addClass('cd-popup-authors-stats-summary')
+			.append(
+				[
+					stats.oldestComment && [
+						cd.s('section-stats-first'),
+						cd.mws('word-separator'),
+						Section.createCommentDateLink(stats.oldestComment),
+					],
+					stats.newestComment && [
+						cd.s('section-metadata-lastcomment'),
+						cd.mws('word-separator'),
+						Section.createCommentDateLink(stats.newestComment),
+					],
+					[cd.s('section-stats-depth', String(stats.maxDepth))],
+					stats.unseenCount ? [cd.s('section-stats-unseen', String(stats.unseenCount))] : undefined,
+				]
+					.filter(defined)
+					.map((contents) => $('<li>').append(...contents)),
+			)
+
+		const $table = $('<table>')
+			.addClass('cd-popup-authors-stats-table')
+			.append(
+				$('<tr>').append(
+					$('<th>').text(cd.s('section-stats-author')),
+					$('<th>').text(cd.s('section-stats-count')),
+					$('<th>').text(cd.s('section-stats-author-first')),
+					$('<th>').text(cd.s('section-stats-author-last')),
+				),
+				data
+					.slice()
+					.sort((datum1, datum2) => datum2.count - datum1.count)
+					.map((datum) => {
+						const oldestComment = Comment.getOldest(datum.comments, false)
+						const newestComment = Comment.getNewest(datum.comments, false)
+
+						return $('<tr>').append(
+							$('<td>').append(datum.$authorLink.clone(true)),
+							$('<td>').text(datum.count),
+							$('<td>').append(oldestComment ? Section.createCommentDateLink(oldestComment) : []),
+							$('<td>').append(newestComment ? Section.createCommentDateLink(newestComment) : []),
+						)
+					}),
+			)
+
+		let $timeline = $()
+		if (stats.timeline.length) {
+			const maxCount = Math.max(...stats.timeline.map((bar) => bar.count))
+			$timeline = $('<div>')
+				.addClass('cd-popup-authors-stats-timeline')
+				.append(
+					$('<div>')
+						.addClass('cd-popup-authors-stats-timeline-caption')
+						.text(cd.s('section-stats-timeline', String(stats.daysPerBar))),
+					$('<div>')
+						.addClass('cd-popup-authors-stats-timeline-bars')
+						.append(
+							stats.timeline.map((bar) =>
+								$('<div>')
+									.addClass('cd-popup-authors-stats-timeline-bar')
+									.attr('title', cd.s('section-stats-timeline-bar', bar.day, String(bar.count)))
+									.append(
+										$('<div>')
+											.addClass('cd-popup-authors-stats-timeline-barFill')
+											.css('height', `${(bar.count / maxCount) * 100}%`),
+									),
+							),
+						),
+				)
+		}
+
+		return $().add($summary).add($table).add($timeline)
+	}
+
+	/**
+	 * Create a link to a comment with its date as the text.
+	 *
+	 * @param {Comment} comment Comment that has a date.
+	 * @returns {JQuery}
+	 * @private
+	 */
+	static createCommentDateLink(comment) {
+		const id = comment.getUrlFragment()
+
+		return (
+			$('<a>')
+				.text(formatDate(/** @type {Date} */ (comment.date)))
+				.attr('href', `#${id || ''}`)
+
+				// Without the event handler, there will be a problem jumping to the comment when the URL
+				// already has its ID.
+				.on('click', (event) => {
+					if (event.altKey) return
+
+					event.preventDefault()
+					comment.scrollTo({ pushState: true })
+				})
+		)
+	}
+
+	/**
+	 * Get the timestamp of the UTC midnight of the day that a date falls on in the user's timezone.
+	 * The timestamps of different days are a multiple of a day apart, so they can be used to count
+	 * days.
+	 *
+	 * @param {Date} date
+	 * @returns {number}
+	 * @private
+	 */
+	static getDayStart(date) {
+		return Date.parse(getDayInUserTimezone(date))
+	}
+
+	/**
+	 * Maximum number of bars in the activity timeline. If the discussion lasted for more days, the bars
+	 * represent several days each.
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	static maxTimelineBarCount = 60
+
 	/**
 	 * Is the section actionable. The section can still be moved if it's not actionable.
 	 *
@@ -1166,6 +1351,14 @@ class Section extends SectionSkeleton {
 								icon: 'unarchive',
 							})
 						: undefined,
+					this.comments.length
+						? new OO.ui.MenuOptionWidget({
+								data: 'export',
+								label: cd.s('sm-export'),
+								title: cd.s('sm-export-tooltip'),
+								icon: 'download',
+							})
+						: undefined,
 					this.comments.filter((comment) => comment.hasFlag('new')).length
 						? new OO.ui.MenuOptionWidget({
 								data: 'markAsRead',
@@ -1206,6 +1399,9 @@ class Section extends SectionSkeleton {
 					case 'archive':
 						this.archive()
 						break
+					case 'export':
+						this.export()
+						break
 					case 'markAsRead':
 						this.markAsRead()
 						break
@@ -1286,7 +1482,8 @@ class Section extends SectionSkeleton {
 			this.canFirstCommentBeEdited() ||
 			this.canBeMoved() ||
 			this.canBeUnarchived() ||
-			this.canBeSubsectioned()
+			this.canBeSubsectioned() ||
+			this.comments.length
 		) {
 			const element = this.createMoreMenuSelectStub().$element[0]
 			moreMenuSelectDummy = new Button({
@@ -1957,6 +2154,13 @@ class Section extends SectionSkeleton {
 		controller.showCopyLinkDialog(this, event)
 	}
 
+	/**
+	 * Open an export dialog for the section.
+	 */
+	export() {
+		controller.showExportDialog(this)
+	}
+
 	/**
 	 * Request the wikitext of the section by its number using the API and set some properties of the
 	 * section (and also the page). {@link Section#loadCode} is a more general method.
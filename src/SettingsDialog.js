@@ -12,6 +12,8 @@ import {
 	createMultitagControl,
 	createNumberControl,
 	createRadioControl,
+	createShortcutsControl,
+	createSnippetsControl,
 	createTextControl,
 } from './utils-oojs'
 import { es6ClassToOoJsClass } from './utils-oojs-class'
@@ -369,6 +371,29 @@ export default function getSettingsDialogClass() {
 							break
 						}
 
+						case 'shortcuts': {
+							const nameTyped =
+								/** @type {import('./settings').OnlySettingsOfType<'shortcuts'>} */ (name)
+							this.controls[nameTyped] = createShortcutsControl({
+								.../** @type {import('./utils-oojs').ShortcutsControlOptions} */ (data),
+								value: settingValues[nameTyped],
+							})
+							this.controls[nameTyped].input.on('change', this.updateAbilities)
+							break
+						}
+
+						case 'snippets': {
+							const nameTyped = /** @type {import('./settings').OnlySettingsOfType<'snippets'>} */ (
+								name
+							)
+							this.controls[nameTyped] = createSnippetsControl({
+								.../** @type {import('./utils-oojs').SnippetsControlOptions} */ (data),
+								value: settingValues[nameTyped],
+							})
+							this.controls[nameTyped].input.on('change', this.updateAbilities)
+							break
+						}
+
 						case 'button': {
 							const nameTyped = /** @type {import('./settings').OnlySettingsOfType<'button'>} */ (
 								name
@@ -407,6 +432,7 @@ export default function getSettingsDialogClass() {
 			})
 
 			this.controls.removeData.input.connect(this, { click: this.removeData })
+			this.controls.showDrafts.input.connect(this, { click: this.showDrafts })
 			this.controls.desktopNotifications.input.connect(this, {
 				choose: this.onDesktopNotificationsSelectChange,
 			})
@@ -497,12 +523,30 @@ export default function getSettingsDialogClass() {
 
 						case 'multitag': {
 							const nTyped = /** @type {import('./settings').OnlySettingsOfType<'multitag'>} */ (n)
-							settingsValues[nTyped] = (control.uiToData || ((val) => val)).call(
+
+							// Multitag settings are arrays of tags, possibly converted by the control.
+							const multitagValues =
+								/** @type {Partial<Record<typeof nTyped, (string | [string, string])[]>>} */ (
+									settingsValues
+								)
+							multitagValues[nTyped] = (control.uiToData || ((val) => val)).call(
 								null,
 								/** @type {string[]} */ (control.input.getValue()),
 							)
 							break
 						}
+
+						case 'shortcuts': {
+							const nTyped = /** @type {import('./settings').OnlySettingsOfType<'shortcuts'>} */ (n)
+							settingsValues[nTyped] = control.input.getValue()
+							break
+						}
+
+						case 'snippets': {
+							const nTyped = /** @type {import('./settings').OnlySettingsOfType<'snippets'>} */ (n)
+							settingsValues[nTyped] = control.input.getValue()
+							break
+						}
 					}
 
 					return settingsValues
@@ -576,7 +620,7 @@ export default function getSettingsDialogClass() {
 				),
 			)
 
-			let valid = true
+			let valid = !this.controls.shortcuts.input.hasConflicts()
 			await Promise.all(
 				Object.values(this.controls)
 					.filter((control) => control.type === 'number')
@@ -618,6 +662,15 @@ export default function getSettingsDialogClass() {
 			}
 		}
 
+		/**
+		 * Show the dialog with the unsent comment forms saved for all pages.
+		 *
+		 * @protected
+		 */
+		showDrafts = () => {
+			commentFormManager.showDraftsDialog()
+		}
+
 		/**
 		 * Remove script data as requested by the user after confirmation.
 		 *
@@ -645,6 +698,7 @@ export default function getSettingsDialogClass() {
 				new LocalStorageItem('seenRenderedChanges').removeItem()
 				new LocalStorageItem('collapsedThreads').removeItem()
 				new LocalStorageItem('mutedUsers').removeItem()
+				new LocalStorageItem('proofreadingWords').removeItem()
 
 				this.stack.setItem(this.dataDeletedPanel)
 				this.actions.setMode('dataRemoved')
@@ -0,0 +1,204 @@
+import cd from './loader/cd'
+import shortcutRegistry from './shortcutRegistry'
+import { formatShortcut, getShortcutFromEvent, keyCombination } from './utils-keyboard'
+import { es6ClassToOoJsClass } from './utils-oojs-class'
+
+/**
+ * @typedef {object} ShortcutsWidgetConfig
+ * @property {import('./shortcutRegistry').ShortcutBindings} [value]
+ */
+
+/**
+ * Widget used in the settings dialog to rebind keyboard shortcuts. A shortcut is set by pressing it
+ * while the input is focused; <kbd>Backspace</kbd> or <kbd>Delete</kbd> disables it.
+ *
+ * @augments OO.ui.Widget
+ */
+class ShortcutsWidget extends OO.ui.Widget {
+	/**
+	 * Inputs by action names.
+	 *
+	 * @type {Map<string, OO.ui.TextInputWidget>}
+	 * @private
+	 */
+	inputs = new Map()
+
+	/** @type {JQuery} */
+	$conflicts
+
+	/** @type {JQuery} */
+	$error
+
+	/**
+	 * Create a widget for rebinding shortcuts.
+	 *
+	 * @param {ShortcutsWidgetConfig} [config]
+	 */
+	constructor(config = {}) {
+		super({ classes: ['cd-shortcutsWidget'] })
+
+		this.$conflicts = $('<div>').addClass('cd-shortcutsWidget-conflicts')
+		this.$error = $('<div>').addClass('cd-shortcutsWidget-error')
+		this.$element.append(
+			$('<table>')
+				.addClass('cd-shortcutsWidget-table')
+				.append(shortcutRegistry.actions.map((action) => this.createRow(action.name))),
+			this.$conflicts,
+			this.$error,
+		)
+		this.setValue(config.value || {})
+	}
+
+	/**
+	 * Create a table row for an action.
+	 *
+	 * @param {string} name
+	 * @returns {JQuery}
+	 * @private
+	 */
+	createRow(name) {
+		const input = new OO.ui.TextInputWidget({
+			readOnly: true,
+			placeholder: cd.s('sd-shortcuts-disabled'),
+			classes: ['cd-shortcutsWidget-input'],
+		})
+		input.$input.on('keydown', (event) => {
+			this.handleKeyDown(event, name, input)
+		})
+		this.inputs.set(name, input)
+
+		const resetButton = new OO.ui.ButtonWidget({
+			icon: 'undo',
+			title: cd.s('sd-shortcuts-reset'),
+			framed: false,
+		})
+		resetButton.on('click', () => {
+			input.setValue(shortcutRegistry.getString(name, {}))
+			this.onChange()
+		})
+
+		return $('<tr>').append(
+			$('<td>').text(cd.s(`shortcut-${name.toLowerCase()}`)),
+			$('<td>').append(input.$element),
+			$('<td>').append(resetButton.$element),
+		)
+	}
+
+	/**
+	 * Handle the `keydown` event on an input: record the pressed shortcut.
+	 *
+	 * @param {JQuery.KeyDownEvent} event
+	 * @param {string} name Action name.
+	 * @param {OO.ui.TextInputWidget} input
+	 * @private
+	 */
+	handleKeyDown(event, name, input) {
+		// Tab and Shift+Tab are used to move between the inputs
+		if (keyCombination(event, 9) || keyCombination(event, 9, ['shift'])) return
+
+		let value
+		// Backspace, Delete
+		if (keyCombination(event, 8) || keyCombination(event, 46)) {
+			value = ''
+		} else {
+			const shortcut = getShortcutFromEvent(event)
+			if (!shortcut) return
+
+			value = formatShortcut(shortcut)
+		}
+
+		// Prevent closing the dialog on Esc etc.
+		event.preventDefault()
+		event.stopPropagation()
+
+		if (!shortcutRegistry.isAllowed(name, value)) {
+			this.$error.text(cd.s('sd-shortcuts-modifierrequired', value))
+
+			return
+		}
+
+		this.$error.empty()
+		input.setValue(value)
+		this.onChange()
+	}
+
+	/**
+	 * Update the conflicts and emit the `change` event.
+	 *
+	 * @fires change
+	 * @private
+	 */
+	onChange() {
+		this.updateConflicts()
+		this.emit('change', this.getValue())
+	}
+
+	/**
+	 * Get the bindings that differ from the default ones.
+	 *
+	 * @returns {import('./shortcutRegistry').ShortcutBindings}
+	 */
+	getValue() {
+		/** @type {import('./shortcutRegistry').ShortcutBindings} */
+		const bindings = {}
+		this.inputs.forEach((input, name) => {
+			if (input.getValue() !== shortcutRegistry.getString(name, {})) {
+				bindings[name] = input.getValue()
+			}
+		})
+
+		return bindings
+	}
+
+	/**
+	 * Set the bindings that differ from the default ones.
+	 *
+	 * @param {import('./shortcutRegistry').ShortcutBindings} bindings
+	 */
+	setValue(bindings) {
+		this.inputs.forEach((input, name) => {
+			input.setValue(shortcutRegistry.getString(name, bindings))
+		})
+		this.updateConflicts()
+	}
+
+	/**
+	 * Check whether some shortcuts conflict with each other.
+	 *
+	 * @returns {boolean}
+	 */
+	hasConflicts() {
+		return Boolean(shortcutRegistry.findConflicts(this.getValue()).length)
+	}
+
+	/**
+	 * Mark the conflicting inputs and list the conflicts below the table.
+	 *
+	 * @private
+	 */
+	updateConflicts() {
+		const conflicts = shortcutRegistry.findConflicts(this.getValue())
+		const conflictingNames = new Set(conflicts.flat())
+		this.inputs.forEach((input, name) => {
+			input.setValidityFlag(!conflictingNames.has(name))
+		})
+		this.$conflicts.empty().append(
+			conflicts.map(([name1, name2]) =>
+				$('<div>')
+					.addClass('cd-shortcutsWidget-conflict')
+					.text(
+						cd.s(
+							'sd-shortcuts-conflict',
+							/** @type {OO.ui.TextInputWidget} */ (this.inputs.get(name1)).getValue(),
+							cd.s(`shortcut-${name1.toLowerCase()}`),
+							cd.s(`shortcut-${name2.toLowerCase()}`),
+						),
+					),
+			),
+		)
+	}
+}
+
+es6ClassToOoJsClass(ShortcutsWidget)
+
+export default ShortcutsWidget
@@ -0,0 +1,155 @@
+import BaseAutocomplete from './BaseAutocomplete'
+import cd from './loader/cd'
+import { expandSnippet } from './utils-snippets'
+
+/**
+ * @typedef {import('./utils-snippets').Snippet} SnippetEntry
+ */
+
+/**
+ * Autocomplete class for the snippets (canned replies) set up by the user, triggered by a slash
+ * followed by the name of the snippet or its folder, like `/welcome`.
+ */
+class SnippetsAutocomplete extends BaseAutocomplete {
+	/**
+	 * Create the default lazy loading function for snippets.
+	 *
+	 * @returns {SnippetEntry[]}
+	 * @override
+	 */
+	defaultLazy = () => cd.settings.get('snippets')
+
+	/**
+	 * Get the display label for snippets autocomplete.
+	 *
+	 * @override
+	 * @returns {string}
+	 */
+	getLabel() {
+		return cd.s('cf-autocomplete-snippets-label')
+	}
+
+	/**
+	 * Get the trigger character for snippets autocomplete.
+	 *
+	 * @override
+	 * @returns {string}
+	 */
+	getTrigger() {
+		return '/'
+	}
+
+	/**
+	 * Transform a snippet entry into insertion data for the Tribute library. The placeholders are
+	 * replaced with the values provided by the `getPlaceholderValues` function in the data.
+	 *
+	 * @override
+	 * @param {SnippetEntry} entry The snippet entry to transform
+	 * @param {string} [selectedText] Text that was selected before typing the autocomplete trigger
+	 * @returns {import('./tribute/Tribute').Insertion}
+	 */
+	getInsertionFromEntry(entry, selectedText) {
+		const { text, cursorIndex = text.length } = expandSnippet(
+			entry.text,
+			this.data.getPlaceholderValues?.() || {},
+		)
+
+		return {
+			start: text.slice(0, cursorIndex),
+			end: text.slice(cursorIndex),
+			content: selectedText || '',
+			selectContent: true,
+		}
+	}
+
+	/**
+	 * Extract the display label from a snippet entry.
+	 *
+	 * @override
+	 * @param {SnippetEntry} entry The snippet entry to extract label from
+	 * @returns {string} The display label
+	 */
+	getLabelFromEntry(entry) {
+		return entry.folder ? `${entry.folder} / ${entry.name}` : entry.name
+	}
+
+	/**
+	 * Validate input text for snippets autocomplete.
+	 *
+	 * @override
+	 * @param {string} text The input text to validate
+	 * @returns {boolean} Whether the input is valid
+	 */
+	validateInput(text) {
+		// Don't show the menu for slashes used as punctuation, like in "and / or"
+		return !/^\s/.test(text)
+	}
+
+	/**
+	 * Snippets autocomplete doesn't make API requests - it only uses the user's settings.
+	 *
+	 * @override
+	 * @param {string} _text The search text (unused)
+	 * @returns {Promise<string[]>} Empty array since no API requests are made
+	 */
+	// eslint-disable-next-line @typescript-eslint/require-await
+	async makeApiRequest(_text) {
+		return []
+	}
+
+	/**
+	 * Check if this is a local-only autocomplete (no API requests).
+	 *
+	 * @override
+	 * @returns {boolean}
+	 * @protected
+	 */
+	isLocalOnly() {
+		return true
+	}
+
+	/**
+	 * Get local matches for snippets. Snippets whose name starts with the text come first, then
+	 * snippets whose name or folder contains the text. An empty text matches all snippets.
+	 *
+	 * @override
+	 * @param {string} text The search text
+	 * @returns {SnippetEntry[]} Matching snippet entries
+	 * @protected
+	 */
+	getLocalMatches(text) {
+		if (!this.validateInput(text)) {
+			return []
+		}
+
+		const query = text.toLowerCase()
+
+		return this.getDefaultEntries()
+			.filter(
+				(entry) =>
+					entry.name.toLowerCase().includes(query) || entry.folder?.toLowerCase().includes(query),
+			)
+			.sort(
+				(entry1, entry2) =>
+					Number(entry2.name.toLowerCase().startsWith(query)) -
+					Number(entry1.name.toLowerCase().startsWith(query)),
+			)
+	}
+
+	/**
+	 * Get collection-specific properties for Tribute configuration.
+	 *
+	 * @override
+	 * @returns {Partial<import('./tribute/Tribute').TributeCollection>} Collection properties
+	 */
+	getCollectionProperties() {
+		return {
+			// Only whitespace, as opposed to punctuation, so that slashes in links and closing tags don't
+			// trigger the menu
+			requireLeadingSpace: true,
+			leadingCharRegexp: /\s/,
+		}
+	}
+}
+
+export default SnippetsAutocomplete
@@ -0,0 +1,166 @@
+import cd from './loader/cd'
+import { es6ClassToOoJsClass } from './utils-oojs-class'
+
+/**
+ * @typedef {object} SnippetsWidgetConfig
+ * @property {import('./utils-snippets').Snippet[]} [value]
+ */
+
+/**
+ * @typedef {object} SnippetRow
+ * @property {OO.ui.TextInputWidget} nameInput
+ * @property {OO.ui.TextInputWidget} folderInput
+ * @property {OO.ui.MultilineTextInputWidget} textInput
+ * @property {JQuery} $element
+ */
+
+/**
+ * Widget used in the settings dialog to manage snippets: add, edit, and remove them.
+ *
+ * @augments OO.ui.Widget
+ */
+class SnippetsWidget extends OO.ui.Widget {
+	/**
+	 * Rows of the widget, one for each snippet.
+	 *
+	 * @type {SnippetRow[]}
+	 * @private
+	 */
+	rows = []
+
+	/** @type {JQuery} */
+	$rows
+
+	/**
+	 * Create a widget for managing snippets.
+	 *
+	 * @param {SnippetsWidgetConfig} [config]
+	 */
+	constructor(config = {}) {
+		super({ classes: ['cd-snippetsWidget'] })
+
+		this.$rows = $('<div>').addClass('cd-snippetsWidget-rows')
+
+		const addButton = new OO.ui.ButtonWidget({
+			label: cd.s('sd-snippets-add'),
+			icon: 'add',
+		})
+		addButton.on('click', () => {
+			this.addRow().nameInput.focus()
+			this.onChange()
+		})
+
+		this.$element.append(this.$rows, addButton.$element)
+		this.setValue(config.value || [])
+	}
+
+	/**
+	 * Add a row for a snippet.
+	 *
+	 * @param {import('./utils-snippets').Snippet} [snippet]
+	 * @returns {SnippetRow}
+	 * @private
+	 */
+	addRow(snippet) {
+		const nameInput = new OO.ui.TextInputWidget({
+			value: snippet?.name,
+			placeholder: cd.s('sd-snippets-name'),
+			classes: ['cd-snippetsWidget-name'],
+		})
+		const folderInput = new OO.ui.TextInputWidget({
+			value: snippet?.folder,
+			placeholder: cd.s('sd-snippets-folder'),
+			classes: ['cd-snippetsWidget-folder'],
+		})
+		const textInput = new OO.ui.MultilineTextInputWidget({
+			value: snippet?.text,
+			placeholder: cd.s('sd-snippets-text'),
+			rows: 3,
+			autosize: true,
+			maxRows: 15,
+			classes: ['cd-snippetsWidget-text', 'cd-input-monospace'],
+		})
+		const removeButton = new OO.ui.ButtonWidget({
+			icon: 'trash',
+			title: cd.s('sd-snippets-remove'),
+			flags: ['destructive'],
+			framed: false,
+		})
+
+		/** @type {SnippetRow} */
+		const row = {
+			nameInput,
+			folderInput,
+			textInput,
+			$element: $('<div>')
+				.addClass('cd-snippetsWidget-row')
+				.append(
+					$('<div>')
+						.addClass('cd-snippetsWidget-header')
+						.append(nameInput.$element, folderInput.$element, removeButton.$element),
+					textInput.$element,
+				),
+		}
+
+		nameInput.on('change', this.onChange)
+		folderInput.on('change', this.onChange)
+		textInput.on('change', this.onChange)
+		removeButton.on('click', () => {
+			row.$element.remove()
+			this.rows.splice(this.rows.indexOf(row), 1)
+			this.onChange()
+		})
+
+		this.rows.push(row)
+		this.$rows.append(row.$element)
+
+		return row
+	}
+
+	/**
+	 * Emit the `change` event.
+	 *
+	 * @fires change
+	 * @private
+	 */
+	onChange = () => {
+		this.emit('change', this.getValue())
+	}
+
+	/**
+	 * Get the snippets, skipping the ones without text.
+	 *
+	 * @returns {import('./utils-snippets').Snippet[]}
+	 */
+	getValue() {
+		return this.rows
+			.map((row) => ({
+				name: row.nameInput.getValue().trim(),
+				text: row.textInput.getValue(),
+				folder: row.folderInput.getValue().trim(),
+			}))
+			.filter((snippet) => snippet.text.trim())
+			.map((snippet) => ({
+				name: snippet.name || snippet.text.trim().split('\n')[0].slice(0, 50),
+				text: snippet.text,
+				...(snippet.folder ? { folder: snippet.folder } : {}),
+			}))
+	}
+
+	/**
+	 * Set the snippets.
+	 *
+	 * @param {import('./utils-snippets').Snippet[]} snippets
+	 */
+	setValue(snippets) {
+		this.rows = []
+		this.$rows.empty()
+		snippets.forEach((snippet) => {
+			this.addRow(snippet)
+		})
+	}
+}
+
+es6ClassToOoJsClass(SnippetsWidget)
+
+export default SnippetsWidget
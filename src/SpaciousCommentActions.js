@@ -88,6 +88,39 @@ class SpaciousCommentActions extends CommentActions {
 		})
 	}
 
+	/**
+	 * Create a react button for spacious comments.
+	 *
+	 * @override
+	 * @param {import('./Button').Action} action The action to perform when clicked.
+	 * @returns {CommentButton} The created button.
+	 */
+	createReactButton(action) {
+		return new CommentButton({
+			label: cd.s('cm-react'),
+			tooltip: cd.s('cm-react-tooltip'),
+			classes: ['cd-comment-button-labeled'],
+			action,
+		})
+	}
+
+	/**
+	 * Create a follow button for spacious comments.
+	 *
+	 * @override
+	 * @param {import('./Button').Action} action The action to perform when clicked.
+	 * @param {boolean} isFollowed Whether the comment is already followed.
+	 * @returns {CommentButton} The created button.
+	 */
+	createFollowButton(action, isFollowed) {
+		return new CommentButton({
+			label: cd.s(isFollowed ? 'cm-unfollow' : 'cm-follow'),
+			tooltip: cd.s(isFollowed ? 'cm-unfollow-tooltip' : 'cm-follow-tooltip'),
+			classes: ['cd-comment-button-labeled'],
+			action,
+		})
+	}
+
 	/**
 	 * Create a copy link button for spacious comments.
 	 *
@@ -158,6 +191,38 @@ class SpaciousCommentActions extends CommentActions {
 		})
 	}
 
+	/**
+	 * Create an "Export thread" button for spacious comments.
+	 *
+	 * @override
+	 * @param {import('./Button').Action} action The action to perform when clicked.
+	 * @returns {CommentButton} The created button.
+	 */
+	createExportThreadButton(action) {
+		return new CommentButton({
+			label: cd.s('cm-exportthread'),
+			tooltip: cd.s('cm-exportthread-tooltip'),
+			classes: ['cd-comment-button-labeled'],
+			action,
+		})
+	}
+
+	/**
+	 * Create a "History" button for spacious comments.
+	 *
+	 * @override
+	 * @param {import('./Button').Action} action The action to perform when clicked.
+	 * @returns {CommentButton} The created button.
+	 */
+	createHistoryButton(action) {
+		return new CommentButton({
+			label: cd.s('cm-history'),
+			tooltip: cd.s('cm-history-tooltip'),
+			classes: ['cd-comment-button-labeled'],
+			action,
+		})
+	}
+
 	/**
 	 * Create a "Fix" button for spacious comments.
 	 *
@@ -0,0 +1,488 @@
+import BaseAutocomplete from './BaseAutocomplete'
+import CheckboxInputWidget from './CheckboxInputWidget'
+import MultilineTextInputWidget from './MultilineTextInputWidget'
+import ProcessDialog from './ProcessDialog'
+import TextInputWidget from './TextInputWidget'
+import cd from './loader/cd'
+import CdError from './shared/CdError'
+import { handleApiReject } from './utils-api'
+import { es6ClassToOoJsClass } from './utils-oojs-class'
+import { buildTemplateCall, isBlockFormat } from './utils-templates'
+
+/**
+ * @typedef {object} ParamField
+ * @property {string} name Name of the parameter used in the code (may be an alias).
+ * @property {boolean} required
+ * @property {boolean} wasPresent Whether the parameter was present in the edited template call.
+ * @property {OO.ui.FieldLayout} field
+ * @property {OO.ui.TextInputWidget | CheckboxInputWidget} input
+ */
+
+/**
+ * @typedef {object} TemplateParamsDialogData
+ * @property {string} name Template name.
+ * @property {import('./utils-templates').TemplateCallParam[]} [params] Parameters of the edited
+ *   template call.
+ * @property {boolean} [isBlock] Whether to place the parameters on separate lines. If not set, the
+ *   format specified in the TemplateData is used.
+ */
+
+/**
+ * Get the value of a TemplateData text in the user language, falling back to the content language
+ * and English.
+ *
+ * @param {StringsByKey | string | null | undefined} strings
+ * @returns {string | undefined}
+ * @private
+ */
+function getLocalizedString(strings) {
+	if (!strings || typeof strings === 'string') {
+		return strings || undefined
+	}
+
+	return (
+		strings[cd.g.userLanguage] ||
+		strings[cd.g.contentLanguage] ||
+		strings.en ||
+		Object.values(strings)[0]
+	)
+}
+
+// eslint-disable-next-line jsdoc/require-jsdoc
+export default function getTemplateParamsDialogClass() {
+	/**
+	 * Class used to create a dialog with a form to fill in the parameters of a template described
+	 * with {@link https://www.mediawiki.org/wiki/Extension:TemplateData TemplateData}. The dialog
+	 * closes with the `apply` action and the code of the template call in the `code` property of the
+	 * closing data.
+	 *
+	 * @augments ProcessDialog
+	 */
+	class TemplateParamsDialog extends ProcessDialog {
+		// @ts-expect-error: https://phabricator.wikimedia.org/T358416
+		static name = 'templateParamsDialog'
+
+		static title = cd.s('tpd-title')
+
+		static actions = /** @type {const} */ ([
+			{
+				action: 'close',
+				modes: ['edit'],
+				flags: ['safe', 'close'],
+			},
+			{
+				action: 'apply',
+				modes: ['edit'],
+				label: cd.s('tpd-apply'),
+				flags: ['primary', 'progressive'],
+				disabled: true,
+			},
+		])
+
+		static size = 'medium'
+
+		/**
+		 * @override
+		 */
+		static cdKey = 'tpd'
+
+		/** @type {OO.ui.StackLayout} */
+		stack
+
+		/** @type {OO.ui.PanelLayout} */
+		loadingPanel
+
+		/** @type {OO.ui.PanelLayout} */
+		formPanel
+
+		/** @type {ParamField[]} */
+		fields = []
+
+		/** @type {Promise<[TemplateData | undefined, any]> | undefined} */
+		initRequest
+
+		/** @type {TemplateParamsDialogData} */
+		data
+
+		/** @type {boolean} */
+		isBlock = false
+
+		/**
+		 * OOUI native method to get the height of the window body.
+		 *
+		 * @override
+		 * @returns {number}
+		 * @see https://doc.wikimedia.org/oojs-ui/master/js/OO.ui.ProcessDialog.html#getBodyHeight
+		 * @ignore
+		 */
+		getBodyHeight() {
+			return this.$errorItems ? this.$errors[0].scrollHeight : this.$body[0].scrollHeight
+		}
+
+		/**
+		 * OOUI native method that initializes window contents.
+		 *
+		 * @override
+		 * @see https://doc.wikimedia.org/oojs-ui/master/js/OO.ui.ProcessDialog.html#initialize
+		 * @see https://www.mediawiki.org/wiki/OOUI/Windows#Window_lifecycle
+		 * @ignore
+		 */
+		initialize() {
+			super.initialize()
+
+			this.loadingPanel = new OO.ui.PanelLayout({
+				padded: true,
+				expanded: false,
+			})
+			this.loadingPanel.$element.append($('<div>').text(cd.s('loading-ellipsis')))
+
+			this.formPanel = new OO.ui.PanelLayout({
+				padded: true,
+				expanded: false,
+			})
+
+			this.stack = new OO.ui.StackLayout({
+				items: [this.loadingPanel, this.formPanel],
+			})
+			this.$body.append(this.stack.$element)
+
+			return this
+		}
+
+		/**
+		 * OOUI native method that returns a "setup" process which is used to set up a window for use in a
+		 * particular context, based on the `data` argument.
+		 *
+		 * @override
+		 * @param {TemplateParamsDialogData} data Dialog opening data
+		 * @returns {OO.ui.Process}
+		 * @see https://doc.wikimedia.org/oojs-ui/master/js/OO.ui.ProcessDialog.html#getSetupProcess
+		 * @see https://www.mediawiki.org/wiki/OOUI/Windows#Window_lifecycle
+		 * @ignore
+		 */
+		getSetupProcess(data) {
+			return super.getSetupProcess(data).next(() => {
+				this.data = data
+				// @ts-ignore: private prop
+				this.title.setLabel(cd.s('tpd-title-template', data.name))
+				this.stack.setItem(this.loadingPanel)
+				this.actions.setMode('edit')
+				this.pushPending()
+
+				this.initRequest = Promise.all([
+					this.loadTemplateData(data.name),
+					mw.loader.using([
+						'mediawiki.widgets',
+						'mediawiki.widgets.DateInputWidget',
+						'mediawiki.widgets.UserInputWidget',
+					]),
+				])
+			})
+		}
+
+		/**
+		 * OOUI native method that returns a "ready" process which is used to ready a window for use in a
+		 * particular context, based on the `data` argument.
+		 *
+		 * @override
+		 * @param {object} data Window opening data
+		 * @returns {OO.ui.Process}
+		 * @see https://doc.wikimedia.org/oojs-ui/master/js/OO.ui.ProcessDialog.html#getReadyProcess
+		 * @see https://www.mediawiki.org/wiki/OOUI/Windows#Window_lifecycle
+		 * @ignore
+		 */
+		getReadyProcess(data) {
+			return super.getReadyProcess(data).next(async () => {
+				let templateData
+				try {
+					;[templateData] = await /** @type {Promise<[TemplateData | undefined, any]>} */ (
+						this.initRequest
+					)
+				} catch (error) {
+					this.handleError(error, 'tpd-error-templatedata', false)
+
+					return
+				}
+
+				const existingParams = this.data.params || []
+				if (!templateData && !existingParams.length) {
+					this.handleError(new CdError(), 'tpd-error-notemplatedata', false)
+
+					return
+				}
+
+				this.isBlock = this.data.isBlock ?? isBlockFormat(templateData?.format)
+				this.createFields(templateData, existingParams)
+
+				if (!templateData) {
+					this.formPanel.$element.prepend(
+						new OO.ui.MessageWidget({
+							type: 'notice',
+							inline: true,
+							label: cd.s('tpd-notemplatedata'),
+						}).$element,
+					)
+				}
+				this.formPanel.$element.append(this.fields.map((field) => field.field.$element))
+
+				this.stack.setItem(this.formPanel)
+				this.actions.setAbilities({ apply: true })
+				this.fields[0]?.input.focus()
+				this.updateSize()
+				this.popPending()
+			})
+		}
+
+		/**
+		 * OOUI native method that returns a process for taking action.
+		 *
+		 * @override
+		 * @param {(typeof TemplateParamsDialog.actions)[number]['action']} action Symbolic name of the
+		 *   action.
+		 * @returns {OO.ui.Process}
+		 * @see https://doc.wikimedia.org/oojs-ui/master/js/OO.ui.ProcessDialog.html#getActionProcess
+		 * @ignore
+		 */
+		getActionProcess(action) {
+			if (action === 'apply') {
+				return new OO.ui.Process(async () => {
+					if (!(await this.validate())) return
+
+					this.close({ action: 'apply', code: this.getCode() })
+				})
+			}
+
+			// if (action === 'close')
+			return new OO.ui.Process(() => {
+				this.close()
+			})
+		}
+
+		/**
+		 * Load the TemplateData of a template.
+		 *
+		 * @param {string} name
+		 * @returns {Promise<TemplateData | undefined>} `undefined` if the template has no
+		 *   TemplateData.
+		 * @throws {CdError}
+		 * @private
+		 */
+		async loadTemplateData(name) {
+			const title = mw.Title.newFromText(name.replace(/^(?:safe)?subst:/i, ''), 10)
+			if (!title) {
+				throw new CdError()
+			}
+
+			/** @type {APIResponseTemplateData} */
+			const response = await cd
+				.getApi(BaseAutocomplete.apiConfig)
+				.get({
+					action: 'templatedata',
+					titles: title.getPrefixedText(),
+					redirects: true,
+					lang: cd.g.userLanguage,
+				})
+				.catch(handleApiReject)
+
+			return /** @type {TemplateData | undefined} */ (Object.values(response.pages)[0])
+		}
+
+		/**
+		 * Create the fields for the parameters described in the TemplateData and the parameters of the
+		 * edited template call. Parameters of the template call come in their original order, then
+		 * other parameters in the TemplateData order. Deprecated parameters are only shown if they are
+		 * present in the call.
+		 *
+		 * @param {TemplateData | undefined} templateData
+		 * @param {import('./utils-templates').TemplateCallParam[]} existingParams
+		 * @private
+		 */
+		createFields(templateData, existingParams) {
+			const params = templateData?.params || {}
+
+			/**
+			 * Get the name of a parameter in the TemplateData given its name or alias.
+			 *
+			 * @param {string} nameOrAlias
+			 * @returns {string | undefined}
+			 */
+			const getTemplateDataName = (nameOrAlias) =>
+				nameOrAlias in params
+					? nameOrAlias
+					: Object.keys(params).find((name) => params[name].aliases.includes(nameOrAlias))
+
+			const existingNames = new Set(existingParams.map((param) => getTemplateDataName(param.name)))
+			this.fields = [
+				...existingParams.map((param) => {
+					const templateDataName = getTemplateDataName(param.name)
+
+					return this.createField(
+						param.name,
+						templateDataName === undefined ? undefined : params[templateDataName],
+						param.value,
+					)
+				}),
+				...(templateData?.paramOrder || Object.keys(params))
+					.filter((name) => !existingNames.has(name) && !params[name].deprecated)
+					.map((name) => this.createField(name, params[name])),
+			]
+		}
+
+		/**
+		 * Create a field for a parameter with an input depending on the type of the parameter.
+		 *
+		 * @param {string} name
+		 * @param {TemplateDataParam} [param] Description of the parameter in the TemplateData.
+		 * @param {string} [value] Value of the parameter in the edited template call.
+		 * @returns {ParamField}
+		 * @private
+		 */
+		createField(name, param, value) {
+			const wasPresent = value !== undefined
+			value ??= param?.autovalue || ''
+			const required = Boolean(param?.required)
+
+			/** @type {OO.ui.TextInputWidget | CheckboxInputWidget} */
+			let input
+			switch (param?.type) {
+				case 'boolean':
+					// Values like "yes" would be replaced with "1" or "0" if edited with a checkbox.
+					input = ['', '0', '1'].includes(value)
+						? new CheckboxInputWidget({ selected: value === '1' })
+						: new TextInputWidget({ value, required })
+					break
+				case 'date':
+					input =
+						/^\d{4}-\d{2}-\d{2}$/.test(value) || !value
+							? new mw.widgets.DateInputWidget({ value, required, $overlay: this.$overlay })
+							: new TextInputWidget({ value, required })
+					break
+				case 'wiki-user-name':
+					input = new mw.widgets.UserInputWidget({
+						value,
+						required,
+						$overlay: this.$overlay,
+						validate: (/** @type {string} */ val) =>
+							!val.trim() || Boolean(mw.Title.newFromText(val, 2)),
+					})
+					break
+				case 'wiki-page-name':
+					input = new mw.widgets.TitleInputWidget({
+						value,
+						required,
+						$overlay: this.$overlay,
+						showMissing: false,
+						validateTitle: true,
+					})
+					break
+				case 'number':
+					input = new TextInputWidget({
+						value,
+						required,
+						validate: (/** @type {string} */ val) => !val.trim() || !Number.isNaN(Number(val)),
+					})
+					break
+				case 'content':
+				case 'unbalanced-wikitext':
+					input = new MultilineTextInputWidget({ value, required, rows: 2, autosize: true })
+					break
+				default:
+					input = param?.suggestedvalues.length
+						? new OO.ui.ComboBoxInputWidget({
+								value,
+								required,
+								options: param.suggestedvalues.map((data) => ({ data })),
+								$overlay: this.$overlay,
+							})
+						: new TextInputWidget({ value, required })
+			}
+
+			let label = getLocalizedString(param?.label) || name
+			if (required) {
+				label += cd.mws('word-separator') + cd.s('tpd-required')
+			} else if (param?.suggested) {
+				label += cd.mws('word-separator') + cd.s('tpd-suggested')
+			} else if (param?.deprecated) {
+				label += cd.mws('word-separator') + cd.s('tpd-deprecated')
+			}
+
+			return {
+				name,
+				required,
+				wasPresent,
+				input,
+				field: new OO.ui.FieldLayout(input, {
+					label,
+					help: getLocalizedString(param?.description),
+					helpInline: true,
+					align: input instanceof CheckboxInputWidget ? 'inline' : 'top',
+				}),
+			}
+		}
+
+		/**
+		 * Validate the values of the fields, showing errors next to invalid fields.
+		 *
+		 * @returns {Promise<boolean>}
+		 * @private
+		 */
+		async validate() {
+			const validities = await Promise.all(
+				this.fields.map(async ({ input, field }) => {
+					if (input instanceof CheckboxInputWidget) {
+						return true
+					}
+
+					const isValid = await input.getValidity().then(
+						() => true,
+						() => false,
+					)
+					input.setValidityFlag(isValid)
+					field.setErrors(
+						isValid
+							? []
+							: [cd.s(input.getValue().trim() ? 'tpd-error-invalid' : 'tpd-error-required')],
+					)
+
+					return isValid
+				}),
+			)
+			this.updateSize()
+
+			const firstInvalid = this.fields.find((_, i) => !validities[i])
+			firstInvalid?.input.focus()
+
+			return !firstInvalid
+		}
+
+		/**
+		 * Get the code of the template call with the values of the fields. Empty optional parameters are
+		 * omitted.
+		 *
+		 * @returns {string}
+		 * @private
+		 */
+		getCode() {
+			return buildTemplateCall(
+				this.data.name,
+				this.fields
+					.map(({ name, input, required, wasPresent }) => {
+						let value
+						if (input instanceof CheckboxInputWidget) {
+							value = input.isSelected() ? '1' : wasPresent ? '0' : ''
+						} else {
+							value = input.getValue()
+						}
+
+						return value.trim() || required ? { name, value } : undefined
+					})
+					.filter((param) => param !== undefined),
+				this.isBlock,
+			)
+		}
+	}
+
+	es6ClassToOoJsClass(TemplateParamsDialog)
+
+	return TemplateParamsDialog
+}
@@ -1,7 +1,7 @@
 import BaseAutocomplete from './BaseAutocomplete'
+import getTemplateParamsDialogClass from './TemplateParamsDialog'
 import cd from './loader/cd'
-import CdError from './shared/CdError'
-import { handleApiReject } from './utils-api'
+import { findTemplateCallAt } from './utils-templates'
 
 /**
  * @typedef {string} TemplateEntry
@@ -9,7 +9,7 @@ import { handleApiReject } from './utils-api'
 
 /**
  * Autocomplete class for templates. Handles template name validation, TemplateData API integration,
- * and template parameter insertion with Shift+Enter functionality.
+ * and filling in template parameters in a form with Shift+Enter.
  *
  * @augments BaseAutocomplete
  */
@@ -150,7 +150,7 @@ class TemplatesAutocomplete extends BaseAutocomplete {
 					const input = /** @type {import('./TextInputWidget').default} */ (
 						/** @type {HTMLElement} */ (this.manager.tribute.current.element).cdInput
 					)
-					setTimeout(() => this.insertTemplateData(option, input))
+					setTimeout(() => TemplatesAutocomplete.editTemplateCall(input, true))
 				}
 
 				const selectionData = this.manager?.getSelectedTextForInsertion(option)
@@ -169,76 +169,44 @@ class TemplatesAutocomplete extends BaseAutocomplete {
 	}
 
 	/**
-	 * Get autocomplete data for a template and insert template parameters. This method handles the
-	 * Shift+Enter functionality for template parameter insertion.
+	 * Open a form to fill in the parameters of the template call under the caret in an input,
+	 * described with TemplateData, and replace the call with the result.
 	 *
-	 * @param {import('./tribute/Tribute').TributeSearchResults<import('./BaseAutocomplete').Option<string>>} option
 	 * @param {import('./TextInputWidget').default} input
+	 * @param {boolean} [isNew] Whether the template call has just been inserted using the
+	 *   autocomplete menu. In that case, empty parameters are ignored and the parameters are formatted
+	 *   according to the TemplateData.
 	 * @returns {Promise<void>}
 	 */
-	async insertTemplateData(option, input) {
-		input.setDisabled(true).pushPending()
-
-		/** @type {APIResponseTemplateData} */
-		let response
-		try {
-			response = await cd
-				.getApi(BaseAutocomplete.apiConfig)
-				.get({
-					action: 'templatedata',
-					titles: `Template:${option.original.label}`,
-					redirects: true,
-				})
-				.catch(handleApiReject)
-			if (!Object.keys(response.pages).length) {
-				throw new CdError('Template missing.')
-			}
-		} catch {
-			input.setDisabled(false).focus().popPending()
+	static async editTemplateCall(input, isNew = false) {
+		const call = findTemplateCallAt(input.getValue(), input.getRange().to || 0)
+		if (!call) {
+			mw.notify(cd.s('tpd-error-notemplate'), { type: 'warn' })
 
 			return
 		}
 
-		const pages = response.pages
-		let paramsString = ''
-		let firstValueIndex = 0
-		Object.keys(pages).forEach((key) => {
-			const template = pages[key]
-			const params = template.params || {}
-
-			// Parameter names
-			;(template.paramOrder || Object.keys(params))
-				.filter((param) => params[param].required || params[param].suggested)
-				.forEach((param) => {
-					if (template.format === 'block') {
-						paramsString += `\n| ${param} = `
-					} else {
-						paramsString += Number.isNaN(Number(param)) ? `|${param}=` : `|`
-					}
-					if (!firstValueIndex) {
-						firstValueIndex = paramsString.length
-					}
-				})
-			if (template.format === 'block' && paramsString) {
-				paramsString += '\n'
-			}
-		})
-
-		// Remove leading "|".
-		paramsString = paramsString.slice(1)
-
-		input
-			.setDisabled(false)
-			.insertContent(paramsString)
-
-			// `input.getRange().to` is the current caret index
-			.selectRange(
-				/** @type {number} */ (input.getRange().to || 0) -
-					paramsString.length +
-					(firstValueIndex ? firstValueIndex - 1 : 0),
-			)
+		const dialog = new (getTemplateParamsDialogClass())()
+		const windowManager = cd.getWindowManager()
+		windowManager.addWindows([dialog])
+		const closeData = /** @type {{ action: 'apply'; code: string } | undefined} */ (
+			await windowManager.openWindow(dialog, {
+				name: call.name,
+				params: isNew ? call.params.filter((param) => param.value.trim()) : call.params,
+				isBlock: isNew ? undefined : call.isBlock,
+			}).closed
+		)
 
-			.popPending()
+		if (closeData?.action === 'apply') {
+			input.replaceSelections([
+				{
+					from: call.start,
+					to: call.end,
+					insert: closeData.code,
+				},
+			])
+		}
+		input.focus()
 	}
 }
 
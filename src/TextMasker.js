@@ -243,6 +243,18 @@ class TextMasker {
 		return this.text
 	}
 
+	/**
+	 * Get the text with the masked parts replaced with spaces, so that the positions of the rest of
+	 * the text are the same as in the unmasked text.
+	 *
+	 * @returns {string}
+	 */
+	getBlankedText() {
+		return this.text.replace(/\u0001\d+[^\u0002]*\u0002|\u0003\d+[^\u0004]*\u0004/g, (marker) =>
+			' '.repeat(this.unmaskText(marker).length),
+		)
+	}
+
 	/**
 	 * Get the masked texts.
 	 *
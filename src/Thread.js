@@ -1004,7 +1004,6 @@ class Thread extends mixIntoObject(
 	 * @param {boolean} [expand]
 	 * @param {boolean} [auto]
 	 * @param {boolean} [isBatchOperation]
-	 * @private
 	 */
 	toggle(expand, auto, isBatchOperation) {
 		if (expand || (expand === undefined && this.isCollapsed())) {
@@ -1490,6 +1489,18 @@ class Thread extends mixIntoObject(
 		this.clickArea = this.clickAreaOffset = this.line = undefined
 	}
 
+	/**
+	 * _For internal use._ Dim or hide the expand note and the line of the thread when all its
+	 * comments are filtered out by the comment filter.
+	 *
+	 * @param {import('./commentFilter').FilterMode} [mode] Not set if the thread is not filtered out.
+	 */
+	setFilteredOut(mode) {
+		this.expandNote?.classList.toggle('cd-comment-filteredOut', mode === 'dim')
+		this.expandNote?.classList.toggle('cd-comment-filteredOut-hidden', mode === 'hide')
+		this.clickArea?.classList.toggle('cd-comment-filteredOut-hidden', mode === 'hide')
+	}
+
 	/**
 	 * Get all comments in the thread.
 	 *
@@ -1881,8 +1892,6 @@ class Thread extends mixIntoObject(
 
 	/**
 	 * Calculate the offset and (if needed) add the thread lines to the container.
-	 *
-	 * @private
 	 */
 	static updateLines = () => {
 		if (!this.enabled || document.hidden) return
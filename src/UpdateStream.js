@@ -0,0 +1,174 @@
+import EventEmitter from './EventEmitter'
+
+/**
+ * @typedef {object} RecentChangeEvent
+ * @property {string} wiki Database name of the wiki.
+ * @property {string} title Page title with spaces.
+ * @property {string} type `'edit'`, `'new'`, `'log'`, etc.
+ * @property {{ new?: number; old?: number }} [revision]
+ */
+
+/**
+ * @typedef {object} EventMap
+ * @property {[number]} change ID of the new revision of the page.
+ * @property {[boolean]} availabilityChange Whether the stream is available.
+ */
+
+/**
+ * Transport delivering page updates through a server-sent event stream of recent changes in the
+ * {@link https://wikitech.wikimedia.org/wiki/Event_Platform/EventStreams EventStreams} format. The
+ * stream is considered unavailable until the connection opens; it emits the `change` event when the
+ * page is edited and the `availabilityChange` event when the connection opens or drops, so that the
+ * owner can fall back to polling.
+ *
+ * @augments EventEmitter<EventMap>
+ */
+class UpdateStream extends EventEmitter {
+	/**
+	 * Number of seconds to wait before reconnecting after the stream has been closed for good (for
+	 * example, because of an HTTP error).
+	 */
+	reconnectInterval = /** @type {const} */ (300)
+
+	/**
+	 * @type {EventSource | undefined}
+	 * @private
+	 */
+	eventSource
+
+	/**
+	 * @type {ReturnType<typeof setTimeout> | undefined}
+	 * @private
+	 */
+	reconnectTimeoutId
+
+	/**
+	 * @type {boolean}
+	 * @private
+	 */
+	available = false
+
+	/**
+	 * Create an update stream.
+	 *
+	 * @param {string} url URL of the stream.
+	 * @param {string} wiki Database name of the wiki (`wgDBname`).
+	 * @param {string} title Title of the page to watch.
+	 */
+	constructor(url, wiki, title) {
+		super()
+		this.url = url
+		this.wiki = wiki
+		this.title = title
+	}
+
+	/**
+	 * Connect to the stream.
+	 */
+	start() {
+		if (this.eventSource) return
+
+		clearTimeout(this.reconnectTimeoutId)
+		if (!('EventSource' in window)) return
+
+		this.eventSource = new EventSource(this.url)
+		this.eventSource.addEventListener('open', this.handleOpen)
+		this.eventSource.addEventListener('message', this.handleMessage)
+		this.eventSource.addEventListener('error', this.handleError)
+	}
+
+	/**
+	 * Disconnect from the stream.
+	 */
+	stop() {
+		clearTimeout(this.reconnectTimeoutId)
+		this.eventSource?.close()
+		this.eventSource = undefined
+		this.setAvailable(false)
+	}
+
+	/**
+	 * Check whether the stream is connected and delivers updates.
+	 *
+	 * @returns {boolean}
+	 */
+	isAvailable() {
+		return this.available
+	}
+
+	/**
+	 * Handle the `open` event of the event source.
+	 *
+	 * @private
+	 */
+	handleOpen = () => {
+		this.setAvailable(true)
+	}
+
+	/**
+	 * Handle the `error` event of the event source.
+	 *
+	 * @private
+	 */
+	handleError = () => {
+		this.setAvailable(false)
+
+		// Unless the stream is closed, the event source reconnects by itself.
+		if (this.eventSource?.readyState === EventSource.CLOSED) {
+			this.eventSource = undefined
+			this.reconnectTimeoutId = setTimeout(() => {
+				this.start()
+			}, this.reconnectInterval * 1000)
+		}
+	}
+
+	/**
+	 * Handle the `message` event of the event source.
+	 *
+	 * @param {MessageEvent} event
+	 * @private
+	 */
+	handleMessage = (event) => {
+		/** @type {RecentChangeEvent} */
+		let data
+		try {
+			data = JSON.parse(event.data)
+		} catch {
+			return
+		}
+
+		const revisionId = this.getRevisionId(data)
+		if (revisionId) {
+			this.emit('change', revisionId)
+		}
+	}
+
+	/**
+	 * Get the ID of the new revision if a recent change event relates to an edit of the page.
+	 *
+	 * @param {RecentChangeEvent} data
+	 * @returns {number | undefined}
+	 */
+	getRevisionId(data) {
+		return data.wiki === this.wiki &&
+			data.title === this.title &&
+			['edit', 'new'].includes(data.type)
+			? data.revision?.new
+			: undefined
+	}
+
+	/**
+	 * Set whether the stream is available, emitting an event if the value changes.
+	 *
+	 * @param {boolean} value
+	 * @private
+	 */
+	setAvailable(value) {
+		if (value === this.available) return
+
+		this.available = value
+		this.emit('availabilityChange', value)
+	}
+}
+
+export default UpdateStream
@@ -1,6 +1,8 @@
 import BaseAutocomplete from './BaseAutocomplete'
+import CommentLinksAutocomplete from './CommentLinksAutocomplete'
 import CrossSiteMwTitle from './CrossSiteMwTitle'
 import cd from './loader/cd'
+import pageRegistry from './pageRegistry'
 import CdError from './shared/CdError'
 import { parseWikiUrl } from './shared/utils-general'
 import { handleApiReject } from './utils-api'
@@ -19,6 +21,8 @@ import { interlanguagePrefixes } from './utils-window'
  * @property {string} [displayLabel] Original display label for the Wikidata entity
  * @property {boolean} [isRedirectSource] Whether this entry is a redirect source page
  * @property {string} [redirectTarget] The canonical target title when this is a redirect source
+ * @property {import('./CommentLinksAutocomplete').CommentLinkEntry} [comment] Comment on the page
+ *   when this is a link to a comment
  */
 
 /**
@@ -61,12 +65,20 @@ import { interlanguagePrefixes } from './utils-window'
 
 /**
  * Autocomplete class for wikilinks (page links). Handles page name validation, title search API
- * integration, colon prefixes, namespace logic, case sensitivity, section autocomplete, and
- * interwiki prefix resolution.
+ * integration, colon prefixes, namespace logic, case sensitivity, section and comment autocomplete,
+ * and interwiki prefix resolution.
  *
  * @augments BaseAutocomplete
  */
 class WikilinksAutocomplete extends BaseAutocomplete {
+	/**
+	 * Promises of comment link entries for pages, by page name.
+	 *
+	 * @type {Map<string, Promise<import('./CommentLinksAutocomplete').CommentLinkEntry[]>>}
+	 * @private
+	 */
+	commentLinksPromises = new Map()
+
 	/**
 	 * @override
 	 * @returns {string}
@@ -96,6 +108,10 @@ class WikilinksAutocomplete extends BaseAutocomplete {
 	 * @returns {import('./tribute/Tribute').Insertion & { end: string }}
 	 */
 	getInsertionFromEntry(entry, selectedText) {
+		if (entry.comment) {
+			return CommentLinksAutocomplete.prototype.getInsertionFromEntry(entry.comment, selectedText)
+		}
+
 		const {
 			title,
 			pageName,
@@ -653,9 +669,72 @@ class WikilinksAutocomplete extends BaseAutocomplete {
 			})
 		}
 
+		if (!interwiki) {
+			results.push(...(await this.getCommentSuggestions(normalizedPageName, fragmentQuery)))
+		}
+
 		return results
 	}
 
+	/**
+	 * Get suggestions of comments on a talk page and its recent archives matching the text typed
+	 * after `#`.
+	 *
+	 * @param {string} pageName
+	 * @param {string} query
+	 * @returns {Promise<WikilinkEntry[]>}
+	 * @private
+	 */
+	async getCommentSuggestions(pageName, query) {
+		const page = pageRegistry.get(pageName)
+
+		// Parsing pages is expensive, so don't do it until the user types something after `#`
+		if (!page?.isProbablyTalkPage() || !query) {
+			return []
+		}
+
+		let promise = this.commentLinksPromises.get(page.name)
+		if (!promise) {
+			promise = CommentLinksAutocomplete.loadCommentLinksData(page)
+			this.commentLinksPromises.set(page.name, promise)
+		}
+
+		let comments
+		try {
+			comments = await promise
+		} catch {
+			this.commentLinksPromises.delete(page.name)
+
+			return []
+		}
+
+		if (BaseAutocomplete.currentPromise) {
+			BaseAutocomplete.promiseIsNotSuperseded(BaseAutocomplete.currentPromise)
+		}
+
+		const normalizedQuery = query.toLowerCase()
+
+		return comments
+			.filter(
+				(comment) =>
+					comment.label.toLowerCase().includes(normalizedQuery) ||
+					comment.urlFragment.toLowerCase().startsWith(normalizedQuery),
+			)
+			.flatMap((comment) => {
+				const commentPageName = /** @type {string} */ (comment.pageName)
+				const title = CrossSiteMwTitle.newFromText(commentPageName)
+				if (!title) return []
+
+				return /** @type {WikilinkEntry} */ ({
+					title,
+					pageName: commentPageName,
+					fragment: comment.urlFragment,
+					label: commentPageName + '#' + comment.label,
+					comment,
+				})
+			})
+	}
+
 	/**
 	 * Create a fallback entry for when a page title can't be resolved, using a plain string label.
 	 * The title is constructed from the page name as a best-effort local title.
@@ -4,13 +4,17 @@
  * @module addCommentLinks
  */
 
+import Button from './Button'
 import Comment from './Comment'
 import PrototypeRegistry from './PrototypeRegistry'
 import commentManager from './commentManager'
-import { initGlobals, initTimestampTools } from './init'
+import controller from './controller'
+import { initGlobals, initPatterns, initTimestampTools } from './init'
 import cd from './loader/cd'
 import pageRegistry from './pageRegistry'
+import settings from './settings'
 import {
+	defined,
 	definedAndNotNull,
 	generatePageNamePattern,
 	isUndo,
@@ -18,6 +22,27 @@ import {
 	spacesToUnderlines,
 } from './shared/utils-general'
 import { parseTimestamp } from './shared/utils-timestamp'
+import updateChecker from './updateChecker'
+import { handleApiReject } from './utils-api'
+import { getSectionFromFragment, groupCommentEdits } from './utils-watchlist'
+import { createDiffView } from './utils-window'
+
+/**
+ * @typedef {object} WatchlistLineData
+ * @property {HTMLElement} line Element of the watchlist line.
+ * @property {HTMLElement} anchor Element after which to add the group summary.
+ * @property {string} link Link to the page.
+ */
+
+/**
+ * @typedef {import('./utils-watchlist').CommentEdit<WatchlistLineData>} WatchlistCommentEdit
+ */
+
+/**
+ * @typedef {object} ChangedComment
+ * @property {import('./updateChecker').CommentWorkerMatched} comment
+ * @property {'added'|'edited'} type
+ */
 
 /** @type {string | undefined} */
 let moveFromStringStart
@@ -40,10 +65,25 @@ let currentUserRegexp
  * @type {PrototypeRegistry<{
  *   wrapperRegular: HTMLElement
  *   wrapperRelevant: HTMLElement
+ *   previewButton: HTMLElement
  * }>}
  */
 const prototypes = new PrototypeRegistry()
 
+/**
+ * Previews of comments added in revisions, by revision ID.
+ *
+ * @type {Map<number, Promise<JQuery>>}
+ */
+const previews = new Map()
+
+/**
+ * Comment edits found in the watchlist, used to group them by thread.
+ *
+ * @type {WatchlistCommentEdit[]}
+ */
+let watchlistEdits = []
+
 /**
  * _For internal use._ The entry function for the comment links adding mechanism.
  */
@@ -85,6 +125,15 @@ async function bootstrap() {
 		throw new Error(`Couldn't load the data required for the script.`, { cause: error })
 	}
 
+	// We need settings to know whether to group watchlist lines by thread.
+	if (cd.loader.isPageOfType('watchlist') && cd.user.isRegistered()) {
+		try {
+			await settings.getInitPromise()
+		} catch (error) {
+			cd.debug.logWarn(error)
+		}
+	}
+
 	// We need timestamp tools to be able to parse timestamps.
 	initTimestampTools()
 
@@ -119,6 +168,23 @@ async function bootstrap() {
 		'wrapperRelevant',
 		$wrapperRegularPrototype.clone().addClass('cd-commentLink-relevant')[0],
 	)
+	prototypes.add(
+		'previewButton',
+		$('<span>')
+			.addClass('cd-commentLink cd-commentLink-preview')
+			.append(
+				$('<span>')
+					.addClass('cd-commentLink-innerWrapper')
+					.append(
+						$('<a>')
+							.attr('role', 'button')
+							.attr('tabindex', '0')
+							.attr('title', cd.s('lp-preview-tooltip'))
+							.text(cd.s('lp-preview')),
+					),
+			)
+			.prepend(' ')[0],
+	)
 
 	const currentUserNamePattern = generatePageNamePattern(cd.g.userName)
 	currentUserRegexp = new RegExp(
@@ -169,6 +235,7 @@ function processWatchlist($content) {
 	const lines = /** @type {NodeListOf<HTMLElement>} */ (
 		$content[0].querySelectorAll('.mw-changeslist-line[data-mw-revid]')
 	)
+	watchlistEdits = []
 	lines.forEach((lineOrBareTr) => {
 		const line = lineOrBareTr.className
 			? lineOrBareTr
@@ -232,9 +299,138 @@ function processWatchlist($content) {
 
 		const destinationParent = /** @type {HTMLElement} */ (destination.parentElement)
 		destinationParent.insertBefore(wrapper, destination.nextSibling)
+
+		const page = pageRegistry.get(linkElement.textContent)
+		const previewButton =
+			page && addPreviewButton(wrapper, page, Number(lineOrBareTr.dataset.mwRevid), id)
+
+		const sectionLink = /** @type {HTMLAnchorElement | null} */ (
+			lineOrBareTr.querySelector('.comment .autocomment a')
+		)
+		watchlistEdits.push({
+			pageName: linkElement.textContent,
+			section: sectionLink ? getSectionFromFragment(sectionLink.hash) : undefined,
+			author,
+			commentId: id,
+			unseen:
+				line.classList.contains('mw-changeslist-line-watched') ||
+				lineOrBareTr.classList.contains('mw-changeslist-line-watched'),
+			data: {
+				line: lineOrBareTr,
+				anchor: previewButton || wrapper,
+				link,
+			},
+		})
+	})
+
+	if (cd.user.isRegistered()) {
+		addWatchlistGroupingSwitch($content)
+		if (settings.get('groupWatchlistByThread')) {
+			groupWatchlistEdits()
+		}
+	}
+}
+
+/**
+ * Add a checkbox switching the grouping of comment edits by thread to the top of the watchlist.
+ *
+ * @param {JQuery} $content
+ * @private
+ */
+function addWatchlistGroupingSwitch($content) {
+	// The content can be replaced by the watchlist auto-update feature.
+	$('.cd-watchlistGroupSwitch').remove()
+
+	const checkbox = new OO.ui.CheckboxInputWidget({
+		selected: settings.get('groupWatchlistByThread'),
+	})
+	checkbox.on('change', (selected) => {
+		settings.saveSettingOnTheFly('groupWatchlistByThread', selected)
+		if (selected) {
+			groupWatchlistEdits()
+		} else {
+			ungroupWatchlistEdits()
+		}
+	})
+	$content.prepend(
+		new OO.ui.FieldLayout(checkbox, {
+			label: cd.s('lp-group'),
+			align: 'inline',
+			classes: ['cd-watchlistGroupSwitch'],
+		}).$element,
+	)
+}
+
+/**
+ * Collapse the watchlist lines with comment edits in the same section of the same page, leaving
+ * only the most recent line of each group visible and adding a summary to it.
+ *
+ * @private
+ */
+function groupWatchlistEdits() {
+	ungroupWatchlistEdits()
+	groupCommentEdits(watchlistEdits).forEach((group) => {
+		const [newestEdit, ...olderEdits] = group.edits
+		const setExpanded = (/** @type {boolean} */ expanded) => {
+			olderEdits.forEach((edit) => {
+				edit.data.line.classList.toggle('cd-watchlistGroup-collapsedLine', !expanded)
+			})
+		}
+		setExpanded(false)
+
+		const targetEdit = group.firstUnseenEdit || newestEdit
+		let expanded = false
+		const toggleButton = new Button({
+			label: cd.s('lp-group-expand'),
+			action: () => {
+				expanded = !expanded
+				setExpanded(expanded)
+				toggleButton.setLabel(cd.s(expanded ? 'lp-group-collapse' : 'lp-group-expand'))
+			},
+		})
+
+		$(newestEdit.data.anchor).after(
+			$('<span>')
+				.addClass('cd-watchlistGroup')
+				.append(
+					' ',
+					$('<span>')
+						.addClass('cd-watchlistGroup-innerWrapper')
+						.append(
+							$('<span>')
+								.addClass('cd-watchlistGroup-summary')
+								.text(
+									cd.s(
+										'lp-group-summary',
+										String(group.edits.length),
+										group.participants.join(cd.mws('comma-separator')),
+										String(group.participants.length),
+									),
+								),
+							cd.mws('comma-separator'),
+							$('<a>')
+								.attr('href', `${targetEdit.data.link}#${targetEdit.commentId}`)
+								.text(cd.s(group.firstUnseenEdit ? 'lp-group-firstunseen' : 'lp-group-latest')),
+							cd.mws('comma-separator'),
+							toggleButton.element,
+						),
+				),
+		)
 	})
 }
 
+/**
+ * Undo {@link groupWatchlistEdits}.
+ *
+ * @private
+ */
+function ungroupWatchlistEdits() {
+	watchlistEdits.forEach((edit) => {
+		edit.data.line.classList.remove('cd-watchlistGroup-collapsedLine')
+	})
+	$('.cd-watchlistGroup').remove()
+}
+
 /**
  * Add comment links to a contributions page.
  *
@@ -361,6 +557,11 @@ function processHistory($content) {
 
 		const destinationParent = /** @type {HTMLElement} */ (destination.parentElement)
 		destinationParent.insertBefore(wrapper, destination.nextSibling)
+
+		const revisionId = Number(/** @type {HTMLElement} */ (line).dataset.mwRevid)
+		if (revisionId) {
+			addPreviewButton(wrapper, cd.page, revisionId, id)
+		}
 	})
 }
 
@@ -469,6 +670,8 @@ function processDiff($diff) {
 			}
 		})
 
+	addChangedCommentCards(root, $diff)
+
 	/**
 	 * Comments links have been added to the revisions listed on the page.
 	 *
@@ -480,6 +683,447 @@ function processDiff($diff) {
 	mw.hook('convenientDiscussions.commentLinksAdded').fire($root, cd)
 }
 
+/**
+ * Add cards for the comments added or edited in a diff. A single added comment is covered by the
+ * comment link already, so the cards are added only if there are several changed comments or an
+ * existing comment was edited. Both revisions are parsed for that, so we first check the diff
+ * table to see if it can have such changes at all.
+ *
+ * @param {HTMLElement} root
+ * @param {JQuery} [$diff]
+ * @private
+ */
+async function addChangedCommentCards(root, $diff) {
+	root.querySelector('.cd-diffComments')?.remove()
+
+	const table = root.querySelector('table.diff')
+	const newRevisionLink = /** @type {HTMLAnchorElement | null} */ (
+		root.querySelector('#mw-diff-ntitle1 a')
+	)
+	if (!table || !newRevisionLink || !mayHaveSeveralOrEditedComments(table)) return
+
+	const newRevisionUrl = new URL(newRevisionLink.href)
+	const newRevisionId = Number(newRevisionUrl.searchParams.get('oldid'))
+	const title = newRevisionUrl.searchParams.get('title')
+	const page = $diff ? title && pageRegistry.get(title, true) : cd.page
+	if (!newRevisionId || !page || !page.isProbablyTalkPage()) return
+
+	const oldRevisionLink = /** @type {HTMLAnchorElement | null} */ (
+		root.querySelector('#mw-diff-otitle1 a')
+	)
+	const oldRevisionId = oldRevisionLink
+		? Number(new URL(oldRevisionLink.href).searchParams.get('oldid')) || undefined
+		: undefined
+
+	// The patterns are needed for the parser to find authors of comments.
+	initPatterns()
+	updateChecker.connectWorker(controller.getWorker())
+
+	/** @type {ChangedComment[]} */
+	let changedComments
+	try {
+		changedComments = await findChangedComments(page, newRevisionId, oldRevisionId)
+	} catch (error) {
+		cd.debug.logWarn(error)
+
+		return
+	}
+	if (changedComments.length < 2 && !changedComments.some(({ type }) => type === 'edited')) return
+
+	table.before(
+		$('<div>')
+			.addClass('cd-diffComments')
+			.append(
+				$('<div>')
+					.addClass('cd-diffComments-title')
+					.text(cd.s('lp-diffcomments-title', String(changedComments.length))),
+				changedComments.map((changedComment) =>
+					createChangedCommentCard(changedComment, page, !$diff),
+				),
+			)[0],
+	)
+}
+
+/**
+ * Check if the added lines of a diff table contain more than one timestamp or a line with a
+ * timestamp was changed or removed, i.e. the diff can add several comments or edit an existing one.
+ *
+ * @param {Element} table
+ * @returns {boolean}
+ * @private
+ */
+function mayHaveSeveralOrEditedComments(table) {
+	const timestampRegexp = new RegExp(cd.g.timestampTools.content.regexp.source, 'g')
+	const getText = (/** @type {Element} */ cell) => cell.textContent || ''
+
+	return (
+		[...table.querySelectorAll('.diff-deletedline')].some((cell) =>
+			cd.g.timestampTools.content.regexp.test(getText(cell)),
+		) ||
+		[...table.querySelectorAll('.diff-addedline')].reduce(
+			(count, cell) => count + (getText(cell).match(timestampRegexp)?.length ?? 0),
+			0,
+		) > 1
+	)
+}
+
+/**
+ * Parse two revisions of a page and find the comments that were added or edited between them.
+ *
+ * @param {import('./Page').default} page
+ * @param {number} newRevisionId
+ * @param {number} [oldRevisionId] Not set if the new revision is the first revision of the page.
+ * @returns {Promise<ChangedComment[]>}
+ * @private
+ */
+async function findChangedComments(page, newRevisionId, oldRevisionId) {
+	const { comments: newComments } = await updateChecker.processOtherPage(page, newRevisionId)
+	const oldComments = oldRevisionId
+		? (await updateChecker.processOtherPage(page, oldRevisionId)).comments
+		: []
+
+	return updateChecker
+		.mapWorkerCommentsToWorkerComments(newComments, oldComments)
+		.filter((comment) => comment.id)
+		.map((comment) => {
+			if (comment.match) {
+				return updateChecker.hasCommentChanged(comment.match, comment)
+					? /** @type {ChangedComment} */ ({ comment, type: 'edited' })
+					: undefined
+			}
+
+			// Comments with poor matches were probably moved or slightly changed, so we don't report
+			// them as added.
+			return comment.hasPoorMatch
+				? undefined
+				: /** @type {ChangedComment} */ ({ comment, type: 'added' })
+		})
+		.filter(defined)
+}
+
+/**
+ * Create a card for a comment added or edited in a diff, with links to the comment on the page and
+ * to reply to it.
+ *
+ * @param {ChangedComment} changedComment
+ * @param {import('./Page').default} page
+ * @param {boolean} isCurrentPage Whether the diff is of the current page, so that we can reply
+ *   without reloading it if the comment is still there.
+ * @returns {JQuery}
+ * @private
+ */
+function createChangedCommentCard({ comment, type }, page, isCurrentPage) {
+	// Comments without an ID are filtered out.
+	const id = /** @type {string} */ (comment.id)
+
+	const replyButton = new Button({
+		label: cd.s('lp-diffcomments-reply'),
+		href: page.getUrl({ cdreply: 1 }) + '#' + id,
+	})
+	const liveComment = isCurrentPage ? commentManager.getById(id, true) : undefined
+	if (liveComment?.isActionable()) {
+		replyButton.setAction(() => {
+			liveComment.scrollTo({ smooth: false, pushState: true, expandThreads: true })
+			liveComment.reply()
+		})
+	}
+
+	return $('<div>')
+		.addClass(`cd-commentPreview cd-diffComment cd-diffComment-${type}`)
+		.append(
+			// Messages that can be used here:
+			// * lp-diffcomments-added
+			// * lp-diffcomments-edited
+			$('<div>')
+				.addClass('cd-diffComment-type')
+				.text(cd.s(`lp-diffcomments-${type}`)),
+			createCommentPreview(comment),
+			$('<div>')
+				.addClass('cd-diffComment-actions')
+				.append(
+					$('<a>')
+						.attr('href', page.getUrl() + '#' + id)
+						.text(cd.s('lp-diffcomments-goto')),
+					cd.mws('comma-separator'),
+					replyButton.element,
+				),
+		)
+}
+
+/**
+ * Add a button that shows a preview of the comment added in a revision in a popup. The popup is
+ * shown on hover and pinned on click.
+ *
+ * @param {HTMLElement} wrapper Comment link wrapper after which to add the button.
+ * @param {import('./Page').default} page
+ * @param {number} revisionId
+ * @param {string} commentId
+ * @returns {HTMLElement}
+ * @private
+ */
+function addPreviewButton(wrapper, page, revisionId, commentId) {
+	const element = prototypes.get('previewButton')
+	wrapper.after(element)
+	const button = new Button({
+		element,
+		buttonElement: /** @type {HTMLElement} */ (element.querySelector('a')),
+		action: () => {
+			clearTimeout(timeout)
+			pinned = !pinned || !getPopup().isVisible()
+			getPopup().toggle(pinned)
+		},
+	})
+	const $link = $(button.buttonElement)
+
+	/** @type {OO.ui.PopupWidget | undefined} */
+	let popup
+	let pinned = false
+
+	/** @type {ReturnType<typeof setTimeout> | undefined} */
+	let timeout
+
+	const getPopup = () => {
+		if (!popup) {
+			const newPopup = new OO.ui.PopupWidget({
+				$content: $('<div>').append(new OO.ui.ProgressBarWidget({ progress: false }).$element),
+				$floatableContainer: $link,
+				$autoCloseIgnore: $link,
+				autoClose: true,
+				padded: true,
+				width: 500,
+				classes: ['cd-commentPreview-popup'],
+			})
+			newPopup.on('toggle', (shown) => {
+				if (!shown) {
+					pinned = false
+				}
+			})
+			newPopup.$element.on('mouseenter', cancelHide).on('mouseleave', scheduleHide)
+			OO.ui.getDefaultOverlay().append(newPopup.$element)
+			getPreview(page, revisionId, commentId).then(($content) => {
+				newPopup.$body.empty().append($content)
+				newPopup.updateDimensions()
+			})
+			popup = newPopup
+		}
+
+		return popup
+	}
+	const cancelHide = () => {
+		clearTimeout(timeout)
+	}
+	const scheduleHide = () => {
+		clearTimeout(timeout)
+		if (pinned) return
+
+		timeout = setTimeout(() => {
+			popup?.toggle(false)
+		}, 300)
+	}
+
+	$link
+		.on('mouseenter', () => {
+			clearTimeout(timeout)
+			timeout = setTimeout(() => {
+				getPopup().toggle(true)
+			}, 500)
+		})
+		.on('mouseleave', scheduleHide)
+
+	return element
+}
+
+/**
+ * Get the preview of the comment added in a revision, loading it if needed.
+ *
+ * @param {import('./Page').default} page
+ * @param {number} revisionId
+ * @param {string} commentId
+ * @returns {Promise<JQuery>}
+ * @private
+ */
+function getPreview(page, revisionId, commentId) {
+	let preview = previews.get(revisionId)
+	if (!preview) {
+		preview = loadPreview(page, revisionId, commentId)
+		previews.set(revisionId, preview)
+	}
+
+	return preview
+}
+
+/**
+ * Parse the revision in which a comment was added, find the comment in it, and create its preview
+ * with the context: its section and its position in the thread. If the comment isn't found, the
+ * preview only allows to view the diff.
+ *
+ * @param {import('./Page').default} page
+ * @param {number} revisionId
+ * @param {string} commentId
+ * @returns {Promise<JQuery>}
+ * @private
+ */
+async function loadPreview(page, revisionId, commentId) {
+	// The patterns are needed for the parser to find authors of comments.
+	initPatterns()
+	updateChecker.connectWorker(controller.getWorker())
+
+	const $preview = $('<div>').addClass('cd-commentPreview')
+	try {
+		const { comments } = await updateChecker.processOtherPage(page, revisionId)
+		const comment = findAddedComment(comments, commentId)
+		$preview.append(
+			comment
+				? createCommentPreview(comment)
+				: $('<div>').addClass('cd-commentPreview-notFound').text(cd.s('lp-preview-notfound')),
+		)
+	} catch (error) {
+		cd.debug.logWarn(error)
+		$preview.append(
+			$('<div>').addClass('cd-commentPreview-notFound').text(cd.s('lp-preview-error')),
+		)
+	}
+
+	return $preview.append(createDiffToggle(page, revisionId))
+}
+
+/**
+ * Find the comment with the ID generated from the revision data. The comment's timestamp may differ
+ * from the time of the revision by a minute or two, so if there is no exact match, look for the
+ * closest comment by the same author.
+ *
+ * @param {import('./worker/CommentWorker').default[]} comments
+ * @param {string} id
+ * @returns {import('./worker/CommentWorker').default | undefined}
+ * @private
+ */
+function findAddedComment(comments, id) {
+	const exactMatch = comments.find((comment) => comment.id === id)
+	if (exactMatch) {
+		return exactMatch
+	}
+
+	const { date, author } = Comment.parseId(id) || {}
+	if (!date) {
+		return
+	}
+
+	const getDistance = (/** @type {import('./worker/CommentWorker').default} */ comment) =>
+		Math.abs(/** @type {Date} */ (comment.date).getTime() - date.getTime())
+
+	return comments
+		.filter(
+			(comment) =>
+				comment.authorName === author && comment.date && getDistance(comment) <= 2 * cd.g.msInMin,
+		)
+		.sort((comment1, comment2) => getDistance(comment1) - getDistance(comment2))[0]
+}
+
+/**
+ * Create the preview of a comment: its author, timestamp, section, thread position, and text.
+ *
+ * @param {import('./updateChecker').CommentWorkerBase} comment
+ * @returns {JQuery}
+ * @private
+ */
+function createCommentPreview(comment) {
+	const $context = $('<div>').addClass('cd-commentPreview-context')
+	if (comment.section) {
+		$context.append(
+			$('<div>')
+				.addClass('cd-commentPreview-section')
+				.text(
+					[...comment.section.ancestors].reverse().concat(comment.section.headline).join(' › '),
+				),
+		)
+	}
+
+	let threadPosition
+	if (comment.parent) {
+		threadPosition = cd.s(
+			'lp-preview-reply',
+			comment.parent.authorName,
+			String(comment.parent.children.indexOf(comment) + 1),
+			String(comment.parent.children.length),
+		)
+	} else if (comment.section && comment.id === comment.section.oldestCommentId) {
+		threadPosition = cd.s('lp-preview-topicstart')
+	} else {
+		threadPosition = cd.s('lp-preview-toplevel')
+	}
+	$context.append($('<div>').addClass('cd-commentPreview-threadPosition').text(threadPosition))
+
+	return $('<div>').append(
+		$('<div>')
+			.addClass('cd-commentPreview-header')
+			.append(
+				$('<span>').addClass('cd-commentPreview-author').text(comment.authorName),
+				comment.timestamp ? cd.mws('comma-separator') + comment.timestamp : '',
+			),
+		$context,
+		$('<div>').addClass('cd-commentPreview-text').text(comment.text.trim()),
+	)
+}
+
+/**
+ * Create a link that shows and hides the diff of a revision.
+ *
+ * @param {import('./Page').default} page
+ * @param {number} revisionId
+ * @returns {JQuery}
+ * @private
+ */
+function createDiffToggle(page, revisionId) {
+	/** @type {JQuery | undefined} */
+	let $diffView
+	const $diffContainer = $('<div>').addClass('cd-commentPreview-diff')
+	const button = new Button({
+		classes: ['cd-commentPreview-diffToggle'],
+		label: cd.s('lp-preview-showdiff'),
+		action: async () => {
+			if ($diffView) {
+				$diffView.toggle()
+				button.setLabel(
+					cd.s($diffView.is(':visible') ? 'lp-preview-hidediff' : 'lp-preview-showdiff'),
+				)
+
+				return
+			}
+
+			button.setPending(true)
+			try {
+				const [response] = await Promise.all([
+					cd
+						.getApi()
+						.post({
+							action: 'compare',
+							fromrev: revisionId,
+							torelative: 'prev',
+							prop: ['diff', 'parsedcomment'],
+						})
+						.catch(handleApiReject),
+					mw.loader.using(['mediawiki.diff', 'mediawiki.diff.styles']),
+				])
+				const { compare } = /** @type {import('./utils-api').APIResponseCompare} */ (response)
+				$diffView = createDiffView(
+					compare.body,
+					compare.toparsedcomment || '',
+					cd.g.server + decodeURI(page.getUrl({ diff: revisionId })),
+				)
+				$diffContainer.append($diffView)
+				button.setLabel(cd.s('lp-preview-hidediff'))
+			} catch (error) {
+				cd.debug.logWarn(error)
+				$diffContainer.text(cd.s('lp-preview-error'))
+			} finally {
+				button.setPending(false)
+			}
+		},
+	})
+
+	return $('<div>').append(button.element, $diffContainer)
+}
+
 /**
  * Check by an edit summary if an edit is probably an edit of a comment.
  *
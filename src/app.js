@@ -12,9 +12,11 @@ import addCommentLinks from './addCommentLinks'
 import commentFormManager from './commentFormManager'
 import commentManager from './commentManager'
 import controller from './controller'
+import showInbox from './inbox'
 import { initGlobals, initTimestampTools } from './init'
 import cd from './loader/cd'
 import pageRegistry from './pageRegistry'
+import proofreader from './proofreader'
 import sectionManager from './sectionManager'
 import settings from './settings'
 import { parseWikiUrl } from './shared/utils-general'
@@ -25,6 +27,7 @@ import visits from './visits'
 // Assign to cd.loader so loader can call these functions
 cd.loader.app = app
 cd.loader.addCommentLinks = addCommentLinks
+cd.loader.inbox = showInbox
 
 /**
  * Main app function for talk pages. Called by {@link convenientDiscussions.loader} after modules
@@ -74,4 +77,5 @@ cd.api = {
 	reloadPage: controller.rebootPage.bind(controller), // Legacy alias for rebootPage
 	rebootPage: controller.rebootPage.bind(controller),
 	getRootElement: controller.getRootElement.bind(controller),
+	registerProofreadingChecker: proofreader.registerChecker.bind(proofreader),
 }
@@ -0,0 +1,507 @@
+import dayjs from 'dayjs'
+
+import EventEmitter from './EventEmitter'
+import Thread from './Thread'
+import commentManager from './commentManager'
+import controller from './controller'
+import cd from './loader/cd'
+import { unique } from './shared/utils-general'
+import { getDayStartInUserTimezone } from './utils-date'
+
+/**
+ * @typedef {object} FilterCriteria
+ * @property {string[]} authors Names of users whose comments should be shown. Empty array means any
+ *   author.
+ * @property {Date} [dateFrom] Show only comments posted on or after this date.
+ * @property {Date} [dateTo] Show only comments posted before this date.
+ * @property {boolean} onlyNew Show only comments that are new since the last visit.
+ * @property {boolean} mentionsMe Show only comments that mention the current user.
+ * @property {boolean} repliesToMe Show only replies to the current user's comments.
+ * @property {string} text Show only comments containing this text (case-insensitive).
+ */
+
+/**
+ * @typedef {'dim'|'hide'} FilterMode
+ */
+
+/**
+ * @typedef {object} EventMap
+ * @property {[number, number]} apply Number of matching comments and the total number of comments.
+ * @property {[]} clear
+ */
+
+/**
+ * Singleton representing the comment filter bar that allows to hide or dim comments that don't
+ * match some criteria.
+ *
+ * @augments EventEmitter<EventMap>
+ */
+export class CommentFilter extends EventEmitter {
+	/**
+	 * Filter bar element.
+	 *
+	 * @type {JQuery | undefined}
+	 */
+	$element
+
+	/**
+	 * @type {FilterCriteria}
+	 * @private
+	 */
+	criteria = CommentFilter.getEmptyCriteria()
+
+	/**
+	 * @type {FilterMode}
+	 * @private
+	 */
+	mode = 'dim'
+
+	/**
+	 * @typedef {object} Widgets
+	 * @property {OO.ui.MenuTagMultiselectWidget} authors
+	 * @property {OO.ui.TextInputWidget} dateFrom
+	 * @property {OO.ui.TextInputWidget} dateTo
+	 * @property {OO.ui.CheckboxInputWidget} onlyNew
+	 * @property {OO.ui.CheckboxInputWidget} mentionsMe
+	 * @property {OO.ui.CheckboxInputWidget} repliesToMe
+	 * @property {OO.ui.SearchInputWidget} text
+	 * @property {OO.ui.ButtonSelectWidget} mode
+	 * @property {OO.ui.LabelWidget} count
+	 */
+
+	/**
+	 * Filter bar widgets.
+	 *
+	 * @type {Widgets | undefined}
+	 */
+	widgets
+
+	/**
+	 * @type {boolean}
+	 * @private
+	 */
+	initted = false
+
+	/**
+	 * Comments that don't match the criteria.
+	 *
+	 * @type {Set<import('./Comment').default>}
+	 * @private
+	 */
+	filteredOutComments = new Set()
+
+	/**
+	 * Set up event handlers. Done once, the first time the bar is shown.
+	 *
+	 * @private
+	 */
+	init() {
+		if (this.initted) return
+
+		// Comment objects are recreated after each page reboot, so we need to apply the filter again.
+		controller.on('reboot', () => {
+			if (!this.isMounted()) return
+
+			this.updateAuthorOptions()
+			if (this.isActive()) {
+				this.apply()
+			}
+		})
+
+		// Expand notes are recreated when threads are collapsed.
+		Thread.on('toggle', () => {
+			if (!this.isMounted()) return
+
+			this.updateThreads()
+		})
+		this.initted = true
+	}
+
+	/**
+	 * Show the filter bar if it's hidden, and vice versa. Hiding the bar clears the filter.
+	 */
+	toggle() {
+		if (this.isMounted()) {
+			this.unmount()
+		} else {
+			this.mount()
+		}
+	}
+
+	/**
+	 * Check whether the filter bar is mounted.
+	 *
+	 * @returns {this is { $element: JQuery; widgets: Widgets }}
+	 */
+	isMounted() {
+		return Boolean(this.$element)
+	}
+
+	/**
+	 * Check whether any filtering criterion is set.
+	 *
+	 * @returns {boolean}
+	 */
+	isActive() {
+		return CommentFilter.hasCriteria(this.criteria)
+	}
+
+	/**
+	 * Render the filter bar above the page content.
+	 *
+	 * @private
+	 */
+	mount() {
+		this.init()
+
+		const authors = new OO.ui.MenuTagMultiselectWidget({
+			placeholder: cd.s('filter-authors-placeholder'),
+			options: [],
+			classes: ['cd-filterBar-authors'],
+		})
+		const dateFrom = new OO.ui.TextInputWidget({
+			type: 'date',
+			title: cd.s('filter-datefrom'),
+			classes: ['cd-filterBar-date'],
+		})
+		const dateTo = new OO.ui.TextInputWidget({
+			type: 'date',
+			title: cd.s('filter-dateto'),
+			classes: ['cd-filterBar-date'],
+		})
+		const onlyNew = new OO.ui.CheckboxInputWidget()
+		const mentionsMe = new OO.ui.CheckboxInputWidget()
+		const repliesToMe = new OO.ui.CheckboxInputWidget()
+		const text = new OO.ui.SearchInputWidget({
+			placeholder: cd.s('filter-text-placeholder'),
+			classes: ['cd-filterBar-text'],
+		})
+		const mode = new OO.ui.ButtonSelectWidget({
+			items: [
+				new OO.ui.ButtonOptionWidget({ data: 'dim', label: cd.s('filter-mode-dim') }),
+				new OO.ui.ButtonOptionWidget({ data: 'hide', label: cd.s('filter-mode-hide') }),
+			],
+		})
+		mode.selectItemByData(this.mode)
+		const count = new OO.ui.LabelWidget({ classes: ['cd-filterBar-count'] })
+		const clearButton = new OO.ui.ButtonWidget({
+			label: cd.s('filter-clear'),
+			framed: false,
+		})
+		const closeButton = new OO.ui.ButtonWidget({
+			icon: 'close',
+			title: cd.s('filter-close'),
+			framed: false,
+		})
+
+		this.widgets = {
+			authors,
+			dateFrom,
+			dateTo,
+			onlyNew,
+			mentionsMe,
+			repliesToMe,
+			text,
+			mode,
+			count,
+		}
+		this.updateAuthorOptions()
+
+		const onChange = OO.ui.debounce(this.onWidgetChange, 300)
+		authors.on('change', onChange)
+		dateFrom.on('change', onChange)
+		dateTo.on('change', onChange)
+		onlyNew.on('change', onChange)
+		mentionsMe.on('change', onChange)
+		repliesToMe.on('change', onChange)
+		text.on('change', onChange)
+		mode.on('choose', onChange)
+		clearButton.on('click', () => {
+			this.reset()
+		})
+		closeButton.on('click', () => {
+			this.unmount()
+		})
+
+		this.$element = $('<div>')
+			.attr('id', 'cd-filterBar')
+			.addClass('cd-filterBar noprint')
+			.append(
+				$('<div>')
+					.addClass('cd-filterBar-row')
+					.append(
+						authors.$element,
+						$('<span>')
+							.addClass('cd-filterBar-dates')
+							.append(dateFrom.$element, $('<span>').text('–'), dateTo.$element),
+						text.$element,
+					),
+				$('<div>')
+					.addClass('cd-filterBar-row')
+					.append(
+						new OO.ui.FieldLayout(onlyNew, { label: cd.s('filter-onlynew'), align: 'inline' })
+							.$element,
+						new OO.ui.FieldLayout(mentionsMe, {
+							label: cd.s('filter-mentionsme', mw.user),
+							align: 'inline',
+						}).$element,
+						new OO.ui.FieldLayout(repliesToMe, {
+							label: cd.s('filter-repliestome', mw.user),
+							align: 'inline',
+						}).$element,
+						mode.$element,
+						count.$element,
+						clearButton.$element,
+						closeButton.$element,
+					),
+			)
+		cd.loader.$content.before(this.$element)
+	}
+
+	/**
+	 * Remove the filter bar, clearing the filter.
+	 *
+	 * @private
+	 */
+	unmount() {
+		if (!this.isMounted()) return
+
+		this.clear()
+		this.$element.remove()
+		const thisTyped = /** @type {{ $element: undefined; widgets: undefined }} */ (this)
+		thisTyped.$element = undefined
+		thisTyped.widgets = undefined
+	}
+
+	/**
+	 * Reset the widgets and the filter.
+	 *
+	 * @private
+	 */
+	reset() {
+		if (!this.isMounted()) return
+
+		this.widgets.authors.clearItems()
+		this.widgets.dateFrom.setValue('')
+		this.widgets.dateTo.setValue('')
+		this.widgets.onlyNew.setSelected(false)
+		this.widgets.mentionsMe.setSelected(false)
+		this.widgets.repliesToMe.setSelected(false)
+		this.widgets.text.setValue('')
+	}
+
+	/**
+	 * Fill the author selector with the authors of the comments on the page.
+	 *
+	 * @private
+	 */
+	updateAuthorOptions() {
+		if (!this.widgets) return
+
+		this.widgets.authors.getMenu().clearItems()
+		this.widgets.authors.addOptions(
+			commentManager
+				.getAll()
+				.map((comment) => comment.author.getName())
+				.filter(unique)
+				.sort((name1, name2) => name1.localeCompare(name2))
+				.map((name) => ({ data: name, label: name })),
+		)
+	}
+
+	/**
+	 * Collect the criteria from the widgets and apply them.
+	 *
+	 * @private
+	 */
+	onWidgetChange = () => {
+		if (!this.isMounted()) return
+
+		this.criteria = {
+			authors: /** @type {string[]} */ (this.widgets.authors.getValue()),
+			...CommentFilter.getDateCriteria(
+				this.widgets.dateFrom.getValue(),
+				this.widgets.dateTo.getValue(),
+			),
+			onlyNew: this.widgets.onlyNew.isSelected(),
+			mentionsMe: this.widgets.mentionsMe.isSelected(),
+			repliesToMe: this.widgets.repliesToMe.isSelected(),
+			text: this.widgets.text.getValue().trim(),
+		}
+		this.mode = /** @type {FilterMode} */ (
+			/** @type {OO.ui.OptionWidget} */ (this.widgets.mode.findSelectedItem()).getData()
+		)
+
+		if (this.isActive()) {
+			this.apply()
+		} else {
+			this.clear()
+		}
+	}
+
+	/**
+	 * Apply the current criteria to the comments on the page.
+	 *
+	 * @private
+	 */
+	apply() {
+		// Comment objects could have been recreated after a page reboot.
+		this.filteredOutComments.clear()
+
+		const comments = commentManager.getAll()
+		let matchCount = 0
+		comments.forEach((comment) => {
+			const matches = CommentFilter.matches(comment, this.criteria)
+			if (matches) {
+				matchCount++
+			}
+			this.setFilteredOut(comment, !matches)
+		})
+		this.updateLayout()
+		this.widgets?.count.setLabel(cd.s('filter-count', String(matchCount), String(comments.length)))
+
+		this.emit('apply', matchCount, comments.length)
+	}
+
+	/**
+	 * Remove the filter from all comments.
+	 *
+	 * @private
+	 */
+	clear() {
+		this.criteria = CommentFilter.getEmptyCriteria()
+		commentManager.getAll().forEach((comment) => {
+			this.setFilteredOut(comment, false)
+		})
+		this.updateLayout()
+		this.widgets?.count.setLabel('')
+
+		this.emit('clear')
+	}
+
+	/**
+	 * Mark a comment as filtered out or not.
+	 *
+	 * @param {import('./Comment').default} comment
+	 * @param {boolean} filteredOut
+	 * @private
+	 */
+	setFilteredOut(comment, filteredOut) {
+		if (filteredOut) {
+			this.filteredOutComments.add(comment)
+		} else {
+			this.filteredOutComments.delete(comment)
+		}
+		comment.elements.forEach((element) => {
+			element.classList.toggle('cd-comment-filteredOut', filteredOut && this.mode === 'dim')
+			element.classList.toggle('cd-comment-filteredOut-hidden', filteredOut && this.mode === 'hide')
+		})
+		if (filteredOut && this.mode === 'hide') {
+			comment.removeLayers()
+		}
+	}
+
+	/**
+	 * Update the positions of the thread lines and comment layers after comments were hidden or
+	 * shown.
+	 *
+	 * @private
+	 */
+	updateLayout() {
+		this.updateThreads()
+		Thread.updateLines()
+		commentManager.maybeRedrawLayers(true)
+	}
+
+	/**
+	 * Dim or hide the expand notes and lines of threads all comments of which are filtered out. A
+	 * collapsed thread is represented only by its expand note, so otherwise it would stay visible.
+	 *
+	 * @private
+	 */
+	updateThreads() {
+		commentManager.getAll().forEach((comment) => {
+			const thread = comment.thread
+			if (!thread) return
+
+			const filteredOut =
+				this.filteredOutComments.size > 0 &&
+				thread.getComments().every((threadComment) => this.filteredOutComments.has(threadComment))
+			thread.setFilteredOut(filteredOut ? this.mode : undefined)
+		})
+	}
+
+	/**
+	 * Get a criteria object that doesn't filter anything.
+	 *
+	 * @returns {FilterCriteria}
+	 */
+	static getEmptyCriteria() {
+		return {
+			authors: [],
+			onlyNew: false,
+			mentionsMe: false,
+			repliesToMe: false,
+			text: '',
+		}
+	}
+
+	/**
+	 * Get the date criteria for the days entered in the date inputs. The days are interpreted in the
+	 * timezone in which comment timestamps are displayed to the user.
+	 *
+	 * @param {string} dayFrom First day in the `YYYY-MM-DD` format, or an empty string.
+	 * @param {string} dayTo Last day (inclusive) in the `YYYY-MM-DD` format, or an empty string.
+	 * @returns {Pick<FilterCriteria, 'dateFrom' | 'dateTo'>}
+	 */
+	static getDateCriteria(dayFrom, dayTo) {
+		return {
+			dateFrom: dayFrom ? getDayStartInUserTimezone(dayFrom) : undefined,
+
+			// Include the whole last day
+			dateTo: dayTo
+				? getDayStartInUserTimezone(dayjs(dayTo).add(1, 'day').format('YYYY-MM-DD'))
+				: undefined,
+		}
+	}
+
+	/**
+	 * Check whether a criteria object has any criterion set.
+	 *
+	 * @param {FilterCriteria} criteria
+	 * @returns {boolean}
+	 */
+	static hasCriteria(criteria) {
+		return Boolean(
+			criteria.authors.length ||
+			criteria.dateFrom ||
+			criteria.dateTo ||
+			criteria.onlyNew ||
+			criteria.mentionsMe ||
+			criteria.repliesToMe ||
+			criteria.text,
+		)
+	}
+
+	/**
+	 * Check whether a comment matches the criteria.
+	 *
+	 * @param {import('./Comment').default} comment
+	 * @param {FilterCriteria} criteria
+	 * @returns {boolean}
+	 */
+	static matches(comment, criteria) {
+		return (
+			(!criteria.authors.length || criteria.authors.includes(comment.author.getName())) &&
+			(!criteria.dateFrom || Boolean(comment.date && comment.date >= criteria.dateFrom)) &&
+			(!criteria.dateTo || Boolean(comment.date && comment.date < criteria.dateTo)) &&
+			(!criteria.onlyNew || comment.hasFlag('new')) &&
+			(!criteria.mentionsMe ||
+				comment.elements.some((element) => element.querySelector('.cd-currentUserLink'))) &&
+			(!criteria.repliesToMe || Boolean(comment.getParent()?.isOwn())) &&
+			(!criteria.text || comment.getText(false).toLowerCase().includes(criteria.text.toLowerCase()))
+		)
+	}
+}
+
+export default new CommentFilter()
@@ -1,10 +1,12 @@
 import { cdxIconQuotes } from '@wikimedia/codex-icons'
 
 import CommentForm from './CommentForm'
+import DraftsDialog from './DraftsDialog'
 import EventEmitter from './EventEmitter'
 import LocalStorageItemWithKeysAndSaveTime from './LocalStorageItemWithKeysAndSaveTime'
 import commentManager from './commentManager'
 import controller from './controller'
+import keyboardNavigation from './keyboardNavigation'
 import cd from './loader/cd'
 import sectionManager from './sectionManager'
 import {
@@ -13,7 +15,9 @@ import {
 	sleep,
 	subtractDaysFromNow,
 } from './shared/utils-general'
-import { isCmdModifierPressed, keyCombination } from './utils-keyboard'
+import shortcutRegistry from './shortcutRegistry'
+import updateChecker from './updateChecker'
+import { isCmdModifierPressed } from './utils-keyboard'
 import { createIconDataUri, isInputFocused } from './utils-window'
 
 // TODO: make into a class extending a generic registry (with `items` etc.).
@@ -23,12 +27,26 @@ import { createIconDataUri, isInputFocused } from './utils-window'
  * @property {[CommentForm]} teardown
  * @property {[CommentForm]} add
  * @property {[CommentForm]} remove
+ * @property {[]} draftsChange
  */
 
 /**
  * @typedef {[CommentForm, import('./loader/cd').ConvenientDiscussions]} CommentFormCreatedEvent
  */
 
+/**
+ * @typedef {import('./CommentForm').CommentFormData & { rescued?: boolean }} StoredCommentFormData
+ */
+
+/**
+ * @typedef {object} Draft
+ * @property {string} pageName Name of the page the draft belongs to (with underlines).
+ * @property {number} saveTime
+ * @property {StoredCommentFormData} data
+ * @property {CommentForm} [commentForm] Comment form on the current page the draft is the content
+ *   of.
+ */
+
 /**
  * Singleton that stores about comment forms on the page and managing them.
  *
@@ -48,6 +66,15 @@ class CommentFormManager extends EventEmitter {
 	 */
 	throttledSaveSession
 
+	/**
+	 * Data of the comment forms on the current page that couldn't be restored. It is kept in the
+	 * storage so that the user can get back to it using the drafts dialog.
+	 *
+	 * @type {StoredCommentFormData[]}
+	 * @private
+	 */
+	unrestoredData = []
+
 	/**
 	 * _For internal use._ Initialize the registry.
 	 */
@@ -64,10 +91,10 @@ class CommentFormManager extends EventEmitter {
 			.on('startReboot', this.detach)
 			.on('keyDown', (event) => {
 				if (
-					// Ctrl+Alt+Q
-					keyCombination(event, 81, ['cmd', 'alt']) ||
-					// Q
-					(keyCombination(event, 81) && !isInputFocused())
+					shortcutRegistry.isPressed(event, 'quote') ||
+					(shortcutRegistry.isPressed(event, 'quoteOutsideInputs') &&
+						!isInputFocused() &&
+						!keyboardNavigation.isActive())
 				) {
 					const lastActiveCommentForm = this.getLastActive()
 					const comment = commentManager.getSelectedComment()
@@ -81,6 +108,11 @@ class CommentFormManager extends EventEmitter {
 				}
 			})
 			.on('resize', this.adjustLabels)
+		updateChecker.on('commentsUpdate', ({ all }) => {
+			this.items.forEach((commentForm) => {
+				commentForm.showNewReplies(all)
+			})
+		})
 		commentManager
 			.on('select', () => {
 				this.toggleQuoteButtonsHighlighting(true)
@@ -255,6 +287,7 @@ class CommentFormManager extends EventEmitter {
 	 */
 	reset() {
 		this.items.length = 0
+		this.unrestoredData.length = 0
 	}
 
 	/**
@@ -320,12 +353,12 @@ class CommentFormManager extends EventEmitter {
 	 */
 	actuallySaveSession = () => {
 		new LocalStorageItemWithKeysAndSaveTime('commentForms')
-			.setWithTime(
-				mw.config.get('wgPageName'),
-				this.items
+			.setWithTime(mw.config.get('wgPageName'), [
+				...this.items
 					.filter((commentForm) => commentForm.isAltered())
 					.map((commentForm) => commentForm.getData()),
-			)
+				...this.unrestoredData,
+			])
 			.save()
 	}
 
@@ -350,6 +383,21 @@ class CommentFormManager extends EventEmitter {
 		}
 	}
 
+	/**
+	 * Get the local storage item with the comment form data of all pages.
+	 *
+	 * @returns {LocalStorageItemWithKeysAndSaveTime<StoredCommentFormData[], 'commentForms'>}
+	 * @private
+	 */
+	getStorageItem() {
+		return (
+			new LocalStorageItemWithKeysAndSaveTime('commentForms')
+				// This comes from the local storage, the value may be corrupt
+				// eslint-disable-next-line @typescript-eslint/no-unnecessary-condition
+				.cleanUp((entry) => !entry.commentForms?.length || entry.saveTime < subtractDaysFromNow(60))
+		)
+	}
+
 	/**
 	 * Restore comment forms using the data saved in the local storage.
 	 * {@link module:commentFormManager.maybeShowRescueDialog Rescue} forms that couldn't be
@@ -359,62 +407,23 @@ class CommentFormManager extends EventEmitter {
 	 */
 	restoreSessionFromStorage() {
 		let haveRestored = /** @type {boolean} */ (false)
-
-		/**
-		 * @type {LocalStorageItemWithKeysAndSaveTime<
-		 *   import('./CommentForm').CommentFormData[],
-		 *   'commentForms'
-		 * >}
-		 */
-		const commentFormsStorageItem = new LocalStorageItemWithKeysAndSaveTime('commentForms')
-		this.maybeShowRescueDialog(
-			commentFormsStorageItem
-				// This comes from the local storage, the value may be corrupt
-				// eslint-disable-next-line @typescript-eslint/no-unnecessary-condition
-				.cleanUp((entry) => !entry.commentForms?.length || entry.saveTime < subtractDaysFromNow(60))
-				.save()
-				.get(mw.config.get('wgPageName'))
-				?.commentForms.filter((data) => {
-					const target = this.getTargetByData(data.targetData)
-					if (data.targetWithOutdentedRepliesData) {
-						const dataTyped = /** @type {import('./CommentForm').CommentFormInitialState} */ (data)
-						dataTyped.targetWithOutdentedReplies =
-							/** @type {import('./Comment').default|undefined} */ (
-								this.getTargetByData(data.targetWithOutdentedRepliesData)
-							)
-					}
-					if (
-						target?.isActionable() &&
-						(target.TYPE !== 'comment' || !target.hasFlag('deleted')) &&
-						(target.TYPE !== 'section' || target.canBeReplied()) &&
-						// Check if there is another form already
-						!target[CommentForm.getPropertyNameOnTarget(target, data.mode)]
-					) {
-						try {
-							const targetMethod = /** @type {import('./CommentForm').CommentFormAddingMethod} */ (
-								target[
-									/** @type {keyof typeof target} */ (target.getCommentFormMethodName(data.mode))
-								]
-							).bind(target)
-							targetMethod(
-								{ ...data, focus: false },
-								undefined,
-								data.preloadConfig,
-								data.newTopicOnTop,
-							)
-							haveRestored = true
-						} catch (error) {
-							cd.debug.logWarn(error)
-
-							return true
-						}
-					} else {
-						return true
+		const toRescue = /** @type {StoredCommentFormData[]} */ ([])
+		this.getStorageItem()
+			.save()
+			.get(mw.config.get('wgPageName'))
+			?.commentForms.forEach((data) => {
+				if (this.restoreFromData(data)) {
+					haveRestored = true
+				} else {
+					// Forms that were already rescued once are kept in the storage silently, accessible
+					// through the drafts dialog.
+					if (!data.rescued) {
+						toRescue.push(data)
 					}
-
-					return false
-				}),
-		)
+					this.unrestoredData.push({ ...data, rescued: true })
+				}
+			})
+		this.maybeShowRescueDialog(toRescue)
 
 		if (haveRestored) {
 			mw.notification
@@ -427,6 +436,45 @@ class CommentFormManager extends EventEmitter {
 		}
 	}
 
+	/**
+	 * Restore a comment form to the page using the data saved previously.
+	 *
+	 * @param {StoredCommentFormData} data
+	 * @returns {boolean} Whether the form has been restored.
+	 * @private
+	 */
+	restoreFromData(data) {
+		const target = this.getTargetByData(data.targetData)
+		if (data.targetWithOutdentedRepliesData) {
+			const dataTyped = /** @type {import('./CommentForm').CommentFormInitialState} */ (data)
+			dataTyped.targetWithOutdentedReplies = /** @type {import('./Comment').default|undefined} */ (
+				this.getTargetByData(data.targetWithOutdentedRepliesData)
+			)
+		}
+		if (
+			!target?.isActionable() ||
+			(target.TYPE === 'comment' && target.hasFlag('deleted')) ||
+			(target.TYPE === 'section' && !target.canBeReplied()) ||
+			// Check if there is another form already
+			target[CommentForm.getPropertyNameOnTarget(target, data.mode)]
+		) {
+			return false
+		}
+
+		try {
+			const targetMethod = /** @type {import('./CommentForm').CommentFormAddingMethod} */ (
+				target[/** @type {keyof typeof target} */ (target.getCommentFormMethodName(data.mode))]
+			).bind(target)
+			targetMethod({ ...data, focus: false }, undefined, data.preloadConfig, data.newTopicOnTop)
+		} catch (error) {
+			cd.debug.logWarn(error)
+
+			return false
+		}
+
+		return true
+	}
+
 	/**
 	 * Given identifying data (created by e.g. {@link Comment#getIdentifyingData}), get a comment or
 	 * section on the page or the page itself.
@@ -461,7 +509,17 @@ class CommentFormManager extends EventEmitter {
 	 */
 	restoreSessionDirectly() {
 		this.maybeShowRescueDialog(
-			this.items.map((commentForm) => commentForm.restore()).filter(defined),
+			this.items
+				.map((commentForm) => {
+					const data = commentForm.getData()
+					const rescueData = commentForm.restore()
+					if (rescueData) {
+						this.unrestoredData.push({ ...data, rescued: true })
+					}
+
+					return rescueData
+				})
+				.filter(defined),
 		)
 	}
 
@@ -514,6 +572,144 @@ class CommentFormManager extends EventEmitter {
 		})
 	}
 
+	/**
+	 * Get the drafts, i.e. unsent comment forms, of all pages saved in the local storage. For the
+	 * current page, the data is taken from the comment forms directly.
+	 *
+	 * @returns {Draft[]}
+	 */
+	getDrafts() {
+		const currentPageName = mw.config.get('wgPageName')
+		const storageItem = this.getStorageItem()
+
+		return [
+			...this.items
+				.filter((commentForm) => commentForm.isAltered())
+				.map((commentForm) => ({
+					pageName: currentPageName,
+					saveTime: commentForm.getLastFocused()?.getTime() || Date.now(),
+					data: commentForm.getData(),
+					commentForm,
+				})),
+			...this.unrestoredData.map((data) => ({
+				pageName: currentPageName,
+				saveTime: storageItem.get(currentPageName)?.saveTime || Date.now(),
+				data,
+			})),
+			...Object.keys(storageItem.getData())
+				.filter((pageName) => pageName !== currentPageName)
+				.flatMap((pageName) => {
+					const entry = /** @type {NonNullable<ReturnType<typeof storageItem.get>>} */ (
+						storageItem.get(pageName)
+					)
+
+					return entry.commentForms.map((data) => ({ pageName, saveTime: entry.saveTime, data }))
+				}),
+		].sort((draft1, draft2) => draft2.saveTime - draft1.saveTime)
+	}
+
+	/**
+	 * Get the number of drafts saved for pages other than the current one.
+	 *
+	 * @returns {number}
+	 */
+	getOtherPagesDraftCount() {
+		return this.getDrafts().filter((draft) => draft.pageName !== mw.config.get('wgPageName')).length
+	}
+
+	/**
+	 * Open the page of a draft and restore the comment form there. If the draft belongs to the
+	 * current page, reattach the form right away.
+	 *
+	 * @param {Draft} draft
+	 * @returns {boolean} Whether the draft has been opened. (`false` is returned if the draft belongs
+	 *   to the current page and its target couldn't be found.)
+	 */
+	openDraft(draft) {
+		if (draft.commentForm) {
+			draft.commentForm.goTo()
+
+			return true
+		}
+
+		if (draft.pageName === mw.config.get('wgPageName')) {
+			if (!this.restoreFromData({ ...draft.data })) {
+				return false
+			}
+
+			removeFromArrayIfPresent(this.unrestoredData, draft.data)
+			this.saveSession(true)
+			this.getLastActive()?.goTo()
+			this.emit('draftsChange')
+		} else {
+			// Make the script try to restore the form even if it failed before.
+			const storageItem = this.getStorageItem()
+			storageItem.get(draft.pageName)?.commentForms.forEach((data) => {
+				if (this.areDraftDataEqual(data, draft.data)) {
+					delete data.rescued
+				}
+			})
+			storageItem.save()
+
+			location.assign(mw.util.getUrl(draft.pageName))
+		}
+
+		return true
+	}
+
+	/**
+	 * Remove a draft from the storage. Drafts of comment forms open on the page can't be discarded
+	 * this way – the forms should be closed instead.
+	 *
+	 * @param {Draft} draft
+	 */
+	discardDraft(draft) {
+		if (draft.commentForm) return
+
+		if (draft.pageName === mw.config.get('wgPageName')) {
+			removeFromArrayIfPresent(this.unrestoredData, draft.data)
+			this.saveSession(true)
+		} else {
+			const storageItem = this.getStorageItem()
+			storageItem
+				.setWithTime(
+					draft.pageName,
+					(storageItem.get(draft.pageName)?.commentForms || []).filter(
+						(data) => !this.areDraftDataEqual(data, draft.data),
+					),
+				)
+				.save()
+		}
+		this.emit('draftsChange')
+	}
+
+	/**
+	 * Check whether two sets of comment form data saved in the storage represent the same form.
+	 *
+	 * @param {StoredCommentFormData} data1
+	 * @param {StoredCommentFormData} data2
+	 * @returns {boolean}
+	 * @private
+	 */
+	areDraftDataEqual(data1, data2) {
+		return (
+			data1.mode === data2.mode &&
+			data1.comment === data2.comment &&
+			data1.headline === data2.headline &&
+			JSON.stringify(data1.targetData) === JSON.stringify(data2.targetData)
+		)
+	}
+
+	/**
+	 * Show the dialog listing the drafts saved for all pages.
+	 */
+	showDraftsDialog() {
+		const dialog = new DraftsDialog(this)
+		const windowManager = cd.getWindowManager()
+		windowManager.addWindows([dialog])
+		windowManager.openWindow(dialog)
+	}
+
 	/**
 	 * Return saved comment forms to their places.
 	 *
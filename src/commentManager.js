@@ -1,5 +1,6 @@
 import EventEmitter from './EventEmitter'
 import LocalStorageItemWithKeys from './LocalStorageItemWithKeys'
+import LocalStorageItemWithKeysAndSaveTime from './LocalStorageItemWithKeysAndSaveTime'
 import SessionStorageItemWithKeys from './SessionStorageItemWithKeys'
 import Thread from './Thread'
 import commentFormManager from './commentFormManager'
@@ -70,6 +71,19 @@ export class CommentManager extends EventEmitter {
 	 */
 	thanksStorage
 
+	/**
+	 * @typedef {{ [commentId: string]: number }} FollowedComments Times when the comments were
+	 *   followed, by comment ID.
+	 */
+
+	/**
+	 * Storage of comments followed by the user, by page ID.
+	 *
+	 * @type {LocalStorageItemWithKeysAndSaveTime<FollowedComments, 'followedComments'>}
+	 * @private
+	 */
+	followedCommentsStorage
+
 	/**
 	 * Whether timestamps in the default format are shown to the user.
 	 *
@@ -170,6 +184,16 @@ export class CommentManager extends EventEmitter {
 		this.thanksStorage = new LocalStorageItemWithKeys('thanks')
 			.cleanUp((entry) => (entry.thankTime || 0) < subtractDaysFromNow(60))
 			.save()
+		this.followedCommentsStorage = new LocalStorageItemWithKeysAndSaveTime('followedComments')
+			.cleanUp(
+				(entry) =>
+					// This comes from the local storage, the value may be corrupt
+					// eslint-disable-next-line @typescript-eslint/no-unnecessary-condition
+					!Object.keys(entry.followedComments ?? {}).length ||
+					// The save time is updated on each visit to the page.
+					entry.saveTime < subtractDaysFromNow(60),
+			)
+			.save()
 
 		this.on('updateSeen', this.saveUnseenStorage)
 		this.on('updateNew', this.saveReadStorage)
@@ -234,6 +258,7 @@ export class CommentManager extends EventEmitter {
 		this.reformatTimestamps()
 		this.findAndUpdateTableComments()
 		this.adjustDom()
+		this.cleanUpFollowedComments()
 
 		// Our handler may run earlier than DT's (e.g. in Chrome if the page was loaded in a background
 		// tab). This hack seems to work better than adding and removing a `wikipage.content` hook.
@@ -508,7 +533,6 @@ export class CommentManager extends EventEmitter {
 	 * @param {'forward' | 'backward'} [findClosestDirection] If there is no comment in the viewport,
 	 *   find the closest comment in the specified direction.
 	 * @returns {C | undefined}
-	 * @private
 	 */
 	findOneInViewport(findClosestDirection) {
 		// Reset the roughOffset property. It is used only within this method.
@@ -1437,7 +1461,7 @@ export class CommentManager extends EventEmitter {
 	 * {@link module:navPanel.goToNextNewComment}.
 	 *
 	 * @param {'forward' | 'backward' | undefined} direction
-	 * @private
+	 * @returns {C | undefined} The comment scrolled to.
 	 */
 	goToNewCommentInDirection(direction) {
 		if (controller.isAutoScrolling()) return
@@ -1460,6 +1484,8 @@ export class CommentManager extends EventEmitter {
 				comment.registerSeen(direction, true)
 			},
 		})
+
+		return comment
 	}
 
 	/**
@@ -1505,6 +1531,55 @@ export class CommentManager extends EventEmitter {
 		return this.thanksStorage
 	}
 
+	/**
+	 * Check whether the user follows a comment on the current page, i.e. wants replies to it and in
+	 * its subthread to be treated as relevant.
+	 *
+	 * @param {string} id
+	 * @returns {boolean}
+	 */
+	isCommentFollowed(id) {
+		return Boolean(
+			this.followedCommentsStorage.get(mw.config.get('wgArticleId'))?.followedComments[id],
+		)
+	}
+
+	/**
+	 * Follow or unfollow a comment on the current page.
+	 *
+	 * @param {string} id
+	 * @param {boolean} followed
+	 */
+	setCommentFollowed(id, followed) {
+		const articleId = mw.config.get('wgArticleId')
+		const followedComments = { ...this.followedCommentsStorage.get(articleId)?.followedComments }
+		if (followed) {
+			followedComments[id] = Date.now()
+		} else {
+			delete followedComments[id]
+		}
+		this.followedCommentsStorage.setWithTime(articleId, followedComments).save()
+	}
+
+	/**
+	 * Remove the IDs of comments that are no longer on the page from the followed comments data and
+	 * update its save time, so that the data expires only if the page isn't visited for a long time.
+	 *
+	 * @private
+	 */
+	cleanUpFollowedComments() {
+		const articleId = mw.config.get('wgArticleId')
+		const followedComments = this.followedCommentsStorage.get(articleId)?.followedComments
+		if (!followedComments || !cd.page.isActive()) return
+
+		this.followedCommentsStorage
+			.setWithTime(
+				articleId,
+				Object.fromEntries(Object.entries(followedComments).filter(([id]) => this.getById(id))),
+			)
+			.save()
+	}
+
 	/**
 	 * Check if broken layout checks can still be performed.
 	 *
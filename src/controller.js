@@ -2,10 +2,12 @@ import AutocompleteManager from './AutocompleteManager'
 import BootProcess from './BootProcess'
 import Comment from './Comment'
 import CommentForm from './CommentForm'
+import CommentHistoryDialog from './CommentHistoryDialog'
 import CommentLayersOptionalBackgroundHighlightingCss from './CommentLayers.optionalBackgroundHighlighting.less?inline'
 import CopyLinkDialog from './CopyLinkDialog'
 import DtSubscriptions from './DtSubscriptions'
 import EventEmitter from './EventEmitter'
+import ExportDialog from './ExportDialog'
 import Thread from './Thread'
 import commentFormManager from './commentFormManager'
 import commentManager from './commentManager'
@@ -30,6 +32,7 @@ import {
 import toc from './toc'
 import updateChecker from './updateChecker'
 import { getUserInfo } from './utils-api'
+import { getExportedComments } from './utils-export'
 import { copyText, isVisible, wrapHtml } from './utils-window'
 import workerCode from './worker/worker?worker&inline-string'
 
@@ -1187,6 +1190,7 @@ class Controller extends EventEmitter {
 		this.mutationObserver?.disconnect()
 		commentManager.reset()
 		sectionManager.reset()
+		updateChecker.teardown()
 		CommentForm.unregisterOnTarget(cd.page, 'addSection')
 		this.$emulatedAddTopicButton?.remove()
 		delete this.$addTopicButtons
@@ -1339,6 +1343,47 @@ class Controller extends EventEmitter {
 		windowManager.openWindow(dialog)
 	}
 
+	/**
+	 * Show a dialog exporting a section or a thread to Markdown, plain text or JSON.
+	 *
+	 * @param {import('./Comment').default|import('./Section').default} object Section or the root
+	 *   comment of a thread to export.
+	 */
+	showExportDialog(object) {
+		if (cd.loader.isPageOverlayOn()) return
+
+		const isThread = object instanceof Comment
+		const section = isThread ? object.section : object
+		const dialog = new ExportDialog(
+			{
+				page: cd.page.name,
+				title: section?.headline,
+				url: object.getUrl() || cd.page.getDecodedUrl(),
+				comments: getExportedComments(
+					isThread ? [object, ...object.getChildren(true)] : object.comments,
+				),
+			},
+			isThread,
+		)
+		const windowManager = cd.getWindowManager()
+		windowManager.addWindows([dialog])
+		windowManager.openWindow(dialog)
+	}
+
+	/**
+	 * Show a dialog with the versions of a comment.
+	 *
+	 * @param {import('./Comment').default} comment
+	 */
+	showCommentHistoryDialog(comment) {
+		if (cd.loader.isPageOverlayOn()) return
+
+		const dialog = new CommentHistoryDialog(comment)
+		const windowManager = cd.getWindowManager()
+		windowManager.addWindows([dialog])
+		windowManager.openWindow(dialog)
+	}
+
 	/**
 	 * Scroll to a specified position vertically.
 	 *
@@ -1447,7 +1492,7 @@ class Controller extends EventEmitter {
 		if (cd.settings.get('notifications') === 'all') {
 			filteredComments = comments
 		} else if (cd.settings.get('notifications') === 'toMe') {
-			filteredComments = comments.filter((comment) => comment.toMe)
+			filteredComments = comments.filter((comment) => comment.toMe || comment.followedComment)
 		}
 
 		if (cd.settings.get('notifications') !== 'none' && filteredComments.length) {
@@ -1486,14 +1531,25 @@ class Controller extends EventEmitter {
 						) +
 						wordSeparator +
 						rebootHtml
-					: cd.sParse(
-							'notification-insection',
-							comment.author.getName(),
-							comment.author,
-							/** @type {import('./Section').default} */ (comment.sectionSubscribedTo).headline,
-						) +
-						wordSeparator +
-						rebootHtml
+					: comment.followedComment
+						? cd.sParse(
+								'notification-infollowed',
+								comment.author.getName(),
+								comment.author,
+								comment.section?.headline
+									? wordSeparator + cd.s('notification-part-insection', comment.section.headline)
+									: '',
+							) +
+							wordSeparator +
+							rebootHtml
+						: cd.sParse(
+								'notification-insection',
+								comment.author.getName(),
+								comment.author,
+								/** @type {import('./Section').default} */ (comment.sectionSubscribedTo).headline,
+							) +
+							wordSeparator +
+							rebootHtml
 			} else {
 				const section =
 					// Is there a common section?
@@ -1551,7 +1607,7 @@ class Controller extends EventEmitter {
 		if (cd.settings.get('desktopNotifications') === 'all') {
 			filteredComments = comments
 		} else if (cd.settings.get('desktopNotifications') === 'toMe') {
-			filteredComments = comments.filter((comment) => comment.toMe)
+			filteredComments = comments.filter((comment) => comment.toMe || comment.followedComment)
 		}
 
 		if (
@@ -1582,14 +1638,24 @@ class Controller extends EventEmitter {
 
 						currentPageName,
 					)
-				: cd.s(
-						'notification-insection-desktop',
-						comment.author.getName(),
-						comment.author,
-						/** @type {import('./updateChecker').SectionWorkerMatched} */ (comment.section)
-							.headline,
-						currentPageName,
-					)
+				: comment.followedComment
+					? cd.s(
+							'notification-infollowed-desktop',
+							comment.author.getName(),
+							comment.author,
+							comment.section?.headline
+								? wordSeparator + cd.s('notification-part-insection', comment.section.headline)
+								: '',
+							currentPageName,
+						)
+					: cd.s(
+							'notification-insection-desktop',
+							comment.author.getName(),
+							comment.author,
+							/** @type {import('./updateChecker').SectionWorkerMatched} */ (comment.section)
+								.headline,
+							currentPageName,
+						)
 		} else {
 			const section =
 				// Is there a common section?
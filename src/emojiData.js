@@ -0,0 +1,332 @@
+/**
+ * Characters available in the emoji autocomplete. Each entry is an array of the character, its
+ * name (in the format of {@link https://github.com/ikatyang/emoji-cheat-sheet GitHub shortcodes}
+ * where there is one) and, optionally, additional search keywords.
+ *
+ * @module emojiData
+ */
+
+/**
+ * @typedef {[string, string, ...string[]]} EmojiDataEntry
+ */
+
+/**
+ * Emoji. These can be inserted using {@link module:defaultConfig.emojiTemplate a template}.
+ *
+ * @type {EmojiDataEntry[]}
+ */
+export const emoji = [
+	// Smileys
+	['😀', 'grinning', 'smile', 'happy'],
+	['😃', 'smiley', 'happy'],
+	['😄', 'smile', 'happy'],
+	['😁', 'grin'],
+	['😆', 'laughing', 'satisfied'],
+	['😅', 'sweat_smile'],
+	['🤣', 'rofl', 'lol'],
+	['😂', 'joy', 'lol', 'tears'],
+	['🙂', 'slightly_smiling_face'],
+	['🙃', 'upside_down_face'],
+	['😉', 'wink'],
+	['😊', 'blush'],
+	['😇', 'innocent', 'halo', 'angel'],
+	['🥰', 'smiling_face_with_three_hearts', 'love'],
+	['😍', 'heart_eyes', 'love'],
+	['🤩', 'star_struck'],
+	['😘', 'kissing_heart'],
+	['😋', 'yum'],
+	['😛', 'stuck_out_tongue'],
+	['😜', 'stuck_out_tongue_winking_eye'],
+	['🤪', 'zany_face', 'crazy'],
+	['🤗', 'hugs', 'hug'],
+	['🤭', 'hand_over_mouth'],
+	['🤫', 'shushing_face', 'quiet'],
+	['🤔', 'thinking', 'hmm'],
+	['🤐', 'zipper_mouth_face'],
+	['🤨', 'raised_eyebrow', 'skeptical'],
+	['😐', 'neutral_face'],
+	['😑', 'expressionless'],
+	['😶', 'no_mouth'],
+	['😏', 'smirk'],
+	['😒', 'unamused'],
+	['🙄', 'roll_eyes'],
+	['😬', 'grimacing'],
+	['😌', 'relieved'],
+	['😔', 'pensive'],
+	['😪', 'sleepy'],
+	['😴', 'sleeping'],
+	['😷', 'mask'],
+	['🤒', 'face_with_thermometer', 'sick'],
+	['🤯', 'exploding_head', 'mind_blown'],
+	['🥳', 'partying_face', 'party'],
+	['😎', 'sunglasses', 'cool'],
+	['🤓', 'nerd_face'],
+	['🧐', 'monocle_face'],
+	['😕', 'confused'],
+	['😟', 'worried'],
+	['🙁', 'slightly_frowning_face'],
+	['😮', 'open_mouth', 'surprised'],
+	['😲', 'astonished'],
+	['😳', 'flushed'],
+	['🥺', 'pleading_face'],
+	['😢', 'cry', 'sad'],
+	['😭', 'sob'],
+	['😱', 'scream'],
+	['😖', 'confounded'],
+	['😞', 'disappointed'],
+	['😓', 'sweat'],
+	['😩', 'weary'],
+	['😫', 'tired_face'],
+	['🥱', 'yawning_face'],
+	['😤', 'triumph'],
+	['😡', 'rage', 'angry'],
+	['😠', 'angry'],
+	['🤬', 'cursing_face'],
+	['😈', 'smiling_imp', 'devil'],
+	['💀', 'skull', 'dead'],
+	['💩', 'poop', 'hankey'],
+	['🤡', 'clown_face'],
+	['👻', 'ghost'],
+	['👽', 'alien'],
+	['🤖', 'robot'],
+	['🙈', 'see_no_evil', 'monkey'],
+	['🙉', 'hear_no_evil', 'monkey'],
+	['🙊', 'speak_no_evil', 'monkey'],
+
+	// Hearts and symbols of emotions
+	['❤️', 'heart', 'love'],
+	['🧡', 'orange_heart'],
+	['💛', 'yellow_heart'],
+	['💚', 'green_heart'],
+	['💙', 'blue_heart'],
+	['💜', 'purple_heart'],
+	['🖤', 'black_heart'],
+	['🤍', 'white_heart'],
+	['💔', 'broken_heart'],
+	['💕', 'two_hearts'],
+	['💯', '100', 'hundred'],
+	['💢', 'anger'],
+	['💥', 'boom', 'collision'],
+	['💫', 'dizzy'],
+	['💬', 'speech_balloon', 'comment'],
+	['💭', 'thought_balloon'],
+	['💤', 'zzz', 'sleep'],
+
+	// Hands and people
+	['👋', 'wave', 'hello', 'bye'],
+	['✋', 'raised_hand', 'hand'],
+	['👌', 'ok_hand'],
+	['✌️', 'v', 'victory', 'peace'],
+	['🤞', 'crossed_fingers', 'luck'],
+	['🤘', 'metal'],
+	['👈', 'point_left'],
+	['👉', 'point_right'],
+	['👆', 'point_up_2'],
+	['👇', 'point_down'],
+	['☝️', 'point_up'],
+	['👍', '+1', 'thumbsup', 'like', 'yes'],
+	['👎', '-1', 'thumbsdown', 'dislike', 'no'],
+	['✊', 'fist_raised'],
+	['👊', 'fist_oncoming', 'punch'],
+	['👏', 'clap', 'applause'],
+	['🙌', 'raised_hands', 'hooray'],
+	['👐', 'open_hands'],
+	['🤝', 'handshake', 'deal'],
+	['🙏', 'pray', 'please', 'thanks'],
+	['✍️', 'writing_hand'],
+	['💪', 'muscle', 'strong'],
+	['👀', 'eyes', 'look'],
+	['🧠', 'brain'],
+	['🤷', 'shrug'],
+	['🤦', 'facepalm'],
+	['🙋', 'raising_hand'],
+	['🙅', 'no_good'],
+	['🙆', 'ok_person'],
+
+	// Nature, food and activities
+	['🐱', 'cat'],
+	['🐶', 'dog'],
+	['🦄', 'unicorn'],
+	['🐛', 'bug'],
+	['🐢', 'turtle', 'slow'],
+	['🌈', 'rainbow'],
+	['🌞', 'sun_with_face'],
+	['⭐', 'star'],
+	['🌟', 'star2', 'glowing_star'],
+	['🔥', 'fire', 'hot'],
+	['💧', 'droplet'],
+	['🌊', 'ocean', 'wave'],
+	['❄️', 'snowflake'],
+	['⚡', 'zap', 'lightning'],
+	['🌹', 'rose', 'flower'],
+	['🌻', 'sunflower'],
+	['🍀', 'four_leaf_clover', 'luck'],
+	['🍎', 'apple'],
+	['🍕', 'pizza'],
+	['🍰', 'cake'],
+	['🎂', 'birthday', 'cake'],
+	['🍪', 'cookie'],
+	['☕', 'coffee'],
+	['🍵', 'tea'],
+	['🍺', 'beer'],
+	['🍻', 'beers', 'cheers'],
+	['🥂', 'clinking_glasses', 'cheers'],
+	['🎉', 'tada', 'party', 'congratulations'],
+	['🎊', 'confetti_ball'],
+	['🎈', 'balloon'],
+	['🎁', 'gift', 'present'],
+	['🏆', 'trophy', 'award'],
+	['🥇', '1st_place_medal', 'gold'],
+	['🏅', 'medal_sports'],
+	['🎯', 'dart', 'target', 'bullseye'],
+	['🎵', 'musical_note', 'music'],
+
+	// Objects
+	['📌', 'pushpin', 'pin'],
+	['📎', 'paperclip'],
+	['📝', 'memo', 'note'],
+	['📚', 'books'],
+	['📖', 'book', 'open_book'],
+	['📰', 'newspaper'],
+	['📢', 'loudspeaker', 'announcement'],
+	['📣', 'mega', 'megaphone'],
+	['🔔', 'bell', 'notification'],
+	['🔕', 'no_bell'],
+	['🔍', 'mag', 'search'],
+	['🔗', 'link'],
+	['🔒', 'lock'],
+	['🔓', 'unlock'],
+	['🔑', 'key'],
+	['🔧', 'wrench', 'fix'],
+	['🔨', 'hammer'],
+	['🛠️', 'hammer_and_wrench', 'tools'],
+	['⚙️', 'gear', 'settings'],
+	['💡', 'bulb', 'idea'],
+	['💻', 'computer', 'laptop'],
+	['📱', 'iphone', 'phone'],
+	['📷', 'camera'],
+	['🗑️', 'wastebasket', 'trash'],
+	['📅', 'date', 'calendar'],
+	['⏰', 'alarm_clock'],
+	['⌛', 'hourglass'],
+	['⏳', 'hourglass_flowing_sand', 'wait'],
+	['🚀', 'rocket'],
+	['🚧', 'construction'],
+	['🚨', 'rotating_light', 'alert'],
+	['🏳️‍🌈', 'rainbow_flag', 'pride'],
+	['🏁', 'checkered_flag', 'finish'],
+	['🚩', 'triangular_flag_on_post', 'red_flag'],
+
+	// Signs
+	['✅', 'white_check_mark', 'done', 'yes'],
+	['☑️', 'ballot_box_with_check'],
+	['✔️', 'heavy_check_mark', 'check'],
+	['❌', 'x', 'cross', 'no'],
+	['❎', 'negative_squared_cross_mark'],
+	['❓', 'question'],
+	['❔', 'grey_question'],
+	['❗', 'exclamation', 'heavy_exclamation_mark'],
+	['❕', 'grey_exclamation'],
+	['‼️', 'bangbang'],
+	['⁉️', 'interrobang'],
+	['⚠️', 'warning'],
+	['⛔', 'no_entry'],
+	['🚫', 'no_entry_sign', 'forbidden'],
+	['♻️', 'recycle'],
+	['🆗', 'ok'],
+	['🆕', 'new'],
+	['🆒', 'cool'],
+	['🆘', 'sos'],
+	['ℹ️', 'information_source', 'info'],
+	['🔴', 'red_circle'],
+	['🟢', 'green_circle'],
+	['🔵', 'large_blue_circle', 'blue_circle'],
+	['🟡', 'yellow_circle'],
+	['⚫', 'black_circle'],
+	['⚪', 'white_circle'],
+]
+
+/**
+ * Unicode symbols that are not emoji, such as typographic characters, arrows and math signs. These
+ * are always inserted as is.
+ *
+ * @type {EmojiDataEntry[]}
+ */
+export const symbols = [
+	// Typography
+	['—', 'mdash', 'em_dash', 'dash'],
+	['–', 'ndash', 'en_dash', 'dash'],
+	['−', 'minus'],
+	['…', 'hellip', 'ellipsis'],
+	['«', 'laquo', 'guillemet', 'quote'],
+	['»', 'raquo', 'guillemet', 'quote'],
+	['„', 'bdquo', 'quote'],
+	['“', 'ldquo', 'quote'],
+	['”', 'rdquo', 'quote'],
+	['‘', 'lsquo', 'quote'],
+	['’', 'rsquo', 'apostrophe', 'quote'],
+	['′', 'prime', 'minute'],
+	['″', 'double_prime', 'second'],
+	['·', 'middot', 'middle_dot'],
+	['•', 'bull', 'bullet'],
+	['§', 'sect', 'section'],
+	['¶', 'para', 'pilcrow', 'paragraph'],
+	['†', 'dagger'],
+	['‡', 'double_dagger'],
+	['№', 'numero', 'number'],
+	['©', 'copy', 'copyright'],
+	['®', 'reg', 'registered'],
+	['™', 'trade', 'trademark'],
+	['°', 'deg', 'degree'],
+	['‰', 'permil', 'per_mille'],
+	['⁂', 'asterism'],
+
+	// Arrows
+	['→', 'rarr', 'arrow_right'],
+	['←', 'larr', 'arrow_left'],
+	['↑', 'uarr', 'arrow_up'],
+	['↓', 'darr', 'arrow_down'],
+	['↔', 'harr', 'arrow_left_right'],
+	['⇒', 'rArr', 'implies', 'double_arrow_right'],
+	['⇐', 'lArr', 'double_arrow_left'],
+	['⇔', 'hArr', 'iff', 'double_arrow_left_right'],
+	['↩', 'return', 'arrow_hooked'],
+
+	// Math
+	['±', 'plusmn', 'plus_minus'],
+	['×', 'times', 'multiply'],
+	['÷', 'divide'],
+	['≈', 'asymp', 'approximately'],
+	['≠', 'ne', 'not_equal'],
+	['≤', 'le', 'less_or_equal'],
+	['≥', 'ge', 'greater_or_equal'],
+	['∞', 'infin', 'infinity'],
+	['√', 'radic', 'square_root'],
+	['∑', 'sum', 'sigma'],
+	['∆', 'delta', 'increment'],
+	['π', 'pi'],
+	['µ', 'micro'],
+	['½', 'frac12', 'half'],
+	['¼', 'frac14', 'quarter'],
+	['¾', 'frac34', 'three_quarters'],
+	['²', 'sup2', 'squared'],
+	['³', 'sup3', 'cubed'],
+
+	// Currency
+	['€', 'euro'],
+	['£', 'pound'],
+	['¥', 'yen'],
+	['₽', 'ruble'],
+	['₹', 'rupee'],
+	['¢', 'cent'],
+
+	// Miscellaneous
+	['✓', 'check_mark', 'tick'],
+	['✗', 'ballot_x', 'cross_mark'],
+	['★', 'black_star', 'star'],
+	['☆', 'white_star', 'star'],
+	['♥', 'hearts', 'heart'],
+	['♪', 'note', 'music'],
+	['☐', 'ballot_box', 'checkbox'],
+	['☒', 'ballot_box_x'],
+]
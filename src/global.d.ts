@@ -10,6 +10,8 @@ import type { CommentFormMode } from './CommentForm'
 import type CommentSource from './CommentSource'
 import type Section from './Section'
 import type SectionSource from './SectionSource'
+import type ShortcutsWidget from './ShortcutsWidget'
+import type SnippetsWidget from './SnippetsWidget'
 import type TextInputWidget from './TextInputWidget'
 import type addCommentLinks from './addCommentLinks'
 import type { app } from './app'
@@ -76,7 +78,9 @@ declare global {
 		normalizedTitle?: string
 		index?: number
 		contentmodel: string
+		lastrevid?: number
 		redirects?: { title: string }[]
+		links?: { ns: number; title: string }[]
 		revisions?: Revision[]
 	}
 
@@ -87,7 +91,8 @@ declare global {
 			main: {
 				contentmodel: string
 				contentformat: string
-				content: string
+				content?: string
+				texthidden?: boolean
 				nosuchsection: boolean
 			}
 		}
@@ -190,6 +195,27 @@ declare global {
 		}
 	}
 
+	interface ApiResponseQueryContentSearch {
+		query?: {
+			search: {
+				ns: number
+				title: string
+			}[]
+		}
+	}
+
+	interface ApiResponseQueryContentWatchlist {
+		query?: {
+			watchlist: {
+				pageid: number
+				ns: number
+				title: string
+				revid: number
+				timestamp: string
+			}[]
+		}
+	}
+
 	type ControlType =
 		| 'button'
 		| 'checkbox'
@@ -199,6 +225,8 @@ declare global {
 		| 'multitag'
 		| 'number'
 		| 'radio'
+		| 'shortcuts'
+		| 'snippets'
 		| 'text'
 		| 'title'
 
@@ -211,6 +239,8 @@ declare global {
 		multitag: MultitagControl
 		number: NumberControl
 		radio: RadioControl
+		shortcuts: ShortcutsControl
+		snippets: SnippetsControl
 		title: TitleControl
 		text: TextControl
 	}
@@ -251,6 +281,10 @@ declare global {
 
 	type RadioControl = GenericControl<'radio'>
 
+	type ShortcutsControl = GenericControl<'shortcuts'>
+
+	type SnippetsControl = GenericControl<'snippets'>
+
 	type TitleControl = GenericControl<'title'>
 
 	type TextControl = GenericControl<'text'>
@@ -266,6 +300,8 @@ declare global {
 		button: OO.ui.ButtonWidget
 		copyText: OO.ui.TextInputWidget
 		title: mw.widgets.TitleInputWidget
+		shortcuts: ShortcutsWidget
+		snippets: SnippetsWidget
 	}
 
 	interface Window {
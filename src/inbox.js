@@ -0,0 +1,446 @@
+/**
+ * Module loaded on the inbox page, a page listing comments relevant to the user that were recently
+ * posted on their watched talk pages: replies to their comments, mentions, comments on their talk
+ * page, and new comments in the topics they are subscribed to.
+ *
+ * @module inbox
+ */
+
+import DtSubscriptions from './DtSubscriptions'
+import controller from './controller'
+import { initGlobals, initPatterns, initTimestampTools } from './init'
+import cd from './loader/cd'
+import pageRegistry from './pageRegistry'
+import sectionManager from './sectionManager'
+import settings from './settings'
+import { defined, spacesToUnderlines, subtractDaysFromNow } from './shared/utils-general'
+import updateChecker from './updateChecker'
+import userRegistry from './userRegistry'
+import { handleApiReject } from './utils-api'
+import { formatDate, initDayjs } from './utils-date'
+import { findInboxItems, getLinkTitles } from './utils-inbox'
+import visits from './visits'
+
+/**
+ * @typedef {import('./worker/CommentWorker').default} CommentWorker
+ */
+
+/**
+ * @typedef {object} InboxEntry
+ * @property {CommentWorker} comment
+ * @property {import('./utils-inbox').InboxReason} reason
+ * @property {import('./Page').default} page
+ * @property {boolean} unread
+ */
+
+/**
+ * @typedef {object} ParsedPage
+ * @property {import('./Page').default} page
+ * @property {number} pageId
+ * @property {CommentWorker[]} comments
+ * @property {import('./worker/SectionWorker').default[]} sections
+ */
+
+/**
+ * Number of days to look back for comments.
+ */
+const periodInDays = 7
+
+/**
+ * Maximum number of watched talk pages to parse. Every page is parsed with a separate request, so
+ * we need to keep it reasonable.
+ */
+const maxPageCount = 30
+
+/**
+ * Maximum length of a comment excerpt in characters.
+ */
+const excerptLength = 200
+
+/** @type {JQuery} */
+let $root
+
+/** @type {JQuery} */
+let $body
+
+/** @type {number[]} */
+let pageIds = []
+
+/**
+ * _For internal use._ The entry function for the inbox page.
+ */
+export default async function showInbox() {
+	// This could have been executed from app() already.
+	initGlobals()
+
+	const title = cd.s('inbox-title')
+	$('#firstHeading').text(title)
+	document.title = `${title} – ${mw.config.get('wgSiteName')}`
+
+	$body = $('<div>').addClass('cd-inbox-body')
+	$root = $('<div>').addClass('cd-inbox').append($body)
+	cd.loader.$content.empty().append($root)
+
+	if (!cd.user.isRegistered()) {
+		$body.append(createMessage('notice', cd.s('inbox-anonymous')))
+
+		return
+	}
+
+	try {
+		await bootstrap()
+	} catch (error) {
+		cd.debug.logWarn(error)
+		$body.append(createMessage('error', cd.s('inbox-error')))
+
+		return
+	}
+
+	$root.prepend(createToolbar())
+	load()
+}
+
+/**
+ * Set variables and initialize the parts of the script needed to parse pages.
+ *
+ * @private
+ */
+async function bootstrap() {
+	try {
+		await cd.loader.getSiteDataPromise()
+		await settings.getInitPromise()
+	} catch (error) {
+		throw new Error(`Couldn't load the data required for the script.`, { cause: error })
+	}
+
+	initTimestampTools()
+	initPatterns()
+	initDayjs()
+	updateChecker.connectWorker(controller.getWorker())
+}
+
+/**
+ * Create the toolbar with the refresh and "Mark all as read" buttons.
+ *
+ * @returns {JQuery}
+ * @private
+ */
+function createToolbar() {
+	const refreshButton = new OO.ui.ButtonWidget({
+		label: cd.s('inbox-refresh'),
+		icon: 'reload',
+	})
+	refreshButton.on('click', () => {
+		load()
+	})
+
+	const markAsReadButton = new OO.ui.ButtonWidget({
+		label: cd.s('inbox-markasread'),
+		icon: 'check',
+	})
+	markAsReadButton.on('click', () => {
+		visits.markPagesAsSeen(pageIds)
+		$body.find('.cd-inbox-item-unread').removeClass('cd-inbox-item-unread')
+	})
+
+	return $('<div>')
+		.addClass('cd-inbox-toolbar')
+		.append(refreshButton.$element, markAsReadButton.$element)
+}
+
+/**
+ * Load the comments from the watched talk pages and render the inbox.
+ *
+ * @private
+ */
+async function load() {
+	const progressBar = new OO.ui.ProgressBarWidget({ progress: false })
+	$body.empty().append(progressBar.$element)
+
+	const since = new Date(subtractDaysFromNow(periodInDays))
+
+	/** @type {import('./Page').default[]} */
+	let pages
+	try {
+		await visits.loadData()
+		pages = await getWatchedTalkPages(since)
+	} catch (error) {
+		cd.debug.logWarn(error)
+		$body.empty().append(createMessage('error', cd.s('inbox-error')))
+
+		return
+	}
+
+	/** @type {ParsedPage[]} */
+	const parsedPages = []
+
+	/** @type {import('./Page').default[]} */
+	const failedPages = []
+
+	// Parse the pages one by one not to overload the server and the worker.
+	for (const [i, page] of pages.entries()) {
+		try {
+			const { comments, sections } = await updateChecker.processOtherPage(page)
+			parsedPages.push({
+				page,
+				pageId: /** @type {number} */ (page.pageId),
+				comments,
+				sections,
+			})
+		} catch (error) {
+			cd.debug.logWarn(error)
+			failedPages.push(page)
+		}
+		progressBar.setProgress(((i + 1) / pages.length) * 100)
+	}
+
+	pageIds = parsedPages.map(({ pageId }) => pageId)
+
+	/** @type {import('./Subscriptions').SubscriptionsData} */
+	let subscriptions = {}
+	if (cd.g.isDtTopicSubscriptionEnabled) {
+		try {
+			subscriptions = await new DtSubscriptions().getSubscriptions(
+				parsedPages.flatMap(({ page, comments, sections }) => [
+					getPageSubscribeId(page),
+					...sections.map((section) => getSectionSubscribeId(section, comments)).filter(defined),
+				]),
+			)
+		} catch (error) {
+			cd.debug.logWarn(error)
+		}
+	}
+
+	const entries = parsedPages
+		.flatMap(({ page, pageId, comments }) => {
+			const lastVisitTime = visits.getLastVisitTime(pageId)
+
+			return findInboxItems(comments, {
+				since,
+				isMention,
+				isOwnTalkPage: page.namespaceId === 3 && page.title === cd.user.getName(),
+				arePageTopicsSubscribed: subscriptions[getPageSubscribeId(page)],
+				isSectionSubscribed: (section) => {
+					const subscribeId = getSectionSubscribeId(section, comments)
+
+					return Boolean(subscribeId && subscriptions[subscribeId])
+				},
+			}).map(
+				({ comment, reason }) =>
+					/** @type {InboxEntry} */ ({
+						comment,
+						reason,
+						page,
+						unread:
+							!lastVisitTime || /** @type {Date} */ (comment.date).getTime() > lastVisitTime * 1000,
+					}),
+			)
+		})
+		.sort(
+			(entry1, entry2) =>
+				/** @type {Date} */ (entry2.comment.date).getTime() -
+				/** @type {Date} */ (entry1.comment.date).getTime(),
+		)
+
+	render(entries, failedPages)
+}
+
+/**
+ * Get the watched talk pages edited by other users since a date.
+ *
+ * @param {Date} since
+ * @returns {Promise<import('./Page').default[]>}
+ * @private
+ */
+async function getWatchedTalkPages(since) {
+	const response = /** @type {ApiResponseQuery<ApiResponseQueryContentWatchlist>} */ (
+		await cd
+			.getApi()
+			.get({
+				action: 'query',
+				list: 'watchlist',
+				wlprop: ['ids', 'title', 'timestamp'],
+				wltype: ['edit', 'new'],
+				wlexcludeuser: cd.user.getName(),
+				wlend: since.toISOString(),
+				wllimit: 'max',
+			})
+			.catch(handleApiReject)
+	)
+
+	return (response.query?.watchlist || [])
+		.filter((item) => cd.loader.isProbablyTalkPage(item.title, item.ns))
+		.slice(0, maxPageCount)
+		.map((item) => {
+			const page = pageRegistry.get(item.title)
+			if (page) {
+				page.pageId = item.pageid
+			}
+
+			return page
+		})
+		.filter(defined)
+}
+
+/**
+ * Get the DiscussionTools subscribe ID for new topics on a page.
+ *
+ * @param {import('./Page').default} page
+ * @returns {string}
+ * @private
+ */
+function getPageSubscribeId(page) {
+	return `p-topics-${page.namespaceId}:${spacesToUnderlines(page.title)}`
+}
+
+/**
+ * Get the DiscussionTools subscribe ID of a section based on its oldest comment.
+ *
+ * @param {import('./utils-inbox').InboxSection} section
+ * @param {CommentWorker[]} comments
+ * @returns {string | undefined}
+ * @private
+ */
+function getSectionSubscribeId(section, comments) {
+	const oldestComment = section.oldestCommentId
+		? comments.find((comment) => comment.id === section.oldestCommentId)
+		: undefined
+	if (!oldestComment?.date) {
+		return
+	}
+
+	return sectionManager.generateDtSubscriptionId(
+		oldestComment.authorName,
+		new Date(oldestComment.date),
+	)
+}
+
+/**
+ * Check whether a comment links to the user's user or user talk page.
+ *
+ * @param {import('./utils-inbox').InboxComment} comment
+ * @returns {boolean}
+ * @private
+ */
+function isMention(comment) {
+	return comment.elementHtmls.some((html) =>
+		getLinkTitles(html).some((title) => {
+			const [, userName] =
+				title.match(/** @type {RegExp} */ (cd.g.userLinkRegexp)) ||
+				title.match(/** @type {RegExp} */ (cd.g.userTalkLinkRegexp)) ||
+				[]
+
+			return Boolean(userName) && userRegistry.get(userName) === cd.user
+		}),
+	)
+}
+
+/**
+ * Render the inbox entries.
+ *
+ * @param {InboxEntry[]} entries
+ * @param {import('./Page').default[]} failedPages
+ * @private
+ */
+function render(entries, failedPages) {
+	$body.empty()
+
+	if (failedPages.length) {
+		$body.append(
+			createMessage(
+				'warning',
+				cd.s(
+					'inbox-failedpages',
+					failedPages.map((page) => page.name).join(cd.mws('comma-separator')),
+					String(failedPages.length),
+				),
+			),
+		)
+	}
+
+	if (!entries.length) {
+		$body.append(createMessage('notice', cd.s('inbox-empty', String(periodInDays))))
+
+		return
+	}
+
+	$body.append($('<ul>').addClass('cd-inbox-list').append(entries.map(createItem)))
+}
+
+/**
+ * Create the element for an inbox entry.
+ *
+ * @param {InboxEntry} entry
+ * @returns {JQuery}
+ * @private
+ */
+function createItem({ comment, reason, page, unread }) {
+	const $location = $('<span>')
+		.addClass('cd-inbox-item-location')
+		.append($('<a>').attr('href', page.getUrl()).text(page.name))
+	if (comment.section) {
+		$location.append(
+			cd.mws('word-separator'),
+			'›',
+			cd.mws('word-separator'),
+			$('<span>').text(comment.section.headline),
+		)
+	}
+
+	let excerpt = comment.text.trim()
+	if (excerpt.length > excerptLength) {
+		excerpt = excerpt.slice(0, excerptLength).trim() + '…'
+	}
+
+	// Comments without an ID or a date don't get to the inbox.
+	const id = /** @type {string} */ (comment.id)
+	const date = /** @type {Date} */ (comment.date)
+
+	return $('<li>')
+		.addClass('cd-inbox-item')
+		.toggleClass('cd-inbox-item-unread', unread)
+		.append(
+			$('<div>')
+				.addClass('cd-inbox-item-header')
+				.append(
+					// Messages that can be used here:
+					// * inbox-reason-reply
+					// * inbox-reason-mention
+					// * inbox-reason-owntalkpage
+					// * inbox-reason-newtopic
+					// * inbox-reason-subscribedtopic
+					$('<span>')
+						.addClass('cd-inbox-item-reason')
+						.text(cd.s(`inbox-reason-${reason.toLowerCase()}`)),
+					$location,
+				),
+			$('<div>').addClass('cd-inbox-item-excerpt').text(excerpt),
+			$('<div>')
+				.addClass('cd-inbox-item-footer')
+				.append(
+					$('<span>').addClass('cd-inbox-item-author').text(comment.authorName),
+					cd.mws('comma-separator'),
+					$('<span>')
+						.addClass('cd-inbox-item-date')
+						.attr('title', formatDate(date, true))
+						.text(formatDate(date)),
+					cd.mws('word-separator'),
+					$('<a>')
+						.addClass('cd-inbox-item-link')
+						.attr('href', `${page.getUrl()}#${id}`)
+						.text(cd.s('inbox-gotocomment')),
+				),
+		)
+}
+
+/**
+ * Create a message widget element.
+ *
+ * @param {'notice'|'warning'|'error'} type
+ * @param {string} text
+ * @returns {JQuery}
+ * @private
+ */
+function createMessage(type, text) {
+	return new OO.ui.MessageWidget({ type, label: text, inline: true }).$element
+}
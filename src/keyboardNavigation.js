@@ -0,0 +1,322 @@
+import commentManager from './commentManager'
+import controller from './controller'
+import cd from './loader/cd'
+import shortcutRegistry from './shortcutRegistry'
+import { isInputFocused, isVisible } from './utils-window'
+
+/**
+ * @typedef {object} Binding
+ * @property {string} name Name of the action in the {@link module:shortcutRegistry shortcut registry}.
+ * @property {(comment: import('./Comment').default) => void} action
+ */
+
+/**
+ * Singleton implementing the keyboard navigation mode: a vim-like comment cursor that is moved with
+ * the keyboard and allows to act on the focused comment.
+ *
+ * The mode is entered by pressing the "next comment" or "previous comment" shortcut (<kbd>J</kbd> or
+ * <kbd>K</kbd> by default) and exited by pressing <kbd>Esc</kbd> by default.
+ */
+class KeyboardNavigation {
+	/**
+	 * Focused comment.
+	 *
+	 * @type {import('./Comment').default | undefined}
+	 * @private
+	 */
+	comment
+
+	/**
+	 * Expand note of a collapsed thread highlighted as focused instead of the focused comment.
+	 *
+	 * @type {JQuery | undefined}
+	 * @private
+	 */
+	$focusedExpandNote
+
+	/**
+	 * Key bindings active in the keyboard navigation mode.
+	 *
+	 * @type {Binding[]}
+	 * @private
+	 */
+	bindings = [
+		{
+			name: 'navNext',
+			action: () => {
+				this.focusInDirection('forward')
+			},
+		},
+		{
+			name: 'navPrevious',
+			action: () => {
+				this.focusInDirection('backward')
+			},
+		},
+		{
+			name: 'navParent',
+			action: (comment) => {
+				const parent = comment.getParent()
+				if (!parent) return
+
+				comment.goToParent()
+				this.focus(parent, false)
+			},
+		},
+		{
+			name: 'navChild',
+			action: (comment) => {
+				const child = comment.targetChild ?? comment.getChildren().at(0)
+				if (!child) return
+
+				this.focus(child)
+			},
+		},
+		{
+			name: 'navNextNew',
+			action: () => {
+				const comment = commentManager.goToNewCommentInDirection('forward')
+				if (comment) {
+					this.focus(comment, false)
+				}
+			},
+		},
+		{
+			name: 'navReply',
+			action: (comment) => {
+				if (comment.isActionable() && !comment.hasFlag('deleted')) {
+					comment.reply()
+				}
+			},
+		},
+		{
+			name: 'navEdit',
+			action: (comment) => {
+				if (comment.isEditable() && !comment.hasFlag('deleted')) {
+					comment.edit()
+				}
+			},
+		},
+		{
+			name: 'navQuote',
+			action: (comment) => {
+				if (!comment.isActionable() || comment.hasFlag('deleted')) return
+
+				const selection = window.getSelection()
+				selection.removeAllRanges()
+				selection.addRange(comment.createSelectionRange())
+				if (!comment.replyForm) {
+					comment.reply()
+				}
+
+				// Is undefined if the reply form is shared with outdented replies; the quote is inserted
+				// there by Comment#reply().
+				comment.replyForm?.quote(true, comment)
+			},
+		},
+		{
+			name: 'navThank',
+			action: (comment) => {
+				comment.thank()
+			},
+		},
+		{
+			name: 'navCollapse',
+			action: (comment) => {
+				if (comment.isCollapsed()) {
+					comment.collapsedThread?.toggle()
+				} else {
+					;[comment, ...comment.getAncestors()].find((c) => c.thread)?.thread?.toggle()
+				}
+				this.focus(comment, false)
+			},
+		},
+		{
+			name: 'navHelp',
+			action: () => {
+				this.showHelp()
+			},
+		},
+		{
+			name: 'navExit',
+			action: () => {
+				this.deactivate()
+			},
+		},
+	]
+
+	/**
+	 * _For internal use._ Set up event handlers.
+	 */
+	init() {
+		controller.on('keyDown', this.handleKeyDown).on('startReboot', () => {
+			// Comment objects are recreated on reboot.
+			this.deactivate()
+		})
+	}
+
+	/**
+	 * Check whether the keyboard navigation mode is active.
+	 *
+	 * @returns {boolean}
+	 */
+	isActive() {
+		return Boolean(this.comment)
+	}
+
+	/**
+	 * Handle the `keydown` event.
+	 *
+	 * @param {KeyboardEvent | JQuery.KeyDownEvent} event
+	 * @private
+	 */
+	handleKeyDown = (event) => {
+		if (isInputFocused()) return
+
+		const comment = this.comment
+		if (!comment) {
+			if (
+				shortcutRegistry.isPressed(event, 'navNext') ||
+				shortcutRegistry.isPressed(event, 'navPrevious')
+			) {
+				this.activate()
+			}
+
+			return
+		}
+
+		const binding = this.bindings.find((b) => shortcutRegistry.isPressed(event, b.name))
+		if (!binding) return
+
+		event.preventDefault()
+		binding.action(comment)
+	}
+
+	/**
+	 * Enter the keyboard navigation mode focusing the comment in the viewport.
+	 *
+	 * @private
+	 */
+	activate() {
+		const comment = commentManager.findOneInViewport() || commentManager.getByIndex(0)
+		if (!comment) return
+
+		this.focus(comment)
+		mw.notify(
+			cd.s(
+				'kbnav-activated',
+				shortcutRegistry.getString('navHelp'),
+				shortcutRegistry.getString('navExit'),
+			),
+			{ tag: 'cd-keyboardNavigation' },
+		)
+	}
+
+	/**
+	 * Exit the keyboard navigation mode.
+	 */
+	deactivate() {
+		if (!this.comment) return
+
+		this.blur()
+		this.comment = undefined
+	}
+
+	/**
+	 * Move the focus to a comment.
+	 *
+	 * @param {import('./Comment').default} comment
+	 * @param {boolean} [scroll] Whether to scroll to the comment.
+	 * @private
+	 */
+	focus(comment, scroll = true) {
+		this.blur()
+		this.comment = comment
+
+		if (comment.isCollapsed()) {
+			this.$focusedExpandNote = comment
+				.getVisibleExpandNote()
+				?.addClass('cd-thread-expandNote-focused')
+			if (scroll) {
+				this.$focusedExpandNote?.cdScrollIntoView('center')
+			}
+		} else {
+			comment.addFlag('focused')
+			if (scroll) {
+				comment.scrollIntoView('top')
+			}
+		}
+	}
+
+	/**
+	 * Remove the focus ring from the focused comment.
+	 *
+	 * @private
+	 */
+	blur() {
+		this.comment?.removeFlag('focused')
+		this.$focusedExpandNote?.removeClass('cd-thread-expandNote-focused')
+		this.$focusedExpandNote = undefined
+	}
+
+	/**
+	 * Move the focus to the next or previous comment that is visible (not hidden by a collapsed
+	 * thread or the comment filter). A collapsed thread counts as one stop.
+	 *
+	 * @param {'forward' | 'backward'} direction
+	 * @private
+	 */
+	focusInDirection(direction) {
+		if (!this.comment) return
+
+		/** @type {Element | undefined} */
+		let lastExpandNote
+		const stops = commentManager.getAll().filter((comment) => {
+			if (!comment.isCollapsed()) {
+				return comment.elements.some((element) => isVisible(element))
+			}
+
+			const expandNote = comment.getVisibleExpandNote()?.[0]
+			if (!expandNote || expandNote === lastExpandNote || !isVisible(expandNote)) {
+				return false
+			}
+			lastExpandNote = expandNote
+
+			return true
+		})
+		const index = this.comment.index
+		const comment =
+			direction === 'forward'
+				? stops.find((c) => c.index > index)
+				: stops.findLast((c) => c.index < index)
+		if (comment) {
+			this.focus(comment)
+		}
+	}
+
+	/**
+	 * Show the overlay listing the key bindings.
+	 *
+	 * @private
+	 */
+	showHelp() {
+		OO.ui.alert(
+			$('<table>')
+				.addClass('cd-keyboardNavigation-help')
+				.append(
+					this.bindings
+						.map(({ name }) => ({ name, string: shortcutRegistry.getString(name) }))
+						.filter(({ string }) => string)
+						.map(({ name, string }) =>
+							$('<tr>').append(
+								$('<td>').append($('<kbd>').text(string)),
+								$('<td>').text(cd.s(`shortcut-${name.toLowerCase()}`)),
+							),
+						),
+				),
+			{ title: cd.s('kbnav-help-title'), size: 'medium' },
+		)
+	}
+}
+
+export default new KeyboardNavigation()
@@ -15,6 +15,7 @@ import cd from '../shared/cd'
  * @property {import('../controller').default['rebootPage']} reloadPage Legacy property name
  * @property {import('../controller').default['rebootPage']} rebootPage
  * @property {import('../controller').default['getRootElement']} getRootElement
+ * @property {import('../proofreader').default['registerChecker']} registerProofreadingChecker
  * @property {import('../pageRegistry').default} pageRegistry
  * @property {(typeof import('../Comment').default)['generateId']} generateCommentId
  * @property {(typeof import('../Comment').default)['parseId']} parseCommentId
@@ -3,6 +3,7 @@ import digitsData from '../../data/digits.json'
 import languageFallbacks from '../../data/language-fallbacks.json'
 import addCommentLinksCss from '../addCommentLinks.less?inline'
 import globalCss from '../global.less?inline'
+import inboxCss from '../inbox.less?inline'
 import {
 	defined,
 	getQueryParamBooleanValue,
@@ -87,6 +88,7 @@ class Loader {
 	 * @property {boolean} watchlist The page is a watchlist page.
 	 * @property {boolean} contributions The page is a contributions page.
 	 * @property {boolean} history The page is a history page.
+	 * @property {boolean} inbox The page is the inbox page.
 	 */
 
 	/**
@@ -151,6 +153,21 @@ class Loader {
 	 */
 	addCommentLinks
 
+	/**
+	 * Inbox page function. Assigned from app.js.
+	 *
+	 * @type {() => Promise<void>}
+	 */
+	inbox
+
+	/**
+	 * Name of the inbox page: a subpage of Special:BlankPage, as the script can't create special
+	 * pages of its own.
+	 *
+	 * @type {string}
+	 */
+	inboxPageName = 'Special:BlankPage/cd-inbox'
+
 	/**
 	 * Load modules required for talk pages or not load. When this is called before the configuration
 	 * file is certain to be loaded, we make a guess whether the modules are gonna be needed. This
@@ -185,6 +202,8 @@ class Loader {
 				'oojs-ui.styles.icons-editing-advanced',
 				'oojs-ui.styles.icons-editing-citation',
 				'oojs-ui.styles.icons-editing-core',
+				'oojs-ui.styles.icons-editing-list',
+				'oojs-ui.styles.icons-editing-styling',
 				'oojs-ui.styles.icons-interactions',
 				'oojs-ui.styles.icons-moderation',
 				'oojs-ui.styles.icons-movement',
@@ -234,7 +253,7 @@ class Loader {
 	 * @returns {JQuery.Promise<any> | undefined}
 	 */
 	maybeLoadCommentLinksModules() {
-		if (this.shouldInitCommentLinks()) {
+		if (this.shouldInitCommentLinks() || this.pageTypes.inbox) {
 			const modules = [
 				'mediawiki.Title',
 				'mediawiki.jqueryMsg',
@@ -252,6 +271,15 @@ class Loader {
 				'oojs-ui-widgets',
 				'oojs-ui-windows',
 			]
+			if (this.pageTypes.inbox) {
+				// The inbox parses pages and makes API requests, unlike pages with comment links.
+				modules.push(
+					'jquery.client',
+					'mediawiki.api',
+					'mediawiki.storage',
+					'oojs-ui.styles.icons-interactions',
+				)
+			}
 
 			// mw.loader.using() delays the execution even if all modules are ready (if CD is used as a
 			// gadget with preloaded dependencies, for example), so we use this trick.
@@ -312,6 +340,7 @@ class Loader {
 		this.pageTypes.contributions = this.isContributionsPage()
 		this.pageTypes.history = this.isHistoryPage()
 		this.pageTypes.diff = /[?&]diff=[^&]/.test(location.search)
+		this.pageTypes.inbox = this.isInboxPage()
 	}
 
 	/**
@@ -409,6 +438,10 @@ class Loader {
 		if (this.shouldInitCommentLinks()) {
 			await this.initCommentLinks()
 		}
+
+		if (this.pageTypes.inbox) {
+			await this.initInbox()
+		}
 	}
 
 	/**
@@ -977,6 +1010,26 @@ class Loader {
 		}
 	}
 
+	/**
+	 * Load the data required for the inbox page and execute the inbox function.
+	 *
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async initInbox() {
+		try {
+			await Promise.all([this.maybeLoadCommentLinksModules(), this.loadApp()])
+
+			mw.loader.addStyleTag(globalCss)
+			mw.loader.addStyleTag(inboxCss)
+
+			await this.importApp()
+			this.inbox()
+		} catch (error) {
+			console.error(error)
+		}
+	}
+
 	/**
 	 * Check whether the current page is a watchlist or recent changes page.
 	 *
@@ -999,6 +1052,19 @@ class Loader {
 		return mw.config.get('wgCanonicalSpecialPageName') === 'Contributions'
 	}
 
+	/**
+	 * Check whether the current page is the inbox page.
+	 *
+	 * @returns {boolean}
+	 * @private
+	 */
+	isInboxPage() {
+		return (
+			mw.config.get('wgCanonicalSpecialPageName') === 'Blankpage' &&
+			mw.config.get('wgTitle').endsWith('/cd-inbox')
+		)
+	}
+
 	/**
 	 * Check whether the current page is a history page.
 	 *
@@ -279,6 +279,7 @@ function start() {
 	}
 	tweakAddTopicButton()
 	addCommentLinksIfOnSpecialSearch()
+	addInboxLink()
 
 	// TRIVIA
 
@@ -388,6 +389,26 @@ function tweakAddTopicButton() {
 	}
 }
 
+/**
+ * Add a link to the inbox page to the personal tools menu.
+ */
+function addInboxLink() {
+	// start() can run a second time
+	if (!mw.config.get('wgUserName') || document.querySelector('#pt-cd-inbox')) return
+
+	mw.loader.using('mediawiki.util').then(() => {
+		mw.util.addPortletLink(
+			'p-personal',
+			mw.util.getUrl(cd.loader.inboxPageName),
+			cd.s('inbox-title'),
+			'pt-cd-inbox',
+			cd.s('inbox-tooltip'),
+			undefined,
+			'#pt-watchlist',
+		)
+	}, console.error)
+}
+
 /**
  * _For internal use._ When on the Special:Search page, searching for a comment after choosing that
  * option from the "Couldn't find the comment" message, add comment links to titles.
@@ -1,15 +1,23 @@
-import { cdxIconOngoingConversation, cdxIconReload } from '@wikimedia/codex-icons'
+import {
+	cdxIconEdit,
+	cdxIconFunnel,
+	cdxIconOngoingConversation,
+	cdxIconReload,
+} from '@wikimedia/codex-icons'
 
 import Button from './Button'
 import LiveTimestamp from './LiveTimestamp'
+import commentFilter from './commentFilter'
 import commentFormManager from './commentFormManager'
 import commentManager from './commentManager'
 import controller from './controller'
+import keyboardNavigation from './keyboardNavigation'
 import cd from './loader/cd'
 import { removeWikiMarkup } from './shared/utils-wikitext'
+import shortcutRegistry from './shortcutRegistry'
 import updateChecker from './updateChecker'
 import { formatDate } from './utils-date'
-import { isCmdModifierPressed, keyCombination } from './utils-keyboard'
+import { isCmdModifierPressed } from './utils-keyboard'
 import { createIcon, isInputFocused } from './utils-window'
 import visits from './visits'
 
@@ -33,6 +41,8 @@ class NavPanel {
 	 * @property {Button} nextButton
 	 * @property {Button} firstUnseenButton
 	 * @property {Button} commentFormButton
+	 * @property {Button} draftsButton
+	 * @property {Button} filterButton
 	 * @property {number} cachedCommentCount
 	 * @property {import('./updateChecker').AddedComments['bySection']} cachedCommentsBySection
 	 */
@@ -62,30 +72,26 @@ class NavPanel {
 			} else {
 				this.mount()
 				controller.on('viewportMove', this.updateCommentFormButton).on('keyDown', (event) => {
-					if (isInputFocused()) return
+					// The keyboard navigation mode has its own bindings for some of these keys
+					if (isInputFocused() || keyboardNavigation.isActive()) return
 
-					// R
-					if (keyCombination(event, 82)) {
+					if (shortcutRegistry.isPressed(event, 'refresh')) {
 						this.refreshClick()
 					}
 
-					// W
-					if (keyCombination(event, 87)) {
+					if (shortcutRegistry.isPressed(event, 'previousNewComment')) {
 						commentManager.goToPreviousNewComment()
 					}
 
-					// S
-					if (keyCombination(event, 83)) {
+					if (shortcutRegistry.isPressed(event, 'nextNewComment')) {
 						commentManager.goToNextNewComment()
 					}
 
-					// F
-					if (keyCombination(event, 70)) {
+					if (shortcutRegistry.isPressed(event, 'firstUnseenComment')) {
 						commentManager.goToFirstUnseenComment()
 					}
 
-					// C
-					if (keyCombination(event, 67)) {
+					if (shortcutRegistry.isPressed(event, 'nextCommentForm')) {
 						event.preventDefault()
 						commentFormManager.goToNextCommentForm(true)
 					}
@@ -96,6 +102,14 @@ class NavPanel {
 				commentFormManager
 					.on('add', this.updateCommentFormButton)
 					.on('remove', this.updateCommentFormButton)
+					.on('draftsChange', this.updateDraftsButton)
+				commentFilter
+					.on('apply', () => {
+						this.state?.filterButton.element.classList.add('cd-navPanel-filterButton-active')
+					})
+					.on('clear', () => {
+						this.state?.filterButton.element.classList.remove('cd-navPanel-filterButton-active')
+					})
 				LiveTimestamp.on('updateImproved', this.updateTimestampsInRefreshButtonTooltip)
 				visits.on('process', this.fill)
 				commentManager.on('updateSeen', this.updateFirstUnseenButton)
@@ -131,7 +145,7 @@ class NavPanel {
 			tagName: 'div',
 			classes: ['cd-navPanel-button', 'cd-icon'],
 			id: 'cd-navPanel-previousButton',
-			tooltip: cd.s('navpanel-previous') + cd.mws('word-separator') + cd.mws('parentheses', 'W'),
+			tooltip: cd.s('navpanel-previous') + shortcutRegistry.getLabel('previousNewComment'),
 			action: () => {
 				commentManager.goToPreviousNewComment()
 			},
@@ -146,7 +160,7 @@ class NavPanel {
 			tagName: 'div',
 			classes: ['cd-navPanel-button', 'cd-icon'],
 			id: 'cd-navPanel-nextButton',
-			tooltip: cd.s('navpanel-next') + cd.mws('word-separator') + cd.mws('parentheses', 'S'),
+			tooltip: cd.s('navpanel-next') + shortcutRegistry.getLabel('nextNewComment'),
 			action: () => {
 				commentManager.goToNextNewComment()
 			},
@@ -161,7 +175,7 @@ class NavPanel {
 			tagName: 'div',
 			classes: ['cd-navPanel-button'],
 			id: 'cd-navPanel-firstUnseenButton',
-			tooltip: cd.s('navpanel-firstunseen') + cd.mws('word-separator') + cd.mws('parentheses', 'F'),
+			tooltip: cd.s('navpanel-firstunseen') + shortcutRegistry.getLabel('firstUnseenComment'),
 			action: () => {
 				commentManager.goToFirstUnseenComment()
 			},
@@ -171,19 +185,43 @@ class NavPanel {
 			tagName: 'div',
 			classes: ['cd-navPanel-button', 'cd-icon'],
 			id: 'cd-navPanel-commentFormButton',
-			tooltip: cd.s('navpanel-commentform') + cd.mws('word-separator') + cd.mws('parentheses', 'C'),
+			tooltip: cd.s('navpanel-commentform') + shortcutRegistry.getLabel('nextCommentForm'),
 			action: () => {
 				commentFormManager.goToNextCommentForm()
 			},
 		}).hide()
 		$(this.state.commentFormButton.element).append(createIcon(cdxIconOngoingConversation, 16))
 
+		this.state.draftsButton = new Button({
+			tagName: 'div',
+			classes: ['cd-navPanel-button', 'cd-icon'],
+			id: 'cd-navPanel-draftsButton',
+			action: () => {
+				commentFormManager.showDraftsDialog()
+			},
+		}).hide()
+		$(this.state.draftsButton.element).append(createIcon(cdxIconEdit, 16))
+		this.updateDraftsButton()
+
+		this.state.filterButton = new Button({
+			tagName: 'div',
+			classes: ['cd-navPanel-button', 'cd-icon'],
+			id: 'cd-navPanel-filterButton',
+			tooltip: cd.s('navpanel-filter'),
+			action: () => {
+				commentFilter.toggle()
+			},
+		})
+		$(this.state.filterButton.element).append(createIcon(cdxIconFunnel, 16))
+
 		this.$element.append(
 			this.state.refreshButton.element,
 			this.state.previousButton.element,
 			this.state.nextButton.element,
 			this.state.firstUnseenButton.element,
 			this.state.commentFormButton.element,
+			this.state.draftsButton.element,
+			this.state.filterButton.element,
 		)
 	}
 
@@ -225,6 +263,7 @@ class NavPanel {
 		this.state.nextButton.hide()
 		this.state.firstUnseenButton.hide()
 		this.state.commentFormButton.hide()
+		this.updateDraftsButton()
 		clearTimeout(this.utirbtTimeout)
 	}
 
@@ -327,8 +366,7 @@ class NavPanel {
 				cd.s('navpanel-newcomments-count', String(commentCount)) +
 				cd.mws('word-separator') +
 				cd.s('navpanel-newcomments-refresh') +
-				cd.mws('word-separator') +
-				cd.mws('parentheses', 'R')
+				shortcutRegistry.getLabel('refresh')
 			if (areThereNew && cd.settings.get('highlightNewInterval')) {
 				tooltipText += '\n' + cd.s('navpanel-markasread', cd.g.cmdModifier)
 			}
@@ -364,7 +402,7 @@ class NavPanel {
 				this.utirbtTimeout = setTimeout(this.updateTimestampsInRefreshButtonTooltip, cd.g.msInMin)
 			}
 		} else {
-			tooltipText = cd.s('navpanel-refresh') + cd.mws('word-separator') + cd.mws('parentheses', 'R')
+			tooltipText = cd.s('navpanel-refresh') + shortcutRegistry.getLabel('refresh')
 			if (areThereNew && cd.settings.get('highlightNewInterval')) {
 				tooltipText += '\n' + cd.s('navpanel-markasread', cd.g.cmdModifier)
 			}
@@ -416,6 +454,21 @@ class NavPanel {
 			commentFormManager.getAll().some((cf) => !cf.commentInput.$element.cdIsInViewport(true)),
 		)
 	}
+
+	/**
+	 * Update the "My drafts" button visibility: it is shown when there are unsent comment forms saved
+	 * for other pages.
+	 *
+	 * @private
+	 */
+	updateDraftsButton = () => {
+		if (!this.state) return
+
+		const draftCount = commentFormManager.getOtherPagesDraftCount()
+		this.state.draftsButton
+			.toggle(Boolean(draftCount))
+			.setTooltip(cd.s('navpanel-drafts', String(draftCount)))
+	}
 }
 
 export default new NavPanel()
@@ -211,12 +211,23 @@ export async function processCommentReferencesInUrl(scrollToLinkedComment = true
 
 		// Replace CD's comment ID in the fragment with DiscussionTools' if available and add the
 		// cdTargetComment state to history to avoid targeting the same comment again if "Back" is
-		// pressed in the browser.
+		// pressed in the browser. The `cdreply` parameter (added by the "Reply" links on diff pages)
+		// is removed for the same reason.
+		const url = new URL(location.href)
+		const isReplyRequested = url.searchParams.has('cdreply')
+		url.searchParams.delete('cdreply')
+		if (comment.dtId) {
+			url.hash = comment.dtId
+		}
 		history.replaceState(
 			{ ...history.state, cdTargetComment: true, cdLinkedComment: false },
 			'',
-			comment.dtId ? `#${comment.dtId}` : undefined,
+			url,
 		)
+
+		if (isReplyRequested && comment.isActionable()) {
+			comment.reply()
+		}
 	} else {
 		// Handle URL parameters for highlighting multiple comments
 		highlightLinkedComments(scrollToLinkedComment)
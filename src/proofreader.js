@@ -0,0 +1,199 @@
+/**
+ * Singleton that provides spell checkers for languages and finds mistakes in wikitext using them.
+ *
+ * @module proofreader
+ */
+
+import HunspellDictionary from './HunspellDictionary'
+import LocalStorageItem from './LocalStorageItem'
+import cd from './loader/cd'
+import { handleApiReject } from './utils-api'
+import { getProofreadableWords } from './utils-proofreading'
+
+/**
+ * Object that checks the spelling of words in some language. {@link HunspellDictionary} is an
+ * implementation of it; scripts can register their own with
+ * {@link convenientDiscussions.api.registerProofreadingChecker}.
+ *
+ * @typedef {object} ProofreadingChecker
+ * @property {(word: string) => boolean} check Check whether a word is spelled correctly.
+ * @property {(word: string) => string[]} suggest Get corrections for a misspelled word.
+ */
+
+/**
+ * @typedef {import('./utils-proofreading').ProofreadableWord} ProofreadingMistake
+ */
+
+/**
+ * @typedef {object} PersonalDictionary
+ * @property {string[]} words
+ */
+
+export default {
+	/**
+	 * Checkers registered by scripts, by language code.
+	 *
+	 * @type {{ [languageCode: string]: ProofreadingChecker }}
+	 * @private
+	 */
+	registeredCheckers: {},
+
+	/**
+	 * Promises resolved with the checkers loaded from the dictionaries set in the config, by
+	 * language code.
+	 *
+	 * @type {{ [languageCode: string]: Promise<ProofreadingChecker | undefined> }}
+	 * @private
+	 */
+	checkerPromises: {},
+
+	/**
+	 * Storage item with the words the user added to their dictionary.
+	 *
+	 * @type {LocalStorageItem<PersonalDictionary> | undefined}
+	 * @private
+	 */
+	personalDictionaryStorage: undefined,
+
+	/**
+	 * Register a checker for a language. It takes precedence over the dictionaries set in the
+	 * config.
+	 *
+	 * @param {string} languageCode
+	 * @param {ProofreadingChecker} checker
+	 */
+	registerChecker(languageCode, checker) {
+		this.registeredCheckers[languageCode.toLowerCase()] = checker
+	},
+
+	/**
+	 * Get the language comments on the current page are probably written in.
+	 *
+	 * @returns {string}
+	 */
+	getLanguage() {
+		return mw.config.get('wgPageContentLanguage') || cd.g.contentLanguage
+	},
+
+	/**
+	 * Get a checker for a language (by default, the language of the page). If there is none for a
+	 * language variant like `en-gb`, the checker for the base language is returned.
+	 *
+	 * @param {string} [languageCode]
+	 * @returns {Promise<ProofreadingChecker | undefined>}
+	 */
+	async getChecker(languageCode) {
+		languageCode = (languageCode || this.getLanguage()).toLowerCase()
+		for (const code of [languageCode, languageCode.split('-')[0]]) {
+			if (code in this.registeredCheckers) {
+				return this.registeredCheckers[code]
+			}
+
+			if (code in cd.config.proofreadingDictionaries) {
+				this.checkerPromises[code] ??= this.loadDictionary(cd.config.proofreadingDictionaries[code])
+
+				return this.checkerPromises[code]
+			}
+		}
+
+		return undefined
+	},
+
+	/**
+	 * Load a dictionary from the wiki pages containing its files.
+	 *
+	 * @param {{ aff: string; dic: string }} pages
+	 * @returns {Promise<ProofreadingChecker | undefined>}
+	 * @private
+	 */
+	async loadDictionary(pages) {
+		const titles = [pages.aff, pages.dic].map((name) => new mw.Title(name).getPrefixedText())
+		try {
+			/** @type {ApiResponseQuery<ApiResponseQueryContentPages>} */
+			const response = await cd
+				.getApi()
+				.get({
+					action: 'query',
+					titles,
+					prop: 'revisions',
+					rvprop: ['content'],
+					rvslots: 'main',
+					formatversion: 2,
+
+					// The files are large and rarely change
+					maxage: cd.g.msInDay / 1000,
+					smaxage: cd.g.msInDay / 1000,
+				})
+				.catch(handleApiReject)
+
+			const [aff, dic] = titles.map(
+				(title) =>
+					response.query?.pages?.find((page) => page.title === title)?.revisions?.[0].slots?.main
+						.content,
+			)
+			if (aff === undefined || dic === undefined) {
+				throw new Error(`Dictionary pages not found: ${titles.join(', ')}`)
+			}
+
+			return new HunspellDictionary(aff, dic)
+		} catch (error) {
+			cd.debug.logWarn("Couldn't load the proofreading dictionary.", error)
+
+			return undefined
+		}
+	},
+
+	/**
+	 * Get the storage item with the words the user added to their dictionary.
+	 *
+	 * @returns {LocalStorageItem<PersonalDictionary>}
+	 * @private
+	 */
+	getPersonalDictionaryStorage() {
+		this.personalDictionaryStorage ??= /** @type {LocalStorageItem<PersonalDictionary>} */ (
+			new LocalStorageItem('proofreadingWords')
+		)
+
+		return this.personalDictionaryStorage
+	},
+
+	/**
+	 * Get the words the user added to their dictionary.
+	 *
+	 * @returns {string[]}
+	 */
+	getPersonalWords() {
+		// This comes from the local storage, the value may be corrupt
+		// eslint-disable-next-line @typescript-eslint/no-unnecessary-condition
+		return this.getPersonalDictionaryStorage().getData().words || []
+	},
+
+	/**
+	 * Add a word to the user's dictionary so that it is not marked as a mistake anymore.
+	 *
+	 * @param {string} word
+	 */
+	addWord(word) {
+		const storage = this.getPersonalDictionaryStorage().reload()
+		const words = this.getPersonalWords()
+		if (words.includes(word)) return
+
+		storage.setData({ words: [...words, word] }).save()
+	},
+
+	/**
+	 * Find misspelled words in wikitext, skipping markup and the words from the user's dictionary.
+	 *
+	 * @param {string} text
+	 * @param {ProofreadingChecker} checker
+	 * @param {string[]} [ignoredWords] Additional words to skip.
+	 * @returns {ProofreadingMistake[]}
+	 */
+	findMistakes(text, checker, ignoredWords = []) {
+		const skippedWords = new Set([...this.getPersonalWords(), ...ignoredWords])
+
+		return getProofreadableWords(text).filter(
+			({ word }) => !skippedWords.has(word) && !checker.check(word),
+		)
+	},
+}
@@ -0,0 +1,290 @@
+import commentManager from './commentManager'
+import controller from './controller'
+import cd from './loader/cd'
+import { unique } from './shared/utils-general'
+
+/**
+ * Singleton managing comment reactions: short replies consisting of a reaction template (like
+ * `{{+1}}`) and a signature. Such replies are hidden, and the reactions are displayed as chips with
+ * counts and names of the reacted users under the parent comment. The reactions are configured in
+ * {@link module:defaultConfig.commentReactions}.
+ */
+class Reactions {
+	/**
+	 * Popup with the reactions available for a comment.
+	 *
+	 * @type {OO.ui.PopupWidget | undefined}
+	 * @private
+	 */
+	picker
+
+	/**
+	 * Get the reactions configured for the wiki.
+	 *
+	 * @returns {import('../config/default').CommentReaction[]}
+	 */
+	getAll() {
+		return cd.config.commentReactions
+	}
+
+	/**
+	 * Check whether reactions are configured for the wiki.
+	 *
+	 * @returns {boolean}
+	 */
+	isEnabled() {
+		return Boolean(this.getAll().length)
+	}
+
+	/**
+	 * Get the reaction that a comment consists of. Only replies without replies of their own are
+	 * considered.
+	 *
+	 * @param {import('./Comment').default} comment
+	 * @returns {import('../config/default').CommentReaction | undefined}
+	 */
+	getReaction(comment) {
+		if (!comment.getParent() || comment.getChildren().length || comment.isOpeningSection()) {
+			return
+		}
+
+		const text = Reactions.normalizeText(comment.getText())
+
+		return this.getAll().find((reaction) => {
+			if (reaction.class) {
+				const $reactionElements = comment.$elements
+					.find(`.${reaction.class}`)
+					.addBack(`.${reaction.class}`)
+				if (
+					$reactionElements.length &&
+					text === Reactions.normalizeText($reactionElements.first().text())
+				) {
+					return true
+				}
+			}
+
+			return Boolean(
+				reaction.texts?.some((reactionText) => Reactions.normalizeText(reactionText) === text),
+			)
+		})
+	}
+
+	/**
+	 * _For internal use._ Hide the replies that consist of reactions and add reaction chips to the
+	 * comments they reply to.
+	 */
+	render() {
+		if (!this.isEnabled()) return
+
+		/** @type {Map<import('./Comment').default, Map<import('../config/default').CommentReaction, import('./Comment').default[]>>} */
+		const reactionsByParent = new Map()
+		commentManager.getAll().forEach((comment) => {
+			const reaction = this.getReaction(comment)
+			if (!reaction) return
+
+			const parent = /** @type {import('./Comment').default} */ (comment.getParent())
+			if (!reactionsByParent.has(parent)) {
+				reactionsByParent.set(parent, new Map())
+			}
+			const commentsByReaction =
+				/** @type {Map<import('../config/default').CommentReaction, import('./Comment').default[]>} */ (
+					reactionsByParent.get(parent)
+				)
+			commentsByReaction.set(reaction, [...(commentsByReaction.get(reaction) || []), comment])
+
+			comment.$elements.addClass('cd-hidden')
+			comment.isHiddenReaction = true
+			if (comment.isSeen() === false) {
+				comment.removeFlag('new')
+				comment.setSeen(true)
+			}
+		})
+
+		reactionsByParent.forEach((commentsByReaction, parent) => {
+			this.addChips(parent, commentsByReaction)
+		})
+	}
+
+	/**
+	 * Add reaction chips to a comment.
+	 *
+	 * @param {import('./Comment').default} comment
+	 * @param {Map<import('../config/default').CommentReaction, import('./Comment').default[]>} commentsByReaction
+	 * @private
+	 */
+	addChips(comment, commentsByReaction) {
+		const element = document.createElement('div')
+		element.className = 'cd-comment-reactions'
+		commentsByReaction.forEach((reactionComments, reaction) => {
+			element.append(this.createChip(comment, reaction, reactionComments).$element[0])
+		})
+
+		// Put the chips above the comment menu if there is one.
+		const lastHighlightable = comment.highlightables[comment.highlightables.length - 1]
+		lastHighlightable.insertBefore(
+			element,
+			lastHighlightable.querySelector(':scope > .cd-comment-menu-wrapper'),
+		)
+	}
+
+	/**
+	 * Create a chip displaying the number and authors of reactions of some type to a comment. Clicking
+	 * it adds the same reaction or, if the user has already reacted that way, removes the reaction.
+	 *
+	 * @param {import('./Comment').default} comment
+	 * @param {import('../config/default').CommentReaction} reaction
+	 * @param {import('./Comment').default[]} reactionComments
+	 * @returns {OO.ui.ButtonWidget}
+	 * @private
+	 */
+	createChip(comment, reaction, reactionComments) {
+		const names = reactionComments
+			.map((reactionComment) => reactionComment.author)
+			.filter(unique)
+			.map((author) => author.getName())
+			.join(cd.mws('comma-separator'))
+		const ownComment = reactionComments.find((reactionComment) => reactionComment.hasFlag('own'))
+		const canRemove = Boolean(ownComment?.isEditable() && ownComment.isDeletable())
+		const canAdd = !ownComment && this.canReact(comment)
+
+		let title = names
+		if (canRemove) {
+			title = cd.s('cm-reaction-tooltip-own', names)
+		} else if (canAdd) {
+			title = cd.s('cm-reaction-tooltip', names)
+		}
+
+		const chip = new OO.ui.ButtonWidget({
+			label: `${reaction.label} ${reactionComments.length}`,
+			title,
+			disabled: !canRemove && !canAdd,
+			classes: [
+				'cd-button-ooui',
+				'cd-comment-reaction',
+				...(ownComment ? ['cd-comment-reaction-own'] : []),
+			],
+		})
+		chip.on('click', () => {
+			if (ownComment) {
+				ownComment.edit({ delete: true, submit: true })
+			} else {
+				this.react(comment, reaction)
+			}
+		})
+
+		return chip
+	}
+
+	/**
+	 * Check whether the user can react to a comment.
+	 *
+	 * @param {import('./Comment').default} comment
+	 * @returns {boolean}
+	 */
+	canReact(comment) {
+		return (
+			this.isEnabled() &&
+			comment.isActionable() &&
+			!comment.hasFlag('own') &&
+			!comment.hasFlag('deleted') &&
+			!this.getReaction(comment)
+		)
+	}
+
+	/**
+	 * React to a comment: post a reply consisting of the reaction template and the signature. If the
+	 * comment already has a reply form, insert the template into it instead.
+	 *
+	 * @param {import('./Comment').default} comment
+	 * @param {import('../config/default').CommentReaction} reaction
+	 */
+	react(comment, reaction) {
+		const code = `{{${reaction.template}}}`
+		if (comment.replyForm) {
+			comment.replyForm.commentInput.insertContent(code)
+			comment.replyForm.goTo()
+
+			return
+		}
+
+		// Replies to such comments go to the section reply form with a quote, so a reaction can't be
+		// posted as a reply.
+		if (commentManager.getByIndex(comment.index + 1)?.isOutdented()) {
+			mw.notify(cd.s('cm-reaction-outdented'), { type: 'warn' })
+
+			return
+		}
+
+		comment.reply({ comment: code, submit: true, focus: false })
+	}
+
+	/**
+	 * Let the user pick a reaction to a comment in a popup next to an element, or react right away if
+	 * there is only one reaction configured.
+	 *
+	 * @param {import('./Comment').default} comment
+	 * @param {HTMLElement} element
+	 */
+	pick(comment, element) {
+		const all = this.getAll()
+		if (all.length === 1) {
+			this.react(comment, all[0])
+
+			return
+		}
+
+		this.teardownPicker()
+		this.picker = new OO.ui.PopupWidget({
+			$content: new OO.ui.ButtonGroupWidget({
+				items: all.map((reaction) => {
+					const button = new OO.ui.ButtonWidget({
+						label: reaction.label,
+						title: `{{${reaction.template}}}`,
+						framed: false,
+					})
+					button.on('click', () => {
+						this.teardownPicker()
+						this.react(comment, reaction)
+					})
+
+					return button
+				}),
+			}).$element,
+			$floatableContainer: $(element),
+			$container: $(document.body),
+			position: 'below',
+			padded: true,
+			autoClose: true,
+			classes: ['cd-reactionPicker'],
+		})
+		$(document.body).append(this.picker.$element)
+		this.picker.toggle(true)
+		this.picker.on('closing', this.teardownPicker)
+		controller.once('startReboot', this.teardownPicker)
+	}
+
+	/**
+	 * Remove the reaction picker popup.
+	 *
+	 * @private
+	 */
+	teardownPicker = () => {
+		if (!this.picker) return
+
+		this.picker.$element.remove()
+		this.picker = undefined
+	}
+
+	/**
+	 * Normalize text for comparison: collapse whitespace, trim and lowercase it.
+	 *
+	 * @param {string} text
+	 * @returns {string}
+	 * @private
+	 */
+	static normalizeText(text) {
+		return text.replace(/\s+/g, ' ').trim().toLowerCase()
+	}
+}
+
+export default new Reactions()
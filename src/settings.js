@@ -22,7 +22,7 @@ import { createIcon, wrapHtml } from './utils-window'
  * @typedef {object} SettingsValues
  * @property {boolean} allowEditOthersComments
  * @property {boolean} alwaysExpandAdvanced
- * @property {'name'|'count'|'date'} authorsSort
+ * @property {'name'|'count'|'date'|'stats'} authorsSort
  * @property {import('./AutocompleteFactory').AutocompleteType[]} autocompleteTypes
  * @property {boolean} autopreview
  * @property {boolean} collapseThreads
@@ -32,23 +32,30 @@ import { createIcon, wrapHtml } from './utils-window'
  * @property {boolean} countEditsAsNewComments
  * @property {'all'|'toMe'|'none'|'unknown'} desktopNotifications
  * @property {boolean} enableThreads
+ * @property {import('./utils-export').ExportFormat} exportFormat
+ * @property {boolean} groupWatchlistByThread
  * @property {boolean} hideTimezone
  * @property {number} highlightNewInterval
  * @property {boolean} improvePerformance
  * @property {Array.<string|[string, string]>} insertButtons
  * @property {boolean} insertButtons-altered
  * @property {boolean} manyForms-onboarded
+ * @property {string[]} mentionGroups
  * @property {boolean} modifyToc
  * @property {boolean} toggleChildThreads-onboarded
  * @property {'all'|'toMe'|'none'} notifications
  * @property {boolean} notifyCollapsedThreads
  * @property {boolean} outdent
  * @property {number} outdentLevel
+ * @property {boolean} proofreading
  * @property {'compact'|'spacious'|null} commentDisplay
+ * @property {import('./shortcutRegistry').ShortcutBindings} shortcuts
  * @property {boolean} showContribsLink
  * @property {boolean} confirmThanks
  * @property {boolean} showToolbar
+ * @property {boolean} sideBySidePreview
  * @property {string} signaturePrefix
+ * @property {import('./utils-snippets').Snippet[]} snippets
  * @property {boolean} subscribeOnReply
  * @property {import('./LiveTimestamp').TimestampFormat} timestampFormat
  * @property {boolean} upload-onboarded
@@ -57,6 +64,7 @@ import { createIcon, wrapHtml } from './utils-window'
  * @property {boolean} useNativeAutocomplete
  * @property {boolean} useTemplateData
  * @property {boolean} useUiTime
+ * @property {boolean} useVisualInput
  * @property {boolean} watchOnReply
  * @property {'wikilink'|'link'|null} defaultCommentLinkType Undocumented setting.
  * @property {'wikilink'|'link'|null} defaultSectionLinkType Undocumented setting.
@@ -149,7 +157,7 @@ class Settings extends EventEmitter {
 		 *
 		 * @type {SettingName[]}
 		 */
-		local: ['insertButtons-altered', 'insertButtons', 'signaturePrefix'],
+		local: ['insertButtons-altered', 'insertButtons', 'mentionGroups', 'signaturePrefix'],
 
 		/**
 		 * Undocumented settings with their defaults. Undocumented settings are settings not shown in
@@ -182,6 +190,7 @@ class Settings extends EventEmitter {
 		 */
 		states: [
 			'authorsSort',
+			'exportFormat',
 			'insertButtons-altered',
 			'collapseThreadsByMutees-onboarded',
 			'manyForms-onboarded',
@@ -221,21 +230,28 @@ class Settings extends EventEmitter {
 			countEditsAsNewComments: 'checkbox',
 			desktopNotifications: 'radio',
 			enableThreads: 'checkbox',
+			groupWatchlistByThread: 'checkbox',
 			hideTimezone: 'checkbox',
 			highlightNewInterval: 'number',
 			improvePerformance: 'checkbox',
 			insertButtons: 'multitag',
+			mentionGroups: 'multitag',
 			modifyToc: 'checkbox',
 			notifications: 'radio',
 			notifyCollapsedThreads: 'checkbox',
 			outdent: 'checkbox',
 			outdentLevel: 'number',
+			proofreading: 'checkbox',
 			commentDisplay: 'radio',
 			removeData: 'button',
+			shortcuts: 'shortcuts',
 			showContribsLink: 'checkbox',
 			confirmThanks: 'checkbox',
 			showToolbar: 'checkbox',
+			sideBySidePreview: 'checkbox',
+			showDrafts: 'button',
 			signaturePrefix: 'text',
+			snippets: 'snippets',
 			subscribeOnReply: 'checkbox',
 			timestampFormat: 'radio',
 			useBackgroundHighlighting: 'checkbox',
@@ -243,6 +259,7 @@ class Settings extends EventEmitter {
 			useNativeAutocomplete: 'checkbox',
 			useTemplateData: 'checkbox',
 			useUiTime: 'checkbox',
+			useVisualInput: 'checkbox',
 			watchOnReply: 'checkbox',
 		}),
 
@@ -274,7 +291,15 @@ class Settings extends EventEmitter {
 
 			// The order should coincide with the order of checkboxes in the autocompleteTypes setting -
 			// otherwise the "Save" and "Reset" buttons in the settings dialog won't work properly.
-			'autocompleteTypes': ['mentions', 'commentLinks', 'wikilinks', 'templates', 'tags'],
+			'autocompleteTypes': [
+				'mentions',
+				'commentLinks',
+				'wikilinks',
+				'templates',
+				'tags',
+				'emoji',
+				'snippets',
+			],
 
 			'autopreview': true,
 			'collapseThreads': true,
@@ -285,6 +310,8 @@ class Settings extends EventEmitter {
 			'countEditsAsNewComments': false,
 			'desktopNotifications': 'unknown',
 			'enableThreads': true,
+			'exportFormat': 'markdown',
+			'groupWatchlistByThread': false,
 			'hideTimezone': false,
 			'highlightNewInterval': 15,
 			'improvePerformance': false,
@@ -292,16 +319,21 @@ class Settings extends EventEmitter {
 			'insertButtons': cd.config.defaultInsertButtons || [],
 			'insertButtons-altered': false,
 			'manyForms-onboarded': false,
+			'mentionGroups': [],
 			'modifyToc': true,
 			'toggleChildThreads-onboarded': false,
 			'notifications': 'all',
 			'notifyCollapsedThreads': false,
 			'outdent': true,
 			'outdentLevel': 15,
+			'proofreading': true,
+			'shortcuts': {},
 			'showContribsLink': false,
 			'confirmThanks': true,
 			'showToolbar': true,
+			'sideBySidePreview': false,
 			'signaturePrefix': cd.config.defaultSignaturePrefix,
+			'snippets': [],
 			'subscribeOnReply': true,
 			'timestampFormat': 'default',
 			'upload-onboarded': false,
@@ -309,6 +341,7 @@ class Settings extends EventEmitter {
 			'useNativeAutocomplete': false,
 			'useTemplateData': true,
 			'useUiTime': true,
+			'useVisualInput': false,
 
 			// On wikis where there is no topic subscriptions, watching pages on replying is the
 			// alternative to keep track of discussions.
@@ -451,6 +484,12 @@ class Settings extends EventEmitter {
 						label: cd.s('sd-improveperformance'),
 						help: cd.s('sd-improveperformance-help'),
 					},
+					{
+						name: 'groupWatchlistByThread',
+						type: this.scheme.controlTypes.groupWatchlistByThread,
+						label: cd.s('sd-groupwatchlistbythread'),
+						help: cd.s('sd-groupwatchlistbythread-help'),
+					},
 				],
 			},
 			{
@@ -462,6 +501,18 @@ class Settings extends EventEmitter {
 						type: this.scheme.controlTypes.autopreview,
 						label: cd.s('sd-autopreview'),
 					},
+					{
+						name: 'sideBySidePreview',
+						type: this.scheme.controlTypes.sideBySidePreview,
+						label: cd.s('sd-sidebysidepreview'),
+						help: cd.s('sd-sidebysidepreview-help'),
+					},
+					{
+						name: 'useVisualInput',
+						type: this.scheme.controlTypes.useVisualInput,
+						label: cd.s('sd-usevisualinput'),
+						help: cd.s('sd-usevisualinput-help'),
+					},
 					{
 						name: 'watchOnReply',
 						type: this.scheme.controlTypes.watchOnReply,
@@ -478,6 +529,12 @@ class Settings extends EventEmitter {
 						type: this.scheme.controlTypes.showToolbar,
 						label: cd.s('sd-showtoolbar'),
 					},
+					{
+						name: 'proofreading',
+						type: this.scheme.controlTypes.proofreading,
+						label: cd.s('sd-proofreading'),
+						help: cd.s('sd-proofreading-help'),
+					},
 					{
 						name: 'alwaysExpandAdvanced',
 						type: this.scheme.controlTypes.alwaysExpandAdvanced,
@@ -530,9 +587,29 @@ class Settings extends EventEmitter {
 								data: 'tags',
 								label: cd.s('sd-autocompletetypes-tags'),
 							},
+							{
+								data: 'emoji',
+								label: cd.s('sd-autocompletetypes-emoji'),
+							},
+							{
+								data: 'snippets',
+								label: cd.s('sd-autocompletetypes-snippets'),
+							},
 						],
 						classes: ['cd-autocompleteTypesMultiselect'],
 					},
+					{
+						name: 'mentionGroups',
+						type: this.scheme.controlTypes.mentionGroups,
+						placeholder: cd.s('sd-mentiongroups-multiselect-placeholder'),
+						tagLimit: 100,
+						label: cd.s('sd-mentiongroups'),
+						help: wrapHtml(
+							cd.sParse('sd-mentiongroups-help', cd.config.mentionCharacter) +
+								' ' +
+								cd.sParse('sd-localsetting'),
+						),
+					},
 					{
 						name: 'useTemplateData',
 						type: this.scheme.controlTypes.useTemplateData,
@@ -584,6 +661,24 @@ class Settings extends EventEmitter {
 							cd.sParse('sd-signatureprefix-help') + ' ' + cd.sParse('sd-localsetting'),
 						),
 					},
+					{
+						name: 'showDrafts',
+						type: this.scheme.controlTypes.showDrafts,
+						label: cd.s('sd-showdrafts-description'),
+						buttonLabel: cd.s('sd-showdrafts'),
+					},
+				],
+			},
+			{
+				name: 'snippets',
+				label: cd.s('sd-page-snippets'),
+				controls: [
+					{
+						name: 'snippets',
+						type: this.scheme.controlTypes.snippets,
+						label: cd.s('sd-snippets'),
+						help: cd.s('sd-snippets-help'),
+					},
 				],
 			},
 			{
@@ -687,6 +782,18 @@ class Settings extends EventEmitter {
 					},
 				],
 			},
+			{
+				name: 'shortcuts',
+				label: cd.s('sd-page-shortcuts'),
+				controls: [
+					{
+						name: 'shortcuts',
+						type: this.scheme.controlTypes.shortcuts,
+						label: cd.s('sd-shortcuts'),
+						help: cd.s('sd-shortcuts-help'),
+					},
+				],
+			},
 			{
 				name: 'dataRemoval',
 				label: cd.s('sd-page-dataremoval'),
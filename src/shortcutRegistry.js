@@ -0,0 +1,200 @@
+import cd from './loader/cd'
+import {
+	isShortcutPressed,
+	isTypingShortcut,
+	normalizeShortcut,
+	parseShortcut,
+} from './utils-keyboard'
+
+/**
+ * Scope in which a shortcut works:
+ * - `global`: anywhere on the page, including inputs.
+ * - `page`: on the page when no input is focused.
+ * - `commentForm`: in a comment form.
+ * - `keyboardNavigation`: in the keyboard navigation mode (when no input is focused).
+ *
+ * @typedef {'global' | 'page' | 'commentForm' | 'keyboardNavigation'} ShortcutScope
+ */
+
+/**
+ * @typedef {object} ShortcutAction
+ * @property {string} name
+ * @property {string} default Default shortcut string, like `Ctrl+Shift+6`.
+ * @property {ShortcutScope[]} scopes
+ */
+
+/**
+ * Names of shortcut actions mapped to shortcut strings. An empty string means that the shortcut is
+ * disabled.
+ *
+ * @typedef {{ [name: string]: string }} ShortcutBindings
+ */
+
+/**
+ * Singleton storing keyboard shortcuts of the script: their default bindings, the bindings set by
+ * the user in the `shortcuts` setting and the conflicts between them.
+ */
+class ShortcutRegistry {
+	/**
+	 * List of actions that can have shortcuts. Names of actions are also used in message names:
+	 * `shortcut-<name in lowercase>`.
+	 *
+	 * @type {ShortcutAction[]}
+	 */
+	actions = [
+		{ name: 'refresh', default: 'R', scopes: ['page'] },
+		{ name: 'previousNewComment', default: 'W', scopes: ['page'] },
+		{ name: 'nextNewComment', default: 'S', scopes: ['page'] },
+		{ name: 'firstUnseenComment', default: 'F', scopes: ['page'] },
+		{ name: 'nextCommentForm', default: 'C', scopes: ['page'] },
+		{ name: 'quote', default: 'Ctrl+Alt+Q', scopes: ['global'] },
+		{ name: 'quoteOutsideInputs', default: 'Q', scopes: ['page'] },
+		{ name: 'submit', default: 'Ctrl+Enter', scopes: ['commentForm'] },
+		{ name: 'cancel', default: 'Esc', scopes: ['commentForm'] },
+		{ name: 'bold', default: 'Ctrl+B', scopes: ['commentForm'] },
+		{ name: 'italic', default: 'Ctrl+I', scopes: ['commentForm'] },
+		{ name: 'underline', default: 'Ctrl+U', scopes: ['commentForm'] },
+		{ name: 'strikethrough', default: 'Ctrl+Shift+5', scopes: ['commentForm'] },
+		{ name: 'code', default: 'Ctrl+Shift+6', scopes: ['commentForm'] },
+		{ name: 'bulletedList', default: 'Ctrl+Shift+8', scopes: ['commentForm'] },
+		{ name: 'editTemplate', default: 'Ctrl+Shift+9', scopes: ['commentForm'] },
+
+		// The mode is entered by pressing the "next" and "previous" keys outside it, so they shouldn't
+		// conflict with page shortcuts.
+		{ name: 'navNext', default: 'J', scopes: ['keyboardNavigation', 'page'] },
+		{ name: 'navPrevious', default: 'K', scopes: ['keyboardNavigation', 'page'] },
+
+		{ name: 'navParent', default: 'H', scopes: ['keyboardNavigation'] },
+		{ name: 'navChild', default: 'L', scopes: ['keyboardNavigation'] },
+		{ name: 'navNextNew', default: 'N', scopes: ['keyboardNavigation'] },
+		{ name: 'navReply', default: 'R', scopes: ['keyboardNavigation'] },
+		{ name: 'navEdit', default: 'E', scopes: ['keyboardNavigation'] },
+		{ name: 'navQuote', default: 'Q', scopes: ['keyboardNavigation'] },
+		{ name: 'navThank', default: 'T', scopes: ['keyboardNavigation'] },
+		{ name: 'navCollapse', default: 'C', scopes: ['keyboardNavigation'] },
+		{ name: 'navHelp', default: 'Shift+/', scopes: ['keyboardNavigation'] },
+		{ name: 'navExit', default: 'Esc', scopes: ['keyboardNavigation'] },
+	]
+
+	/**
+	 * Get the shortcut string for an action, taking the user's settings into account.
+	 *
+	 * @param {string} name
+	 * @param {ShortcutBindings} [bindings] Bindings to use instead of the ones from the settings.
+	 * @returns {string} Empty string if the shortcut is disabled.
+	 */
+	getString(name, bindings = /** @type {ShortcutBindings} */ (cd.settings.get('shortcuts'))) {
+		const action = this.getAction(name)
+		const string = normalizeShortcut(bindings[name] ?? action.default)
+		if (string === undefined || !this.isAllowed(name, string)) {
+			return action.default
+		}
+
+		return string
+	}
+
+	/**
+	 * Check whether a shortcut string can be used for an action. Actions available in comment forms
+	 * can't have shortcuts that interfere with typing (see {@link isTypingShortcut}), like
+	 * predefined shortcuts of such actions don't.
+	 *
+	 * @param {string} name
+	 * @param {string} string
+	 * @returns {boolean}
+	 */
+	isAllowed(name, string) {
+		const shortcut = parseShortcut(string)
+
+		return !(
+			shortcut &&
+			isTypingShortcut(shortcut) &&
+			this.getAction(name).scopes.some((scope) => scope === 'commentForm' || scope === 'global')
+		)
+	}
+
+	/**
+	 * Check whether the shortcut for an action is pressed given an event.
+	 *
+	 * @param {JQuery.KeyDownEvent|KeyboardEvent} event
+	 * @param {string} name
+	 * @returns {boolean}
+	 */
+	isPressed(event, name) {
+		const shortcut = parseShortcut(this.getString(name))
+
+		return Boolean(shortcut && isShortcutPressed(event, shortcut))
+	}
+
+	/**
+	 * Get a label of the shortcut for an action to show in the interface, like `(Ctrl+B)`. Returns an
+	 * empty string if the shortcut is disabled.
+	 *
+	 * @param {string} name
+	 * @returns {string}
+	 */
+	getLabel(name) {
+		const string = this.getString(name)
+
+		return string ? cd.mws('word-separator') + cd.mws('parentheses', string) : ''
+	}
+
+	/**
+	 * Get the action object by its name.
+	 *
+	 * @param {string} name
+	 * @returns {ShortcutAction}
+	 * @private
+	 */
+	getAction(name) {
+		const action = this.actions.find((a) => a.name === name)
+		if (!action) {
+			throw new Error(`Unknown shortcut action: ${name}`)
+		}
+
+		return action
+	}
+
+	/**
+	 * Find pairs of actions that have the same shortcut while being available at the same time.
+	 *
+	 * @param {ShortcutBindings} bindings
+	 * @returns {Array<[string, string]>}
+	 */
+	findConflicts(bindings) {
+		/** @type {Array<[string, string]>} */
+		const conflicts = []
+		this.actions.forEach((action1, i) => {
+			const string1 = this.getString(action1.name, bindings)
+			if (!string1) return
+
+			this.actions.slice(i + 1).forEach((action2) => {
+				if (
+					this.getString(action2.name, bindings) === string1 &&
+					ShortcutRegistry.doScopesOverlap(action1.scopes, action2.scopes)
+				) {
+					conflicts.push([action1.name, action2.name])
+				}
+			})
+		})
+
+		return conflicts
+	}
+
+	/**
+	 * Check whether shortcuts from the given scopes can be available at the same time.
+	 *
+	 * @param {ShortcutScope[]} scopes1
+	 * @param {ShortcutScope[]} scopes2
+	 * @returns {boolean}
+	 * @private
+	 */
+	static doScopesOverlap(scopes1, scopes2) {
+		return (
+			scopes1.includes('global') ||
+			scopes2.includes('global') ||
+			scopes1.some((scope) => scopes2.includes(scope))
+		)
+	}
+}
+
+export default new ShortcutRegistry()
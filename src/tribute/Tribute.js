@@ -74,6 +74,9 @@ import tributeCss from './tribute.less?inline'
  * @property {boolean} [replaceEnd] Whether to replace text at the end
  * @property {boolean} [requireLeadingSpace] Specify whether a space is required before the trigger
  *   string
+ * @property {RegExp} [leadingCharRegexp] Characters that count as a space before the trigger string
+ *   if {@link TributeCollectionSpecific#requireLeadingSpace} is set (whitespace and punctuation by
+ *   default)
  * @property {(item: TributeSearchResults<Value> | undefined, event: KeyboardEvent | MouseEvent) =>
  *   string | Insertion} [selectTemplate] Function called on select that returns the content to
  *   insert
@@ -242,6 +245,7 @@ class Tribute {
 				fillAttr: item.fillAttr || fillAttr,
 				values: item.values,
 				requireLeadingSpace: item.requireLeadingSpace,
+				leadingCharRegexp: item.leadingCharRegexp,
 				searchOpts: item.searchOpts || searchOpts,
 				menuItemLimit: item.menuItemLimit || menuItemLimit,
 				menuShowMinLength: item.menuShowMinLength || menuShowMinLength,
@@ -299,11 +299,12 @@ class TributeRange {
 			let mostRecentTriggerCharPos = -1
 			let mostRecentTriggerCharLength = 0
 			let triggerChar
+			let leadingCharRegexp
 
 			this.tribute.collection.forEach((config) => {
 				let c = config.trigger
 				let idx = config.requireLeadingSpace
-					? this.lastIndexWithLeadingSpace(effectiveRange, c)
+					? this.lastIndexWithLeadingSpace(effectiveRange, c, config.leadingCharRegexp)
 					: effectiveRange.lastIndexOf(c)
 
 				if (
@@ -317,6 +318,7 @@ class TributeRange {
 					mostRecentTriggerCharLength = c.length
 					triggerChar = c
 					requireLeadingSpace = config.requireLeadingSpace
+					leadingCharRegexp = config.leadingCharRegexp
 				}
 			})
 
@@ -329,7 +331,9 @@ class TributeRange {
 				(mostRecentTriggerCharPos === 0 ||
 					!requireLeadingSpace ||
 					// jwbth: Use punctuation instead of just whitespace characters.
-					PUNCTUATION_REGEXP.test(effectiveRange[mostRecentTriggerCharPos - 1]))
+					(leadingCharRegexp || PUNCTUATION_REGEXP).test(
+						effectiveRange[mostRecentTriggerCharPos - 1],
+					))
 			if (inputOk) {
 				currentTriggerSnippet = effectiveRange.substring(
 					mostRecentTriggerCharPos + triggerChar.length,
@@ -394,15 +398,16 @@ class TributeRange {
 	/**
 	 * @param {string} str
 	 * @param {string} trigger
+	 * @param {RegExp} [leadingCharRegexp]
 	 * @returns {number}
 	 */
-	lastIndexWithLeadingSpace(str, trigger) {
+	lastIndexWithLeadingSpace(str, trigger, leadingCharRegexp = PUNCTUATION_REGEXP) {
 		let reversedStr = str.split('').reverse().join('')
 		let index = -1
 
 		for (let cidx = 0, len = str.length; cidx < len; cidx++) {
 			let firstChar = cidx === str.length - 1
-			let leadingSpace = PUNCTUATION_REGEXP.test(reversedStr[cidx + 1])
+			let leadingSpace = leadingCharRegexp.test(reversedStr[cidx + 1])
 
 			let match = true
 			for (let triggerIdx = trigger.length - 1; triggerIdx >= 0; triggerIdx--) {
@@ -0,0 +1,74 @@
+declare global {
+	namespace mw {
+		namespace widgets {
+			/**
+			 * Date input widget. The value is a date in the `YYYY-MM-DD` format or an empty string.
+			 *
+			 * @param {mw.widgets.DateInputWidget.ConfigOptions} [config] Configuration options
+			 */
+			class DateInputWidget extends OO.ui.TextInputWidget {
+				constructor(config?: DateInputWidget.ConfigOptions)
+
+				/**
+				 * Moment.js object the date must be after, if any.
+				 */
+				mustBeAfter: any
+
+				/**
+				 * Moment.js object the date must be before, if any.
+				 */
+				mustBeBefore: any
+
+				/**
+				 * Get the date as a moment.js object.
+				 */
+				getMoment(): any
+			}
+
+			namespace DateInputWidget {
+				interface ConfigOptions extends OO.ui.TextInputWidget.ConfigOptions {
+					/**
+					 * Date precision to use, `'day'` or `'month'`.
+					 *
+					 * @default 'day'
+					 */
+					precision?: 'day' | 'month'
+
+					/**
+					 * Validates that the date is after this date.
+					 */
+					mustBeAfter?: string
+
+					/**
+					 * Validates that the date is before this date.
+					 */
+					mustBeBefore?: string
+
+					/**
+					 * Display a calendar popup.
+					 *
+					 * @default true
+					 */
+					calendar?: boolean | null
+
+					/**
+					 * Format of the date typed in the input.
+					 */
+					inputFormat?: string
+
+					/**
+					 * Custom format of the date displayed when the input is not focused.
+					 */
+					displayFormat?: string
+
+					/**
+					 * Overlay for the calendar popup.
+					 */
+					$overlay?: JQuery | true
+				}
+			}
+		}
+	}
+}
+
+export {}
@@ -0,0 +1,50 @@
+declare global {
+	namespace mw {
+		namespace widgets {
+			/**
+			 * User input widget with suggestions of user names.
+			 *
+			 * @param {mw.widgets.UserInputWidget.ConfigOptions} [config] Configuration options
+			 */
+			class UserInputWidget extends OO.ui.TextInputWidget implements OO.ui.mixin.LookupElement {
+				constructor(config?: UserInputWidget.ConfigOptions)
+
+				/**
+				 * Get the user name as an `mw.Title` object in the user namespace.
+				 */
+				getMWTitle(): mw.Title | null
+			}
+
+			namespace UserInputWidget {
+				interface ConfigOptions
+					extends OO.ui.TextInputWidget.ConfigOptions, OO.ui.mixin.LookupElement.ConfigOptions {
+					/**
+					 * Number of results to show.
+					 *
+					 * @default 10
+					 */
+					limit?: number
+
+					/**
+					 * API to use for the suggestions.
+					 */
+					api?: mw.Api
+
+					/**
+					 * Exclude named users.
+					 */
+					excludenamed?: boolean
+
+					/**
+					 * Exclude temporary users.
+					 */
+					excludetemp?: boolean
+				}
+			}
+
+			interface UserInputWidget extends OO.ui.TextInputWidget, OO.ui.mixin.LookupElement {}
+		}
+	}
+}
+
+export {}
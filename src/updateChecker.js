@@ -1,6 +1,7 @@
 import Comment from './Comment'
 import EventEmitter from './EventEmitter'
 import LocalStorageItemWithKeys from './LocalStorageItemWithKeys'
+import UpdateStream from './UpdateStream'
 import commentFormManager from './commentFormManager'
 import commentManager from './commentManager'
 import controller from './controller'
@@ -11,6 +12,7 @@ import {
 	calculateWordOverlap,
 	keepClonableValues,
 	subtractDaysFromNow,
+	underlinesToSpaces,
 } from './shared/utils-general'
 import userRegistry from './userRegistry'
 import { loadUserGenders } from './utils-api'
@@ -76,6 +78,8 @@ import visits from './visits'
  * @property {import('./Comment').default} [parentMatch]
  * @property {SectionWorkerMatched} [section]
  * @property {import('./Section').default} [sectionSubscribedTo]
+ * @property {import('./Comment').default} [followedComment] Comment followed by the user that the
+ *   comment is in the subthread of.
  */
 
 /**
@@ -128,7 +132,9 @@ import visits from './visits'
  */
 
 /**
- * Singleton responsible for polling for updates of the page in the background.
+ * Singleton responsible for checking for updates of the page in the background. Checks are
+ * triggered by an {@link UpdateStream event stream} of recent changes if it is available and by
+ * polling otherwise.
  *
  * @augments EventEmitter<EventMap>
  */
@@ -143,6 +149,18 @@ class UpdateChecker extends EventEmitter {
 	 */
 	backgroundUpdateCheckInterval = /** @type {const} */ (60)
 
+	/**
+	 * Number of seconds between checks for new comments when the update stream is available. The
+	 * checks are made just in case the stream misses something.
+	 */
+	streamUpdateCheckInterval = /** @type {const} */ (300)
+
+	/**
+	 * Number of seconds to wait before checking for new comments after the update stream reports a
+	 * change. Several changes made in quick succession result in one check.
+	 */
+	streamCheckDelay = /** @type {const} */ (1)
+
 	/** @type {Map<number, MessageFromWorkerParse | RevisionData>} */
 	revisionData = new Map()
 
@@ -161,6 +179,28 @@ class UpdateChecker extends EventEmitter {
 
 	initted = false
 
+	/**
+	 * Whether a check is in progress.
+	 *
+	 * @private
+	 */
+	checking = false
+
+	/**
+	 * Whether the update stream has reported a change while a check was in progress.
+	 *
+	 * @private
+	 */
+	checkRequested = false
+
+	/**
+	 * Stream of recent changes triggering checks.
+	 *
+	 * @type {UpdateStream | undefined}
+	 * @private
+	 */
+	stream
+
 	/** @type {Worker} */
 	worker
 
@@ -257,6 +297,35 @@ class UpdateChecker extends EventEmitter {
 		return message
 	}
 
+	/**
+	 * Parse the comments and sections of a page other than the current one in the web worker.
+	 *
+	 * @param {import('./Page').default} page
+	 * @param {number} [revisionId] Revision to parse. The latest revision is parsed by default.
+	 * @returns {Promise<MessageFromWorkerParse>}
+	 * @throws {CdError}
+	 */
+	async processOtherPage(page, revisionId) {
+		// eslint-disable-next-line @typescript-eslint/no-unnecessary-condition
+		if (!this.worker) {
+			throw new CdError({ type: 'internal', message: 'The web worker is not connected.' })
+		}
+
+		const { text, revid } = await page.parse({ oldid: revisionId, prop: ['text', 'revid'] }, true)
+
+		return /** @type {MessageFromWorkerParse} */ (
+			await this.runWorkerTask(
+				/** @type {MessageFromWindowParse} */ ({
+					task: 'parse',
+					revisionId: revid,
+					text,
+					g: keepClonableValues(cd.g, ['isIPv6Address']),
+					config: keepClonableValues(cd.config, ['rejectNode']),
+				}),
+			)
+		)
+	}
+
 	/**
 	 * If the revision of the current visit and previous visit are different, process the said
 	 * revisions. (We need to process the current revision too to get the comments' inner HTML without
@@ -500,6 +569,7 @@ class UpdateChecker extends EventEmitter {
 			return
 		}
 
+		this.checking = true
 		try {
 			await this.check()
 		} catch (error) {
@@ -507,14 +577,98 @@ class UpdateChecker extends EventEmitter {
 				cd.debug.logWarn(error)
 			}
 		}
+		this.checking = false
+
+		if (this.checkRequested) {
+			this.checkRequested = false
+			this.scheduleCheck(this.streamCheckDelay, true)
+		} else {
+			this.scheduleCheck(this.getCheckInterval(documentHidden), documentHidden)
+		}
+	}
+
+	/**
+	 * Get the number of seconds until the next regular check.
+	 *
+	 * @param {boolean} documentHidden
+	 * @returns {number}
+	 * @private
+	 */
+	getCheckInterval(documentHidden) {
+		if (this.stream?.isAvailable()) {
+			return this.streamUpdateCheckInterval
+		}
+
+		return documentHidden ? this.backgroundUpdateCheckInterval : this.updateCheckInterval
+	}
+
+	/**
+	 * Start listening to the stream of recent changes for the current page if the stream is
+	 * configured. The previous stream, if any, is closed.
+	 *
+	 * @private
+	 */
+	maybeStartStream() {
+		this.stopStream()
+		if (!cd.config.eventStreamUrl) return
+
+		this.stream = new UpdateStream(
+			cd.config.eventStreamUrl,
+			mw.config.get('wgDBname'),
+			underlinesToSpaces(mw.config.get('wgPageName')),
+		)
+			.on('change', this.handleStreamChange)
+			.on('availabilityChange', this.handleStreamAvailabilityChange)
+		this.stream.start()
+	}
+
+	/**
+	 * Close the stream of recent changes if it is open.
+	 *
+	 * @private
+	 */
+	stopStream() {
+		if (!this.stream) return
+
+		this.stream
+			.off('change', this.handleStreamChange)
+			.off('availabilityChange', this.handleStreamAvailabilityChange)
+			.stop()
+		this.stream = undefined
+	}
+
+	/**
+	 * Handle the `change` event of the update stream: check for updates shortly.
+	 *
+	 * @param {number} revisionId
+	 * @private
+	 */
+	handleStreamChange = (revisionId) => {
+		if (revisionId <= (this.lastCheckedRevisionId || mw.config.get('wgRevisionId'))) return
 
-		if (documentHidden) {
-			this.scheduleCheck(this.backgroundUpdateCheckInterval, true)
+		if (this.checking) {
+			this.checkRequested = true
 		} else {
-			this.scheduleCheck(this.updateCheckInterval, false)
+			this.unscheduleCheck()
+
+			// Schedule via the worker so that the check happens in background tabs too.
+			this.scheduleCheck(this.streamCheckDelay, true)
 		}
 	}
 
+	/**
+	 * Handle the `availabilityChange` event of the update stream: switch between rare and frequent
+	 * polling.
+	 *
+	 * @private
+	 */
+	handleStreamAvailabilityChange = () => {
+		if (this.checking) return
+
+		this.unscheduleCheck()
+		this.scheduleCheck(this.getCheckInterval(document.hidden), document.hidden)
+	}
+
 	/**
 	 * Schedule a check for page updates in the web worker.
 	 *
@@ -609,10 +763,9 @@ class UpdateChecker extends EventEmitter {
 	 * `headingHtmlToCompare` properties (the comment may lose its heading because technical comment is
 	 * added between it and the heading).
 	 *
-	 * @param {CommentWorkerMatched} olderComment
-	 * @param {CommentWorkerMatched} newerComment
+	 * @param {CommentWorkerBase} olderComment
+	 * @param {CommentWorkerBase} newerComment
 	 * @returns {boolean}
-	 * @private
 	 */
 	hasCommentChanged(olderComment, newerComment) {
 		return Boolean(
@@ -897,6 +1050,10 @@ class UpdateChecker extends EventEmitter {
 				return newComment
 			})
 
+		all.forEach((comment) => {
+			comment.followedComment = this.getParentMatch(comment, all)?.getFollowedAncestor()
+		})
+
 		if (cd.g.genderAffectsUserString) {
 			await loadUserGenders(
 				all.map((comment) => comment.author),
@@ -925,7 +1082,7 @@ class UpdateChecker extends EventEmitter {
 					if (comment.own || comment.author.isMuted()) {
 						return false
 					}
-					if (comment.toMe) {
+					if (comment.toMe || comment.followedComment) {
 						return true
 					}
 					if (comment.section) {
@@ -948,6 +1105,25 @@ class UpdateChecker extends EventEmitter {
 		})
 	}
 
+	/**
+	 * Get the comment on the page that a new comment replies to, directly or through other new
+	 * comments.
+	 *
+	 * @param {CommentWorkerNew} comment
+	 * @param {CommentWorkerNew[]} newComments All new comments.
+	 * @returns {import('./Comment').default | undefined}
+	 */
+	getParentMatch(comment, newComments) {
+		/** @type {CommentWorkerNew | undefined} */
+		let ancestor = comment
+		while (ancestor && !ancestor.parentMatch) {
+			const /** @type {string | undefined} */ parentId = ancestor.parent?.id
+			ancestor = parentId ? newComments.find((c) => c.id === parentId) : undefined
+		}
+
+		return ancestor?.parentMatch
+	}
+
 	/**
 	 * Callback for messages from the worker.
 	 *
@@ -965,13 +1141,28 @@ class UpdateChecker extends EventEmitter {
 		}
 	}
 
+	/**
+	 * _For internal use._ Start receiving messages from the web worker. This is enough to
+	 * {@link UpdateChecker#processOtherPage process other pages} outside of talk pages, where the
+	 * update checker is not initialized.
+	 *
+	 * @param {Worker} worker
+	 */
+	connectWorker(worker) {
+		// eslint-disable-next-line @typescript-eslint/no-unnecessary-condition
+		if (this.worker) return
+
+		this.worker = worker
+		this.worker.addEventListener('message', this.onMessageFromWorker)
+	}
+
 	/**
 	 * _For internal use._ Initialize the update checker.
 	 *
 	 * @param {Worker} worker
 	 */
 	init(worker) {
-		this.worker = worker
+		this.connectWorker(worker)
 
 		visits.on('process', (/** @type {string[]} */ currentPageData) => {
 			const bootProcess = controller.getBootProcess()
@@ -994,14 +1185,19 @@ class UpdateChecker extends EventEmitter {
 	setup(previousVisitTime, submittedCommentId) {
 		this.unscheduleCheck()
 		this.previousVisitRevisionId = undefined
-		if (!this.initted) {
-			this.worker.addEventListener('message', this.onMessageFromWorker)
-		}
 		this.setAlarmViaWorker(this.updateCheckInterval * 1000)
+		this.maybeStartStream()
 		if (previousVisitTime) {
 			this.maybeCheckPreviousVisitRevisionAtLoad(previousVisitTime, submittedCommentId)
 		}
 	}
+
+	/**
+	 * _For internal use._ Stop listening to the changes to the page. Executed between page loads.
+	 */
+	teardown() {
+		this.stopStream()
+	}
 }
 
 const updateChecker = new UpdateChecker()
@@ -61,6 +61,7 @@ import userRegistry from './userRegistry'
  * @property {number} tons
  * @property {string} totitle
  * @property {string} body
+ * @property {string} [toparsedcomment]
  */
 
 /**
@@ -0,0 +1,80 @@
+/**
+ * Utilities for building the history of a comment from the page history.
+ *
+ * @module utilsCommentHistory
+ */
+
+/**
+ * @template R
+ * @typedef {object} RevisionCode
+ * @property {R} revision
+ * @property {string | null} [code] Code of the comment in the revision. Not set if the comment is
+ *   absent, `null` if it is unknown (e.g. the text of the revision is hidden).
+ * @property {boolean} [isBeforeComment] Whether the revision is older than the comment's timestamp,
+ *   so the comment's absence in it means it wasn't added yet. If the comment is absent in a newer
+ *   revision (e.g. the page was blanked), this is treated as a gap in the history.
+ */
+
+/**
+ * @template R
+ * @typedef {object} CommentVersion
+ * @property {R} revision The revision that introduced this version of the comment.
+ * @property {string} code
+ */
+
+/**
+ * @template R
+ * @typedef {object} CommentHistory
+ * @property {CommentVersion<R>[]} versions Versions of the comment, oldest first.
+ * @property {boolean} isComplete Whether the revision before the oldest version, i.e. the one where
+ *   the comment is absent, was reached. If not, the first version may be not the original one.
+ */
+
+/**
+ * Find the revisions that changed the code of a comment.
+ *
+ * @template R
+ * @param {RevisionCode<R>[]} revisionCodes Code of the comment in consecutive revisions, newest
+ *   first. The walk stops at the first revision older than the comment where the comment is
+ *   absent; revisions where the code is unknown or the comment is absent are skipped otherwise.
+ * @returns {CommentHistory<R>}
+ */
+export function findCommentVersions(revisionCodes) {
+	/** @type {CommentVersion<R>[]} */
+	const versions = []
+
+	/** @type {CommentVersion<R> | undefined} */
+	let currentVersion
+	let isComplete = false
+	for (const { revision, code, isBeforeComment } of revisionCodes) {
+		if (code === undefined && isBeforeComment) {
+			isComplete = Boolean(currentVersion)
+			break
+		}
+		if (code === undefined || code === null) continue
+
+		if (currentVersion && normalizeCode(currentVersion.code) === normalizeCode(code)) {
+			// The same version existed before: move it to the older revision.
+			currentVersion.revision = revision
+		} else {
+			currentVersion = { revision, code }
+			versions.push(currentVersion)
+		}
+	}
+
+	return {
+		versions: versions.reverse(),
+		isComplete,
+	}
+}
+
+/**
+ * Normalize comment code to disregard changes that don't affect its content.
+ *
+ * @param {string} code
+ * @returns {string}
+ * @private
+ */
+function normalizeCode(code) {
+	return code.trim().replace(/[ \t]+\n/g, '\n')
+}
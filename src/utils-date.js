@@ -299,3 +299,54 @@ export function formatDateRelative(date) {
 		locale: cd.i18n[cd.g.userLanguage]?.dateFnsLocale,
 	})
 }
+
+/**
+ * Get the start of a day in the timezone in which comment timestamps are displayed to the user.
+ *
+ * @param {string} day Day in the `YYYY-MM-DD` format.
+ * @returns {Date}
+ */
+export function getDayStartInUserTimezone(day) {
+	const timestampToolsUser = cd.g.timestampTools.user
+	if (
+		!cd.settings.get('useUiTime') ||
+		['UTC', 0, undefined].includes(timestampToolsUser.timezone)
+	) {
+		return dayjs.utc(day).toDate()
+	}
+
+	if (timestampToolsUser.isSameAsLocalTimezone) {
+		return dayjs(day).toDate()
+	}
+
+	return typeof timestampToolsUser.timezone === 'number'
+		? dayjs.utc(day).subtract(timestampToolsUser.timezone, 'minute').toDate()
+		: dayjs.tz(day, /** @type {string} */ (timestampToolsUser.timezone)).toDate()
+}
+
+/**
+ * Get the day of a date in the timezone in which comment timestamps are displayed to the user. This
+ * is the reverse of {@link getDayStartInUserTimezone}.
+ *
+ * @param {Date} date
+ * @returns {string} Day in the `YYYY-MM-DD` format.
+ */
+export function getDayInUserTimezone(date) {
+	const timestampToolsUser = cd.g.timestampTools.user
+	let dayjsDate
+	if (
+		!cd.settings.get('useUiTime') ||
+		['UTC', 0, undefined].includes(timestampToolsUser.timezone)
+	) {
+		dayjsDate = dayjs.utc(date)
+	} else if (timestampToolsUser.isSameAsLocalTimezone) {
+		dayjsDate = dayjs(date)
+	} else {
+		dayjsDate =
+			typeof timestampToolsUser.timezone === 'number'
+				? dayjs.utc(date).add(timestampToolsUser.timezone, 'minute')
+				: dayjs(date).tz(/** @type {string} */ (timestampToolsUser.timezone))
+	}
+
+	return dayjsDate.format('YYYY-MM-DD')
+}
@@ -0,0 +1,181 @@
+/**
+ * Utilities for exporting discussions (sections and threads) to formats used outside the wiki.
+ *
+ * @module utilsExport
+ */
+
+/**
+ * @typedef {'markdown' | 'text' | 'json'} ExportFormat
+ */
+
+/**
+ * @typedef {object} ExportedComment
+ * @property {string | undefined} id CD ID of the comment.
+ * @property {string | undefined} parentId CD ID of the parent comment.
+ * @property {string} author
+ * @property {string | undefined} timestamp Date of the comment in the ISO format.
+ * @property {number} level {@link Comment#level Comment level}.
+ * @property {string} text
+ */
+
+/**
+ * @typedef {object} ExportedDiscussion
+ * @property {string} page Name of the page.
+ * @property {string | undefined} title Headline of the section.
+ * @property {string} url
+ * @property {ExportedComment[]} comments
+ */
+
+/**
+ * File extensions and MIME types of export formats.
+ *
+ * @type {{ [K in ExportFormat]: { extension: string; mimeType: string } }}
+ */
+export const exportFormats = {
+	markdown: { extension: 'md', mimeType: 'text/markdown' },
+	text: { extension: 'txt', mimeType: 'text/plain' },
+	json: { extension: 'json', mimeType: 'application/json' },
+}
+
+/**
+ * Collect the data of comments for export.
+ *
+ * @param {import('./Comment').default[]} comments
+ * @returns {ExportedComment[]}
+ */
+export function getExportedComments(comments) {
+	return comments.map((comment) => ({
+		id: comment.id,
+		parentId: comment.getParent()?.id,
+		author: comment.author.getName(),
+		timestamp: comment.date?.toISOString(),
+		level: comment.level,
+		text: comment.getText(),
+	}))
+}
+
+/**
+ * Get the depth of each comment in a list relative to the comments of the list, so that comments
+ * whose parents are not in the list have the depth of 0.
+ *
+ * @param {ExportedComment[]} comments
+ * @returns {number[]}
+ * @private
+ */
+function getDepths(comments) {
+	/** @type {Map<string, number>} */
+	const depthsById = new Map()
+
+	return comments.map((comment) => {
+		const depth = comment.parentId === undefined ? 0 : (depthsById.get(comment.parentId) ?? -1) + 1
+		if (comment.id !== undefined) {
+			depthsById.set(comment.id, depth)
+		}
+
+		return depth
+	})
+}
+
+/**
+ * Format an ISO timestamp for the text formats, like `2024-05-01 13:45 UTC`.
+ *
+ * @param {string | undefined} timestamp
+ * @returns {string | undefined}
+ * @private
+ */
+function formatTimestamp(timestamp) {
+	return timestamp && `${timestamp.slice(0, 10)} ${timestamp.slice(11, 16)} UTC`
+}
+
+/**
+ * Prepend each line of a text with a string.
+ *
+ * @param {string} text
+ * @param {string} prefix
+ * @returns {string}
+ * @private
+ */
+function prefixLines(text, prefix) {
+	return text
+		.split('\n')
+		.map((line) => (line ? prefix + line : line))
+		.join('\n')
+}
+
+/**
+ * Convert a discussion to Markdown. Replies are represented by nested list items.
+ *
+ * @param {ExportedDiscussion} discussion
+ * @returns {string}
+ */
+export function exportAsMarkdown(discussion) {
+	const depths = getDepths(discussion.comments)
+	const items = discussion.comments.map((comment, i) => {
+		const indentation = '  '.repeat(depths[i])
+		const header = [`**${comment.author}**`, formatTimestamp(comment.timestamp)]
+			.filter(Boolean)
+			.join(' — ')
+
+		return (
+			`${indentation}- ${header}\n` +
+			prefixLines(
+				// Avoid treating the lines as Markdown list items or headings inside the list item
+				comment.text.replace(/^([#*+-]|\d+\.) /gm, String.raw`\$1 `),
+				indentation + '  ',
+			)
+		)
+	})
+
+	return (
+		[`# ${discussion.title ?? discussion.page}`, `<${discussion.url}>`, ...items].join('\n\n') +
+		'\n'
+	)
+}
+
+/**
+ * Convert a discussion to plain text. Replies are indented.
+ *
+ * @param {ExportedDiscussion} discussion
+ * @returns {string}
+ */
+export function exportAsText(discussion) {
+	const depths = getDepths(discussion.comments)
+	const items = discussion.comments.map((comment, i) =>
+		prefixLines(
+			[comment.author, formatTimestamp(comment.timestamp)].filter(Boolean).join(', ') +
+				':\n' +
+				comment.text,
+			'    '.repeat(depths[i]),
+		),
+	)
+
+	return [discussion.title ?? discussion.page, discussion.url, ...items].join('\n\n') + '\n'
+}
+
+/**
+ * Convert a discussion to JSON.
+ *
+ * @param {ExportedDiscussion} discussion
+ * @returns {string}
+ */
+export function exportAsJson(discussion) {
+	return JSON.stringify(discussion, null, 2) + '\n'
+}
+
+/**
+ * Convert a discussion to a format.
+ *
+ * @param {ExportedDiscussion} discussion
+ * @param {ExportFormat} format
+ * @returns {string}
+ */
+export function exportDiscussion(discussion, format) {
+	switch (format) {
+		case 'markdown':
+			return exportAsMarkdown(discussion)
+		case 'text':
+			return exportAsText(discussion)
+		case 'json':
+			return exportAsJson(discussion)
+	}
+}
@@ -0,0 +1,116 @@
+/**
+ * Utilities for the discussion inbox: picking the comments relevant to the current user out of the
+ * comments parsed from watched talk pages.
+ *
+ * @module utilsInbox
+ */
+
+/**
+ * @typedef {object} InboxSection
+ * @property {string} headline
+ * @property {string} [oldestCommentId]
+ * @property {InboxSection} [parent]
+ */
+
+/**
+ * @typedef {object} InboxComment
+ * @property {string} [id]
+ * @property {string} authorName
+ * @property {Date} [date]
+ * @property {boolean} own
+ * @property {boolean} [toMe]
+ * @property {string[]} elementHtmls
+ * @property {InboxSection} [section]
+ */
+
+/**
+ * Why a comment is shown in the inbox, in order of priority.
+ *
+ * @typedef {'reply'|'mention'|'ownTalkPage'|'newTopic'|'subscribedTopic'} InboxReason
+ */
+
+/**
+ * @template {InboxComment} [C=InboxComment]
+ * @typedef {object} InboxItem
+ * @property {C} comment
+ * @property {InboxReason} reason
+ */
+
+/**
+ * @typedef {object} FindInboxItemsOptions
+ * @property {Date} since Comments older than this date are ignored.
+ * @property {(comment: InboxComment) => boolean} isMention Whether the comment mentions the user.
+ * @property {boolean} [isOwnTalkPage] Whether the comments are on the user's talk page.
+ * @property {boolean} [arePageTopicsSubscribed] Whether the user is subscribed to new topics on the
+ *   page.
+ * @property {(section: InboxSection) => boolean} [isSectionSubscribed] Whether the user is
+ *   subscribed to a section.
+ */
+
+/**
+ * Find the comments on a page that should be shown in the inbox and the reasons for that.
+ *
+ * @template {InboxComment} C
+ * @param {C[]} comments
+ * @param {FindInboxItemsOptions} options
+ * @returns {InboxItem<C>[]}
+ */
+export function findInboxItems(
+	comments,
+	{ since, isMention, isOwnTalkPage = false, arePageTopicsSubscribed = false, isSectionSubscribed },
+) {
+	return comments
+		.filter((comment) => comment.id && comment.date && comment.date >= since && !comment.own)
+		.map((comment) => ({ comment, reason: getInboxReason(comment) }))
+		.filter(
+			/** @type {(item: { comment: C, reason: InboxReason | undefined }) => item is InboxItem<C>} */ (
+				(item) => Boolean(item.reason)
+			),
+		)
+
+	/**
+	 * @param {InboxComment} comment
+	 * @returns {InboxReason | undefined}
+	 */
+	function getInboxReason(comment) {
+		if (comment.toMe) {
+			return 'reply'
+		}
+		if (isMention(comment)) {
+			return 'mention'
+		}
+		if (isOwnTalkPage) {
+			return 'ownTalkPage'
+		}
+		if (arePageTopicsSubscribed && comment.id === comment.section?.oldestCommentId) {
+			return 'newTopic'
+		}
+		if (isSectionSubscribed) {
+			for (let section = comment.section; section; section = section.parent) {
+				if (isSectionSubscribed(section)) {
+					return 'subscribedTopic'
+				}
+			}
+		}
+
+		return undefined
+	}
+}
+
+/**
+ * Get the values of the `title` attributes of the links in HTML code, which are the names of the
+ * pages the links lead to.
+ *
+ * @param {string} html
+ * @returns {string[]}
+ */
+export function getLinkTitles(html) {
+	return [...html.matchAll(/<a\b[^>]*?\stitle="([^"]*)"/g)].map(([, title]) =>
+		title
+			.replace(/&quot;/g, '"')
+			.replace(/&#0?39;/g, "'")
+			.replace(/&lt;/g, '<')
+			.replace(/&gt;/g, '>')
+			.replace(/&amp;/g, '&'),
+	)
+}
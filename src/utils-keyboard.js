@@ -46,3 +46,195 @@ export function isCmdModifierPressed(event) {
 	// platform.
 	return $.client.profile().platform === 'mac' ? event.metaKey : event.ctrlKey
 }
+
+/**
+ * @typedef {object} Shortcut
+ * @property {number} keyCode
+ * @property {('cmd' | 'alt' | 'shift')[]} modifiers
+ */
+
+/**
+ * Names of keys that can be used in shortcuts (except letters and digits) by key codes.
+ *
+ * @type {{ [keyCode: number]: string }}
+ */
+const keyNames = {
+	13: 'Enter',
+	27: 'Esc',
+	32: 'Space',
+	37: 'Left',
+	38: 'Up',
+	39: 'Right',
+	40: 'Down',
+	186: ';',
+	187: '=',
+	188: ',',
+	189: '-',
+	190: '.',
+	191: '/',
+	192: '`',
+	219: '[',
+	220: '\\',
+	221: ']',
+	222: "'",
+}
+
+/**
+ * Modifier names as used in shortcut strings, in the order they are written.
+ *
+ * @type {Array<[Shortcut['modifiers'][number], string]>}
+ */
+const modifierNames = [
+	['cmd', 'Ctrl'],
+	['alt', 'Alt'],
+	['shift', 'Shift'],
+]
+
+/**
+ * Get the name of a key by its key code, if the key can be used in shortcuts.
+ *
+ * @param {number} keyCode
+ * @returns {string | undefined}
+ */
+function getKeyName(keyCode) {
+	if ((keyCode >= 48 && keyCode <= 57) || (keyCode >= 65 && keyCode <= 90)) {
+		return String.fromCodePoint(keyCode)
+	}
+	if (keyCode >= 112 && keyCode <= 123) {
+		return `F${keyCode - 111}`
+	}
+
+	return keyNames[keyCode]
+}
+
+/** @type {Map<string, number> | undefined} */
+let keyCodesByName
+
+/**
+ * Get a map of key codes by uppercased key names.
+ *
+ * @returns {Map<string, number>}
+ */
+function getKeyCodesByName() {
+	if (!keyCodesByName) {
+		keyCodesByName = new Map()
+		for (let keyCode = 0; keyCode < 256; keyCode++) {
+			const name = getKeyName(keyCode)
+			if (name) {
+				keyCodesByName.set(name.toUpperCase(), keyCode)
+			}
+		}
+	}
+
+	return keyCodesByName
+}
+
+/**
+ * Parse a shortcut string like `Ctrl+Shift+6`. `Ctrl` stands for <kbd>Cmd</kbd> on Mac (see
+ * {@link keyCombination}).
+ *
+ * @param {string} string
+ * @returns {Shortcut | undefined} `undefined` if the string is not a valid shortcut.
+ */
+export function parseShortcut(string) {
+	const parts = string.split('+').map((part) => part.trim())
+	const keyCode = getKeyCodesByName().get(/** @type {string} */ (parts.pop()).toUpperCase())
+	if (keyCode === undefined) return
+
+	/** @type {Shortcut['modifiers']} */
+	const modifiers = []
+	for (const part of parts) {
+		const modifier = modifierNames.find(([, name]) => name.toUpperCase() === part.toUpperCase())
+		if (!modifier || modifiers.includes(modifier[0])) return
+
+		modifiers.push(modifier[0])
+	}
+
+	return { keyCode, modifiers }
+}
+
+/**
+ * Convert a shortcut to a string like `Ctrl+Shift+6`.
+ *
+ * @param {Shortcut} shortcut
+ * @returns {string}
+ */
+export function formatShortcut(shortcut) {
+	return modifierNames
+		.filter(([modifier]) => shortcut.modifiers.includes(modifier))
+		.map(([, name]) => name)
+		.concat(getKeyName(shortcut.keyCode) || String(shortcut.keyCode))
+		.join('+')
+}
+
+/**
+ * Normalize a shortcut string, e.g. `shift+ctrl+a` → `Ctrl+Shift+A`. An empty string stays empty
+ * (it means that the shortcut is disabled).
+ *
+ * @param {string} string
+ * @returns {string | undefined} `undefined` if the string is not a valid shortcut.
+ */
+export function normalizeShortcut(string) {
+	if (!string.trim()) {
+		return ''
+	}
+
+	const shortcut = parseShortcut(string)
+
+	return shortcut && formatShortcut(shortcut)
+}
+
+/**
+ * Check whether a shortcut can interfere with typing text, i.e. it has no <kbd>Ctrl</kbd> or
+ * <kbd>Alt</kbd> modifier and its key is not <kbd>Esc</kbd> or a function key.
+ *
+ * @param {Shortcut} shortcut
+ * @returns {boolean}
+ */
+export function isTypingShortcut(shortcut) {
+	return (
+		!shortcut.modifiers.includes('cmd') &&
+		!shortcut.modifiers.includes('alt') &&
+		shortcut.keyCode !== 27 &&
+		!(shortcut.keyCode >= 112 && shortcut.keyCode <= 123)
+	)
+}
+
+/**
+ * Get the shortcut pressed given a `keydown` event. Modifier keys pressed alone and keys that can't
+ * be used in shortcuts produce `undefined`.
+ *
+ * @param {JQuery.KeyDownEvent|KeyboardEvent} event
+ * @returns {Shortcut | undefined}
+ */
+export function getShortcutFromEvent(event) {
+	// eslint-disable-next-line @typescript-eslint/no-deprecated
+	const keyCode = event.keyCode
+	if (!getKeyName(keyCode)) return
+
+	/** @type {Shortcut['modifiers']} */
+	const modifiers = []
+	if (isCmdModifierPressed(event)) {
+		modifiers.push('cmd')
+	}
+	if (event.altKey) {
+		modifiers.push('alt')
+	}
+	if (event.shiftKey) {
+		modifiers.push('shift')
+	}
+
+	return { keyCode, modifiers }
+}
+
+/**
+ * Check if a shortcut is pressed given an event.
+ *
+ * @param {JQuery.KeyDownEvent|KeyboardEvent} event
+ * @param {Shortcut} shortcut
+ * @returns {boolean}
+ */
+export function isShortcutPressed(event, shortcut) {
+	// keyCombination() mutates the array
+	return keyCombination(event, shortcut.keyCode, [...shortcut.modifiers])
+}
@@ -0,0 +1,444 @@
+/**
+ * Utilities for finding problems in the wikitext of comments before they are submitted.
+ *
+ * @module utilsLint
+ */
+
+import TextMasker from './TextMasker'
+
+/**
+ * @typedef {object} LintFix
+ * @property {number} start Index of the start of the text to replace.
+ * @property {number} end Index of the end of the text to replace.
+ * @property {string} replacement
+ * @property {string} [label] Label of the fix if it is not generic.
+ */
+
+/**
+ * @typedef {object} LintIssue
+ * @property {string} name Name of the check that found the issue. Messages of the built-in checks
+ *   are `cf-lint-<name>`.
+ * @property {'notice'|'warning'|'error'} type
+ * @property {number} start Index of the start of the problematic code.
+ * @property {number} end Index of the end of the problematic code.
+ * @property {string[]} [params] Parameters of the message.
+ * @property {string} [message] Message of a custom rule.
+ * @property {LintFix} [fix]
+ */
+
+/**
+ * @typedef {object} LintOptions
+ * @property {boolean} [isIndented] Whether the comment will be indented. Lines starting with a
+ *   space are not a problem in indented comments as the spaces are removed.
+ * @property {(pageName: string) => boolean} [isCurrentPage] Function that checks whether a link
+ *   target is the current page.
+ * @property {(url: string) => string | undefined} [urlToWikilink] Function that converts a URL to a
+ *   wikilink if the URL points to the current wiki.
+ * @property {import('../config/default').LintRule[]} [rules] Custom rules.
+ * @property {string[]} [disabledChecks] Names of the built-in checks not to run.
+ */
+
+/**
+ * Tags that must be closed.
+ *
+ * @type {Set<string>}
+ */
+const pairedTags = new Set([
+	'abbr',
+	'b',
+	'big',
+	'blockquote',
+	'center',
+	'cite',
+	'code',
+	'del',
+	'div',
+	'em',
+	'font',
+	'gallery',
+	'i',
+	'ins',
+	'kbd',
+	'mark',
+	'math',
+	'nowiki',
+	'poem',
+	'pre',
+	'q',
+	'ref',
+	's',
+	'samp',
+	'small',
+	'source',
+	'span',
+	'strike',
+	'strong',
+	'sub',
+	'sup',
+	'syntaxhighlight',
+	'tt',
+	'u',
+	'var',
+])
+
+/**
+ * Blank the code the content of which is not wikitext (comments, `<nowiki>`, `<pre>`, etc.),
+ * keeping the positions of the rest of the text.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function blankNonWikitext(text) {
+	return new TextMasker(text)
+		.mask(/<!--[^]*?-->/g, 'comment')
+		.maskTags(
+			[
+				'nowiki',
+				'pre',
+				'source',
+				'syntaxhighlight',
+				'code',
+				'math',
+				'chem',
+				'ce',
+				'score',
+				'timeline',
+			],
+			'code',
+		)
+		.getBlankedText()
+}
+
+/**
+ * Find tags that are not closed and closing tags that were not opened.
+ *
+ * @param {string} text Text with non-wikitext code blanked.
+ * @returns {LintIssue[]}
+ */
+function findUnbalancedTags(text) {
+	/** @type {LintIssue[]} */
+	const issues = []
+
+	/** @type {{ tag: string; start: number; end: number }[]} */
+	const stack = []
+	for (const match of text.matchAll(/<(\/?)([a-z]+)\b[^<>]*?(\/?)>/gi)) {
+		const [code, slash, tagName, selfClosingSlash] = match
+		const tag = tagName.toLowerCase()
+		const start = /** @type {number} */ (match.index)
+		if (!pairedTags.has(tag) || selfClosingSlash) continue
+
+		if (!slash) {
+			stack.push({ tag, start, end: start + code.length })
+			continue
+		}
+
+		const index = stack.findLastIndex((item) => item.tag === tag)
+		if (index === -1) {
+			issues.push({
+				name: 'strayClosingTag',
+				type: 'warning',
+				start,
+				end: start + code.length,
+				params: [tag],
+				fix: { start, end: start + code.length, replacement: '' },
+			})
+		} else {
+			// Tags opened after this one and not closed yet will be reported below
+			issues.push(
+				...stack
+					.splice(index)
+					.slice(1)
+					.map((item) => getUnclosedTagIssue(item, text)),
+			)
+		}
+	}
+
+	return [...issues, ...stack.map((item) => getUnclosedTagIssue(item, text))]
+}
+
+/**
+ * Create an issue for a tag that is not closed.
+ *
+ * @param {{ tag: string; start: number; end: number }} tagData
+ * @param {string} text
+ * @returns {LintIssue}
+ */
+function getUnclosedTagIssue({ tag, start, end }, text) {
+	const textEnd = text.trimEnd().length
+
+	return {
+		name: 'unclosedTag',
+		type: 'warning',
+		start,
+		end,
+		params: [tag],
+		fix: { start: textEnd, end: textEnd, replacement: `</${tag}>` },
+	}
+}
+
+/**
+ * Find `[[`, `{{` without pairs and `]]`, `}}` that close nothing.
+ *
+ * @param {string} text Text with non-wikitext code blanked.
+ * @returns {LintIssue[]}
+ */
+function findUnbalancedBrackets(text) {
+	/** @type {LintIssue[]} */
+	const issues = []
+
+	/** @type {{ bracket: string; start: number }[]} */
+	const stack = []
+
+	/** @type {{ bracket: string; start: number }[]} */
+	const unclosed = []
+	const pairs = /** @type {{ [closing: string]: string }} */ ({ ']]': '[[', '}}': '{{' })
+	for (const match of text.matchAll(/\[\[|\]\]|\{\{|\}\}/g)) {
+		const bracket = match[0]
+		const start = /** @type {number} */ (match.index)
+		if (!(bracket in pairs)) {
+			stack.push({ bracket, start })
+			continue
+		}
+
+		const index = stack.findLastIndex((item) => item.bracket === pairs[bracket])
+		if (index === -1) {
+			issues.push({
+				name: 'strayClosingBrackets',
+				type: 'warning',
+				start,
+				end: start + 2,
+				params: [bracket],
+				fix: { start, end: start + 2, replacement: '' },
+			})
+		} else {
+			// Brackets opened after the pair are left unclosed
+			unclosed.push(...stack.splice(index).slice(1))
+		}
+	}
+
+	return [
+		...issues,
+		...[...unclosed, ...stack].map(({ bracket, start }) => ({
+			name: 'unclosedBrackets',
+			type: /** @type {const} */ ('warning'),
+			start,
+			end: start + 2,
+			params: [bracket],
+		})),
+	]
+}
+
+/**
+ * Find signatures that are not at the end of the comment. The script adds a signature to the end,
+ * so a signature in the middle is usually a leftover.
+ *
+ * @param {string} text Text with non-wikitext code blanked.
+ * @returns {LintIssue[]}
+ */
+function findStraySignatures(text) {
+	return [...text.matchAll(/[ \t]*(~{3,5})(?!~)/g)]
+		.filter((match) => /\S/.test(text.slice(/** @type {number} */ (match.index) + match[0].length)))
+		.map((match) => {
+			const start = /** @type {number} */ (match.index)
+			const end = start + match[0].length
+
+			return {
+				name: 'straySignature',
+				type: 'warning',
+				start: end - match[1].length,
+				end,
+				fix: { start, end, replacement: '' },
+			}
+		})
+}
+
+/**
+ * Find list markup that would split the comment: empty list items and, in unindented comments,
+ * lines starting with a space (which are displayed as preformatted text).
+ *
+ * @param {string} text Text with non-wikitext code and templates blanked.
+ * @param {string} textWithTemplates Same text with templates in place, to tell spaces from blanked
+ *   templates.
+ * @param {boolean} isIndented
+ * @returns {LintIssue[]}
+ */
+function findBrokenListMarkup(text, textWithTemplates, isIndented) {
+	/** @type {LintIssue[]} */
+	const issues = [...text.matchAll(/^[:*#;]+[ \t]*$/gm)].map((match) => {
+		const start = /** @type {number} */ (match.index)
+		const end = start + match[0].length
+
+		return {
+			name: 'emptyListItem',
+			type: 'warning',
+			start,
+			end,
+			fix:
+				text[end] === '\n'
+					? { start, end: end + 1, replacement: '' }
+					: { start: Math.max(start - 1, 0), end, replacement: '' },
+		}
+	})
+
+	if (!isIndented) {
+		// Lines starting with table markup are fine
+		for (const match of text.matchAll(/^[ \t]+(?=[^\s|!])/gm)) {
+			const start = /** @type {number} */ (match.index)
+			const end = start + match[0].length
+			if (textWithTemplates.slice(start, end) !== match[0]) continue
+
+			issues.push({
+				name: 'preformattedLine',
+				type: 'warning',
+				start,
+				end,
+				fix: { start, end, replacement: '' },
+			})
+		}
+	}
+
+	return issues
+}
+
+/**
+ * Find URLs that are not in external link markup.
+ *
+ * @param {string} text Text with non-wikitext code and templates blanked.
+ * @param {LintOptions['urlToWikilink']} urlToWikilink
+ * @returns {LintIssue[]}
+ */
+function findBareUrls(text, urlToWikilink) {
+	const blankedText = new TextMasker(text)
+		.mask(/\[(?:https?:)?\/\/[^\s[\]]+/gi, 'linkUrl')
+		.mask(/<[^<>]+>/g, 'tag')
+		.mask(/\[\[[^[\]]*\]\]/g, 'wikilink')
+		.getBlankedText()
+
+	return [...blankedText.matchAll(/\bhttps?:\/\/[^\s<>[\]{}|]+/gi)].map((match) => {
+		// Trailing punctuation is not part of the URL, same as in MediaWiki
+		let url = match[0].replace(/[.,;:!?'"]+$/, '')
+		if (url.endsWith(')') && !url.includes('(')) {
+			url = url.slice(0, -1)
+		}
+		const start = /** @type {number} */ (match.index)
+		const end = start + url.length
+		const wikilink = urlToWikilink?.(url)
+
+		return {
+			name: 'bareUrl',
+			type: /** @type {const} */ ('notice'),
+			start,
+			end,
+			fix: wikilink ? { start, end, replacement: wikilink } : undefined,
+		}
+	})
+}
+
+/**
+ * Find links to the current page. Links to sections of the current page should be in the
+ * `[[#Section]]` form; other links are useless.
+ *
+ * @param {string} text Text with non-wikitext code blanked.
+ * @param {LintOptions['isCurrentPage']} isCurrentPage
+ * @returns {LintIssue[]}
+ */
+function findSelfLinks(text, isCurrentPage) {
+	if (!isCurrentPage) {
+		return []
+	}
+
+	return [...text.matchAll(/\[\[([^[\]|{}<>\n#]+)(?:#([^[\]|{}<>\n]*))?(?:\|([^[\]]*))?\]\]/g)]
+		.filter((match) => !match[1].trim().startsWith(':') && isCurrentPage(match[1].trim()))
+		.map((match) => {
+			const [code, target] = match
+			const fragment = /** @type {string | undefined} */ (match[2])
+			const label = /** @type {string | undefined} */ (match[3])
+			const start = /** @type {number} */ (match.index)
+			const end = start + code.length
+
+			return {
+				name: 'selfLink',
+				type: 'warning',
+				start,
+				end,
+				fix: {
+					start,
+					end,
+					replacement: fragment
+						? `[[#${fragment}${label === undefined ? '' : `|${label}`}]]`
+						: (label ?? target),
+				},
+			}
+		})
+}
+
+/**
+ * Find problems with custom rules.
+ *
+ * @param {string} text Original text.
+ * @param {string} blankedText Text with non-wikitext code blanked.
+ * @param {import('../config/default').LintRule[]} rules
+ * @returns {LintIssue[]}
+ */
+function findCustomIssues(text, blankedText, rules) {
+	return rules.flatMap((rule, i) => {
+		const flags = rule.regexp.flags.replace('g', '')
+
+		return [...blankedText.matchAll(new RegExp(rule.regexp.source, flags + 'g'))]
+			.filter((match) => match[0])
+			.map((match) => {
+				const start = /** @type {number} */ (match.index)
+				const end = start + match[0].length
+				const code = text.slice(start, end)
+				const nonGlobalRegexp = new RegExp(rule.regexp.source, flags)
+
+				return {
+					name: rule.name || `customRule${i}`,
+					type: rule.type || 'warning',
+					start,
+					end,
+					message: rule.message,
+					fix:
+						rule.fix !== undefined && nonGlobalRegexp.test(code)
+							? {
+									start,
+									end,
+									replacement: code.replace(nonGlobalRegexp, rule.fix),
+									label: rule.fixLabel,
+								}
+							: undefined,
+				}
+			})
+	})
+}
+
+/**
+ * Find problems in the wikitext of a comment: unclosed tags, unbalanced brackets and braces,
+ * signatures in the middle of the comment, list markup that would split the comment, bare URLs,
+ * and links to the current page, as well as problems matching custom rules.
+ *
+ * @param {string} text
+ * @param {LintOptions} [options]
+ * @returns {LintIssue[]} Issues sorted by position.
+ */
+export function lintWikitext(
+	text,
+	{ isIndented = false, isCurrentPage, urlToWikilink, rules = [], disabledChecks = [] } = {},
+) {
+	const blankedText = blankNonWikitext(text)
+	const blankedTextWithoutTemplates = new TextMasker(blankedText)
+		.maskTemplatesRecursively()
+		.getBlankedText()
+
+	return [
+		...findUnbalancedTags(blankedText),
+		...findUnbalancedBrackets(blankedText),
+		...findStraySignatures(blankedText),
+		...findBrokenListMarkup(blankedTextWithoutTemplates, blankedText, isIndented),
+		...findBareUrls(blankedTextWithoutTemplates, urlToWikilink),
+		...findSelfLinks(blankedText, isCurrentPage),
+	]
+		.filter((issue) => !disabledChecks.includes(issue.name))
+		.concat(findCustomIssues(text, blankedText, rules))
+		.sort((issue1, issue2) => issue1.start - issue2.start)
+}
@@ -6,6 +6,8 @@
 
 import CheckboxInputWidget from './CheckboxInputWidget'
 import RadioOptionWidget from './RadioOptionWidget'
+import ShortcutsWidget from './ShortcutsWidget'
+import SnippetsWidget from './SnippetsWidget'
 import TextInputWidget from './TextInputWidget'
 import cd from './loader/cd'
 import { copyText } from './utils-window'
@@ -262,6 +264,18 @@ export async function showConfirmDialog(message, options = {}) {
  * }} RadioControlOptions
  */
 
+/**
+ * @typedef {ControlOptionsBase & {
+ *   value?: import('./shortcutRegistry').ShortcutBindings;
+ * }} ShortcutsControlOptions
+ */
+
+/**
+ * @typedef {ControlOptionsBase & {
+ *   value?: import('./utils-snippets').Snippet[];
+ * }} SnippetsControlOptions
+ */
+
 /**
  * @typedef {ControlOptionsBase & {
  *   value?: string;
@@ -500,6 +514,26 @@ export function createButtonControl({ label, flags, buttonLabel, help }) {
 	})
 }
 
+/**
+ * Create a field for rebinding keyboard shortcuts.
+ *
+ * @param {ShortcutsControlOptions} options
+ * @returns {ShortcutsControl}
+ */
+export function createShortcutsControl({ label, value, help }) {
+	return createGenericControl('shortcuts', new ShortcutsWidget({ value }), { label, help })
+}
+
+/**
+ * Create a field for managing snippets.
+ *
+ * @param {SnippetsControlOptions} options
+ * @returns {SnippetsControl}
+ */
+export function createSnippetsControl({ label, value, help }) {
+	return createGenericControl('snippets', new SnippetsWidget({ value }), { label, help })
+}
+
 /**
  * Create a title input field (using
  * {@link https://doc.wikimedia.org/mediawiki-core/master/js/mw.widgets.TitleInputWidget.html mw.widgets.TitleInputWidget}).
@@ -0,0 +1,127 @@
+/**
+ * Utilities for making comment previews incrementally, i.e. parsing only the blocks (paragraphs,
+ * tables, etc.) of the comment code that have changed since the previous preview.
+ *
+ * @module utilsPreview
+ */
+
+import TextMasker from './TextMasker'
+
+/**
+ * Class of the element that separates blocks when they are parsed in one request.
+ */
+const boundaryClass = 'cd-previewBlockBoundary'
+
+/**
+ * Check whether the code can be parsed block by block with the same result as when parsing it as a
+ * whole. This is not the case when parts of the code depend on each other, like references and the
+ * reference list.
+ *
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function canParseIncrementally(code) {
+	return !/<ref\b|<references\b|\{\{ *#tag: *ref\b|__[A-Z]+__/i.test(code)
+}
+
+/**
+ * Split code into blocks separated by one empty line at the top level, i.e. not inside templates,
+ * tables, tags or comments. Code joined back with `\n\n` is equal to the original code.
+ *
+ * @param {string} code
+ * @returns {string[]}
+ */
+export function splitCodeIntoBlocks(code) {
+	const blankedCode = new TextMasker(code)
+		.mask(/<!--[^]*?-->/g, 'comment')
+		.maskTags(['div', 'blockquote', 'center', 'table', 'ref'], 'block')
+		.maskSensitiveCode()
+		.getBlankedText()
+
+	/** @type {string[]} */
+	const blocks = []
+	let start = 0
+	for (const match of blankedCode.matchAll(/(?<!\n)\n\n(?!\n)/g)) {
+		const index = /** @type {number} */ (match.index)
+		blocks.push(code.slice(start, index))
+		start = index + 2
+	}
+	blocks.push(code.slice(start))
+
+	return blocks
+}
+
+/**
+ * Join blocks into code to be parsed in one request, so that the HTML of each block can then be
+ * extracted with {@link module:utilsPreview.splitParsedHtml splitParsedHtml}.
+ *
+ * @param {string[]} blocks
+ * @returns {string}
+ */
+export function joinBlocksForParsing(blocks) {
+	return blocks.join(`\n\n<div class="${boundaryClass}"></div>\n\n`)
+}
+
+/**
+ * @typedef {object} ParsedBlocks
+ * @property {Element | undefined} wrapper Empty copy of the element wrapping the parser output.
+ * @property {string[]} blocks HTML of the blocks.
+ */
+
+/**
+ * Split the HTML of the code produced by
+ * {@link module:utilsPreview.joinBlocksForParsing joinBlocksForParsing} into the HTML of the blocks.
+ *
+ * @param {string} html
+ * @returns {ParsedBlocks}
+ */
+export function splitParsedHtml(html) {
+	const container = document.createElement('div')
+	container.innerHTML = html
+	const wrapper = container.querySelector(':scope > .mw-parser-output') || undefined
+
+	/** @type {Node[][]} */
+	const nodeGroups = []
+
+	/** @type {Node[]} */
+	let nodes = []
+	nodeGroups.push(nodes)
+	for (const node of (wrapper || container).childNodes) {
+		if (node instanceof Element && node.classList.contains(boundaryClass)) {
+			nodes = []
+			nodeGroups.push(nodes)
+		} else {
+			nodes.push(node)
+		}
+	}
+
+	return {
+		wrapper: /** @type {Element | undefined} */ (wrapper?.cloneNode(false)),
+		blocks: nodeGroups.map((group) => {
+			const blockContainer = document.createElement('div')
+			blockContainer.append(...group)
+
+			return blockContainer.innerHTML.trim()
+		}),
+	}
+}
+
+/**
+ * Put the HTML of blocks together in a wrapper returned by
+ * {@link module:utilsPreview.splitParsedHtml splitParsedHtml}.
+ *
+ * @param {string[]} blocks
+ * @param {Element} [wrapper]
+ * @returns {string}
+ */
+export function joinParsedBlocks(blocks, wrapper) {
+	const html = blocks.join('\n')
+	if (!wrapper) {
+		return html
+	}
+
+	const element = /** @type {Element} */ (wrapper.cloneNode(false))
+	element.innerHTML = html
+
+	return element.outerHTML
+}
@@ -0,0 +1,65 @@
+/**
+ * Utilities for proofreading wikitext.
+ *
+ * @module utilsProofreading
+ */
+
+import TextMasker from './TextMasker'
+
+/**
+ * @typedef {object} ProofreadableWord
+ * @property {string} word
+ * @property {number} start Index of the word in the text.
+ * @property {number} end Index after the word in the text.
+ */
+
+/**
+ * Replace the parts of wikitext that shouldn't be proofread (templates, link targets, tags, URLs,
+ * code, etc.) with spaces, keeping the positions of the rest of the text.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function blankNonProse(text) {
+	const masker = new TextMasker(text)
+		.maskSensitiveCode()
+		.maskTags(['code', 'math', 'chem', 'ce', 'score', 'timeline', 'kbd', 'samp', 'var'], 'code')
+		.mask(/<!--[^]*?-->/g, 'comment')
+		.mask(/<\/?[a-z][^<>]*>/gi, 'tag')
+
+		// Link targets; labels are proofread. In links without labels, the target is the label but it
+		// is probably a name of something anyway.
+		.mask(/\[\[[^[\]|]*(?:\||\]\])/g, 'linkTarget')
+
+		// URLs of external links; labels are proofread
+		.mask(/\[(?:https?:)?\/\/[^\s[\]]+/gi, 'linkUrl')
+		.mask(/\bhttps?:\/\/[^\s<>[\]{}|]+/gi, 'url')
+		.mask(/__[A-Z]+__/g, 'magicWord')
+
+	return masker.getBlankedText()
+}
+
+/**
+ * Get the words from wikitext that should be proofread, skipping markup and words that are usually
+ * not in dictionaries: abbreviations in all caps and words adjacent to digits.
+ *
+ * @param {string} text
+ * @returns {ProofreadableWord[]}
+ */
+export function getProofreadableWords(text) {
+	const prose = blankNonProse(text)
+
+	return [...prose.matchAll(/[\p{L}\p{M}]+(?:['’][\p{L}\p{M}]+)*/gu)]
+		.map((match) => ({
+			word: match[0],
+			start: /** @type {number} */ (match.index),
+			end: /** @type {number} */ (match.index) + match[0].length,
+		}))
+		.filter(
+			({ word, start, end }) =>
+				// Single letters, possibly with diacritics
+				word.replace(/\p{M}/gu, '').length > 1 &&
+				word !== word.toUpperCase() &&
+				!/[\d_]/.test(prose.charAt(start - 1) + prose.charAt(end)),
+		)
+}
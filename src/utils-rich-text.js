@@ -0,0 +1,637 @@
+/**
+ * Conversion between the wikitext of a comment and the HTML of the visual comment input. Only a
+ * small set of constructs is shown visually: bold and italic text, links, lists, inline code, and
+ * quotes. Everything else stays in the visual input as source code, so that converting the HTML
+ * back gives the original wikitext.
+ *
+ * Each line of wikitext is a block (a paragraph, a list item) in the HTML. The last `<br>` in a
+ * block is a placeholder that browsers need to display empty lines, so it has no equivalent in
+ * wikitext.
+ *
+ * @module utilsRichText
+ */
+
+/**
+ * @typedef {object} WikitextToHtmlOptions
+ * @property {(target: string) => boolean} [isLinkTargetSupported] Whether a wikilink to the target
+ *   can be shown as a link (links to files and categories can't, for example).
+ * @property {(target: string) => string} [getUrl] Get the URL of a wikilink target.
+ */
+
+/**
+ * @typedef {object} WikitextToHtmlResult
+ * @property {string} html
+ * @property {boolean} hasSource Whether some markup is shown as source code.
+ */
+
+/**
+ * @typedef {object} HtmlToWikitextResult
+ * @property {string} wikitext
+ * @property {string[]} unsupportedTags Names of the tags that were replaced with their text.
+ */
+
+/**
+ * @typedef {{ type: 'text' | 'code'; text: string }
+ *   | { type: 'br' }
+ *   | { type: 'quotes'; text: string }
+ *   | { type: 'wikilink'; target: string; label?: string }
+ *   | { type: 'extlink'; url: string; label: string }} InlineToken
+ */
+
+const inlineTokenRegexp = new RegExp(
+	[
+		String.raw`<code>((?:(?!<\/?code>).)*)<\/code>`,
+		'<br>',
+		String.raw`\[\[([^[\]{}|<>]+)(?:\|((?:(?!'')[^[\]{}|<>])+))?\]\]`,
+		String.raw`\[((?:https?:)?\/\/[^\s[\]<>"]+) ((?:(?!'')[^[\]<>])+)\]`,
+		"'{2,}",
+	].join('|'),
+	'g',
+)
+
+/**
+ * Markup that is left as source code when it is in the text of a block.
+ */
+const sourceMarkupRegexp =
+	/\{\{|\}\}|\{\||\[\[|\]\]|\[(?:https?:)?\/\/|<[a-z/!]|''|~~~|__[A-Z]+__|^[:;=*# ]/i
+
+/**
+ * Tags of elements that are converted line by line.
+ */
+const blockTags = new Set([
+	'ADDRESS',
+	'ARTICLE',
+	'BLOCKQUOTE',
+	'CAPTION',
+	'CENTER',
+	'DD',
+	'DIV',
+	'DL',
+	'DT',
+	'FIGCAPTION',
+	'FIGURE',
+	'FOOTER',
+	'H1',
+	'H2',
+	'H3',
+	'H4',
+	'H5',
+	'H6',
+	'HEADER',
+	'HR',
+	'LI',
+	'OL',
+	'P',
+	'PRE',
+	'SECTION',
+	'TABLE',
+	'TBODY',
+	'TD',
+	'TFOOT',
+	'TH',
+	'THEAD',
+	'TR',
+	'UL',
+])
+
+/**
+ * Tags of elements that are kept in the wikitext as is, with converted content.
+ */
+const keptInlineTags = new Set(['BIG', 'DEL', 'INS', 'S', 'SMALL', 'STRIKE', 'SUB', 'SUP', 'U'])
+
+/**
+ * Tags of elements that are replaced with their content without reporting it.
+ */
+const transparentInlineTags = new Set([
+	'ABBR',
+	'BDI',
+	'BDO',
+	'CITE',
+	'DFN',
+	'FONT',
+	'LABEL',
+	'MARK',
+	'Q',
+	'SPAN',
+	'VAR',
+])
+
+/**
+ * Split a line of wikitext into tokens.
+ *
+ * @param {string} line
+ * @param {WikitextToHtmlOptions} options
+ * @returns {InlineToken[]}
+ */
+function tokenizeLine(line, { isLinkTargetSupported }) {
+	/** @type {InlineToken[]} */
+	const tokens = []
+	let index = 0
+	for (const match of line.matchAll(inlineTokenRegexp)) {
+		const [code, codeContent, target, label, url, urlLabel] = match
+		const start = /** @type {number} */ (match.index)
+		if (start > index) {
+			tokens.push({ type: 'text', text: line.slice(index, start) })
+		}
+		index = start + code.length
+
+		if (code.startsWith('<code>')) {
+			tokens.push({ type: 'code', text: codeContent })
+		} else if (code === '<br>') {
+			tokens.push({ type: 'br' })
+		} else if (code.startsWith("''")) {
+			tokens.push({ type: 'quotes', text: code })
+		} else if (code.startsWith('[[')) {
+			// A label equal to the target can't be told from no label after conversion
+			tokens.push(
+				(!isLinkTargetSupported || isLinkTargetSupported(target)) && label !== target
+					? { type: 'wikilink', target, label: /** @type {string | undefined} */ (label) }
+					: { type: 'text', text: code },
+			)
+		} else {
+			tokens.push({ type: 'extlink', url, label: urlLabel })
+		}
+	}
+	if (index < line.length) {
+		tokens.push({ type: 'text', text: line.slice(index) })
+	}
+
+	return tokens
+}
+
+/**
+ * Check whether the apostrophes in the tokens of a line make properly nested bold and italic text.
+ *
+ * @param {InlineToken[]} tokens
+ * @returns {boolean}
+ */
+function areQuotesBalanced(tokens) {
+	/** @type {('b'|'i')[]} */
+	const stack = []
+	for (const token of tokens) {
+		if (token.type !== 'quotes') continue
+
+		if (token.text.length === 5) {
+			if (!stack.length) {
+				stack.push('b', 'i')
+			} else if (stack.length === 2) {
+				stack.length = 0
+			} else {
+				return false
+			}
+		} else if (token.text.length === 2 || token.text.length === 3) {
+			const tag = token.text.length === 2 ? 'i' : 'b'
+			if (stack.at(-1) === tag) {
+				stack.pop()
+			} else if (stack.includes(tag)) {
+				return false
+			} else {
+				stack.push(tag)
+			}
+		} else {
+			return false
+		}
+	}
+
+	return !stack.length
+}
+
+/**
+ * Append the HTML of a line of wikitext to an element.
+ *
+ * @param {Element} element
+ * @param {string} line
+ * @param {WikitextToHtmlOptions} options
+ */
+function appendInline(element, line, options) {
+	const tokens = tokenizeLine(line, options)
+	const areQuotesFormatting = areQuotesBalanced(tokens)
+
+	/** @type {Element[]} */
+	const stack = [element]
+	const getParent = () => /** @type {Element} */ (stack.at(-1))
+	const open = (/** @type {string} */ tagName) => {
+		const child = document.createElement(tagName)
+		getParent().append(child)
+		stack.push(child)
+	}
+
+	for (const token of tokens) {
+		switch (token.type) {
+			case 'text': {
+				getParent().append(token.text)
+				break
+			}
+			case 'code': {
+				const code = document.createElement('code')
+				code.textContent = token.text
+				getParent().append(code)
+				break
+			}
+			case 'br': {
+				getParent().append(document.createElement('br'))
+				break
+			}
+			case 'wikilink': {
+				const link = document.createElement('a')
+				link.dataset.cdTarget = token.target
+				if (options.getUrl) {
+					link.href = options.getUrl(token.target)
+				}
+				link.textContent = token.label ?? token.target
+				getParent().append(link)
+				break
+			}
+			case 'extlink': {
+				const link = document.createElement('a')
+				link.href = token.url
+				link.className = 'external'
+				link.textContent = token.label
+				getParent().append(link)
+				break
+			}
+			case 'quotes': {
+				if (!areQuotesFormatting) {
+					getParent().append(token.text)
+				} else if (token.text.length === 5) {
+					if (stack.length === 1) {
+						open('b')
+						open('i')
+					} else {
+						stack.splice(-2)
+					}
+				} else {
+					const tagName = token.text.length === 2 ? 'i' : 'b'
+					if (getParent().tagName.toLowerCase() === tagName && stack.length > 1) {
+						stack.pop()
+					} else {
+						open(tagName)
+					}
+				}
+				break
+			}
+		}
+	}
+}
+
+/**
+ * Create a block element for a line of wikitext.
+ *
+ * @param {string} tagName
+ * @param {string} line
+ * @param {WikitextToHtmlOptions} options
+ * @returns {Element}
+ */
+function createBlock(tagName, line, options) {
+	const block = document.createElement(tagName)
+	appendInline(block, line, options)
+	if (!line || line.endsWith('<br>')) {
+		block.append(document.createElement('br'))
+	}
+
+	return block
+}
+
+/**
+ * Check whether list lines make a list that can be converted back to the same wikitext.
+ *
+ * @param {string[]} lines
+ * @returns {boolean}
+ */
+function isListWellFormed(lines) {
+	let previousPrefix = ''
+
+	return lines.every((line) => {
+		const prefix = /** @type {RegExpMatchArray} */ (line.match(/^[*#]*/))[0]
+		const isWellFormed =
+			line[prefix.length] === ' ' &&
+			prefix.length <= previousPrefix.length + 1 &&
+			prefix.slice(0, -1) === previousPrefix.slice(0, prefix.length - 1)
+		previousPrefix = prefix
+
+		return isWellFormed
+	})
+}
+
+/**
+ * Create list elements for wikitext list lines.
+ *
+ * @param {string[]} lines
+ * @param {WikitextToHtmlOptions} options
+ * @returns {Element[]} Top-level lists.
+ */
+function createLists(lines, options) {
+	/** @type {Element[]} */
+	const lists = []
+
+	/** @type {{ list: Element; type: string; item?: Element }[]} */
+	const stack = []
+	lines.forEach((line) => {
+		const prefix = /** @type {RegExpMatchArray} */ (line.match(/^[*#]+/))[0]
+		const depth = prefix.length
+		const type = prefix.slice(-1)
+		stack.length = Math.min(stack.length, depth)
+		if (stack[depth - 1]?.type !== type) {
+			const list = document.createElement(type === '#' ? 'ol' : 'ul')
+			if (depth === 1) {
+				lists.push(list)
+			} else {
+				const parentItem = /** @type {Element} */ (stack[depth - 2].item)
+				parentItem.append(list)
+			}
+			stack[depth - 1] = { list, type }
+		}
+
+		const item = createBlock('li', line.slice(depth + 1), options)
+		stack[depth - 1].list.append(item)
+		stack[depth - 1].item = item
+	})
+
+	return lists
+}
+
+/**
+ * Append the blocks for wikitext lines to an element.
+ *
+ * @param {Element} element
+ * @param {string[]} lines
+ * @param {WikitextToHtmlOptions} options
+ */
+function appendBlocks(element, lines, options) {
+	for (let i = 0; i < lines.length; i++) {
+		const line = lines[i]
+
+		if (line.startsWith('<blockquote>')) {
+			const endIndex = lines.findIndex((l, j) => j >= i && l.endsWith('</blockquote>'))
+			const content =
+				endIndex === -1
+					? undefined
+					: lines
+							.slice(i, endIndex + 1)
+							.join('\n')
+							.slice('<blockquote>'.length, -'</blockquote>'.length)
+			if (content !== undefined && !/<\/?blockquote>/.test(content)) {
+				const blockquote = document.createElement('blockquote')
+				appendBlocks(blockquote, content.split('\n'), options)
+				element.append(blockquote)
+				i = endIndex
+				continue
+			}
+		}
+
+		if (/^[*#]/.test(line)) {
+			let endIndex = lines.findIndex((l, j) => j > i && !/^[*#]/.test(l))
+			if (endIndex === -1) {
+				endIndex = lines.length
+			}
+			const listLines = lines.slice(i, endIndex)
+			if (isListWellFormed(listLines)) {
+				element.append(...createLists(listLines, options))
+				i = endIndex - 1
+				continue
+			}
+		}
+
+		element.append(createBlock('p', line, options))
+	}
+}
+
+/**
+ * Convert the wikitext of a comment to the HTML of the visual input.
+ *
+ * @param {string} wikitext
+ * @param {WikitextToHtmlOptions} [options]
+ * @returns {WikitextToHtmlResult}
+ */
+export function wikitextToHtml(wikitext, options = {}) {
+	const container = document.createElement('div')
+	appendBlocks(container, wikitext.split('\n'), options)
+
+	return {
+		html: container.innerHTML,
+		hasSource: [...container.querySelectorAll('p, li')].some((block) => {
+			// Code and links can contain anything
+			const clone = /** @type {Element} */ (block.cloneNode(true))
+			clone.querySelectorAll(':scope > ul, :scope > ol, code, a').forEach((element) => {
+				element.remove()
+			})
+
+			return sourceMarkupRegexp.test(clone.textContent || '')
+		}),
+	}
+}
+
+/**
+ * Check whether a node is a block element.
+ *
+ * @param {Node} node
+ * @returns {node is Element}
+ */
+function isBlock(node) {
+	return node instanceof Element && blockTags.has(node.tagName)
+}
+
+/**
+ * Convert inline nodes to wikitext.
+ *
+ * @param {Node[]} nodes
+ * @param {Set<string>} unsupportedTags
+ * @returns {string}
+ */
+function convertInlineNodes(nodes, unsupportedTags) {
+	// The placeholder
+	if (nodes.at(-1)?.nodeName === 'BR') {
+		nodes = nodes.slice(0, -1)
+	}
+
+	return nodes.map((node) => convertInlineNode(node, unsupportedTags)).join('')
+}
+
+/**
+ * Convert an inline node to wikitext.
+ *
+ * @param {Node} node
+ * @param {Set<string>} unsupportedTags
+ * @returns {string}
+ */
+function convertInlineNode(node, unsupportedTags) {
+	if (!(node instanceof Element)) {
+		return node instanceof Text ? node.data.replace(/\n/g, ' ') : ''
+	}
+
+	const getContent = () =>
+		[...node.childNodes].map((child) => convertInlineNode(child, unsupportedTags)).join('')
+	switch (node.tagName) {
+		case 'BR':
+			return '<br>'
+		case 'B':
+		case 'STRONG': {
+			const content = getContent()
+
+			return content && `'''${content}'''`
+		}
+		case 'I':
+		case 'EM': {
+			const content = getContent()
+
+			return content && `''${content}''`
+		}
+		case 'CODE':
+		case 'KBD':
+		case 'SAMP':
+		case 'TT':
+			return `<code>${node.textContent}</code>`
+		case 'A': {
+			const content = getContent()
+			const target = node instanceof HTMLElement ? node.dataset.cdTarget : undefined
+			if (target) {
+				return !content || content === target ? `[[${target}]]` : `[[${target}|${content}]]`
+			}
+
+			const href = node.getAttribute('href') || ''
+			if (/^(?:(?:https?:)?\/\/|mailto:)/i.test(href)) {
+				return !content || content === href ? href : `[${href} ${content}]`
+			}
+
+			unsupportedTags.add('a')
+
+			return content
+		}
+		case 'IMG':
+			unsupportedTags.add('img')
+
+			return node.getAttribute('alt') || ''
+		default: {
+			const tagName = node.tagName.toLowerCase()
+			if (keptInlineTags.has(node.tagName)) {
+				return `<${tagName}>${getContent()}</${tagName}>`
+			}
+			if (!transparentInlineTags.has(node.tagName)) {
+				unsupportedTags.add(tagName)
+			}
+
+			return getContent()
+		}
+	}
+}
+
+/**
+ * Convert a list element to wikitext lines.
+ *
+ * @param {Element} list
+ * @param {string} prefix Prefix of the parent list.
+ * @param {Set<string>} unsupportedTags
+ * @returns {string[]}
+ */
+function convertList(list, prefix, unsupportedTags) {
+	const itemPrefix = prefix + (list.tagName === 'OL' ? '#' : '*')
+
+	/** @type {string[]} */
+	const lines = []
+	for (const child of list.childNodes) {
+		if (child.nodeName === 'UL' || child.nodeName === 'OL') {
+			lines.push(...convertList(/** @type {Element} */ (child), itemPrefix, unsupportedTags))
+		} else if (child.nodeName === 'LI') {
+			/** @type {string[]} */
+			const parts = []
+
+			/** @type {string[]} */
+			const nestedLines = []
+
+			/** @type {Node[]} */
+			let inlineNodes = []
+			const flush = () => {
+				if (inlineNodes.length) {
+					parts.push(convertInlineNodes(inlineNodes, unsupportedTags))
+					inlineNodes = []
+				}
+			}
+			for (const node of child.childNodes) {
+				if (node.nodeName === 'UL' || node.nodeName === 'OL') {
+					nestedLines.push(
+						...convertList(/** @type {Element} */ (node), itemPrefix, unsupportedTags),
+					)
+				} else if (isBlock(node)) {
+					flush()
+					parts.push(...convertBlocks(node, unsupportedTags))
+				} else {
+					inlineNodes.push(node)
+				}
+			}
+			flush()
+			lines.push(`${itemPrefix} ${parts.join('<br>')}`, ...nestedLines)
+		} else if (child.textContent.trim()) {
+			lines.push(`${itemPrefix} ${convertInlineNodes([child], unsupportedTags)}`)
+		}
+	}
+
+	return lines
+}
+
+/**
+ * Convert the content of an element to wikitext lines.
+ *
+ * @param {Element} element
+ * @param {Set<string>} unsupportedTags
+ * @returns {string[]}
+ */
+function convertBlocks(element, unsupportedTags) {
+	/** @type {string[]} */
+	const lines = []
+
+	/** @type {Node[]} */
+	let inlineNodes = []
+	const flush = () => {
+		if (inlineNodes.length) {
+			lines.push(convertInlineNodes(inlineNodes, unsupportedTags))
+			inlineNodes = []
+		}
+	}
+	for (const node of element.childNodes) {
+		if (!isBlock(node)) {
+			// Skip whitespace between blocks that comes from formatting of HTML
+			if (!(node.nodeType === Node.TEXT_NODE && /^\s*\n\s*$/.test(node.textContent || ''))) {
+				inlineNodes.push(node)
+			}
+			continue
+		}
+
+		flush()
+		switch (node.tagName) {
+			case 'UL':
+			case 'OL':
+				lines.push(...convertList(node, '', unsupportedTags))
+				break
+			case 'BLOCKQUOTE':
+				lines.push(`<blockquote>${convertBlocks(node, unsupportedTags).join('\n')}</blockquote>`)
+				break
+			case 'HR':
+				unsupportedTags.add('hr')
+				break
+			default: {
+				if (!['P', 'DIV', 'LI'].includes(node.tagName)) {
+					unsupportedTags.add(node.tagName.toLowerCase())
+				}
+				const blockLines = convertBlocks(node, unsupportedTags)
+				lines.push(...(blockLines.length ? blockLines : ['']))
+			}
+		}
+	}
+	flush()
+
+	return lines
+}
+
+/**
+ * Convert the HTML of the visual input to wikitext.
+ *
+ * @param {Element} element Element with the content of the input.
+ * @returns {HtmlToWikitextResult}
+ */
+export function htmlToWikitext(element) {
+	/** @type {Set<string>} */
+	const unsupportedTags = new Set()
+	const wikitext = convertBlocks(element, unsupportedTags).join('\n')
+
+	return { wikitext, unsupportedTags: [...unsupportedTags] }
+}
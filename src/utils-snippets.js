@@ -0,0 +1,89 @@
+/**
+ * Utilities for the snippets (canned replies) that the user can insert into the comment form.
+ *
+ * @module utilsSnippets
+ */
+
+/**
+ * @typedef {object} Snippet
+ * @property {string} name
+ * @property {string} text Text of the snippet that can contain placeholders, like `{{{author}}}`.
+ * @property {string} [folder] Name of the folder the snippet is in.
+ */
+
+/**
+ * @typedef {object} SnippetPlaceholderValues
+ * @property {string} [author] Name of the author of the comment being replied to.
+ * @property {string} [section] Headline of the section the comment is posted to.
+ * @property {string} [date] Current date.
+ */
+
+/**
+ * @typedef {object} ExpandedSnippet
+ * @property {string} text
+ * @property {number | undefined} cursorIndex Position where the caret should be put after the
+ *   insertion, if specified in the snippet.
+ */
+
+/**
+ * @typedef {object} SnippetFolder
+ * @property {string} name Name of the folder; empty for snippets outside of folders.
+ * @property {Snippet[]} snippets
+ */
+
+/**
+ * Replace the placeholders in the text of a snippet with their values. Supported placeholders are
+ * `{{{author}}}`, `{{{section}}}`, `{{{date}}}`, and `{{{cursor}}}` which marks the position of the
+ * caret after the insertion. Placeholders with no value are replaced with an empty string; unknown
+ * placeholders are left as is.
+ *
+ * @param {string} text
+ * @param {SnippetPlaceholderValues} values
+ * @returns {ExpandedSnippet}
+ */
+export function expandSnippet(text, values) {
+	const parts = text.split('{{{cursor}}}')
+	const [before, after] = [parts[0], parts.slice(1).join('')].map((part) =>
+		part.replace(
+			/\{\{\{(author|section|date)\}\}\}/g,
+			(_, /** @type {keyof SnippetPlaceholderValues} */ name) => values[name] || '',
+		),
+	)
+
+	return {
+		text: before + after,
+		cursorIndex: parts.length > 1 ? before.length : undefined,
+	}
+}
+
+/**
+ * Format a date for the `{{{date}}}` placeholder, in the `YYYY-MM-DD` format.
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatSnippetDate(date) {
+	return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+		.map((number) => String(number).padStart(2, '0'))
+		.join('-')
+}
+
+/**
+ * Group snippets by folders, keeping the order in which the folders first appear. Snippets outside
+ * of folders go first.
+ *
+ * @param {Snippet[]} snippets
+ * @returns {SnippetFolder[]}
+ */
+export function groupSnippetsByFolder(snippets) {
+	/** @type {Map<string, Snippet[]>} */
+	const folders = new Map([['', []]])
+	snippets.forEach((snippet) => {
+		const folder = snippet.folder?.trim() || ''
+		folders.set(folder, [...(folders.get(folder) || []), snippet])
+	})
+
+	return [...folders]
+		.map(([name, folderSnippets]) => ({ name, snippets: folderSnippets }))
+		.filter((folder) => folder.snippets.length)
+}
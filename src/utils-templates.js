@@ -0,0 +1,215 @@
+/**
+ * Utilities for finding, parsing and building template calls in wikitext.
+ *
+ * @module utilsTemplates
+ */
+
+/**
+ * @typedef {object} TemplateCallParam
+ * @property {string} name Name of the parameter; numbers for positional parameters.
+ * @property {string} value
+ */
+
+/**
+ * @typedef {object} TemplateCall
+ * @property {string} name Template name as written in the call.
+ * @property {TemplateCallParam[]} params
+ * @property {boolean} isBlock Whether the parameters are placed on separate lines.
+ */
+
+/**
+ * @typedef {object} TemplateCallRange
+ * @property {number} start Index of the opening braces.
+ * @property {number} end Index after the closing braces.
+ */
+
+/**
+ * Find the ranges of all double-brace constructs (template calls, parser functions, etc.) in a
+ * code, including nested ones. Unclosed constructs are ignored.
+ *
+ * @param {string} code
+ * @returns {TemplateCallRange[]}
+ * @private
+ */
+function findDoubleBraceRanges(code) {
+	/** @type {TemplateCallRange[]} */
+	const ranges = []
+
+	/** @type {number[]} */
+	const starts = []
+	for (let i = 0; i < code.length - 1; i++) {
+		const pair = code.slice(i, i + 2)
+		if (pair === '{{') {
+			starts.push(i)
+			i++
+		} else if (pair === '}}' && starts.length) {
+			ranges.push({ start: /** @type {number} */ (starts.pop()), end: i + 2 })
+			i++
+		}
+	}
+
+	return ranges
+}
+
+/**
+ * Split the contents of a template call by pipes that don't belong to nested templates or links.
+ *
+ * @param {string} contents
+ * @returns {string[]}
+ * @private
+ */
+function splitByTopLevelPipes(contents) {
+	const parts = ['']
+	let depth = 0
+	for (let i = 0; i < contents.length; i++) {
+		const pair = contents.slice(i, i + 2)
+		if (pair === '{{' || pair === '[[') {
+			depth++
+			parts[parts.length - 1] += pair
+			i++
+		} else if ((pair === '}}' || pair === ']]') && depth) {
+			depth--
+			parts[parts.length - 1] += pair
+			i++
+		} else if (contents[i] === '|' && !depth) {
+			parts.push('')
+		} else {
+			parts[parts.length - 1] += contents[i]
+		}
+	}
+
+	return parts
+}
+
+/**
+ * Get the index of the first `=` in a parameter that doesn't belong to nested templates or links.
+ *
+ * @param {string} param
+ * @returns {number}
+ * @private
+ */
+function indexOfTopLevelEquals(param) {
+	let depth = 0
+	for (let i = 0; i < param.length; i++) {
+		const pair = param.slice(i, i + 2)
+		if (pair === '{{' || pair === '[[') {
+			depth++
+			i++
+		} else if ((pair === '}}' || pair === ']]') && depth) {
+			depth--
+			i++
+		} else if (param[i] === '=' && !depth) {
+			return i
+		}
+	}
+
+	return -1
+}
+
+/**
+ * Parse the code of a template call, like `{{Template|1=a|b=c}}`. Return `undefined` if the code is
+ * not a template call (e.g. is a parser function or a template parameter).
+ *
+ * @param {string} code
+ * @returns {TemplateCall | undefined}
+ */
+export function parseTemplateCall(code) {
+	if (!code.startsWith('{{') || !code.endsWith('}}') || code.startsWith('{{{')) return
+
+	const [rawName, ...rawParams] = splitByTopLevelPipes(code.slice(2, -2))
+	const name = rawName.trim()
+	if (!name || /^#|[{}[\]<>]/.test(name)) return
+
+	let positionalIndex = 0
+
+	return {
+		name,
+		params: rawParams.map((rawParam) => {
+			const equalsIndex = indexOfTopLevelEquals(rawParam)
+			if (equalsIndex === -1) {
+				positionalIndex++
+
+				// Unlike named parameters, positional parameters keep whitespace around their values.
+				return { name: String(positionalIndex), value: rawParam }
+			}
+
+			return {
+				name: rawParam.slice(0, equalsIndex).trim(),
+				value: rawParam.slice(equalsIndex + 1).trim(),
+			}
+		}),
+		isBlock: rawParams.some((rawParam) => rawParam.endsWith('\n')),
+	}
+}
+
+/**
+ * Find the innermost template call that contains a position in a code.
+ *
+ * @param {string} code
+ * @param {number} position
+ * @returns {(TemplateCall & TemplateCallRange) | undefined}
+ */
+export function findTemplateCallAt(code, position) {
+	const range = findDoubleBraceRanges(code)
+		.filter(({ start, end }) => start < position && position <= end)
+		.filter(({ start, end }) => parseTemplateCall(code.slice(start, end)))
+		.sort((range1, range2) => range1.start - range2.start)
+		.at(-1)
+	if (!range) return
+
+	return {
+		...range,
+		.../** @type {TemplateCall} */ (parseTemplateCall(code.slice(range.start, range.end))),
+	}
+}
+
+/**
+ * Build the code of a template call. Positional parameters going in order are written without
+ * names when possible.
+ *
+ * @param {string} name Template name.
+ * @param {TemplateCallParam[]} params
+ * @param {boolean} [isBlock] Whether to place the parameters on separate lines.
+ * @returns {string}
+ */
+export function buildTemplateCall(name, params, isBlock = false) {
+	if (isBlock) {
+		return (
+			`{{${name}\n` +
+			params.map((param) => `| ${param.name} = ${param.value.trim()}\n`).join('') +
+			'}}'
+		)
+	}
+
+	let nextPositionalIndex = 1
+
+	return (
+		`{{${name}` +
+		params
+			.map((param) => {
+				if (
+					param.name === String(nextPositionalIndex) &&
+					indexOfTopLevelEquals(param.value) === -1
+				) {
+					nextPositionalIndex++
+
+					return `|${param.value}`
+				}
+
+				return `|${param.name}=${param.value}`
+			})
+			.join('') +
+		'}}'
+	)
+}
+
+/**
+ * Check whether a TemplateData format string places the parameters on separate lines.
+ *
+ * @param {string | undefined} format `'inline'`, `'block'` or a custom format string, like
+ *   `'{{_\n| _ = _\n}}'`.
+ * @returns {boolean}
+ */
+export function isBlockFormat(format) {
+	return format === 'block' || Boolean(format?.includes('\n'))
+}
@@ -0,0 +1,86 @@
+/**
+ * Utilities for grouping comment edits listed in the watchlist.
+ *
+ * @module utilsWatchlist
+ */
+
+import { underlinesToSpaces, unique } from './shared/utils-general'
+
+/**
+ * @template T
+ * @typedef {object} CommentEdit
+ * @property {string} pageName
+ * @property {string} [section] Section name from the edit summary.
+ * @property {string} author
+ * @property {string} commentId
+ * @property {boolean} unseen Whether the edit was made after the user's last visit to the page.
+ * @property {T} data Any data associated with the edit, for example its line in the watchlist.
+ */
+
+/**
+ * @template T
+ * @typedef {object} CommentEditGroup
+ * @property {string} pageName
+ * @property {string} section
+ * @property {CommentEdit<T>[]} edits Edits in the group in the original order (newest first).
+ * @property {string[]} participants Authors of the edits, starting with the most recent one.
+ * @property {CommentEdit<T>} [firstUnseenEdit] The oldest unseen edit.
+ */
+
+/**
+ * Get a section name from the fragment of a link to it in an edit summary.
+ *
+ * @param {string} fragment Fragment with or without the leading `#`.
+ * @returns {string | undefined}
+ */
+export function getSectionFromFragment(fragment) {
+	fragment = fragment.replace(/^#/, '')
+	if (!fragment) {
+		return
+	}
+
+	try {
+		fragment = decodeURIComponent(fragment)
+	} catch {
+		// Leave as is
+	}
+
+	return underlinesToSpaces(fragment).trim() || undefined
+}
+
+/**
+ * Group comment edits by page and section. Edits without a section are left out, as well as groups
+ * consisting of a single edit, since there is nothing to collapse.
+ *
+ * @template T
+ * @param {CommentEdit<T>[]} edits Edits, newest first.
+ * @returns {CommentEditGroup<T>[]}
+ */
+export function groupCommentEdits(edits) {
+	/** @type {Map<string, CommentEditGroup<T>>} */
+	const groups = new Map()
+	edits.forEach((edit) => {
+		if (!edit.section) return
+
+		const key = JSON.stringify([edit.pageName, edit.section])
+		let group = groups.get(key)
+		if (!group) {
+			group = {
+				pageName: edit.pageName,
+				section: edit.section,
+				edits: [],
+				participants: [],
+			}
+			groups.set(key, group)
+		}
+		group.edits.push(edit)
+	})
+
+	return [...groups.values()]
+		.filter((group) => group.edits.length > 1)
+		.map((group) => ({
+			...group,
+			participants: group.edits.map((edit) => edit.author).filter(unique),
+			firstUnseenEdit: group.edits.findLast((edit) => edit.unseen),
+		}))
+}
@@ -672,6 +672,43 @@ export function wrapDiffBody(body) {
 	)
 }
 
+/**
+ * Generate a JQuery object containing an edit summary, diff body, and link to the next diff.
+ *
+ * @param {string} diffBody Diff body as returned by the `compare` API module.
+ * @param {string} parsedSummary Parsed edit summary.
+ * @param {string} diffLink Link to the diff.
+ * @returns {JQuery}
+ */
+export function createDiffView(diffBody, parsedSummary, diffLink) {
+	return $('<div>')
+		.addClass('cd-diffView-diff')
+		.append(
+			$('<div>')
+				.append(
+					$('<a>')
+						.addClass('cd-diffView-nextDiffLink')
+						.attr('href', diffLink.replace(/&diff=(\d+)/, '&oldid=$1&diff=next'))
+						.attr('target', '_blank')
+
+						// Make it work in https://www.mediawiki.org/wiki/Instant_Diffs
+						.attr('data-instantdiffs-link', 'event')
+						.attr(
+							'data-instantdiffs-options',
+							JSON.stringify({ setClasses: 'clear', insertMethod: 'insertBefore' }),
+						)
+
+						.text(cd.mws('nextdiff')),
+				)
+				.append(
+					cd.sParse('cld-summary'),
+					cd.mws('colon-separator'),
+					wrapHtml(parsedSummary, { targetBlank: true }).addClass('comment'),
+				),
+			wrapDiffBody(diffBody),
+		)
+}
+
 /**
  * Check if an input or editable element is focused.
  *
@@ -39,9 +39,7 @@ class Visits extends EventEmitter {
 		if (!cd.user.isRegistered()) return
 
 		try {
-			// mw.user.options is not used even on first run because it appears to be cached sometimes
-			// which can be critical for determining subscriptions.
-			this.unpack(await getUserInfo(reuse).then(({ visits }) => visits))
+			await this.loadData(reuse)
 		} catch (error) {
 			cd.debug.logWarn("Couldn't load the settings from the server.", error)
 
@@ -57,6 +55,45 @@ class Visits extends EventEmitter {
 		this.process(bootProcess.passedData.markAsRead || false)
 	}
 
+	/**
+	 * Request the pages visits data from the server without registering a visit to the current page.
+	 *
+	 * @param {boolean} [reuse] Whether to reuse a cached userinfo request.
+	 * @throws {CdError}
+	 */
+	async loadData(reuse = false) {
+		// mw.user.options is not used even on first run because it appears to be cached sometimes
+		// which can be critical for determining subscriptions.
+		this.unpack(await getUserInfo(reuse).then(({ visits }) => visits))
+	}
+
+	/**
+	 * Get the time of the last visit to a page.
+	 *
+	 * @param {number} articleId
+	 * @returns {number | undefined} Unix time in seconds.
+	 */
+	getLastVisitTime(articleId) {
+		const time = articleId in this.data ? this.data[articleId].at(-1) : undefined
+
+		return time ? Number(time) : undefined
+	}
+
+	/**
+	 * Register a visit to pages at the current time without visiting them, so that the comments on
+	 * them are considered seen.
+	 *
+	 * @param {number[]} articleIds
+	 */
+	markPagesAsSeen(articleIds) {
+		const currentTime = String(Math.floor(Date.now() / 1000))
+		articleIds.forEach((articleId) => {
+			this.data[articleId] ??= []
+			this.data[articleId].push(currentTime)
+		})
+		this.save()
+	}
+
 	/**
 	 * Process the visits data and emit events.
 	 *
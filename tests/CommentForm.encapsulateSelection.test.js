@@ -65,7 +65,16 @@ vi.mock('../src/notifications', () => ({
 	default: {},
 }))
 
+vi.mock('../src/shortcutRegistry', () => ({
+	default: {
+		isPressed: vi.fn(),
+	},
+}))
+
 import CommentForm from '../src/CommentForm'
+import RichTextInput from '../src/RichTextInput'
+import TemplatesAutocomplete from '../src/TemplatesAutocomplete'
+import shortcutRegistry from '../src/shortcutRegistry'
 
 // We'll mock the minimal environment needed for the function
 /**
@@ -324,3 +333,66 @@ describe('encapsulateSelection logic', () => {
 		expect(mockCommentInput.getSelectionRanges).not.toHaveBeenCalled()
 	})
 })
+
+describe('with the visual input focused', () => {
+	/** @type {HTMLElement} */
+	let editor
+
+	/** @type {any} */
+	let commentForm
+
+	beforeEach(() => {
+		vi.resetAllMocks()
+		vi.spyOn(TemplatesAutocomplete, 'editTemplateCall').mockResolvedValue()
+		editor = document.createElement('div')
+		editor.append(document.createElement('p'))
+		commentForm = Object.create(CommentForm.prototype)
+		commentForm.commentInput = {
+			...mockCommentInput,
+			$element: { find: () => ({ get: () => undefined }) },
+		}
+		commentForm.toolbarLoaded = false
+		commentForm.richTextInput = Object.assign(Object.create(RichTextInput.prototype), {
+			$editor: [editor],
+			encapsulateSelection: vi.fn(),
+		})
+	})
+
+	it('ignores the shortcuts editing the hidden comment input', () => {
+		vi.mocked(shortcutRegistry.isPressed).mockReturnValue(true)
+		const event = /** @type {any} */ ({
+			target: editor.firstChild,
+			preventDefault: vi.fn(),
+		})
+
+		commentForm.handleInputShortcuts(event)
+
+		expect(commentForm.richTextInput.encapsulateSelection).not.toHaveBeenCalled()
+		expect(mockCommentInput.replaceSelections).not.toHaveBeenCalled()
+		expect(TemplatesAutocomplete.editTemplateCall).not.toHaveBeenCalled()
+		expect(event.preventDefault).not.toHaveBeenCalled()
+	})
+
+	it('handles the shortcuts pressed outside the visual input', () => {
+		vi.mocked(shortcutRegistry.isPressed).mockImplementation((_event, name) => name === 'underline')
+		const event = /** @type {any} */ ({
+			target: document.createElement('input'),
+			preventDefault: vi.fn(),
+		})
+
+		commentForm.handleInputShortcuts(event)
+
+		expect(commentForm.richTextInput.encapsulateSelection).toHaveBeenCalledOnce()
+		expect(event.preventDefault).toHaveBeenCalled()
+	})
+
+	it('routes insertions to the visual input', () => {
+		commentForm.encapsulateSelection({ pre: '{{tl|', post: '}}' })
+
+		expect(commentForm.richTextInput.encapsulateSelection).toHaveBeenCalledWith({
+			pre: '{{tl|',
+			post: '}}',
+		})
+		expect(mockCommentInput.replaceSelections).not.toHaveBeenCalled()
+	})
+})
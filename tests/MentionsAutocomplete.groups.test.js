@@ -0,0 +1,44 @@
+import { describe, test, expect, beforeEach } from 'vitest'
+
+import MentionsAutocomplete from '../src/MentionsAutocomplete.js'
+
+describe('MentionsAutocomplete.parseGroup', () => {
+	test('should parse the name and the user names', () => {
+		expect(MentionsAutocomplete.parseGroup(' closers : Alice,Bob , Alice')).toEqual({
+			name: 'closers',
+			userNames: ['Alice', 'Bob'],
+		})
+	})
+
+	test('should keep escaped commas in user names', () => {
+		expect(MentionsAutocomplete.parseGroup(String.raw`x: Smith\, John, Bob`)?.userNames).toEqual([
+			'Smith, John',
+			'Bob',
+		])
+	})
+
+	test('should reject groups without a name or users', () => {
+		expect(MentionsAutocomplete.parseGroup('Alice, Bob')).toBeUndefined()
+		expect(MentionsAutocomplete.parseGroup(' : Alice')).toBeUndefined()
+		expect(MentionsAutocomplete.parseGroup('closers: , ')).toBeUndefined()
+	})
+})
+
+describe('MentionsAutocomplete.getGroupMentionCode', () => {
+	beforeEach(() => {
+		global.convenientDiscussions.config = /** @type {any} */ ({
+			pingTemplate: 'ping',
+			mentionLimit: 3,
+		})
+		global.convenientDiscussions.user = /** @type {any} */ ({ getName: () => 'Me' })
+	})
+
+	test('should skip the current user and respect the mention limit', () => {
+		expect(
+			MentionsAutocomplete.getGroupMentionCode({
+				name: 'closers',
+				userNames: ['Alice', 'Me', 'A=B', 'Carol', 'Dave'],
+			}),
+		).toBe('{{ping|Alice|2=A=B|Carol}}')
+	})
+})
@@ -0,0 +1,77 @@
+import { describe, test, expect } from 'vitest'
+
+import MentionsAutocomplete from '../src/MentionsAutocomplete.js'
+
+/**
+ * @param {string} name
+ * @param {boolean} [registered]
+ * @returns {any}
+ */
+const createUser = (name, registered = true) => ({
+	getName: () => name,
+	isRegistered: () => registered,
+})
+
+/**
+ * @param {any} author
+ * @param {object} [options]
+ * @param {any} [options.parent]
+ * @param {boolean} [options.own]
+ * @param {string} [options.date]
+ * @returns {any}
+ */
+const createComment = (author, { parent, own = false, date } = {}) => ({
+	author,
+	date: date ? new Date(date) : undefined,
+	isOwn: () => own,
+	getParent: () => parent,
+	getAncestors: () => (parent ? [parent, ...parent.getAncestors()] : []),
+})
+
+const me = createUser('Me')
+const alice = createUser('Alice')
+const bob = createUser('Bob')
+const carol = createUser('Carol')
+const dave = createUser('Dave')
+const ip = createUser('192.0.2.1', false)
+
+const rankNames = (users, context) =>
+	MentionsAutocomplete.rankUsers(users, context).map((user) => user.getName())
+
+describe('MentionsAutocomplete.rankUsers', () => {
+	test('should put the authors of the thread first, closer ones first', () => {
+		const root = createComment(bob)
+		const parent = createComment(carol, { parent: root })
+
+		expect(
+			rankNames([alice, bob, carol, dave], {
+				parentComment: parent,
+				sectionComments: [root, parent],
+				pageComments: [root, parent],
+			}),
+		).toEqual(['Carol', 'Bob', 'Alice', 'Dave'])
+	})
+
+	test('should rank section participants, recent repliers and frequent authors in that order', () => {
+		const own = createComment(me, { own: true })
+		const daveReply = createComment(dave, { parent: own, date: '2024-05-01T10:00:00Z' })
+		const carolReply = createComment(carol, { parent: own, date: '2024-05-02T10:00:00Z' })
+		const bobComments = [createComment(bob), createComment(bob)]
+		const aliceComment = createComment(alice)
+
+		expect(
+			rankNames([alice, bob, carol, dave, ip], {
+				sectionComments: [aliceComment],
+				pageComments: [own, daveReply, carolReply, ...bobComments, aliceComment],
+			}),
+		).toEqual(['Alice', 'Carol', 'Dave', 'Bob', '192.0.2.1'])
+	})
+
+	test('should sort users without signals by name', () => {
+		expect(rankNames([dave, bob, carol], { sectionComments: [], pageComments: [] })).toEqual([
+			'Bob',
+			'Carol',
+			'Dave',
+		])
+	})
+})
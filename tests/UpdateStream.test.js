@@ -0,0 +1,107 @@
+import { vi, describe, test, expect, beforeEach, afterEach } from 'vitest'
+
+import UpdateStream from '../src/UpdateStream.js'
+
+/**
+ * Stand-in for a server-sent event stream: lets the test open, fail and push messages.
+ */
+class FakeEventSource extends EventTarget {
+	static CONNECTING = 0
+	static OPEN = 1
+	static CLOSED = 2
+
+	/** @type {FakeEventSource[]} */
+	static instances = []
+
+	readyState = FakeEventSource.CONNECTING
+
+	constructor(url) {
+		super()
+		this.url = url
+		FakeEventSource.instances.push(this)
+	}
+
+	open() {
+		this.readyState = FakeEventSource.OPEN
+		this.dispatchEvent(new Event('open'))
+	}
+
+	push(data) {
+		this.dispatchEvent(new MessageEvent('message', { data: JSON.stringify(data) }))
+	}
+
+	fail(closed = false) {
+		this.readyState = closed ? FakeEventSource.CLOSED : FakeEventSource.CONNECTING
+		this.dispatchEvent(new Event('error'))
+	}
+
+	close() {
+		this.readyState = FakeEventSource.CLOSED
+	}
+}
+
+const edit = {
+	wiki: 'enwiki',
+	title: 'Talk:Example',
+	type: 'edit',
+	revision: { old: 100, new: 101 },
+}
+
+let stream
+let emit
+
+beforeEach(() => {
+	vi.useFakeTimers()
+	FakeEventSource.instances = []
+	globalThis.EventSource = /** @type {any} */ (FakeEventSource)
+	stream = new UpdateStream('https://stream.example/rc', 'enwiki', 'Talk:Example')
+	emit = vi.spyOn(stream, 'emit')
+	stream.start()
+})
+
+afterEach(() => {
+	stream.stop()
+	vi.useRealTimers()
+	delete globalThis.EventSource
+})
+
+describe('UpdateStream', () => {
+	test('should report changes of the page only', () => {
+		const source = FakeEventSource.instances[0]
+		source.open()
+		source.push({ ...edit, wiki: 'dewiki' })
+		source.push({ ...edit, title: 'Talk:Other' })
+		source.push({ ...edit, type: 'log' })
+		source.push(edit)
+
+		expect(emit.mock.calls.filter(([event]) => event === 'change')).toEqual([['change', 101]])
+	})
+
+	test('should ignore malformed messages', () => {
+		const source = FakeEventSource.instances[0]
+		source.dispatchEvent(new MessageEvent('message', { data: 'not json' }))
+
+		expect(emit).not.toHaveBeenCalledWith('change', expect.anything())
+	})
+
+	test('should report availability when the connection opens and drops', () => {
+		const source = FakeEventSource.instances[0]
+		source.open()
+		expect(stream.isAvailable()).toBe(true)
+
+		source.fail()
+		expect(stream.isAvailable()).toBe(false)
+		expect(emit.mock.calls).toEqual([
+			['availabilityChange', true],
+			['availabilityChange', false],
+		])
+	})
+
+	test('should reconnect some time after the stream is closed', () => {
+		FakeEventSource.instances[0].fail(true)
+		expect(FakeEventSource.instances).toHaveLength(1)
+
+		vi.advanceTimersByTime(stream.reconnectInterval * 1000)
+		expect(FakeEventSource.instances).toHaveLength(2)
+	})
+})
@@ -0,0 +1,221 @@
+import dayjs from 'dayjs'
+import dayJsTimezone from 'dayjs/plugin/timezone'
+import dayJsUtc from 'dayjs/plugin/utc'
+import { vi, describe, test, expect, beforeEach } from 'vitest'
+
+vi.mock('../src/loader/cd', () => ({
+	default: {
+		g: {
+			timestampTools: {
+				user: {},
+			},
+		},
+		settings: {
+			values: {},
+			get(/** @type {string} */ name) {
+				return this.values[name]
+			},
+		},
+	},
+}))
+
+vi.mock('../src/Thread', () => ({
+	default: {
+		on: vi.fn(),
+	},
+}))
+
+vi.mock('../src/commentManager', () => ({
+	default: {},
+}))
+
+vi.mock('../src/controller', () => ({
+	default: {},
+}))
+
+import { CommentFilter } from '../src/commentFilter'
+import cd from '../src/loader/cd'
+
+dayjs.extend(dayJsUtc)
+dayjs.extend(dayJsTimezone)
+
+/**
+ * Create an object with the properties of a comment used by the filter.
+ *
+ * @param {object} [options]
+ * @param {string} [options.author]
+ * @param {string} [options.date]
+ * @param {boolean} [options.isNew]
+ * @param {string} [options.html]
+ * @param {boolean} [options.isReplyToOwn]
+ * @param {string} [options.text]
+ * @returns {import('../src/Comment').default}
+ */
+function createComment({
+	author = 'Alice',
+	date = '2024-03-10T12:00:00Z',
+	isNew = false,
+	html = '',
+	isReplyToOwn = false,
+	text = 'Some text',
+} = {}) {
+	const element = document.createElement('div')
+	element.innerHTML = html
+
+	return /** @type {any} */ ({
+		author: { getName: () => author },
+		date: date ? new Date(date) : undefined,
+		hasFlag: (/** @type {string} */ flag) => flag === 'new' && isNew,
+		elements: [element],
+		getParent: () => ({ isOwn: () => isReplyToOwn }),
+		getText: () => text,
+	})
+}
+
+/**
+ * Get criteria with the given criteria set on top of empty ones.
+ *
+ * @param {Partial<import('../src/commentFilter').FilterCriteria>} criteria
+ * @returns {import('../src/commentFilter').FilterCriteria}
+ */
+function getCriteria(criteria) {
+	return { ...CommentFilter.getEmptyCriteria(), ...criteria }
+}
+
+/**
+ * Set the timezone in which timestamps are displayed to the user.
+ *
+ * @param {string | number | undefined} timezone
+ * @param {boolean} [useUiTime]
+ */
+function setUserTimezone(timezone, useUiTime = true) {
+	cd.g.timestampTools.user.timezone = timezone
+	cd.g.timestampTools.user.isSameAsLocalTimezone = false
+	const settings = /** @type {any} */ (cd.settings)
+	settings.values.useUiTime = useUiTime
+}
+
+describe('CommentFilter.matches', () => {
+	beforeEach(() => {
+		setUserTimezone('UTC')
+	})
+
+	test('empty criteria match any comment, including one without a date', () => {
+		const criteria = CommentFilter.getEmptyCriteria()
+		expect(CommentFilter.hasCriteria(criteria)).toBe(false)
+		expect(CommentFilter.matches(createComment(), criteria)).toBe(true)
+		expect(CommentFilter.matches(createComment({ date: '' }), criteria)).toBe(true)
+	})
+
+	test('authors', () => {
+		const criteria = getCriteria({ authors: ['Bob', 'Carol'] })
+		expect(CommentFilter.matches(createComment({ author: 'Bob' }), criteria)).toBe(true)
+		expect(CommentFilter.matches(createComment({ author: 'Alice' }), criteria)).toBe(false)
+	})
+
+	test('only new, mentions and replies', () => {
+		expect(
+			CommentFilter.matches(createComment({ isNew: true }), getCriteria({ onlyNew: true })),
+		).toBe(true)
+		expect(CommentFilter.matches(createComment(), getCriteria({ onlyNew: true }))).toBe(false)
+
+		const mentionHtml = '<a class="cd-currentUserLink">Me</a>'
+		expect(
+			CommentFilter.matches(
+				createComment({ html: mentionHtml }),
+				getCriteria({ mentionsMe: true }),
+			),
+		).toBe(true)
+		expect(CommentFilter.matches(createComment(), getCriteria({ mentionsMe: true }))).toBe(false)
+
+		expect(
+			CommentFilter.matches(
+				createComment({ isReplyToOwn: true }),
+				getCriteria({ repliesToMe: true }),
+			),
+		).toBe(true)
+		expect(CommentFilter.matches(createComment(), getCriteria({ repliesToMe: true }))).toBe(false)
+	})
+
+	test('text is matched case-insensitively', () => {
+		const comment = createComment({ text: 'I support the Proposal.' })
+		expect(CommentFilter.matches(comment, getCriteria({ text: 'proposal' }))).toBe(true)
+		expect(CommentFilter.matches(comment, getCriteria({ text: 'oppose' }))).toBe(false)
+	})
+
+	test('all criteria must match', () => {
+		const criteria = getCriteria({
+			authors: ['Bob'],
+			onlyNew: true,
+			text: 'agree',
+			...CommentFilter.getDateCriteria('2024-03-10', '2024-03-10'),
+		})
+		const matching = { author: 'Bob', isNew: true, text: 'I agree' }
+		expect(CommentFilter.matches(createComment(matching), criteria)).toBe(true)
+		expect(CommentFilter.matches(createComment({ ...matching, author: 'Alice' }), criteria)).toBe(
+			false,
+		)
+		expect(CommentFilter.matches(createComment({ ...matching, isNew: false }), criteria)).toBe(
+			false,
+		)
+		expect(CommentFilter.matches(createComment({ ...matching, text: 'No' }), criteria)).toBe(false)
+		expect(
+			CommentFilter.matches(createComment({ ...matching, date: '2024-03-11T00:00:00Z' }), criteria),
+		).toBe(false)
+	})
+
+	test('comments without a date do not match date criteria', () => {
+		const comment = createComment({ date: '' })
+		expect(
+			CommentFilter.matches(comment, getCriteria(CommentFilter.getDateCriteria('2024-03-10', ''))),
+		).toBe(false)
+		expect(
+			CommentFilter.matches(comment, getCriteria(CommentFilter.getDateCriteria('', '2024-03-10'))),
+		).toBe(false)
+	})
+
+	describe('dates', () => {
+		/**
+		 * @param {string} date
+		 * @param {string} dayFrom
+		 * @param {string} dayTo
+		 * @returns {boolean}
+		 */
+		const matchesDays = (date, dayFrom, dayTo) =>
+			CommentFilter.matches(
+				createComment({ date }),
+				getCriteria(CommentFilter.getDateCriteria(dayFrom, dayTo)),
+			)
+
+		test('the range includes both the first and the last day', () => {
+			expect(matchesDays('2024-03-10T00:00:00Z', '2024-03-10', '2024-03-10')).toBe(true)
+			expect(matchesDays('2024-03-10T23:59:59Z', '2024-03-10', '2024-03-10')).toBe(true)
+			expect(matchesDays('2024-03-09T23:59:59Z', '2024-03-10', '2024-03-10')).toBe(false)
+			expect(matchesDays('2024-03-11T00:00:00Z', '2024-03-10', '2024-03-10')).toBe(false)
+		})
+
+		test('UTC is used when the UI time is off', () => {
+			setUserTimezone(180, false)
+			expect(matchesDays('2024-03-09T22:00:00Z', '2024-03-10', '')).toBe(false)
+			expect(matchesDays('2024-03-10T22:00:00Z', '', '2024-03-10')).toBe(true)
+		})
+
+		test('days start at midnight of a timezone set as an offset', () => {
+			setUserTimezone(180)
+			expect(matchesDays('2024-03-09T21:00:00Z', '2024-03-10', '')).toBe(true)
+			expect(matchesDays('2024-03-09T20:59:59Z', '2024-03-10', '')).toBe(false)
+			expect(matchesDays('2024-03-10T20:59:59Z', '', '2024-03-10')).toBe(true)
+			expect(matchesDays('2024-03-10T21:00:00Z', '', '2024-03-10')).toBe(false)
+		})
+
+		test('days start at midnight of a named timezone, including DST transitions', () => {
+			// Daylight saving time starts in New York on 2024-03-10: the day starts at UTC-5 and ends at
+			// UTC-4.
+			setUserTimezone('America/New_York')
+			expect(matchesDays('2024-03-10T05:00:00Z', '2024-03-10', '2024-03-10')).toBe(true)
+			expect(matchesDays('2024-03-10T04:59:59Z', '2024-03-10', '2024-03-10')).toBe(false)
+			expect(matchesDays('2024-03-11T03:59:59Z', '2024-03-10', '2024-03-10')).toBe(true)
+			expect(matchesDays('2024-03-11T04:00:00Z', '2024-03-10', '2024-03-10')).toBe(false)
+		})
+	})
+})
@@ -0,0 +1,83 @@
+import { describe, test, expect } from 'vitest'
+
+import HunspellDictionary from '../src/HunspellDictionary.js'
+import { blankNonProse, getProofreadableWords } from '../src/utils-proofreading.js'
+
+const aff = `SET UTF-8
+TRY esianrtolcdugmphbyfvkwz
+NOSUGGEST !
+
+REP 1
+REP f ph
+
+PFX U Y 1
+PFX U 0 un .
+
+SFX S Y 2
+SFX S y ies [^aeiou]y
+SFX S 0 s [aeiou]y
+`
+
+const dic = `7
+reply/S
+day/S
+happy/U
+kind/U
+graph
+it's
+damn/!
+`
+
+describe('HunspellDictionary', () => {
+	const dictionary = new HunspellDictionary(aff, dic)
+
+	test('should check words with affixes', () => {
+		expect(dictionary.check('reply')).toBe(true)
+		expect(dictionary.check('replies')).toBe(true)
+		expect(dictionary.check('replys')).toBe(false)
+		expect(dictionary.check('days')).toBe(true)
+		expect(dictionary.check('unhappy')).toBe(true)
+		expect(dictionary.check('unday')).toBe(false)
+	})
+
+	test('should accept capitalized words and words in all caps', () => {
+		expect(dictionary.check('Reply')).toBe(true)
+		expect(dictionary.check('REPLIES')).toBe(true)
+		expect(dictionary.check('rePly')).toBe(false)
+		expect(dictionary.check('It’s')).toBe(true)
+	})
+
+	test('should suggest corrections', () => {
+		expect(dictionary.suggest('repyl')).toContain('reply')
+		expect(dictionary.suggest('Kindd')).toEqual(['Kind'])
+		expect(dictionary.suggest('grafh')).toContain('graph')
+		expect(dictionary.suggest('unkindday')).toEqual(['unkind day'])
+		expect(dictionary.suggest('xyzzy')).toEqual([])
+		expect(dictionary.suggest('damm')).not.toContain('damn')
+	})
+})
+
+describe('blankNonProse', () => {
+	test('should blank markup keeping positions', () => {
+		const text = 'Sea {{tl|x}} [[Target|label]] <b>x</b> [https://a.org/b c]'
+		const blanked = blankNonProse(text)
+		expect(blanked).toHaveLength(text.length)
+		expect(blanked.replace(/ +/g, ' ')).toBe('Sea label]] x c]')
+	})
+})
+
+describe('getProofreadableWords', () => {
+	test('should skip markup, abbreviations and words adjacent to digits', () => {
+		expect(
+			getProofreadableWords("See [[WP:NPOV|the policy]] by NASA, it's 3rd <code>vaar</code>").map(
+				({ word }) => word,
+			),
+		).toEqual(['See', 'the', 'policy', 'by', "it's"])
+	})
+
+	test('should return the positions of the words', () => {
+		expect(getProofreadableWords('{{ping|Foo}} Hello')).toEqual([
+			{ word: 'Hello', start: 13, end: 18 },
+		])
+	})
+})
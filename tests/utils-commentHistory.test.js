@@ -0,0 +1,77 @@
+import { describe, test, expect } from 'vitest'
+
+import { findCommentVersions } from '../src/utils-commentHistory.js'
+
+describe('findCommentVersions', () => {
+	test('should find the revisions that changed the comment', () => {
+		const { versions, isComplete } = findCommentVersions([
+			{ revision: 6, code: 'Edited text again.' },
+			{ revision: 5, code: 'Edited text.' },
+			{ revision: 4, code: 'Edited text. ' },
+			{ revision: 3, code: 'Original text.' },
+			{ revision: 2, code: 'Original text.' },
+			{ revision: 1, code: undefined, isBeforeComment: true },
+			{ revision: 0, code: 'Unrelated', isBeforeComment: true },
+		])
+		expect(versions).toEqual([
+			{ revision: 2, code: 'Original text.' },
+			{ revision: 4, code: 'Edited text.' },
+			{ revision: 6, code: 'Edited text again.' },
+		])
+		expect(isComplete).toBe(true)
+	})
+
+	test('should report an incomplete history if the comment is present in all revisions', () => {
+		const { versions, isComplete } = findCommentVersions([
+			{ revision: 2, code: 'Text.' },
+			{ revision: 1, code: 'Text.' },
+		])
+		expect(versions).toEqual([{ revision: 1, code: 'Text.' }])
+		expect(isComplete).toBe(false)
+	})
+
+	test('should return no versions if the comment is absent in the latest revision', () => {
+		expect(
+			findCommentVersions([
+				{ revision: 2, code: undefined, isBeforeComment: true },
+				{ revision: 1, code: 'Text.', isBeforeComment: true },
+			]),
+		).toEqual({ versions: [], isComplete: false })
+	})
+
+	test('should skip revisions with hidden text', () => {
+		const { versions, isComplete } = findCommentVersions([
+			{ revision: 4, code: 'Edited text.' },
+			{ revision: 3, code: null },
+			{ revision: 2, code: 'Original text.' },
+			{ revision: 1, code: undefined, isBeforeComment: true },
+		])
+		expect(versions).toEqual([
+			{ revision: 2, code: 'Original text.' },
+			{ revision: 4, code: 'Edited text.' },
+		])
+		expect(isComplete).toBe(true)
+	})
+
+	test('should skip newer revisions where the comment is absent, e.g. a blanked page', () => {
+		const { versions, isComplete } = findCommentVersions([
+			{ revision: 5, code: 'Text.' },
+			{ revision: 4, code: undefined },
+			{ revision: 3, code: 'Text.' },
+			{ revision: 2, code: 'Text.' },
+			{ revision: 1, code: undefined, isBeforeComment: true },
+		])
+		expect(versions).toEqual([{ revision: 2, code: 'Text.' }])
+		expect(isComplete).toBe(true)
+	})
+
+	test('should report an incomplete history if only gaps precede the oldest version', () => {
+		const { versions, isComplete } = findCommentVersions([
+			{ revision: 3, code: 'Text.' },
+			{ revision: 2, code: null },
+			{ revision: 1, code: undefined },
+		])
+		expect(versions).toEqual([{ revision: 3, code: 'Text.' }])
+		expect(isComplete).toBe(false)
+	})
+})
@@ -0,0 +1,75 @@
+import { describe, test, expect } from 'vitest'
+
+import { exportAsJson, exportAsMarkdown, exportAsText } from '../src/utils-export.js'
+
+const discussion = {
+	page: 'Talk:Example',
+	title: 'Proposal',
+	url: 'https://en.wikipedia.org/wiki/Talk:Example#Proposal',
+	comments: [
+		{
+			id: '20240501134500_Alice',
+			parentId: undefined,
+			author: 'Alice',
+			timestamp: '2024-05-01T13:45:00.000Z',
+			level: 0,
+			text: 'I propose this.\n- First point',
+		},
+		{
+			id: '20240501140000_Bob',
+			parentId: '20240501134500_Alice',
+			author: 'Bob',
+			timestamp: '2024-05-01T14:00:00.000Z',
+			level: 1,
+			text: 'Support.',
+		},
+		{
+			id: undefined,
+			parentId: '20240501140000_Bob',
+			author: 'Carol',
+			timestamp: undefined,
+			level: 2,
+			text: 'Unsigned reply.',
+		},
+	],
+}
+
+describe('exportAsMarkdown', () => {
+	test('should nest replies and escape list markers in comment text', () => {
+		expect(exportAsMarkdown(discussion)).toBe(
+			[
+				'# Proposal',
+				'<https://en.wikipedia.org/wiki/Talk:Example#Proposal>',
+				'- **Alice** — 2024-05-01 13:45 UTC\n  I propose this.\n  \\- First point',
+				'  - **Bob** — 2024-05-01 14:00 UTC\n    Support.',
+				'    - **Carol**\n      Unsigned reply.',
+			].join('\n\n') + '\n',
+		)
+	})
+
+	test('should treat comments whose parents are not exported as top-level', () => {
+		const thread = { ...discussion, comments: discussion.comments.slice(1) }
+		expect(exportAsMarkdown(thread)).toContain('\n\n- **Bob**')
+		expect(exportAsMarkdown(thread)).toContain('\n\n  - **Carol**')
+	})
+})
+
+describe('exportAsText', () => {
+	test('should indent replies', () => {
+		expect(exportAsText(discussion)).toBe(
+			[
+				'Proposal',
+				'https://en.wikipedia.org/wiki/Talk:Example#Proposal',
+				'Alice, 2024-05-01 13:45 UTC:\nI propose this.\n- First point',
+				'    Bob, 2024-05-01 14:00 UTC:\n    Support.',
+				'        Carol:\n        Unsigned reply.',
+			].join('\n\n') + '\n',
+		)
+	})
+})
+
+describe('exportAsJson', () => {
+	test('should keep the structured data', () => {
+		expect(JSON.parse(exportAsJson(discussion))).toEqual(JSON.parse(JSON.stringify(discussion)))
+	})
+})
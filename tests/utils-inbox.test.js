@@ -0,0 +1,71 @@
+import { describe, test, expect } from 'vitest'
+
+import { findInboxItems, getLinkTitles } from '../src/utils-inbox.js'
+
+/**
+ * @param {Partial<import('../src/utils-inbox.js').InboxComment>} props
+ * @returns {import('../src/utils-inbox.js').InboxComment}
+ */
+const createComment = (props) => ({
+	id: '202501011200_Alice',
+	authorName: 'Alice',
+	date: new Date('2025-01-01T12:00:00Z'),
+	own: false,
+	elementHtmls: [],
+	...props,
+})
+
+describe('findInboxItems', () => {
+	const since = new Date('2025-01-01T00:00:00Z')
+
+	test('should find replies and mentions but skip own, old, and other comments', () => {
+		const comments = [
+			createComment({ toMe: true }),
+			createComment({ id: 'mention', elementHtmls: ['<a title="User:Me">Me</a>'] }),
+			createComment({ id: 'own', toMe: true, own: true }),
+			createComment({ id: 'old', toMe: true, date: new Date('2024-12-31T12:00:00Z') }),
+			createComment({ id: 'other' }),
+		]
+		const items = findInboxItems(comments, {
+			since,
+			isMention: (comment) => comment.elementHtmls.some((html) => html.includes('User:Me')),
+		})
+		expect(items.map(({ comment, reason }) => [comment.id, reason])).toEqual([
+			['202501011200_Alice', 'reply'],
+			['mention', 'mention'],
+		])
+	})
+
+	test('should find new topics and comments in subscribed topics, including subsections', () => {
+		const topic = { headline: 'Topic', oldestCommentId: 'first' }
+		const subsection = { headline: 'Subsection', parent: topic }
+		const otherTopic = { headline: 'Other', oldestCommentId: 'other' }
+		const comments = [
+			createComment({ id: 'first', section: topic }),
+			createComment({ id: 'second', section: subsection }),
+			createComment({ id: 'other', section: otherTopic }),
+			createComment({ id: 'reply', section: otherTopic }),
+		]
+		const items = findInboxItems(comments, {
+			since,
+			isMention: () => false,
+			arePageTopicsSubscribed: true,
+			isSectionSubscribed: (section) => section === topic,
+		})
+		expect(items.map(({ comment, reason }) => [comment.id, reason])).toEqual([
+			['first', 'newTopic'],
+			['second', 'subscribedTopic'],
+			['other', 'newTopic'],
+		])
+	})
+})
+
+describe('getLinkTitles', () => {
+	test('should extract and decode link titles', () => {
+		expect(
+			getLinkTitles(
+				'<a href="/wiki/User:A" title="User:A">A</a> <a class="new" title="User:B &amp; &quot;C&quot; (page does not exist)">B</a> <a href="#x">x</a>',
+			),
+		).toEqual(['User:A', 'User:B & "C" (page does not exist)'])
+	})
+})
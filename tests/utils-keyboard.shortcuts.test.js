@@ -0,0 +1,77 @@
+import { describe, test, expect } from 'vitest'
+
+import {
+	formatShortcut,
+	isTypingShortcut,
+	normalizeShortcut,
+	parseShortcut,
+} from '../src/utils-keyboard.js'
+
+describe('parseShortcut', () => {
+	test('should parse a single letter', () => {
+		expect(parseShortcut('R')).toEqual({ keyCode: 82, modifiers: [] })
+	})
+
+	test('should parse modifiers and digits', () => {
+		expect(parseShortcut('Ctrl+Shift+6')).toEqual({ keyCode: 54, modifiers: ['cmd', 'shift'] })
+	})
+
+	test('should be case-insensitive and tolerate spaces', () => {
+		expect(parseShortcut(' ctrl + alt + q ')).toEqual({ keyCode: 81, modifiers: ['cmd', 'alt'] })
+	})
+
+	test('should parse named and punctuation keys', () => {
+		expect(parseShortcut('Ctrl+Enter')).toEqual({ keyCode: 13, modifiers: ['cmd'] })
+		expect(parseShortcut('Esc')).toEqual({ keyCode: 27, modifiers: [] })
+		expect(parseShortcut('Shift+/')).toEqual({ keyCode: 191, modifiers: ['shift'] })
+		expect(parseShortcut('F5')).toEqual({ keyCode: 116, modifiers: [] })
+	})
+
+	test('should reject invalid shortcuts', () => {
+		expect(parseShortcut('')).toBeUndefined()
+		expect(parseShortcut('Ctrl')).toBeUndefined()
+		expect(parseShortcut('Hyper+A')).toBeUndefined()
+		expect(parseShortcut('Ctrl+Ctrl+A')).toBeUndefined()
+		expect(parseShortcut('Ctrl+AB')).toBeUndefined()
+	})
+})
+
+describe('formatShortcut', () => {
+	test('should write modifiers in a fixed order', () => {
+		expect(formatShortcut({ keyCode: 56, modifiers: ['shift', 'cmd'] })).toBe('Ctrl+Shift+8')
+	})
+
+	test('should use key names', () => {
+		expect(formatShortcut({ keyCode: 191, modifiers: ['shift'] })).toBe('Shift+/')
+		expect(formatShortcut({ keyCode: 27, modifiers: [] })).toBe('Esc')
+	})
+})
+
+describe('normalizeShortcut', () => {
+	test('should normalize valid shortcuts', () => {
+		expect(normalizeShortcut('shift+ctrl+a')).toBe('Ctrl+Shift+A')
+	})
+
+	test('should keep an empty string (disabled shortcut)', () => {
+		expect(normalizeShortcut('')).toBe('')
+	})
+
+	test('should return undefined for invalid shortcuts', () => {
+		expect(normalizeShortcut('Ctrl+Nonsense')).toBeUndefined()
+	})
+})
+
+describe('isTypingShortcut', () => {
+	test('should flag keys without Ctrl or Alt', () => {
+		expect(isTypingShortcut({ keyCode: 82, modifiers: [] })).toBe(true)
+		expect(isTypingShortcut({ keyCode: 82, modifiers: ['shift'] })).toBe(true)
+		expect(isTypingShortcut({ keyCode: 13, modifiers: [] })).toBe(true)
+	})
+
+	test('should allow modified keys, Esc and function keys', () => {
+		expect(isTypingShortcut({ keyCode: 82, modifiers: ['cmd'] })).toBe(false)
+		expect(isTypingShortcut({ keyCode: 82, modifiers: ['alt', 'shift'] })).toBe(false)
+		expect(isTypingShortcut({ keyCode: 27, modifiers: [] })).toBe(false)
+		expect(isTypingShortcut({ keyCode: 116, modifiers: [] })).toBe(false)
+	})
+})
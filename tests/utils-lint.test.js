@@ -0,0 +1,88 @@
+import { describe, test, expect } from 'vitest'
+
+import { lintWikitext } from '../src/utils-lint.js'
+
+/**
+ * @param {string} text
+ * @param {import('../src/utils-lint.js').LintOptions} [options]
+ * @returns {string[]}
+ */
+const getNames = (text, options) => lintWikitext(text, options).map((issue) => issue.name)
+
+describe('lintWikitext', () => {
+	test('should find unclosed and stray tags', () => {
+		const issues = lintWikitext('<small>Text <b>bold</i> more')
+		expect(issues.map(({ name, params }) => [name, params])).toEqual([
+			['unclosedTag', ['small']],
+			['unclosedTag', ['b']],
+			['strayClosingTag', ['i']],
+		])
+		expect(issues[0].fix).toEqual({ start: 28, end: 28, replacement: '</small>' })
+	})
+
+	test('should ignore self-closing tags and code in nowiki and comments', () => {
+		expect(
+			getNames('<ref name="a" /> <nowiki><b> [[</nowiki> <!-- {{ --> <br> <code>}}</code>'),
+		).toEqual([])
+	})
+
+	test('should find unbalanced brackets and braces', () => {
+		expect(getNames('{{tl|[[Foo}} and [[Bar]]]] and {{{1}}}')).toEqual([
+			'unclosedBrackets',
+			'strayClosingBrackets',
+		])
+	})
+
+	test('should find signatures not at the end', () => {
+		const issues = lintWikitext('Agree ~~~~\nAlso this. ~~~~')
+		expect(issues.map(({ name }) => name)).toEqual(['straySignature'])
+		expect(issues[0].fix).toEqual({ start: 5, end: 10, replacement: '' })
+	})
+
+	test('should find broken list markup', () => {
+		expect(getNames('Text\n:\n{{quote|\n text}}\n preformatted\n{|\n |-\n|}')).toEqual([
+			'emptyListItem',
+			'preformattedLine',
+		])
+		expect(getNames('Text\n preformatted', { isIndented: true })).toEqual([])
+	})
+
+	test('should find bare URLs and offer wikilinks for the current wiki', () => {
+		const issues = lintWikitext(
+			'See https://a.org/wiki/Foo, [https://b.org label], <ref>https://c.org</ref>.',
+			{
+				urlToWikilink: (url) => (url.startsWith('https://a.org/') ? '[[Foo]]' : undefined),
+			},
+		)
+		expect(issues.map(({ name, start, end }) => [name, start, end])).toEqual([
+			['bareUrl', 4, 26],
+			['bareUrl', 56, 69],
+		])
+		expect(issues[0].fix?.replacement).toBe('[[Foo]]')
+		expect(issues[1].fix).toBeUndefined()
+	})
+
+	test('should find links to the current page', () => {
+		const issues = lintWikitext('[[Talk:Page#Topic|above]] [[Talk:Page]] [[Other]]', {
+			isCurrentPage: (pageName) => pageName === 'Talk:Page',
+		})
+		expect(issues.map(({ fix }) => fix?.replacement)).toEqual(['[[#Topic|above]]', 'Talk:Page'])
+	})
+
+	test('should apply custom rules and skip disabled checks', () => {
+		const issues = lintWikitext('Per WP:NPOV, see http://x.org', {
+			rules: [{ regexp: /\bWP:(\w+)/, message: 'Link the policy', fix: '[[WP:$1]]' }],
+			disabledChecks: ['bareUrl'],
+		})
+		expect(issues).toEqual([
+			{
+				name: 'customRule0',
+				type: 'warning',
+				start: 4,
+				end: 11,
+				message: 'Link the policy',
+				fix: { start: 4, end: 11, replacement: '[[WP:NPOV]]', label: undefined },
+			},
+		])
+	})
+})
@@ -0,0 +1,55 @@
+import { describe, test, expect } from 'vitest'
+
+import {
+	canParseIncrementally,
+	joinBlocksForParsing,
+	joinParsedBlocks,
+	splitCodeIntoBlocks,
+	splitParsedHtml,
+} from '../src/utils-preview.js'
+
+describe('splitCodeIntoBlocks', () => {
+	test('should split at empty lines at the top level only', () => {
+		const code =
+			'Intro\n\n{{quote|\n\nQuoted}}\n\n{|\n|-\n|\n\nCell\n|}\n\n<!--\n\n-->Text\n\n\nMore text'
+		const blocks = splitCodeIntoBlocks(code)
+		expect(blocks).toEqual([
+			'Intro',
+			'{{quote|\n\nQuoted}}',
+			'{|\n|-\n|\n\nCell\n|}',
+			'<!--\n\n-->Text\n\n\nMore text',
+		])
+		expect(blocks.join('\n\n')).toBe(code)
+	})
+
+	test('should return one block for code without empty lines', () => {
+		expect(splitCodeIntoBlocks(':Reply<br>Second line ~~~~')).toEqual([
+			':Reply<br>Second line ~~~~',
+		])
+	})
+})
+
+describe('canParseIncrementally', () => {
+	test('should reject code with references and magic words', () => {
+		expect(canParseIncrementally('Text\n\nMore text')).toBe(true)
+		expect(canParseIncrementally('Text<ref>Source</ref>\n\n{{reflist}}')).toBe(false)
+		expect(canParseIncrementally('Text\n\n__NOTOC__')).toBe(false)
+	})
+})
+
+describe('splitParsedHtml', () => {
+	test('should split the parser output at the boundaries and put it back together', () => {
+		expect(joinBlocksForParsing(['A', 'B'])).toBe(
+			'A\n\n<div class="cd-previewBlockBoundary"></div>\n\nB',
+		)
+
+		const { wrapper, blocks } = splitParsedHtml(
+			'<div class="mw-parser-output" lang="en"><p>A</p>\n' +
+				'<div class="cd-previewBlockBoundary"></div>\n<p>B</p>\n<ul><li>C</li></ul></div>',
+		)
+		expect(blocks).toEqual(['<p>A</p>', '<p>B</p>\n<ul><li>C</li></ul>'])
+		expect(joinParsedBlocks(['<p>X</p>', ...blocks], wrapper)).toBe(
+			'<div class="mw-parser-output" lang="en"><p>X</p>\n<p>A</p>\n<p>B</p>\n<ul><li>C</li></ul></div>',
+		)
+	})
+})
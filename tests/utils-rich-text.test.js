@@ -0,0 +1,85 @@
+import { describe, test, expect } from 'vitest'
+
+import { htmlToWikitext, wikitextToHtml } from '../src/utils-rich-text.js'
+
+/**
+ * @param {string} wikitext
+ * @returns {string}
+ */
+const roundTrip = (wikitext) => {
+	const element = document.createElement('div')
+	element.innerHTML = wikitextToHtml(wikitext).html
+
+	return htmlToWikitext(element).wikitext
+}
+
+/**
+ * @param {string} html
+ * @returns {import('../src/utils-rich-text.js').HtmlToWikitextResult}
+ */
+const convertHtml = (html) => {
+	const element = document.createElement('div')
+	element.innerHTML = html
+
+	return htmlToWikitext(element)
+}
+
+describe('wikitextToHtml', () => {
+	test('should convert supported constructs', () => {
+		expect(
+			wikitextToHtml(
+				"''It'' '''is''' [[Foo|a link]], [https://example.org a site] and <code>a < b</code>\n\n" +
+					'* One\n** Two\n# Three',
+				{ getUrl: (target) => `/wiki/${target}` },
+			),
+		).toEqual({
+			html:
+				'<p><i>It</i> <b>is</b> <a data-cd-target="Foo" href="/wiki/Foo">a link</a>, ' +
+				'<a href="https://example.org" class="external">a site</a> and <code>a &lt; b</code></p>' +
+				'<p><br></p>' +
+				'<ul><li>One<ul><li>Two</li></ul></li></ul><ol><li>Three</li></ol>',
+			hasSource: false,
+		})
+	})
+
+	test('should keep other markup as source code', () => {
+		expect(wikitextToHtml('{{done}} and [[File:A.png]]').hasSource).toBe(true)
+		expect(wikitextToHtml(":Indented ''unclosed").html).toBe("<p>:Indented ''unclosed</p>")
+		expect(wikitextToHtml('*No space\n** Orphan').html).toBe('<p>*No space</p><p>** Orphan</p>')
+		expect(
+			wikitextToHtml('[[File:A.png]]', { isLinkTargetSupported: (t) => !t.startsWith('File:') })
+				.html,
+		).toBe('<p>[[File:A.png]]</p>')
+	})
+})
+
+describe('htmlToWikitext', () => {
+	test('should give back the original wikitext', () => {
+		;[
+			'',
+			'Line 1\nLine 2\n\nParagraph',
+			"''italic'' '''bold''' '''''both''''' '''''b'' then''' ''it's''",
+			'* a\n** b\n*# c\n* \n# d',
+			'[[Foo|bar]] [[Baz]]s [[Foo|Foo]] [https://example.org X] <code>{{x}}</code>',
+			'Break<br>here<br>\n<br>',
+			'<blockquote>Quoted\n* item\n</blockquote>\nAfter',
+			'{{template}}\n{|\n| cell\n|}\n:indent\n ~~~~',
+		].forEach((wikitext) => {
+			expect(roundTrip(wikitext)).toBe(wikitext)
+		})
+	})
+
+	test('should convert HTML produced by editing', () => {
+		expect(
+			convertHtml(
+				'<div>Some <strong>bold</strong> and <em>italic</em> <span style="color: red">text</span></div>' +
+					'<div><br></div><ul><li>A</li><ul><li>B<br></li></ul></ul>' +
+					'<blockquote><p>Q</p></blockquote><h2>Heading</h2><a href="/wiki/X">X</a>',
+			),
+		).toEqual({
+			wikitext:
+				"Some '''bold''' and ''italic'' text\n\n* A\n** B\n<blockquote>Q</blockquote>\nHeading\nX",
+			unsupportedTags: ['h2', 'a'],
+		})
+	})
+})
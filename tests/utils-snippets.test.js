@@ -0,0 +1,55 @@
+import { describe, test, expect } from 'vitest'
+
+import { expandSnippet, formatSnippetDate, groupSnippetsByFolder } from '../src/utils-snippets.js'
+
+describe('expandSnippet', () => {
+	test('should replace the placeholders with their values', () => {
+		expect(
+			expandSnippet('Hi {{{author}}}, re "{{{section}}}" ({{{date}}}). {{{author}}}!', {
+				author: 'Example',
+				section: 'Question',
+				date: '2024-05-01',
+			}),
+		).toEqual({
+			text: 'Hi Example, re "Question" (2024-05-01). Example!',
+			cursorIndex: undefined,
+		})
+	})
+
+	test('should replace placeholders without values with an empty string and keep unknown ones', () => {
+		expect(expandSnippet('Hi {{{author}}}{{{1}}}', {}).text).toBe('Hi {{{1}}}')
+	})
+
+	test('should return the cursor position', () => {
+		expect(expandSnippet('{{{author}}}: {{{cursor}}} ~~~~', { author: 'Example' })).toEqual({
+			text: 'Example:  ~~~~',
+			cursorIndex: 9,
+		})
+		expect(expandSnippet('a{{{cursor}}}b{{{cursor}}}c', {})).toEqual({
+			text: 'abc',
+			cursorIndex: 1,
+		})
+	})
+})
+
+describe('formatSnippetDate', () => {
+	test('should pad the month and the day', () => {
+		expect(formatSnippetDate(new Date(2024, 4, 1))).toBe('2024-05-01')
+	})
+})
+
+describe('groupSnippetsByFolder', () => {
+	test('should group snippets, putting the ones outside of folders first', () => {
+		const a = { name: 'a', text: 'a', folder: 'Helpdesk' }
+		const b = { name: 'b', text: 'b' }
+		const c = { name: 'c', text: 'c', folder: 'Noticeboards' }
+		const d = { name: 'd', text: 'd', folder: ' Helpdesk ' }
+
+		expect(groupSnippetsByFolder([a, b, c, d])).toEqual([
+			{ name: '', snippets: [b] },
+			{ name: 'Helpdesk', snippets: [a, d] },
+			{ name: 'Noticeboards', snippets: [c] },
+		])
+		expect(groupSnippetsByFolder([a])).toEqual([{ name: 'Helpdesk', snippets: [a] }])
+	})
+})
@@ -0,0 +1,97 @@
+import { describe, test, expect } from 'vitest'
+
+import {
+	buildTemplateCall,
+	findTemplateCallAt,
+	isBlockFormat,
+	parseTemplateCall,
+} from '../src/utils-templates.js'
+
+describe('parseTemplateCall', () => {
+	test('should parse positional and named parameters', () => {
+		expect(parseTemplateCall('{{Cite web|a| b |url = https://example.org|title=[[A|B]]}}')).toEqual(
+			{
+				name: 'Cite web',
+				params: [
+					{ name: '1', value: 'a' },
+					{ name: '2', value: ' b ' },
+					{ name: 'url', value: 'https://example.org' },
+					{ name: 'title', value: '[[A|B]]' },
+				],
+				isBlock: false,
+			},
+		)
+	})
+
+	test('should not split by pipes and equals signs in nested templates', () => {
+		expect(parseTemplateCall('{{Outer|{{Inner|x=1}}|y={{Inner|2}}}}')?.params).toEqual([
+			{ name: '1', value: '{{Inner|x=1}}' },
+			{ name: 'y', value: '{{Inner|2}}' },
+		])
+	})
+
+	test('should detect the block format', () => {
+		expect(parseTemplateCall('{{Infobox\n| a = 1\n| b = 2\n}}')?.isBlock).toBe(true)
+	})
+
+	test('should ignore parser functions and template parameters', () => {
+		expect(parseTemplateCall('{{#if:a|b}}')).toBeUndefined()
+		expect(parseTemplateCall('{{{1|}}}')).toBeUndefined()
+	})
+})
+
+describe('findTemplateCallAt', () => {
+	test('should find the innermost template call around the position', () => {
+		const code = 'Text {{Outer|{{Inner|x}}|y}} text'
+		expect(findTemplateCallAt(code, code.indexOf('|x') + 1)).toMatchObject({
+			name: 'Inner',
+			start: code.indexOf('{{Inner'),
+			end: code.indexOf('|y'),
+		})
+		expect(findTemplateCallAt(code, code.indexOf('y'))).toMatchObject({ name: 'Outer', start: 5 })
+		expect(findTemplateCallAt(code, 2)).toBeUndefined()
+	})
+})
+
+describe('buildTemplateCall', () => {
+	test('should omit the names of positional parameters going in order', () => {
+		expect(
+			buildTemplateCall('Tl', [
+				{ name: '1', value: 'a' },
+				{ name: '3', value: 'c' },
+				{ name: 'x', value: 'y' },
+			]),
+		).toBe('{{Tl|a|3=c|x=y}}')
+		expect(buildTemplateCall('Tl', [{ name: '1', value: 'a=b' }])).toBe('{{Tl|1=a=b}}')
+	})
+
+	test('should place parameters on separate lines in the block format', () => {
+		expect(
+			buildTemplateCall(
+				'Infobox',
+				[
+					{ name: 'a', value: '1' },
+					{ name: 'b', value: '2' },
+				],
+				true,
+			),
+		).toBe('{{Infobox\n| a = 1\n| b = 2\n}}')
+	})
+
+	test('should round-trip a parsed template call', () => {
+		const code = '{{Tl|a|b|x=y}}'
+		const call = /** @type {import('../src/utils-templates').TemplateCall} */ (
+			parseTemplateCall(code)
+		)
+		expect(buildTemplateCall(call.name, call.params, call.isBlock)).toBe(code)
+	})
+})
+
+describe('isBlockFormat', () => {
+	test('should recognize block formats', () => {
+		expect(isBlockFormat('block')).toBe(true)
+		expect(isBlockFormat('{{_\n| _ = _\n}}')).toBe(true)
+		expect(isBlockFormat('inline')).toBe(false)
+		expect(isBlockFormat(undefined)).toBe(false)
+	})
+})
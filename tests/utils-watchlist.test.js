@@ -0,0 +1,63 @@
+import { describe, test, expect } from 'vitest'
+
+import { getSectionFromFragment, groupCommentEdits } from '../src/utils-watchlist.js'
+
+describe('getSectionFromFragment', () => {
+	test('should decode the fragment', () => {
+		expect(getSectionFromFragment('#Proposal_for_%C3%A9t%C3%A9')).toBe('Proposal for été')
+		expect(getSectionFromFragment('Some_section')).toBe('Some section')
+	})
+
+	test('should return undefined for an empty fragment', () => {
+		expect(getSectionFromFragment('#')).toBeUndefined()
+		expect(getSectionFromFragment('')).toBeUndefined()
+	})
+
+	test('should keep malformed fragments as they are', () => {
+		expect(getSectionFromFragment('#100%_sure')).toBe('100% sure')
+	})
+})
+
+describe('groupCommentEdits', () => {
+	/**
+	 * @param {string} commentId
+	 * @param {string} author
+	 * @param {string | undefined} section
+	 * @param {boolean} [unseen]
+	 * @param {string} [pageName]
+	 * @returns {import('../src/utils-watchlist.js').CommentEdit<undefined>}
+	 */
+	const createEdit = (commentId, author, section, unseen = false, pageName = 'Talk:A') => ({
+		pageName,
+		section,
+		author,
+		commentId,
+		unseen,
+		data: undefined,
+	})
+
+	test('should group edits by page and section', () => {
+		const groups = groupCommentEdits([
+			createEdit('4', 'Bob', 'Topic', true),
+			createEdit('3', 'Alice', 'Topic', true),
+			createEdit('2', 'Bob', 'Topic'),
+			createEdit('1', 'Carol', 'Topic', false, 'Talk:B'),
+			createEdit('0', 'Carol', 'Other'),
+		])
+		expect(groups).toHaveLength(1)
+		expect(groups[0].edits.map((edit) => edit.commentId)).toEqual(['4', '3', '2'])
+		expect(groups[0].participants).toEqual(['Bob', 'Alice'])
+		expect(groups[0].firstUnseenEdit?.commentId).toBe('3')
+	})
+
+	test('should skip edits without a section and not set the first unseen edit if all are seen', () => {
+		const groups = groupCommentEdits([
+			createEdit('3', 'Bob', undefined),
+			createEdit('2', 'Alice', 'Topic'),
+			createEdit('1', 'Bob', 'Topic'),
+		])
+		expect(groups).toHaveLength(1)
+		expect(groups[0].edits).toHaveLength(2)
+		expect(groups[0].firstUnseenEdit).toBeUndefined()
+	})
+})